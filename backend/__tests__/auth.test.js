@@ -0,0 +1,171 @@
+const request = require('supertest');
+const app = require('../server');
+const { createUser, createImageUrl } = require('../services/authService');
+const { authHeaders, mockOcrText, saveProcessedNotice } = require('../test/helpers');
+
+let viewer;
+let reviewer;
+let notice;
+let imagePath;
+let thumbnailPath;
+
+beforeAll(async () => {
+    viewer = await authHeaders('viewer');
+    reviewer = await authHeaders('reviewer');
+    mockOcrText();
+    notice = await saveProcessedNotice(app, reviewer, { seed: 1 });
+    imagePath = `/api/notices/${notice.id}/image`;
+    thumbnailPath = `/api/notices/${notice.id}/thumbnail`;
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.AUTH_DISABLED;
+});
+
+async function signImageUrls(paths, headers = viewer) {
+    return request(app).post('/api/image-urls').set(headers).send({ paths });
+}
+
+describe('Credentials', () => {
+    test('are required outside the public endpoints', async () => {
+        const health = await request(app).get('/api/health');
+        const notices = await request(app).get('/api/notices');
+
+        expect(health.status).toBe(200);
+        expect(notices.status).toBe(401);
+        expect(notices.body.code).toBe('AUTH_REQUIRED');
+    });
+
+    test('can be a sign-in token', async () => {
+        await createUser({ username: 'asha', password: 'correct horse', role: 'reviewer' });
+
+        const wrong = await request(app).post('/api/auth/login').send({ username: 'asha', password: 'wrong password' });
+        const login = await request(app).post('/api/auth/login').send({ username: 'asha', password: 'correct horse' });
+        const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${login.body.token}`);
+
+        expect(wrong.status).toBe(401);
+        expect(wrong.body.code).toBe('INVALID_CREDENTIALS');
+        expect(me.body.data).toMatchObject({ type: 'user', name: 'asha', role: 'reviewer' });
+    });
+
+    test('are rejected when invalid', async () => {
+        const token = await request(app).get('/api/notices').set('Authorization', 'Bearer not-a-token');
+        const key = await request(app).get('/api/notices').set('X-API-Key', 'pnk_unknown_secret');
+
+        expect(token.status).toBe(401);
+        expect(token.body.code).toBe('INVALID_TOKEN');
+        expect(key.status).toBe(401);
+        expect(key.body.code).toBe('INVALID_API_KEY');
+    });
+
+    test('are not accepted in the URL', async () => {
+        const login = await request(app).post('/api/auth/login').send({ username: 'asha', password: 'correct horse' });
+
+        const image = await request(app).get(thumbnailPath).query({ access_token: login.body.token });
+
+        expect(image.status).toBe(401);
+        expect(image.body.code).toBe('AUTH_REQUIRED');
+    });
+});
+
+describe('Roles', () => {
+    test('let viewers read but not change notices', async () => {
+        const read = await request(app).get(`/api/notices/${notice.id}`).set(viewer);
+        const edit = await request(app).patch(`/api/notices/${notice.id}`).set(viewer).send({ buyer_name: 'હરેશભાઈ' });
+
+        expect(read.status).toBe(200);
+        expect(edit.status).toBe(403);
+        expect(edit.body.code).toBe('FORBIDDEN');
+    });
+
+    test('keep deleting notices to admins', async () => {
+        const response = await request(app).delete(`/api/notices/${notice.id}`).set(reviewer);
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('FORBIDDEN');
+    });
+});
+
+describe('Signed image URLs', () => {
+    test('load the image they were signed for without other credentials', async () => {
+        const response = await signImageUrls([thumbnailPath, imagePath]);
+        expect(response.status).toBe(200);
+        const { urls, expiresAt } = response.body.data;
+        expect(Object.keys(urls)).toEqual([thumbnailPath, imagePath]);
+        expect(Date.parse(expiresAt)).toBeGreaterThan(Date.now());
+
+        const thumbnail = await request(app).get(urls[thumbnailPath]);
+
+        expect(thumbnail.status).toBe(200);
+        expect(thumbnail.headers['content-type']).toBe('image/jpeg');
+    });
+
+    test('are the same within a window, so images stay cached', async () => {
+        const first = await signImageUrls([thumbnailPath]);
+        const second = await signImageUrls([thumbnailPath]);
+
+        expect(second.body.data.urls).toEqual(first.body.data.urls);
+    });
+
+    test('cannot be used for another image or endpoint', async () => {
+        const { url } = createImageUrl(thumbnailPath);
+        const query = url.slice(url.indexOf('?'));
+
+        const image = await request(app).get(`${imagePath}${query}`);
+        const details = await request(app).get(`/api/notices/${notice.id}${query}`);
+        const publication = await request(app).get(`${thumbnailPath}${query}&publication=other`);
+
+        expect(image.status).toBe(401);
+        expect(image.body.code).toBe('INVALID_IMAGE_URL');
+        expect(details.status).toBe(401);
+        expect(details.body.code).toBe('AUTH_REQUIRED');
+        expect(publication.status).toBe(401);
+        expect(publication.body.code).toBe('INVALID_IMAGE_URL');
+    });
+
+    test('are rejected when altered', async () => {
+        const { url } = createImageUrl(thumbnailPath);
+
+        const response = await request(app).get(url.replace(/expires=(\d+)/, (match, expires) => `expires=${Number(expires) + 600}`));
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('INVALID_IMAGE_URL');
+    });
+
+    test('expire', async () => {
+        const { url, expires_at: expiresAt } = createImageUrl(thumbnailPath);
+        jest.useFakeTimers({ now: Date.parse(expiresAt) + 1000, doNotFake: ['nextTick', 'setImmediate', 'setTimeout'] });
+
+        const response = await request(app).get(url);
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('IMAGE_URL_EXPIRED');
+    });
+
+    test('are only issued for notice and job images', async () => {
+        const response = await signImageUrls([thumbnailPath, `/api/notices/${notice.id}`, '/api/notices/../auth/me/image']);
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_IMAGE_PATHS');
+        expect(response.body.details).toEqual([
+            '"paths[1]" must be a notice or job image path',
+            '"paths[2]" must be a notice or job image path'
+        ]);
+    });
+
+    test('need credentials to be issued', async () => {
+        const response = await signImageUrls([thumbnailPath], {});
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('AUTH_REQUIRED');
+    });
+
+    test('are the plain paths when authentication is off', async () => {
+        process.env.AUTH_DISABLED = 'true';
+
+        const response = await signImageUrls([thumbnailPath], {});
+
+        expect(response.body.data).toEqual({ urls: { [thumbnailPath]: thumbnailPath }, expiresAt: null });
+    });
+});
@@ -0,0 +1,69 @@
+const AdmZip = require('adm-zip');
+const request = require('supertest');
+const app = require('../server');
+const { authHeaders, createNoticeImage, mockOcrText, waitFor } = require('../test/helpers');
+
+let reviewer;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    mockOcrText();
+});
+
+describe('POST /api/process-batch', () => {
+    test('queues one job per image, including images inside ZIP archives', async () => {
+        const zip = new AdmZip();
+        zip.addFile('scans/page-3.png', await createNoticeImage(3));
+        zip.addFile('scans/readme.txt', Buffer.from('not a notice'));
+        zip.addFile('__MACOSX/scans/._page-3.png', Buffer.from('resource fork'));
+
+        const response = await request(app)
+            .post('/api/process-batch')
+            .set(reviewer)
+            .attach('images', await createNoticeImage(1), 'page-1.png')
+            .attach('images', await createNoticeImage(2, { format: 'jpeg' }), 'page-2.jpg')
+            .attach('images', zip.toBuffer(), 'scans.zip');
+
+        expect(response.status).toBe(202);
+        const { batchId, items, rejected, statusUrl } = response.body.data;
+        expect(statusUrl).toBe(`/api/batches/${batchId}`);
+        expect(items.map(item => item.originalName)).toEqual(['page-1.png', 'page-2.jpg', 'page-3.png']);
+        expect(rejected).toEqual([expect.objectContaining({ originalName: 'scans/readme.txt', code: 'INVALID_FILE_TYPE' })]);
+
+        const batch = await waitFor(async () => {
+            const status = await request(app).get(statusUrl).set(reviewer);
+            return status.body.data.completed && status.body.data;
+        });
+        expect(batch).toMatchObject({ batchId, total: 3, done: 3, failed: 0, pending: 0 });
+        batch.items.forEach(item => expect(item.result.extractedData.village_name).toBe('રીબડા'));
+    });
+
+    test('rejects a batch without processable images', async () => {
+        const zip = new AdmZip();
+        zip.addFile('readme.txt', Buffer.from('not a notice'));
+
+        const response = await request(app)
+            .post('/api/process-batch')
+            .set(reviewer)
+            .attach('images', zip.toBuffer(), 'empty.zip');
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('EMPTY_BATCH');
+    });
+
+    test('requires at least one file', async () => {
+        const response = await request(app).post('/api/process-batch').set(reviewer);
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('MISSING_FILE');
+    });
+});
+
+describe('GET /api/batches/:id', () => {
+    test('returns 404 for an unknown batch', async () => {
+        const response = await request(app).get('/api/batches/no-such-batch').set(reviewer);
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('BATCH_NOT_FOUND');
+    });
+});
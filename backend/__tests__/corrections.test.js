@@ -0,0 +1,45 @@
+const request = require('supertest');
+const app = require('../server');
+const { authHeaders, mockOcrText, processNotice, saveProcessedNotice } = require('../test/helpers');
+
+let reviewer;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    mockOcrText();
+});
+
+describe('POST /api/save-notice review corrections', () => {
+    test('records the fields the reviewer changed', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, {
+            seed: 1,
+            extractedData: { buyer_name: 'રમેશભાઈ કે. પટેલ', survey_number: '૩૬૭/૧ ', taluka: 'ગોંડલ' }
+        });
+
+        expect(notice.manually_corrected).toBe(true);
+        expect(notice.corrected_fields).toEqual(['survey_number', 'buyer_name']);
+        expect(notice.corrections).toEqual([
+            { field: 'survey_number', extracted_value: '૩૬૭ પૈકી ૧', corrected_value: '૩૬૭/૧' },
+            { field: 'buyer_name', extracted_value: 'રમેશભાઈ કાનજીભાઈ પટેલ', corrected_value: 'રમેશભાઈ કે. પટેલ' }
+        ]);
+        expect(notice.buyer_name).toBe('રમેશભાઈ કે. પટેલ');
+        expect(notice.extracted_data.buyer_name).toBe('રમેશભાઈ કે. પટેલ');
+    });
+
+    test('records no corrections when the extracted values are confirmed as they are', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 2 });
+
+        expect(notice.manually_corrected).toBe(false);
+        expect(notice.corrections).toEqual([]);
+        expect(notice.extracted_data.village_name).toBe('રીબડા');
+    });
+
+    test('keeps the field provenance of the draft', async () => {
+        const job = await processNotice(app, reviewer, 3);
+        const saved = await request(app).post('/api/save-notice').set(reviewer).send({ draftId: job.result.draftId });
+
+        const notice = await request(app).get(`/api/notices/${saved.body.data.id}`).set(reviewer);
+
+        expect(notice.body.data.field_provenance.village_name.source_span.text).toBe('રીબડા');
+    });
+});
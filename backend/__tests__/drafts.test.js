@@ -0,0 +1,215 @@
+const request = require('supertest');
+const app = require('../server');
+const { sweepExpiredDrafts } = require('../services/draftService');
+const { getStorageProvider } = require('../services/storageProviders');
+const { SAMPLE_NOTICE_TEXT, authHeaders, mockOcrText, processNotice, saveProcessedNotice } = require('../test/helpers');
+
+let reviewer;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    mockOcrText();
+});
+
+afterEach(() => {
+    delete process.env.DRAFT_TTL_HOURS;
+});
+
+function saveDraft(body) {
+    return request(app).post('/api/save-notice').set(reviewer).send(body);
+}
+
+async function getJob(id) {
+    const response = await request(app).get(`/api/jobs/${id}`).set(reviewer);
+    return response.body.data;
+}
+
+describe('POST /api/save-notice', () => {
+    test('saves the notice from the draft and closes the draft', async () => {
+        const job = await processNotice(app, reviewer, 1);
+        expect(job).toMatchObject({ status: 'done', draftStatus: 'open' });
+        expect(Date.parse(job.expiresAt)).toBeGreaterThan(Date.now());
+
+        const saved = await saveDraft({ draftId: job.result.draftId });
+        expect(saved.status).toBe(200);
+
+        const notice = await request(app).get(`/api/notices/${saved.body.data.id}`).set(reviewer);
+        expect(notice.body.data).toMatchObject({ draft_id: job.result.draftId, raw_text: SAMPLE_NOTICE_TEXT });
+
+        expect(await getJob(job.result.draftId)).toMatchObject({ draftStatus: 'saved', noticeId: saved.body.data.id, expiresAt: null });
+
+        const again = await saveDraft({ draftId: job.result.draftId });
+        expect(again.status).toBe(409);
+        expect(again.body.code).toBe('DRAFT_ALREADY_SAVED');
+    });
+
+    test('saves cleared fields as empty', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 2, extractedData: { advocate_address: '' } });
+
+        expect(notice.extracted_data.advocate_address).toBeNull();
+        expect(notice.corrected_fields).toEqual(['advocate_address']);
+    });
+
+    test('requires a draft that exists', async () => {
+        const missing = await saveDraft({ extractedData: { village_name: 'રીબડા' } });
+        const unknown = await saveDraft({ draftId: 'no-such-draft' });
+
+        expect(missing.status).toBe(400);
+        expect(missing.body.code).toBe('MISSING_DRAFT_ID');
+        expect(unknown.status).toBe(404);
+        expect(unknown.body.code).toBe('DRAFT_NOT_FOUND');
+    });
+});
+
+describe('Saving a draft twice at once', () => {
+    test('creates one notice; the other save is refused', async () => {
+        const job = await processNotice(app, reviewer, 7);
+        // A slow write keeps the first save in progress while the second one arrives
+        const provider = getStorageProvider();
+        const writeNotice = provider.savePropertyNotice;
+        const savePropertyNotice = jest.spyOn(provider, 'savePropertyNotice').mockImplementation(async (...args) => {
+            await new Promise(resolve => setTimeout(resolve, 200));
+            return writeNotice(...args);
+        });
+
+        const responses = await Promise.all([
+            saveDraft({ draftId: job.result.draftId }),
+            saveDraft({ draftId: job.result.draftId })
+        ]);
+
+        expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+        expect(responses.find(response => response.status === 409).body.code).toBe('DRAFT_SAVE_IN_PROGRESS');
+        expect(savePropertyNotice).toHaveBeenCalledTimes(1);
+        savePropertyNotice.mockRestore();
+
+        const notices = await request(app).get('/api/notices').query({ limit: 1000 }).set(reviewer);
+        expect(notices.body.notices.filter(notice => notice.draft_id === job.result.draftId)).toHaveLength(1);
+        expect(await getJob(job.result.draftId)).toMatchObject({ draftStatus: 'saved', noticeId: responses.find(response => response.status === 200).body.data.id });
+    });
+
+    test('reopens the draft when the save fails, so it can be saved again', async () => {
+        const job = await processNotice(app, reviewer, 8);
+        const savePropertyNotice = jest.spyOn(getStorageProvider(), 'savePropertyNotice')
+            .mockRejectedValueOnce(new Error('Database save failed: unavailable'));
+
+        const failed = await saveDraft({ draftId: job.result.draftId });
+        expect(failed.status).toBe(500);
+        expect((await getJob(job.result.draftId)).draftStatus).toBe('open');
+
+        const retried = await saveDraft({ draftId: job.result.draftId });
+        expect(retried.status).toBe(200);
+        savePropertyNotice.mockRestore();
+    });
+});
+
+describe('Reviewed values', () => {
+    let draftId;
+
+    beforeAll(async () => {
+        draftId = (await processNotice(app, reviewer, 3)).result.draftId;
+    });
+
+    afterAll(async () => {
+        // Rejected saves leave the draft open
+        expect((await getJob(draftId)).draftStatus).toBe('open');
+    });
+
+    test('may only hold notice fields', async () => {
+        const response = await saveDraft({
+            draftId,
+            extractedData: { village_name: 'રીબડા', confidence_score: 1, raw_text: 'made up' }
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_EXTRACTED_DATA');
+        expect(response.body.details).toEqual(['"confidence_score" is not allowed', '"raw_text" is not allowed']);
+    });
+
+    test('are validated like notice edits', async () => {
+        const response = await saveDraft({
+            draftId,
+            extractedData: { notice_date: '2024-03-15', advocate_mobile: '98765' }
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details).toEqual([
+            '"notice_date" must be a date in DD/MM/YYYY format',
+            '"advocate_mobile" must be a 10-digit mobile number'
+        ]);
+    });
+
+    test('must be an object', async () => {
+        const response = await saveDraft({ draftId, extractedData: ['રીબડા'] });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_EXTRACTED_DATA');
+    });
+});
+
+describe('Merging a draft', () => {
+    let original;
+    let draftId;
+
+    beforeAll(async () => {
+        original = await saveProcessedNotice(app, reviewer, { seed: 4 });
+        draftId = (await processNotice(app, reviewer, 5)).result.draftId;
+    });
+
+    test('requires a notice ID', async () => {
+        const response = await saveDraft({ draftId, mergeInto: { id: original.id } });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_MERGE_TARGET');
+    });
+
+    test('is refused for notices that are not duplicates of the draft', async () => {
+        // Same text, so the draft's duplicates include the original; another saved notice is not one
+        const unrelated = await saveProcessedNotice(app, reviewer, { seed: 6, extractedData: { village_name: 'આટકોટ' } });
+        const job = await getJob(draftId);
+        expect(job.result.duplicates.map(duplicate => duplicate.id)).toContain(original.id);
+        expect(job.result.duplicates.map(duplicate => duplicate.id)).not.toContain(unrelated.id);
+
+        const response = await saveDraft({ draftId, mergeInto: unrelated.id });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_MERGE_TARGET');
+        expect((await getJob(draftId)).draftStatus).toBe('open');
+    });
+
+    test('into one of its duplicates records another publication', async () => {
+        const response = await saveDraft({ draftId, mergeInto: original.id });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ id: original.id, merged: true, publicationCount: 2 });
+        expect(await getJob(draftId)).toMatchObject({ draftStatus: 'saved', noticeId: original.id });
+    });
+});
+
+describe('Abandoned drafts', () => {
+    test('expire and can no longer be saved', async () => {
+        process.env.DRAFT_TTL_HOURS = '-1';
+        const job = await processNotice(app, reviewer, 7);
+        expect(Date.parse(job.expiresAt)).toBeLessThan(Date.now());
+
+        expect(await sweepExpiredDrafts()).toBeGreaterThanOrEqual(1);
+
+        expect((await getJob(job.result.draftId)).draftStatus).toBe('expired');
+        const image = await request(app).get(job.result.imageUrl).set(reviewer);
+        expect(image.status).toBe(404);
+
+        const response = await saveDraft({ draftId: job.result.draftId });
+        expect(response.status).toBe(410);
+        expect(response.body.code).toBe('DRAFT_EXPIRED');
+    });
+});
+
+describe('Direct saves without a draft', () => {
+    test('are no longer possible', async () => {
+        const response = await request(app)
+            .post('/api/process-extracted-text')
+            .set(reviewer)
+            .send({ raw_text: SAMPLE_NOTICE_TEXT, extracted_data: { village_name: 'રીબડા' } });
+
+        expect(response.status).toBe(404);
+    });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const app = require('../server');
+const { normalizeHierarchy } = require('../scripts/normalize-hierarchy');
+const { TEST_VILLAGES, authHeaders, mockOcrText, saveProcessedNotice, writeTestGazetteer } = require('../test/helpers');
+
+let reviewer;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    mockOcrText();
+    writeTestGazetteer();
+});
+
+async function editNotice(id, changes) {
+    const response = await request(app).patch(`/api/notices/${id}`).set(reviewer).send(changes);
+    expect(response.status).toBe(200);
+    return (await request(app).get(`/api/notices/${id}`).set(reviewer)).body.data;
+}
+
+describe('Saved notices', () => {
+    test('store canonical district and taluka names with the hierarchy status', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, {
+            seed: 1,
+            extractedData: { district: 'જિ. રાજકોટ', taluka: 'તા. ગોંડલ' }
+        });
+
+        expect(notice).toMatchObject({
+            district: 'Rajkot',
+            district_gu: 'રાજકોટ',
+            taluka: 'Gondal',
+            taluka_gu: 'ગોંડલ',
+            hierarchy_status: 'valid',
+            hierarchy_issues: []
+        });
+        expect(notice.extracted_data).toMatchObject({ district: 'Rajkot', taluka: 'Gondal' });
+    });
+
+    test('are re-checked when their taluka is edited', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 2, extractedData: { district: 'Rajkot', taluka: 'Gondal' } });
+
+        const moved = await editNotice(notice.id, { taluka: 'Mangrol' });
+        expect(moved).toMatchObject({ taluka: 'Mangrol', hierarchy_status: 'invalid' });
+        expect(moved.hierarchy_issues).toEqual([expect.objectContaining({ code: 'taluka_not_in_district' })]);
+
+        const invalid = await request(app).get('/api/notices').query({ hierarchy_status: 'invalid' }).set(reviewer);
+        expect(invalid.body.notices.map(listed => listed.id)).toContain(notice.id);
+
+        const fixed = await editNotice(notice.id, { taluka: 'ગોંડલ' });
+        expect(fixed).toMatchObject({ taluka: 'Gondal', hierarchy_status: 'valid' });
+    });
+
+    test('get a missing district from their taluka', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 3, extractedData: { district: '', taluka: 'જસદણ', village_name: 'આટકોટ' } });
+
+        expect(notice).toMatchObject({ district: 'Rajkot', taluka: 'Jasdan', hierarchy_status: 'valid' });
+    });
+});
+
+describe('normalizeHierarchy', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+        console.warn.mockRestore();
+        writeTestGazetteer();
+    });
+
+    test('changes nothing for notices that are up to date', async () => {
+        const counts = await normalizeHierarchy();
+
+        expect(counts.checked).toBeGreaterThanOrEqual(3);
+        expect(counts.updated).toBe(0);
+    });
+
+    test('re-checks notices against the current reference and gazetteer', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 4, extractedData: { district: 'Rajkot', taluka: 'Gondal' } });
+        expect(notice.hierarchy_status).toBe('valid');
+
+        // The gazetteer now places Ribada in Jasdan taluka
+        writeTestGazetteer(TEST_VILLAGES.map(village => (village.name_en === 'Ribada' ? { ...village, taluka: 'Jasdan' } : village)));
+
+        const dryRun = await normalizeHierarchy({ dryRun: true });
+        expect(dryRun.updated).toBeGreaterThanOrEqual(1);
+        expect((await request(app).get(`/api/notices/${notice.id}`).set(reviewer)).body.data.hierarchy_status).toBe('valid');
+
+        const counts = await normalizeHierarchy();
+        expect(counts.updated).toBe(dryRun.updated);
+
+        const updated = (await request(app).get(`/api/notices/${notice.id}`).set(reviewer)).body.data;
+        expect(updated).toMatchObject({ district: 'Rajkot', taluka: 'Gondal', hierarchy_status: 'unverified' });
+        expect(updated.hierarchy_issues).toEqual([expect.objectContaining({ code: 'village_not_in_taluka' })]);
+
+        expect((await normalizeHierarchy()).updated).toBe(0);
+    });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const app = require('../server');
+const { authHeaders, createNoticeImage, mockOcrText, processNotice } = require('../test/helpers');
+
+let reviewer;
+let admin;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    admin = await authHeaders('admin');
+    mockOcrText();
+});
+
+// Binary responses are buffered instead of parsed
+function getImage(url) {
+    return request(app)
+        .get(url)
+        .set(reviewer)
+        .buffer(true)
+        .parse((res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+}
+
+async function saveDraft(job, body = {}) {
+    const response = await request(app)
+        .post('/api/save-notice')
+        .set(reviewer)
+        .send({ draftId: job.result.draftId, ...body });
+    expect(response.status).toBe(200);
+    return response.body.data;
+}
+
+describe('Notice images', () => {
+    let job;
+    let saved;
+
+    beforeAll(async () => {
+        job = await processNotice(app, reviewer, 1);
+        saved = await saveDraft(job);
+    });
+
+    test('keep the uploaded scan for review until the draft is saved', async () => {
+        const draft = await processNotice(app, reviewer, 2);
+        expect(draft.result.imageUrl).toBe(`/api/jobs/${draft.result.draftId}/image`);
+
+        const image = await getImage(draft.result.imageUrl);
+
+        expect(image.status).toBe(200);
+        expect(image.headers['content-type']).toBe('image/png');
+        expect(image.body).toEqual(await createNoticeImage(2));
+    });
+
+    test('are archived under the notice when it is saved', async () => {
+        expect(saved.imageUrl).toBe(`/api/notices/${saved.id}/image`);
+        expect(saved.thumbnailUrl).toBe(`/api/notices/${saved.id}/thumbnail`);
+
+        const image = await getImage(saved.imageUrl);
+        expect(image.status).toBe(200);
+        expect(image.body).toEqual(await createNoticeImage(1));
+
+        const noticeDir = path.join(process.env.IMAGE_STORAGE_DIR, 'notices', saved.id);
+        expect(fs.readdirSync(noticeDir).sort()).toEqual(['original.png', 'thumbnail.jpg']);
+
+        // The staged copy is moved, not duplicated
+        const staged = await getImage(job.result.imageUrl);
+        expect(staged.status).toBe(404);
+        expect(JSON.parse(staged.body.toString()).code).toBe('IMAGE_NOT_FOUND');
+    });
+
+    test('get a small JPEG thumbnail', async () => {
+        const thumbnail = await getImage(saved.thumbnailUrl);
+
+        expect(thumbnail.status).toBe(200);
+        expect(thumbnail.headers['content-type']).toBe('image/jpeg');
+        expect(await sharp(thumbnail.body).metadata()).toMatchObject({ format: 'jpeg', width: 320, height: 427 });
+    });
+
+    test('of merged publications are kept with the notice', async () => {
+        const republished = await processNotice(app, reviewer, 1);
+        const merged = await saveDraft(republished, { mergeInto: saved.id });
+        const publicationId = merged.publication.id;
+
+        const image = await getImage(`/api/notices/${saved.id}/image?publication=${publicationId}`);
+        expect(image.status).toBe(200);
+        expect(image.body).toEqual(await createNoticeImage(1));
+
+        const publications = fs.readdirSync(path.join(process.env.IMAGE_STORAGE_DIR, 'notices', saved.id, 'publications'));
+        expect(publications).toHaveLength(1);
+    });
+
+    test('are deleted with the notice', async () => {
+        const draft = await processNotice(app, reviewer, 3);
+        const notice = await saveDraft(draft);
+        const noticeDir = path.join(process.env.IMAGE_STORAGE_DIR, 'notices', notice.id);
+        expect(fs.existsSync(noticeDir)).toBe(true);
+
+        const response = await request(app).delete(`/api/notices/${notice.id}`).set(admin);
+
+        expect(response.status).toBe(200);
+        expect(fs.existsSync(noticeDir)).toBe(false);
+    });
+
+    test('return 404 for unknown notices', async () => {
+        const image = await getImage('/api/notices/no-such-notice/image');
+        const thumbnail = await getImage('/api/notices/no-such-notice/thumbnail');
+
+        expect(image.status).toBe(404);
+        expect(thumbnail.status).toBe(404);
+        expect(JSON.parse(image.body.toString()).code).toBe('NOT_FOUND');
+    });
+});
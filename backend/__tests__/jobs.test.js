@@ -0,0 +1,113 @@
+const request = require('supertest');
+const app = require('../server');
+const { SAMPLE_NOTICE_TEXT, authHeaders, createNoticeImage, mockOcrText, waitFor } = require('../test/helpers');
+
+let reviewer;
+let viewer;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    viewer = await authHeaders('viewer');
+});
+
+let annotateImage;
+
+beforeEach(() => {
+    annotateImage = mockOcrText();
+});
+
+async function uploadNotice(seed) {
+    const response = await request(app)
+        .post('/api/process-notice')
+        .set(reviewer)
+        .attach('image', await createNoticeImage(seed), 'notice.png');
+
+    expect(response.status).toBe(202);
+    return response.body.data;
+}
+
+function waitForJob(id) {
+    return waitFor(async () => {
+        const response = await request(app).get(`/api/jobs/${id}`).set(viewer);
+        return ['done', 'failed'].includes(response.body.data.status) && response.body.data;
+    });
+}
+
+describe('POST /api/process-notice', () => {
+    test('queues the upload and runs it through every stage', async () => {
+        const { jobId, status, statusUrl } = await uploadNotice(1);
+        expect(status).toBe('queued');
+        expect(statusUrl).toBe(`/api/jobs/${jobId}`);
+
+        const job = await waitForJob(jobId);
+
+        expect(job.status).toBe('done');
+        expect(job.attempts).toBe(1);
+        expect(Object.keys(job.stages)).toEqual(['ocr', 'extracting', 'refining', 'geocoding']);
+        Object.values(job.stages).forEach(stage => expect(stage.completed_at).toBeDefined());
+        expect(job.draftStatus).toBe('open');
+        expect(job.result.draftId).toBe(jobId);
+        expect(job.result.rawText).toBe(SAMPLE_NOTICE_TEXT);
+        expect(job.result.extractedData.village_name).toBe('રીબડા');
+    });
+
+    test('rejects viewers', async () => {
+        const response = await request(app)
+            .post('/api/process-notice')
+            .set(viewer)
+            .attach('image', await createNoticeImage(2), 'notice.png');
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('FORBIDDEN');
+    });
+});
+
+describe('GET /api/jobs/:id', () => {
+    test('returns 404 for an unknown job', async () => {
+        const response = await request(app).get('/api/jobs/no-such-job').set(viewer);
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('JOB_NOT_FOUND');
+    });
+});
+
+describe('POST /api/jobs/:id/retry', () => {
+    test('resumes a failed job from the stage that failed', async () => {
+        annotateImage.mockRejectedValueOnce(Object.assign(new Error('OCR quota exceeded'), { code: 'OCR_QUOTA_EXCEEDED' }));
+
+        const { jobId } = await uploadNotice(3);
+        const failed = await waitForJob(jobId);
+
+        expect(failed.status).toBe('failed');
+        expect(failed.failedStage).toBe('ocr');
+        expect(failed.resumeStage).toBe('ocr');
+        expect(failed.error).toMatchObject({ message: 'OCR quota exceeded', code: 'OCR_QUOTA_EXCEEDED' });
+        expect(failed.result).toBeNull();
+
+        const retry = await request(app).post(`/api/jobs/${jobId}/retry`).set(reviewer);
+        expect(retry.status).toBe(202);
+
+        const job = await waitForJob(jobId);
+        expect(job.status).toBe('done');
+        expect(job.attempts).toBe(2);
+        expect(job.failedStage).toBeNull();
+        expect(job.result.extractedData.village_name).toBe('રીબડા');
+    });
+
+    test('refuses jobs that have not failed', async () => {
+        const { jobId } = await uploadNotice(4);
+        await waitForJob(jobId);
+
+        const response = await request(app).post(`/api/jobs/${jobId}/retry`).set(reviewer);
+
+        expect(response.status).toBe(409);
+        expect(response.body.code).toBe('JOB_NOT_RETRYABLE');
+    });
+
+    test('returns 404 for an unknown job', async () => {
+        const response = await request(app).post('/api/jobs/no-such-job/retry').set(reviewer);
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('JOB_NOT_FOUND');
+    });
+});
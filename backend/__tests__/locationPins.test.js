@@ -0,0 +1,169 @@
+const request = require('supertest');
+const app = require('../server');
+const { updatePropertyNotice } = require('../services/storageProviders');
+const { readGeocodeCache } = require('../services/geocodeCacheService');
+const { authHeaders, mockOcrText, saveProcessedNotice, writeTestGazetteer } = require('../test/helpers');
+
+let reviewer;
+let viewer;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    viewer = await authHeaders('viewer');
+    mockOcrText();
+    writeTestGazetteer();
+});
+
+function pin(id, location) {
+    return request(app).put(`/api/notices/${id}/location`).set(reviewer).send(location);
+}
+
+async function getNotice(id) {
+    return (await request(app).get(`/api/notices/${id}`).set(viewer)).body.data;
+}
+
+describe('PUT /api/notices/:id/location', () => {
+    test('pins the notice, in its fields and extracted_data, and records the change', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 1 });
+
+        const response = await pin(notice.id, { latitude: 22.0212, longitude: 70.7901 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ scope: 'notice', updated_ids: [notice.id], override: null });
+
+        const pinned = await getNotice(notice.id);
+        expect(pinned).toMatchObject({
+            latitude: 22.0212,
+            longitude: 70.7901,
+            coordinate_source: 'manual',
+            geocoding_status: 'success',
+            location_pin: { scope: 'notice', set_by: 'key:test-reviewer', set_at: expect.any(String) },
+            extracted_data: expect.objectContaining({ latitude: 22.0212, longitude: 70.7901, coordinate_source: 'manual' })
+        });
+
+        const history = await request(app).get(`/api/notices/${notice.id}/history`).set(viewer);
+        expect(history.body.data).toEqual(expect.arrayContaining([
+            expect.objectContaining({ field: 'latitude', old_value: notice.latitude, new_value: 22.0212, source: 'manual', changed_by: 'key:test-reviewer' }),
+            expect.objectContaining({ field: 'longitude', new_value: 70.7901 }),
+            expect.objectContaining({ field: 'coordinate_source', old_value: notice.coordinate_source, new_value: 'manual' })
+        ]));
+    });
+
+    test('pins every notice of the village except those pinned on their own', async () => {
+        const own = await saveProcessedNotice(app, reviewer, { seed: 2 });
+        const other = await saveProcessedNotice(app, reviewer, { seed: 3 });
+        await pin(own.id, { latitude: 21.99, longitude: 70.87 });
+
+        const response = await pin(other.id, { latitude: 22.0005, longitude: 70.8805, scope: 'village' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.override).toMatchObject({ id: 'ribada|rajkot', source: 'manual', result: { latitude: 22.0005, longitude: 70.8805 } });
+        expect(response.body.data.updated_ids).toContain(other.id);
+        expect(response.body.data.updated_ids).not.toContain(own.id);
+
+        expect(await getNotice(other.id)).toMatchObject({ latitude: 22.0005, location_pin: expect.objectContaining({ scope: 'village' }) });
+        expect(await getNotice(own.id)).toMatchObject({ latitude: 21.99, location_pin: expect.objectContaining({ scope: 'notice' }) });
+        expect(await readGeocodeCache('Ribada', 'Rajkot')).toMatchObject({ source: 'manual', expires_at: null });
+    });
+
+    test('rejects coordinates outside Gujarat', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 4 });
+
+        const response = await pin(notice.id, { latitude: 28.6, longitude: 77.2, scope: 'district' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_NOTICE_LOCATION');
+        expect(response.body.details).toEqual([
+            '"latitude" must be inside Gujarat',
+            '"longitude" must be inside Gujarat',
+            '"scope" must be one of [notice, village]'
+        ]);
+    });
+
+    test('needs a reviewer and an existing notice', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 5 });
+
+        const denied = await request(app).put(`/api/notices/${notice.id}/location`).set(viewer).send({ latitude: 22, longitude: 70.8 });
+        expect(denied.status).toBe(403);
+
+        const missing = await pin('no-such-notice', { latitude: 22, longitude: 70.8 });
+        expect(missing.status).toBe(404);
+        expect(missing.body.code).toBe('NOT_FOUND');
+    });
+});
+
+describe('Pinned notices', () => {
+    test('keep their location through automatic updates, which may still correct the district and taluka', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 6 });
+        await pin(notice.id, { latitude: 22.0212, longitude: 70.7901 });
+
+        await updatePropertyNotice(notice.id, {
+            latitude: 22.3,
+            longitude: 70.8,
+            district: 'Rajkot',
+            taluka: 'Jasdan',
+            full_address: 'Elsewhere, Gujarat, India',
+            coordinate_source: 'google_maps',
+            geocoding_status: 'success_refined',
+            extracted_data: { ...notice.extracted_data, latitude: 22.3, longitude: 70.8, coordinate_source: 'google_maps' }
+        }, { source: 'refinement' });
+
+        const updated = await getNotice(notice.id);
+        expect(updated).toMatchObject({
+            latitude: 22.0212,
+            longitude: 70.7901,
+            coordinate_source: 'manual',
+            geocoding_status: 'success',
+            district: 'Rajkot',
+            taluka: 'Jasdan',
+            extracted_data: expect.objectContaining({ latitude: 22.0212, longitude: 70.7901, coordinate_source: 'manual', taluka: 'Jasdan' })
+        });
+        expect(updated.full_address).not.toBe('Elsewhere, Gujarat, India');
+    });
+
+    test('can still be moved by a reviewer', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 7 });
+        await pin(notice.id, { latitude: 22.0212, longitude: 70.7901 });
+
+        await updatePropertyNotice(notice.id, { latitude: 22.1, longitude: 70.9 }, { source: 'manual', changedBy: 'asha' });
+
+        expect(await getNotice(notice.id)).toMatchObject({ latitude: 22.1, longitude: 70.9 });
+    });
+
+    test('lose the pin when reverted to a version before it, and get it back with the pinned version', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 8 });
+        const unpinned = await getNotice(notice.id);
+        await pin(notice.id, { latitude: 22.0212, longitude: 70.7901 });
+        const pinnedVersion = (await getNotice(notice.id)).current_version;
+
+        const reverted = await request(app).post(`/api/notices/${notice.id}/revert`).set(reviewer).send({ version: unpinned.current_version });
+
+        expect(reverted.status).toBe(200);
+        const restored = await getNotice(notice.id);
+        expect(restored).toMatchObject({
+            latitude: unpinned.latitude,
+            longitude: unpinned.longitude,
+            coordinate_source: unpinned.coordinate_source
+        });
+        expect(restored.location_pin ?? null).toBeNull();
+
+        await request(app).post(`/api/notices/${notice.id}/revert`).set(reviewer).send({ version: pinnedVersion });
+
+        expect(await getNotice(notice.id)).toMatchObject({
+            latitude: 22.0212,
+            coordinate_source: 'manual',
+            location_pin: expect.objectContaining({ scope: 'notice', set_by: 'key:test-reviewer' })
+        });
+    });
+
+    test('lose the pin when a reviewer gives them a coordinate source other than manual', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, { seed: 9 });
+        await pin(notice.id, { latitude: 22.0212, longitude: 70.7901 });
+
+        await updatePropertyNotice(notice.id, { latitude: 22.3, longitude: 70.8, coordinate_source: 'google_maps' }, { source: 'manual', changedBy: 'asha' });
+
+        const updated = await getNotice(notice.id);
+        expect(updated).toMatchObject({ latitude: 22.3, coordinate_source: 'google_maps' });
+        expect(updated.location_pin ?? null).toBeNull();
+    });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const app = require('../server');
+const { authHeaders, mockOcrText, saveProcessedNotice } = require('../test/helpers');
+
+let reviewer;
+let viewer;
+let notice;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    viewer = await authHeaders('viewer');
+    mockOcrText();
+    notice = await saveProcessedNotice(app, reviewer);
+});
+
+describe('PATCH /api/notices/:id', () => {
+    test('updates the fields and extracted_data together and records each change', async () => {
+        const response = await request(app)
+            .patch(`/api/notices/${notice.id}`)
+            .set(reviewer)
+            .send({ buyer_name: 'રમેશભાઈ કે. પટેલ', advocate_address: '' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+            buyer_name: 'રમેશભાઈ કે. પટેલ',
+            advocate_address: null,
+            extracted_data: expect.objectContaining({ buyer_name: 'રમેશભાઈ કે. પટેલ', advocate_address: null })
+        });
+
+        const history = await request(app).get(`/api/notices/${notice.id}/history`).set(viewer);
+        expect(history.body.data).toEqual(expect.arrayContaining([
+            expect.objectContaining({
+                field: 'buyer_name',
+                old_value: 'રમેશભાઈ કાનજીભાઈ પટેલ',
+                new_value: 'રમેશભાઈ કે. પટેલ',
+                source: 'manual',
+                changed_by: 'key:test-reviewer',
+                changed_at: expect.any(String)
+            }),
+            expect.objectContaining({ field: 'advocate_address', new_value: null, source: 'manual' })
+        ]));
+    });
+
+    test('records nothing when a value is unchanged', async () => {
+        const before = await request(app).get(`/api/notices/${notice.id}/history`).set(viewer);
+
+        await request(app).patch(`/api/notices/${notice.id}`).set(reviewer).send({ village_name: 'રીબડા' });
+
+        const after = await request(app).get(`/api/notices/${notice.id}/history`).set(viewer);
+        expect(after.body.data).toHaveLength(before.body.data.length);
+    });
+
+    test('rejects unknown fields and malformed values', async () => {
+        const response = await request(app)
+            .patch(`/api/notices/${notice.id}`)
+            .set(reviewer)
+            .send({ notice_date: '2024-03-15', advocate_mobile: '98765', confidence_score: 1 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_NOTICE_UPDATE');
+        expect(response.body.details).toEqual([
+            '"notice_date" must be a date in DD/MM/YYYY format',
+            '"advocate_mobile" must be a 10-digit mobile number',
+            '"confidence_score" is not allowed'
+        ]);
+    });
+
+    test('rejects an empty update', async () => {
+        const response = await request(app).patch(`/api/notices/${notice.id}`).set(reviewer).send({});
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_NOTICE_UPDATE');
+    });
+
+    test('returns 404 for an unknown notice', async () => {
+        const response = await request(app).patch('/api/notices/no-such-notice').set(reviewer).send({ taluka: 'ગોંડલ' });
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('NOT_FOUND');
+    });
+
+    test('is not open to viewers', async () => {
+        const response = await request(app).patch(`/api/notices/${notice.id}`).set(viewer).send({ taluka: 'ગોંડલ' });
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('GET /api/notices/:id/history', () => {
+    test('returns 404 for an unknown notice', async () => {
+        const response = await request(app).get('/api/notices/no-such-notice/history').set(viewer);
+
+        expect(response.status).toBe(404);
+    });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const app = require('../server');
+const { authHeaders, mockOcrText, saveProcessedNotice } = require('../test/helpers');
+
+let reviewer;
+const saved = {};
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    mockOcrText();
+
+    saved.ribada = await saveProcessedNotice(app, reviewer, {
+        seed: 1,
+        extractedData: { notice_date: '15/03/2024' }
+    });
+    saved.jasdan = await saveProcessedNotice(app, reviewer, {
+        seed: 2,
+        extractedData: { village_name: 'આટકોટ', taluka: 'જસદણ', buyer_name: 'કિશોરભાઈ વાઘેલા', notice_date: '02/01/2024' }
+    });
+    saved.surat = await saveProcessedNotice(app, reviewer, {
+        seed: 3,
+        extractedData: { village_name: 'ઓલપાડ', taluka: 'ઓલપાડ', district: 'સુરત', notice_date: '20/06/2024' }
+    });
+}, 30000);
+
+function listNotices(query) {
+    return request(app).get('/api/notices').query(query).set(reviewer);
+}
+
+const ids = response => response.body.notices.map(notice => notice.id);
+
+describe('GET /api/notices filters', () => {
+    test('match text fields by substring', async () => {
+        expect(ids(await listNotices({ village: 'રીબડા' }))).toEqual([saved.ribada.id]);
+        expect(ids(await listNotices({ buyer: 'વાઘેલા' }))).toEqual([saved.jasdan.id]);
+        expect(ids(await listNotices({ survey_number: 'પૈકી' }))).toHaveLength(3);
+    });
+
+    test('ignore case', async () => {
+        // The hierarchy check stores the gazetteer's names for district and taluka
+        expect(ids(await listNotices({ taluka: 'jasdan' }))).toEqual([saved.jasdan.id]);
+        expect(ids(await listNotices({ taluka: 'JASDAN' }))).toEqual([saved.jasdan.id]);
+    });
+
+    test('combine filters', async () => {
+        const response = await listNotices({ district: 'rajkot', taluka: 'gondal' });
+
+        expect(ids(response)).toEqual([saved.ribada.id]);
+    });
+
+    test('limit notice dates to an inclusive range', async () => {
+        const response = await listNotices({ notice_date_from: '2024-03-15', notice_date_to: '2024-06-20', sort: 'notice_date', order: 'asc' });
+
+        expect(ids(response)).toEqual([saved.ribada.id, saved.surat.id]);
+    });
+
+    test('ignore empty parameters', async () => {
+        const response = await listNotices({ village: '', district: '', limit: '' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.notices).toHaveLength(3);
+        expect(response.body.pagination.limit).toBe(50);
+    });
+
+    test('reject malformed values', async () => {
+        const response = await listNotices({ notice_date_from: '15/03/2024', min_confidence: '2', sort: 'raw_text' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_NOTICE_QUERY');
+        expect(response.body.details).toHaveLength(3);
+    });
+});
+
+describe('GET /api/notices sorting and paging', () => {
+    test('sort by a field in either direction', async () => {
+        const ascending = await listNotices({ sort: 'notice_date', order: 'asc' });
+        const descending = await listNotices({ sort: 'notice_date', order: 'desc' });
+
+        expect(ids(ascending)).toEqual([saved.jasdan.id, saved.ribada.id, saved.surat.id]);
+        expect(ids(descending)).toEqual([saved.surat.id, saved.ribada.id, saved.jasdan.id]);
+    });
+
+    test('walk every page with the next cursor', async () => {
+        const pages = [];
+        let cursor;
+        do {
+            const response = await listNotices({ sort: 'notice_date', order: 'asc', limit: 2, cursor });
+            expect(response.status).toBe(200);
+            pages.push(ids(response));
+            cursor = response.body.pagination.nextCursor;
+            expect(response.body.pagination.hasMore).toBe(cursor !== null);
+        } while (cursor);
+
+        expect(pages).toEqual([[saved.jasdan.id, saved.ribada.id], [saved.surat.id]]);
+    });
+
+    test('keep filters across pages', async () => {
+        const first = await listNotices({ district: 'rajkot', limit: 1 });
+        const second = await listNotices({ district: 'rajkot', limit: 1, cursor: first.body.pagination.nextCursor });
+
+        expect(ids(first)).toHaveLength(1);
+        expect(ids(second)).toHaveLength(1);
+        expect([...ids(first), ...ids(second)].sort()).toEqual([saved.ribada.id, saved.jasdan.id].sort());
+        expect(second.body.pagination.nextCursor).toBeNull();
+    });
+
+    test('reject a cursor that was not issued by the API', async () => {
+        const response = await listNotices({ cursor: 'not-a-cursor' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_CURSOR');
+    });
+});
+
+describe('GET /api/notices/stats', () => {
+    test('counts every notice by village, district and upload time', async () => {
+        const response = await request(app).get('/api/notices/stats').set(reviewer);
+        const notices = Object.values(saved);
+        const today = new Date().toISOString();
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+            total_notices: 3,
+            unique_villages: 3,
+            recent_notices_7_days: 3,
+            monthly_uploads: [{ month: today.slice(0, 7), count: 3 }],
+            daily_uploads: [{ date: today.slice(0, 10), count: 3 }]
+        });
+        expect(response.body.data.avg_confidence).toBeCloseTo(
+            notices.reduce((sum, notice) => sum + notice.confidence_score, 0) / notices.length
+        );
+        expect(response.body.data.top_villages).toHaveLength(3);
+        expect(response.body.data.districts).toEqual([
+            { district: saved.ribada.district, count: 2 },
+            { district: saved.surat.district, count: 1 }
+        ]);
+    });
+});
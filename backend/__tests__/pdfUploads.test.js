@@ -0,0 +1,97 @@
+const request = require('supertest');
+const ocrProviders = require('../services/ocrProviders');
+const app = require('../server');
+const { SAMPLE_NOTICE_TEXT, authHeaders, createNoticeImage, createPdf, mockOcrText, waitFor } = require('../test/helpers');
+
+let reviewer;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    mockOcrText();
+    jest.spyOn(ocrProviders, 'annotatePdfPages').mockImplementation(async (pdfPath, pageNumbers) => pageNumbers.map(pageNumber => ({
+        pageNumber,
+        rawText: SAMPLE_NOTICE_TEXT,
+        fullTextAnnotation: { text: SAMPLE_NOTICE_TEXT, pages: [] },
+        provider: 'vision'
+    })));
+});
+
+afterEach(() => {
+    process.env.OCR_FALLBACK_PROVIDER = '';
+});
+
+describe('PDF uploads with an OCR provider that reads PDFs', () => {
+    beforeEach(() => {
+        process.env.OCR_FALLBACK_PROVIDER = 'vision';
+    });
+
+    test('queue one job per page', async () => {
+        const response = await request(app)
+            .post('/api/process-notice')
+            .set(reviewer)
+            .attach('image', await createPdf(2), 'edition.pdf');
+
+        expect(response.status).toBe(202);
+        expect(response.body.data.pageCount).toBe(2);
+        expect(response.body.data.items.map(item => item.originalName)).toEqual(['edition (page 1).pdf', 'edition (page 2).pdf']);
+
+        const batch = await waitFor(async () => {
+            const status = await request(app).get(response.body.data.statusUrl).set(reviewer);
+            return status.body.data.completed && status.body.data;
+        });
+        expect(batch.done).toBe(2);
+        expect(batch.items.map(item => item.pageNumber)).toEqual([1, 2]);
+        batch.items.forEach(item => expect(item.result.extractedData.village_name).toBe('રીબડા'));
+    });
+
+    test('reject unreadable PDFs', async () => {
+        const response = await request(app)
+            .post('/api/process-notice')
+            .set(reviewer)
+            .attach('image', Buffer.from('%PDF-1.4 not really a pdf'), 'broken.pdf');
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_PDF');
+    });
+});
+
+describe('PDF uploads with Tesseract only', () => {
+    test('are refused up front with a clear error', async () => {
+        ocrProviders.annotatePdfPages.mockClear();
+
+        const response = await request(app)
+            .post('/api/process-notice')
+            .set(reviewer)
+            .attach('image', await createPdf(1), 'edition.pdf');
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('OCR_PDF_NOT_SUPPORTED');
+        expect(response.body.error).toMatch(/tesseract.*cannot read PDF/);
+        expect(ocrProviders.annotatePdfPages).not.toHaveBeenCalled();
+    });
+
+    test('are listed as rejected in a batch while its images are queued', async () => {
+        const response = await request(app)
+            .post('/api/process-batch')
+            .set(reviewer)
+            .attach('images', await createNoticeImage(1), 'page-1.png')
+            .attach('images', await createPdf(3), 'edition.pdf');
+
+        expect(response.status).toBe(202);
+        expect(response.body.data.items.map(item => item.originalName)).toEqual(['page-1.png']);
+        expect(response.body.data.rejected).toEqual([
+            expect.objectContaining({ originalName: 'edition.pdf', code: 'OCR_PDF_NOT_SUPPORTED' })
+        ]);
+
+        await waitFor(async () => {
+            const status = await request(app).get(response.body.data.statusUrl).set(reviewer);
+            return status.body.data.completed;
+        });
+    });
+
+    test('are reported by the status endpoint', async () => {
+        const response = await request(app).get('/api/status').set(reviewer);
+
+        expect(response.body.ocr.pdf_supported).toBe(false);
+    });
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const app = require('../server');
+const { authHeaders, createNoticeImage, mockOcrText, processNotice, saveProcessedNotice, waitFor } = require('../test/helpers');
+
+let reviewer;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    mockOcrText();
+});
+
+async function getPublications(id) {
+    const response = await request(app).get(`/api/notices/${id}/publications`).set(reviewer);
+    expect(response.status).toBe(200);
+    return response.body.data;
+}
+
+describe('Publication details', () => {
+    test('are taken from the upload form and kept as the first publication', async () => {
+        const upload = await request(app)
+            .post('/api/process-notice')
+            .set(reviewer)
+            .field('newspaper', 'Sandesh')
+            .field('edition', 'Rajkot')
+            .field('publication_date', '2024-03-16')
+            .field('page', '4')
+            .attach('image', await createNoticeImage(1), 'sandesh-p4.png');
+        expect(upload.status).toBe(202);
+
+        const job = await waitFor(async () => {
+            const response = await request(app).get(upload.body.data.statusUrl).set(reviewer);
+            return response.body.data.status === 'done' && response.body.data;
+        });
+        expect(job.result.publication).toEqual({ newspaper: 'Sandesh', edition: 'Rajkot', publication_date: '2024-03-16', page: 4 });
+
+        const saved = await request(app).post('/api/save-notice').set(reviewer).send({ draftId: job.result.draftId });
+        const id = saved.body.data.id;
+
+        const notice = await request(app).get(`/api/notices/${id}`).set(reviewer);
+        expect(notice.body.data).toMatchObject({ publication_count: 1, publication_sources: ['Sandesh, Rajkot'] });
+        expect(await getPublications(id)).toEqual([expect.objectContaining({
+            source: 'upload',
+            newspaper: 'Sandesh',
+            edition: 'Rajkot',
+            publication_date: '2024-03-16',
+            page: 4,
+            clipping_ref: job.result.filename
+        })]);
+    });
+
+    test('given with the save override those given at upload', async () => {
+        const notice = await saveProcessedNotice(app, reviewer, {
+            seed: 2,
+            publication: { newspaper: 'Divya Bhaskar', clipping_ref: 'archive/2024/03/16/db-7.jpg' }
+        });
+
+        expect(await getPublications(notice.id)).toEqual([expect.objectContaining({
+            newspaper: 'Divya Bhaskar',
+            edition: null,
+            clipping_ref: 'archive/2024/03/16/db-7.jpg'
+        })]);
+    });
+
+    test('are validated', async () => {
+        const response = await request(app)
+            .post('/api/process-notice')
+            .set(reviewer)
+            .field('page', '0')
+            .field('publication_date', '16/03/2024')
+            .attach('image', await createNoticeImage(3), 'notice.png');
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_PUBLICATION');
+        expect(response.body.details).toHaveLength(2);
+    });
+});
+
+describe('Merging a republished notice', () => {
+    test('adds a publication to the existing notice instead of a new notice', async () => {
+        const original = await saveProcessedNotice(app, reviewer, { seed: 5, publication: { newspaper: 'Sandesh' } });
+
+        const job = await processNotice(app, reviewer, 5);
+        expect(job.result.duplicates.map(duplicate => duplicate.id)).toContain(original.id);
+
+        const merged = await request(app)
+            .post('/api/save-notice')
+            .set(reviewer)
+            .send({ draftId: job.result.draftId, mergeInto: original.id, publication: { newspaper: 'Gujarat Samachar', edition: 'Gondal' } });
+
+        expect(merged.status).toBe(200);
+        expect(merged.body.data).toMatchObject({ id: original.id, merged: true, publicationCount: 2 });
+
+        const publications = await getPublications(original.id);
+        expect(publications.map(publication => [publication.source, publication.newspaper])).toEqual([
+            ['upload', 'Sandesh'],
+            ['merge', 'Gujarat Samachar']
+        ]);
+        expect(publications[1].duplicate_score).toBeGreaterThan(0.9);
+
+        const list = await request(app).get('/api/notices').query({ newspaper: 'samachar' }).set(reviewer);
+        expect(list.body.notices.map(notice => notice.id)).toEqual([original.id]);
+    });
+});
+
+describe('GET /api/notices/:id/publications', () => {
+    test('returns 404 for an unknown notice', async () => {
+        const response = await request(app).get('/api/notices/no-such-notice/publications').set(reviewer);
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('NOT_FOUND');
+    });
+});
@@ -0,0 +1,94 @@
+const request = require('supertest');
+const app = require('../server');
+const { SAMPLE_NOTICE_TEXT, authHeaders, mockOcrText, saveProcessedNotice } = require('../test/helpers');
+
+// A second notice, for another village and other parties
+const ATKOT_NOTICE_TEXT = SAMPLE_NOTICE_TEXT
+    .replace('રીબડા', 'આટકોટ')
+    .replace('સુરેશભાઈ મનજીભાઈ શાહ', 'હરેશભાઈ દવે')
+    .replace('રમેશભાઈ કાનજીભાઈ પટેલ', 'કિશોરભાઈ વાઘેલા');
+
+let reviewer;
+const saved = {};
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    mockOcrText();
+
+    saved.ribada = await saveProcessedNotice(app, reviewer, { seed: 1 });
+    mockOcrText(ATKOT_NOTICE_TEXT);
+    saved.atkot = await saveProcessedNotice(app, reviewer, {
+        seed: 2,
+        extractedData: { village_name: 'આટકોટ', buyer_name: 'કિશોરભાઈ વાઘેલા', seller_name: 'હરેશભાઈ દવે' }
+    });
+}, 30000);
+
+function search(query) {
+    return request(app).get('/api/search').query(query).set(reviewer);
+}
+
+const ids = response => response.body.results.map(result => result.notice.id);
+
+describe('GET /api/search', () => {
+    test('finds a Gujarati name from its English spelling', async () => {
+        const response = await search({ q: 'Ribada' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.query).toBe('Ribada');
+        expect(ids(response)).toEqual([saved.ribada.id]);
+        expect(response.body.results[0].notice.village_name).toBe('રીબડા');
+    });
+
+    test('matches spelling variants and Gujarati numerals', async () => {
+        expect(ids(await search({ q: 'રિબડા' }))).toEqual([saved.ribada.id]);
+        expect(ids(await search({ q: 'વાધેલા' }))).toEqual([saved.atkot.id]);
+        expect(ids(await search({ q: '367' })).sort()).toEqual([saved.ribada.id, saved.atkot.id].sort());
+    });
+
+    test('ranks notices matching more of the query first', async () => {
+        const response = await search({ q: 'Kishorbhai Rameshbhai Vaghela' });
+
+        expect(ids(response)).toEqual([saved.atkot.id, saved.ribada.id]);
+        expect(response.body.results.map(result => result.matched_terms)).toEqual([2, 1]);
+        expect(response.body.total).toBe(2);
+    });
+
+    test('returns snippets with highlighted matches', async () => {
+        const [result] = (await search({ q: 'Ribada' })).body.results;
+
+        const village = result.snippets.find(snippet => snippet.field === 'village_name');
+        expect(village).toEqual({ field: 'village_name', text: 'રીબડા', highlights: [[0, 5]] });
+
+        const rawText = result.snippets.find(snippet => snippet.field === 'raw_text');
+        expect(rawText.text).toMatch(/^જાહેર નોટીસ .*રીબડાના.*…$/);
+        expect(rawText.highlights).toHaveLength(1);
+        const [[start, end]] = rawText.highlights;
+        expect(rawText.text.slice(start, end)).toBe('રીબડાના');
+    });
+
+    test('applies the notice list filters', async () => {
+        const response = await search({ q: '367', village: 'આટકોટ' });
+
+        expect(ids(response)).toEqual([saved.atkot.id]);
+        expect(response.body.total).toBe(1);
+    });
+
+    test('sees edits made after the index was built', async () => {
+        const patch = await request(app)
+            .patch(`/api/notices/${saved.atkot.id}`)
+            .set(reviewer)
+            .send({ buyer_name: 'મહેશભાઈ ચાવડા' });
+        expect(patch.status).toBe(200);
+
+        const response = await search({ q: 'Chavda' });
+        expect(ids(response)).toEqual([saved.atkot.id]);
+        expect(response.body.results[0].notice.buyer_name).toBe('મહેશભાઈ ચાવડા');
+    });
+
+    test('requires a query', async () => {
+        const response = await search({ village: 'આટકોટ' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_SEARCH_QUERY');
+    });
+});
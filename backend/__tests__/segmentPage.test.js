@@ -0,0 +1,133 @@
+const sharp = require('sharp');
+const request = require('supertest');
+const app = require('../server');
+const { computeImageHash } = require('../services/duplicateService');
+const {
+    TWO_COLUMN_PAGE_BLOCKS,
+    authHeaders,
+    createNoticeImage,
+    createPageAnnotation,
+    createPdf,
+    mockOcrText,
+    waitFor
+} = require('../test/helpers');
+
+const PAGE = createPageAnnotation(TWO_COLUMN_PAGE_BLOCKS);
+
+let reviewer;
+let annotateImage;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+});
+
+beforeEach(() => {
+    annotateImage = mockOcrText(PAGE.text, { fullTextAnnotation: PAGE });
+});
+
+async function uploadPage(file, name = 'page.png') {
+    return request(app)
+        .post('/api/segment-page')
+        .set(reviewer)
+        .field('newspaper', 'Sandesh')
+        .attach('image', file, name);
+}
+
+function waitForJob(id) {
+    return waitFor(async () => {
+        const response = await request(app).get(`/api/jobs/${id}`).set(reviewer);
+        return ['done', 'failed'].includes(response.body.data.status) && response.body.data;
+    });
+}
+
+// Binary responses are buffered instead of parsed
+function getImage(url) {
+    return request(app)
+        .get(url)
+        .set(reviewer)
+        .buffer(true)
+        .parse((res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+}
+
+describe('POST /api/segment-page', () => {
+    test('queues one job per notice on the page, starting at extraction with the notice text', async () => {
+        const response = await uploadPage(await createNoticeImage(1, { width: 1000, height: 1400 }));
+
+        expect(response.status).toBe(202);
+        expect(response.body.data.page).toEqual({ width: 1000, height: 1400 });
+        expect(response.body.data.notices.map(notice => notice.boundingBox)).toEqual([
+            { x: 40, y: 40, width: 440, height: 96 },
+            { x: 40, y: 144, width: 440, height: 96 },
+            { x: 520, y: 40, width: 440, height: 92 },
+            { x: 520, y: 300, width: 440, height: 68 }
+        ]);
+        expect(response.body.data.notices[0]).not.toHaveProperty('words');
+
+        const { items } = response.body.data;
+        expect(items).toHaveLength(4);
+        items.forEach((item, index) => {
+            expect(item).toMatchObject({
+                segmentIndex: index,
+                boundingBox: response.body.data.notices[index].boundingBox,
+                originalName: `page (notice ${index + 1})`,
+                status: 'queued'
+            });
+        });
+
+        const jobs = await Promise.all(items.map(item => waitForJob(item.jobId)));
+        jobs.forEach((job, index) => {
+            expect(job).toMatchObject({ status: 'done', batchId: response.body.data.batchId, segmentIndex: index });
+            expect(Object.keys(job.stages)).toEqual(['extracting', 'refining', 'geocoding']);
+            expect(job.result.rawText).toBe(response.body.data.notices[index].text);
+            expect(job.result.publication).toMatchObject({ newspaper: 'Sandesh' });
+        });
+        // The page is read once; the notices are not OCR'd again
+        expect(annotateImage).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps each notice cut out of the page for review', async () => {
+        const response = await uploadPage(await createNoticeImage(2, { width: 1000, height: 1400 }));
+        const [first, , third] = response.body.data.items;
+
+        for (const [item, size] of [[first, { width: 440, height: 96 }], [third, { width: 440, height: 92 }]]) {
+            const image = await getImage(`/api/jobs/${item.jobId}/image`);
+            expect(image.status).toBe(200);
+            expect(await sharp(image.body).metadata()).toMatchObject(size);
+        }
+
+        await Promise.all(response.body.data.items.map(item => waitForJob(item.jobId)));
+    });
+
+    test('hashes each notice by its own cut-out for the duplicate check', async () => {
+        const response = await uploadPage(await createNoticeImage(4, { width: 1000, height: 1400 }));
+        const jobs = await Promise.all(response.body.data.items.map(item => waitForJob(item.jobId)));
+
+        const hashes = jobs.map(job => job.result.imageHash);
+        expect(hashes.every(hash => /^[0-9a-f]{64}$/.test(hash))).toBe(true);
+        expect(new Set(hashes).size).toBe(hashes.length);
+
+        const cutOut = await getImage(`/api/jobs/${jobs[0].id}/image`);
+        expect(hashes[0]).toBe(await computeImageHash(cutOut.body));
+    });
+
+    test('refuses a page without notices', async () => {
+        mockOcrText('૩', { fullTextAnnotation: createPageAnnotation([TWO_COLUMN_PAGE_BLOCKS[6]]) });
+
+        const response = await uploadPage(await createNoticeImage(3));
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('NO_NOTICES_FOUND');
+    });
+
+    test('refuses PDFs of more than one page instead of reading only the first', async () => {
+        const response = await uploadPage(await createPdf(2), 'edition.pdf');
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ code: 'MULTI_PAGE_PDF', message: 'The PDF has 2 pages; upload one newspaper page at a time' });
+        expect(annotateImage).not.toHaveBeenCalled();
+    });
+});
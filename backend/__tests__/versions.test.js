@@ -0,0 +1,120 @@
+const request = require('supertest');
+const app = require('../server');
+const { authHeaders, mockOcrText, saveProcessedNotice } = require('../test/helpers');
+
+let reviewer;
+let viewer;
+let notice;
+let firstVersion;
+
+beforeAll(async () => {
+    reviewer = await authHeaders('reviewer');
+    viewer = await authHeaders('viewer');
+    mockOcrText();
+
+    notice = await saveProcessedNotice(app, reviewer);
+    firstVersion = notice.current_version;
+    await request(app).patch(`/api/notices/${notice.id}`).set(reviewer).send({ buyer_name: 'જયેશ શાહ' });
+    await request(app).patch(`/api/notices/${notice.id}`).set(reviewer).send({ survey_number: '૩૬૮' });
+});
+
+describe('GET /api/notices/:id/versions', () => {
+    test('lists every saved version, newest first', async () => {
+        const response = await request(app).get(`/api/notices/${notice.id}/versions`).set(viewer);
+
+        expect(response.status).toBe(200);
+        const { current_version: current, versions } = response.body.data;
+        expect(current).toBe(firstVersion + 2);
+        expect(versions.map(version => version.version)).toEqual([current, current - 1, firstVersion]);
+        expect(versions[0]).toMatchObject({ source: 'manual', changed_by: 'key:test-reviewer', changed_fields: ['survey_number', 'extracted_data'] });
+    });
+
+    test('returns one version snapshot', async () => {
+        const response = await request(app).get(`/api/notices/${notice.id}/versions/${firstVersion + 1}`).set(viewer);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.snapshot).toMatchObject({ buyer_name: 'જયેશ શાહ', survey_number: '૩૬૭ પૈકી ૧' });
+    });
+
+    test.each(['1abc', '0', '-1', '1.5', 'latest'])('rejects version %s', async (version) => {
+        const response = await request(app).get(`/api/notices/${notice.id}/versions/${version}`).set(viewer);
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_VERSION');
+    });
+
+    test('returns 404 for a version that was never saved', async () => {
+        const response = await request(app).get(`/api/notices/${notice.id}/versions/99`).set(viewer);
+
+        expect(response.status).toBe(404);
+        expect(response.body.code).toBe('VERSION_NOT_FOUND');
+    });
+});
+
+describe('GET /api/notices/:id/diff', () => {
+    test('compares the current version with the one before it by default', async () => {
+        const response = await request(app).get(`/api/notices/${notice.id}/diff`).set(viewer);
+
+        expect(response.body.data).toEqual({
+            from: firstVersion + 1,
+            to: firstVersion + 2,
+            changes: [
+                { field: 'survey_number', from: '૩૬૭ પૈકી ૧', to: '૩૬૮' },
+                { field: 'extracted_data.survey_number', from: '૩૬૭ પૈકી ૧', to: '૩૬૮' }
+            ]
+        });
+    });
+
+    test('compares any two versions', async () => {
+        const response = await request(app).get(`/api/notices/${notice.id}/diff?from=${firstVersion}`).set(viewer);
+
+        expect(response.body.data.changes.map(change => change.field)).toEqual(expect.arrayContaining(['buyer_name', 'survey_number']));
+    });
+
+    test('rejects malformed version numbers', async () => {
+        const response = await request(app).get(`/api/notices/${notice.id}/diff?from=2x&to=0`).set(viewer);
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({
+            code: 'INVALID_VERSION',
+            details: ['"from" must be a version number', '"to" must be a version number']
+        });
+    });
+});
+
+describe('POST /api/notices/:id/revert', () => {
+    test('restores an earlier version as a new version', async () => {
+        const response = await request(app).post(`/api/notices/${notice.id}/revert`).set(reviewer).send({ version: firstVersion });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+            buyer_name: 'રમેશભાઈ કાનજીભાઈ પટેલ',
+            survey_number: '૩૬૭ પૈકી ૧',
+            current_version: firstVersion + 3
+        });
+
+        const versions = await request(app).get(`/api/notices/${notice.id}/versions`).set(viewer);
+        expect(versions.body.data.versions[0]).toMatchObject({ source: 'revert', reverted_to: firstVersion });
+    });
+
+    test.each([[undefined], ['1abc'], [0], [2.5]])('rejects version %p', async (version) => {
+        const response = await request(app).post(`/api/notices/${notice.id}/revert`).set(reviewer).send({ version });
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_VERSION');
+    });
+
+    test('returns 404 for unknown notices and versions', async () => {
+        const unknownNotice = await request(app).post('/api/notices/no-such-notice/revert').set(reviewer).send({ version: 1 });
+        const unknownVersion = await request(app).post(`/api/notices/${notice.id}/revert`).set(reviewer).send({ version: 99 });
+
+        expect(unknownNotice.body.code).toBe('NOT_FOUND');
+        expect(unknownVersion.body.code).toBe('VERSION_NOT_FOUND');
+    });
+
+    test('is not open to viewers', async () => {
+        const response = await request(app).post(`/api/notices/${notice.id}/revert`).set(viewer).send({ version: 1 });
+
+        expect(response.status).toBe(403);
+    });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const { SAMPLE_NOTICE_TEXT, TEST_VILLAGES, authHeaders, mockOcrText, processNotice, writeTestGazetteer } = require('../test/helpers');
+
+const BUNDLED_FIXTURES = path.join(__dirname, '..', 'fixtures', 'llm');
+
+let viewer;
+let reviewer;
+
+// OCR text and LLM fixtures that read the village name as given
+function useExtractedVillage(villageName) {
+    const dir = fs.mkdtempSync(path.join(path.dirname(process.env.GAZETTEER_PATH), 'llm-'));
+    fs.readdirSync(BUNDLED_FIXTURES).forEach(file => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(BUNDLED_FIXTURES, file), 'utf8'));
+        const data = fixture.response.data || fixture.response;
+        Object.assign(data, { village_name: villageName, taluka: 'ગોંડલ' });
+        fs.writeFileSync(path.join(dir, file), JSON.stringify(fixture));
+    });
+
+    process.env.LLM_FIXTURE_DIR = dir;
+    mockOcrText(SAMPLE_NOTICE_TEXT.replace('રીબડાના', `${villageName}ના`));
+}
+
+beforeAll(async () => {
+    viewer = await authHeaders('viewer');
+    reviewer = await authHeaders('reviewer');
+    writeTestGazetteer([
+        ...TEST_VILLAGES,
+        { village_code: 'TEST007', name_gu: 'રામપર', name_en: 'Rampar', alt_names: [], taluka: 'Gondal', district: 'Rajkot', latitude: 21.95, longitude: 70.85 },
+        { village_code: 'TEST008', name_gu: 'રામપુર', name_en: 'Rampur', alt_names: [], taluka: 'Gondal', district: 'Rajkot', latitude: 21.94, longitude: 70.86 }
+    ]);
+});
+
+afterEach(() => {
+    delete process.env.LLM_FIXTURE_DIR;
+});
+
+describe('GET /api/villages/match', () => {
+    test('returns the accepted village', async () => {
+        const response = await request(app).get('/api/villages/match').query({ name: 'રીમડા', district: 'રાજકોટ' }).set(viewer);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            query: 'રીમડા',
+            status: 'matched',
+            match_type: 'fuzzy',
+            village: { village_code: 'TEST001', name_en: 'Ribada', score: 0.8 }
+        });
+    });
+
+    test('returns ranked candidates for an ambiguous name', async () => {
+        const response = await request(app).get('/api/villages/match').query({ name: 'રામપરા', taluka: 'Gondal' }).set(viewer);
+
+        expect(response.body).toMatchObject({ status: 'ambiguous', village: null });
+        expect(response.body.candidates.map(candidate => candidate.name_en)).toEqual(['Rampar', 'Rampur']);
+    });
+
+    test('requires a name', async () => {
+        const response = await request(app).get('/api/villages/match').query({ district: 'Rajkot' }).set(viewer);
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_VILLAGE_QUERY');
+    });
+});
+
+describe('Processing a notice', () => {
+    test('corrects a misread village name to the gazetteer spelling', async () => {
+        useExtractedVillage('રીમડા');
+
+        const job = await processNotice(app, reviewer, 1);
+
+        expect(job.result.extractedData.village_name).toBe('રીબડા');
+        expect(job.result.villageMatch).toMatchObject({ read_name: 'રીમડા', match_type: 'fuzzy', score: 0.8, village_code: 'TEST001' });
+        expect(job.result.villageCandidates).toEqual([]);
+    });
+
+    test('keeps the name as read and offers candidates when it is ambiguous', async () => {
+        useExtractedVillage('રામપરા');
+
+        const job = await processNotice(app, reviewer, 2);
+
+        expect(job.result.extractedData.village_name).toBe('રામપરા');
+        expect(job.result.villageMatch).toBeNull();
+        expect(job.result.villageCandidates.map(candidate => candidate.village_code)).toEqual(['TEST007', 'TEST008']);
+    });
+});
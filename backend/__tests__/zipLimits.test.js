@@ -0,0 +1,78 @@
+const AdmZip = require('adm-zip');
+const request = require('supertest');
+const { authHeaders, createNoticeImage, mockOcrText, waitFor } = require('../test/helpers');
+
+let app;
+let reviewer;
+let images;
+
+// Overwrite the uncompressed size every header of the archive declares, as a crafted archive would
+function forgeDeclaredSize(zipBuffer, size) {
+    const forged = Buffer.from(zipBuffer);
+    for (let offset = 0; offset < forged.length - 4; offset++) {
+        const signature = forged.readUInt32LE(offset);
+        if (signature === 0x04034b50) {
+            forged.writeUInt32LE(size, offset + 22);
+        } else if (signature === 0x02014b50) {
+            forged.writeUInt32LE(size, offset + 24);
+        }
+    }
+    return forged;
+}
+
+beforeAll(async () => {
+    images = await Promise.all([1, 2, 3].map(seed => createNoticeImage(seed)));
+    const [first, second, third] = images.map(image => image.length);
+
+    // Every image fits on its own, but the archive only has room for two and a half of them
+    process.env.MAX_FILE_SIZE = String(Math.max(first, second, third) + 1024);
+    process.env.MAX_ARCHIVE_EXTRACTED_SIZE = String(first + second + Math.floor(third / 2));
+    app = require('../server');
+
+    reviewer = await authHeaders('reviewer');
+    mockOcrText();
+});
+
+afterAll(() => {
+    delete process.env.MAX_FILE_SIZE;
+    delete process.env.MAX_ARCHIVE_EXTRACTED_SIZE;
+});
+
+describe('ZIP archive limits', () => {
+    test('stop inflating an entry that is larger than its header declares', async () => {
+        const zip = new AdmZip();
+        zip.addFile('bomb.png', Buffer.alloc(8 * 1024 * 1024));
+
+        const response = await request(app)
+            .post('/api/process-batch')
+            .set(reviewer)
+            .attach('images', forgeDeclaredSize(zip.toBuffer(), 1024), 'bomb.zip');
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('EMPTY_BATCH');
+        expect(response.body.rejected).toEqual([
+            expect.objectContaining({ originalName: 'bomb.png', code: 'FILE_TOO_LARGE' })
+        ]);
+    });
+
+    test('cap the total size unpacked from one archive', async () => {
+        const zip = new AdmZip();
+        images.forEach((image, index) => zip.addFile(`page-${index + 1}.png`, image));
+
+        const response = await request(app)
+            .post('/api/process-batch')
+            .set(reviewer)
+            .attach('images', zip.toBuffer(), 'pages.zip');
+
+        expect(response.status).toBe(202);
+        expect(response.body.data.items.map(item => item.originalName)).toEqual(['page-1.png', 'page-2.png']);
+        expect(response.body.data.rejected).toEqual([
+            expect.objectContaining({ originalName: 'page-3.png', code: 'ARCHIVE_TOO_LARGE' })
+        ]);
+
+        await waitFor(async () => {
+            const status = await request(app).get(response.body.data.statusUrl).set(reviewer);
+            return status.body.data.completed;
+        });
+    });
+});
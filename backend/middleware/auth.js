@@ -0,0 +1,121 @@
+const { verifyApiKey, verifyToken, verifyImageUrl, hasRole } = require('../services/authService');
+
+// Paths under /api that answer without credentials
+const PUBLIC_PATHS = ['/health', '/auth/login'];
+
+// Image elements cannot send headers, so image reads may use a signed URL (POST /api/image-urls) instead
+const SIGNED_URL_PATH = /\/(image|thumbnail)$/;
+
+/**
+ * Whether authentication is switched off (AUTH_DISABLED=true, for local development only)
+ * @returns {boolean}
+ */
+function isAuthDisabled() {
+    return process.env.AUTH_DISABLED === 'true';
+}
+
+function getCredentials(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+        return { apiKey };
+    }
+
+    const [scheme, value] = (req.get('Authorization') || '').split(' ');
+    if (scheme === 'Bearer' && value) {
+        // Scripts may send their API key as a bearer token too
+        return value.startsWith('pnk_') ? { apiKey: value } : { token: value };
+    }
+
+    if (req.method === 'GET' && SIGNED_URL_PATH.test(req.path) && typeof req.query.signature === 'string') {
+        // The signature covers the image path and the publication it shows, nothing else
+        const path = `${req.baseUrl}${req.path}`;
+        const publication = req.query.publication;
+        return {
+            imageUrl: {
+                path: typeof publication === 'string' ? `${path}?publication=${publication}` : path,
+                expires: req.query.expires,
+                signature: req.query.signature
+            }
+        };
+    }
+
+    return {};
+}
+
+async function verifyCredentials({ apiKey, token, imageUrl }) {
+    if (apiKey) {
+        return verifyApiKey(apiKey);
+    }
+    if (token) {
+        return verifyToken(token);
+    }
+    return verifyImageUrl(imageUrl.path, imageUrl.expires, imageUrl.signature);
+}
+
+/**
+ * Middleware to identify the caller from an API key (X-API-Key), a sign-in token
+ * (Authorization: Bearer) or a signed image URL, and set req.auth = { type, id, name, role }
+ */
+const authenticate = async (req, res, next) => {
+    if (PUBLIC_PATHS.includes(req.path)) {
+        return next();
+    }
+
+    if (isAuthDisabled()) {
+        req.auth = { type: 'anonymous', id: null, name: null, role: 'admin' };
+        return next();
+    }
+
+    try {
+        const credentials = getCredentials(req);
+        if (!credentials.apiKey && !credentials.token && !credentials.imageUrl) {
+            return res.status(401).json({
+                error: 'Authentication required',
+                message: 'Sign in, or send an API key in the X-API-Key header',
+                code: 'AUTH_REQUIRED'
+            });
+        }
+
+        req.auth = await verifyCredentials(credentials);
+        next();
+
+    } catch (error) {
+        if (!error.statusCode) {
+            console.error('Authentication error:', error);
+        }
+        res.status(error.statusCode || 500).json({
+            error: error.statusCode ? 'Authentication failed' : 'Authentication error',
+            message: error.message,
+            code: error.code || 'AUTH_ERROR'
+        });
+    }
+};
+
+/**
+ * Middleware to require at least a role (viewer < reviewer < admin) for a route
+ * @param {string} role - Minimum role
+ */
+const requireRole = (role) => (req, res, next) => {
+    if (!req.auth) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            code: 'AUTH_REQUIRED'
+        });
+    }
+
+    if (!hasRole(req.auth.role, role)) {
+        return res.status(403).json({
+            error: 'Insufficient permissions',
+            message: `This action requires the ${role} role`,
+            code: 'FORBIDDEN'
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    authenticate,
+    requireRole,
+    isAuthDisabled
+};
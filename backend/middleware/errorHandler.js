@@ -43,6 +43,12 @@ const errorHandler = (err, req, res, next) => {
         code = 'FILE_TOO_LARGE';
     }
 
+    if (err.code === 'LIMIT_FILE_COUNT') {
+        statusCode = 400;
+        message = 'Too many files in upload';
+        code = 'TOO_MANY_FILES';
+    }
+
     if (err.code === 'LIMIT_UNEXPECTED_FILE') {
         statusCode = 400;
         message = 'Unexpected file field';
@@ -1,12 +1,15 @@
 const Joi = require('joi');
 const fs = require('fs');
+const { NOTICE_SORT_FIELDS } = require('../services/storageProviders/noticeRecords');
+const { GUJARAT_BOUNDS } = require('../services/llmResponseValidator');
+const { isSignableImagePath } = require('../services/authService');
 
-// Validation schema for image files
+// Validation schema for image (and PDF) files
 const imageFileSchema = Joi.object({
     fieldname: Joi.string().required(),
     originalname: Joi.string().required(),
     encoding: Joi.string().required(),
-    mimetype: Joi.string().valid('image/jpeg', 'image/png', 'image/jpg').required(),
+    mimetype: Joi.string().valid('image/jpeg', 'image/png', 'image/jpg', 'application/pdf').required(),
     destination: Joi.string().required(),
     filename: Joi.string().required(),
     path: Joi.string().required(),
@@ -14,7 +17,7 @@ const imageFileSchema = Joi.object({
 });
 
 /**
- * Middleware to validate uploaded image files
+ * Middleware to validate uploaded image files (JPEG/PNG, or PDF documents)
  */
 const validateImageFile = (req, res, next) => {
     try {
@@ -42,7 +45,7 @@ const validateImageFile = (req, res, next) => {
         }
 
         // Additional file validation
-        const allowedMimeTypes = ['image/jpeg', 'image/png', 'image/jpg'];
+        const allowedMimeTypes = ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'];
         if (!allowedMimeTypes.includes(req.file.mimetype)) {
             // Clean up uploaded file
             if (req.file.path && fs.existsSync(req.file.path)) {
@@ -50,7 +53,7 @@ const validateImageFile = (req, res, next) => {
             }
             
             return res.status(400).json({
-                error: 'Invalid file type. Only JPEG and PNG images are allowed',
+                error: 'Invalid file type. Only JPEG and PNG images or PDF documents are allowed',
                 code: 'INVALID_FILE_TYPE'
             });
         }
@@ -93,6 +96,55 @@ const validateImageFile = (req, res, next) => {
     }
 };
 
+/**
+ * Middleware to validate multi-file batch uploads (images and ZIP archives)
+ */
+const validateBatchFiles = (req, res, next) => {
+    const removeUploadedFiles = () => {
+        (req.files || []).forEach(file => {
+            if (file.path && fs.existsSync(file.path)) {
+                fs.unlinkSync(file.path);
+            }
+        });
+    };
+
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                error: 'No files uploaded',
+                code: 'MISSING_FILE'
+            });
+        }
+
+        // Archives are size-checked per entry when they are unpacked
+        const maxSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB
+        const oversized = req.files.filter(file => 
+            !file.originalname.toLowerCase().endsWith('.zip') && file.size > maxSize
+        );
+
+        if (oversized.length > 0) {
+            removeUploadedFiles();
+            
+            return res.status(400).json({
+                error: `File too large. Maximum size allowed is ${Math.round(maxSize / (1024 * 1024))}MB per image`,
+                details: oversized.map(file => file.originalname),
+                code: 'FILE_TOO_LARGE'
+            });
+        }
+
+        next();
+    } catch (error) {
+        removeUploadedFiles();
+        
+        console.error('Batch file validation error:', error);
+        res.status(500).json({
+            error: 'File validation failed',
+            message: error.message,
+            code: 'VALIDATION_ERROR'
+        });
+    }
+};
+
 /**
  * Validation schema for query parameters
  */
@@ -143,8 +195,337 @@ const validateUUID = (paramName) => {
     };
 };
 
+/**
+ * Validation schema for manual notice edits
+ * Only the notice fields can be edited; unknown fields are rejected
+ */
+const noticeText = Joi.string().trim().max(500).empty('').allow(null);
+
+const noticeUpdateSchema = Joi.object({
+    village_name: noticeText.max(100),
+    survey_number: noticeText.max(100),
+    buyer_name: noticeText,
+    seller_name: noticeText,
+    notice_date: noticeText.pattern(/^(0[1-9]|[12]\d|3[01])\/(0[1-9]|1[0-2])\/\d{4}$/).messages({
+        'string.pattern.base': '"notice_date" must be a date in DD/MM/YYYY format'
+    }),
+    advocate_name: noticeText,
+    advocate_address: noticeText,
+    advocate_mobile: noticeText.pattern(/^\d{10}$/).messages({
+        'string.pattern.base': '"advocate_mobile" must be a 10-digit mobile number'
+    }),
+    district: noticeText.max(100),
+    taluka: noticeText.max(100)
+}).min(1);
+
+/**
+ * Middleware to validate notice edits (PATCH /api/notices/:id)
+ */
+const validateNoticeUpdate = (req, res, next) => {
+    const { error, value } = noticeUpdateSchema.validate(req.body || {}, { abortEarly: false });
+
+    if (error) {
+        return res.status(400).json({
+            error: 'Invalid notice update',
+            details: error.details.map(detail => detail.message),
+            code: 'INVALID_NOTICE_UPDATE'
+        });
+    }
+
+    // Cleared fields are stored as null rather than dropped
+    req.body = Object.fromEntries(Object.keys(req.body).map(key => [key, value[key] ?? null]));
+    next();
+};
+
+/**
+ * Middleware to validate the reviewed values sent with a draft (POST /api/save-notice)
+ * The same fields as a notice edit can be sent; fields left out keep their extracted values
+ */
+const validateReviewedData = (req, res, next) => {
+    const { extractedData } = req.body || {};
+    if (extractedData === undefined) {
+        return next();
+    }
+
+    const { error, value } = noticeUpdateSchema.min(0).validate(extractedData, { abortEarly: false });
+
+    if (error) {
+        return res.status(400).json({
+            error: 'Invalid extracted data',
+            details: error.details.map(detail => detail.message),
+            code: 'INVALID_EXTRACTED_DATA'
+        });
+    }
+
+    // Cleared fields are saved as null rather than falling back to the extracted value
+    req.body.extractedData = Object.fromEntries(Object.keys(extractedData).map(key => [key, value[key] ?? null]));
+    next();
+};
+
+/**
+ * Notice version numbers start at 1; "1abc" or "1.5" are not version numbers
+ */
+const versionNumber = Joi.number().integer().min(1).messages({
+    'number.base': '{{#label}} must be a version number',
+    'number.integer': '{{#label}} must be a version number',
+    'number.min': '{{#label}} must be a version number'
+});
+
+/**
+ * Middleware to validate notice version numbers in the route parameters, query or body
+ * @param {string} source - Where the versions are: params, query or body
+ * @param {Array<string>} fields - Version fields
+ * @param {Object} options - { optional: fields may be left out }
+ */
+const validateVersionNumbers = (source, fields, { optional = false } = {}) => {
+    const schema = Joi.object(Object.fromEntries(fields.map(field => [
+        field,
+        optional ? versionNumber.empty('') : versionNumber.required()
+    ])));
+
+    return (req, res, next) => {
+        const values = Object.fromEntries(fields.map(field => [field, req[source]?.[field]]));
+        const { error, value } = schema.validate(values, { abortEarly: false });
+
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid version number',
+                details: error.details.map(detail => detail.message),
+                code: 'INVALID_VERSION'
+            });
+        }
+
+        req.versions = value;
+        next();
+    };
+};
+
+const insideGujarat = '{{#label}} must be inside Gujarat';
+
+const noticeLocationSchema = Joi.object({
+    latitude: Joi.number().min(GUJARAT_BOUNDS.minLatitude).max(GUJARAT_BOUNDS.maxLatitude).required()
+        .messages({ 'number.min': insideGujarat, 'number.max': insideGujarat }),
+    longitude: Joi.number().min(GUJARAT_BOUNDS.minLongitude).max(GUJARAT_BOUNDS.maxLongitude).required()
+        .messages({ 'number.min': insideGujarat, 'number.max': insideGujarat }),
+    // notice: this notice only; village: every notice of the notice's village, now and later
+    scope: Joi.string().valid('notice', 'village').default('notice')
+});
+
+/**
+ * Middleware to validate a location pinned by hand (PUT /api/notices/:id/location)
+ */
+const validateNoticeLocation = (req, res, next) => {
+    const { error, value } = noticeLocationSchema.validate(req.body || {}, { abortEarly: false });
+
+    if (error) {
+        return res.status(400).json({
+            error: 'Invalid notice location',
+            details: error.details.map(detail => detail.message),
+            code: 'INVALID_NOTICE_LOCATION'
+        });
+    }
+
+    req.body = value;
+    next();
+};
+
+/**
+ * Validation schema for notice list queries (GET /api/notices)
+ * Empty parameters are ignored, so the dashboard can send its filter form as-is
+ */
+const filterText = Joi.string().trim().max(100).empty('');
+const isoDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).empty('').messages({
+    'string.pattern.base': '{{#label}} must be a date in YYYY-MM-DD format'
+});
+
+const noticeFilterKeys = {
+    village: filterText,
+    district: filterText,
+    taluka: filterText,
+    survey_number: filterText,
+    buyer: filterText,
+    seller: filterText,
+    advocate: filterText,
+    newspaper: filterText,
+    notice_date_from: isoDate,
+    notice_date_to: isoDate,
+    uploaded_from: isoDate,
+    uploaded_to: isoDate,
+    geocoding_status: Joi.string().pattern(/^[a-z_]+(,[a-z_]+)*$/).empty('').messages({
+        'string.pattern.base': '"geocoding_status" must be a status or a comma-separated list of statuses'
+    }),
+    hierarchy_status: Joi.string().pattern(/^(valid|unverified|invalid)(,(valid|unverified|invalid))*$/).empty('').messages({
+        'string.pattern.base': '"hierarchy_status" must be valid, unverified, invalid or a comma-separated list of them'
+    }),
+    min_confidence: Joi.number().min(0).max(1).empty(''),
+    max_confidence: Joi.number().min(0).max(1).empty('')
+};
+
+const noticeQuerySchema = Joi.object({
+    ...noticeFilterKeys,
+    q: filterText,
+    sort: Joi.string().valid(...NOTICE_SORT_FIELDS).empty('').default('uploaded_at'),
+    order: Joi.string().valid('asc', 'desc').empty('').default('desc'),
+    limit: Joi.number().integer().min(1).max(1000).empty('').default(50),
+    cursor: Joi.string().max(1000).empty('')
+});
+
+/**
+ * Middleware to validate notice list filters, sorting and pagination
+ */
+const validateNoticeQuery = (req, res, next) => {
+    const { error, value } = noticeQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+        return res.status(400).json({
+            error: 'Invalid notice query',
+            details: error.details.map(detail => detail.message),
+            code: 'INVALID_NOTICE_QUERY'
+        });
+    }
+
+    req.query = value;
+    next();
+};
+
+/**
+ * Validation schema for full-text search (GET /api/search); takes the same filters as the notice list
+ */
+const searchQuerySchema = Joi.object({
+    ...noticeFilterKeys,
+    q: Joi.string().trim().max(200).required(),
+    limit: Joi.number().integer().min(1).max(100).empty('').default(20)
+});
+
+/**
+ * Middleware to validate search queries
+ */
+const validateSearchQuery = (req, res, next) => {
+    const { error, value } = searchQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+        return res.status(400).json({
+            error: 'Invalid search query',
+            details: error.details.map(detail => detail.message),
+            code: 'INVALID_SEARCH_QUERY'
+        });
+    }
+
+    req.query = value;
+    next();
+};
+
+const villageMatchQuerySchema = Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    district: Joi.string().trim().max(100).empty(''),
+    taluka: Joi.string().trim().max(100).empty('')
+});
+
+/**
+ * Middleware to validate gazetteer village lookups
+ */
+const validateVillageMatchQuery = (req, res, next) => {
+    const { error, value } = villageMatchQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+        return res.status(400).json({
+            error: 'Invalid village lookup',
+            details: error.details.map(detail => detail.message),
+            code: 'INVALID_VILLAGE_QUERY'
+        });
+    }
+
+    req.query = value;
+    next();
+};
+
+const imageUrlRequestSchema = Joi.object({
+    paths: Joi.array()
+        .items(Joi.string().custom((value, helpers) => (isSignableImagePath(value) ? value : helpers.error('string.imagePath'))).messages({
+            'string.imagePath': '{{#label}} must be a notice or job image path'
+        }))
+        .min(1)
+        .max(100)
+        .unique()
+        .required()
+});
+
+/**
+ * Middleware to validate a request for signed image URLs
+ */
+const validateImageUrlRequest = (req, res, next) => {
+    const { error, value } = imageUrlRequestSchema.validate(req.body || {}, { abortEarly: false });
+
+    if (error) {
+        return res.status(400).json({
+            error: 'Invalid image paths',
+            details: error.details.map(detail => detail.message),
+            code: 'INVALID_IMAGE_PATHS'
+        });
+    }
+
+    req.body = value;
+    next();
+};
+
+/**
+ * Validation schema for where a notice was published, given with an upload or when saving it
+ */
+const publicationText = Joi.string().trim().max(100).empty('');
+
+const publicationSchema = Joi.object({
+    newspaper: publicationText,
+    edition: publicationText,
+    publication_date: isoDate,
+    page: Joi.number().integer().min(1).max(1000).empty(''),
+    clipping_ref: Joi.string().trim().max(500).empty('')
+});
+
+const publicationFields = Object.keys(publicationSchema.describe().keys);
+
+function removeUploadedFiles(req) {
+    [req.file, ...(req.files || [])]
+        .filter(file => file && file.path && fs.existsSync(file.path))
+        .forEach(file => fs.unlinkSync(file.path));
+}
+
+/**
+ * Middleware to validate publication details: the `publication` object of a JSON body, or the
+ * publication fields of an upload form. The cleaned details (or null) are set on req.publication
+ */
+const validatePublication = (req, res, next) => {
+    const body = req.body || {};
+    const details = body.publication && typeof body.publication === 'object' ?
+        body.publication :
+        Object.fromEntries(publicationFields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+    const { error, value } = publicationSchema.validate(details, { abortEarly: false });
+
+    if (error) {
+        removeUploadedFiles(req);
+        return res.status(400).json({
+            error: 'Invalid publication details',
+            details: error.details.map(detail => detail.message),
+            code: 'INVALID_PUBLICATION'
+        });
+    }
+
+    req.publication = Object.keys(value).length > 0 ? value : null;
+    next();
+};
+
 module.exports = {
     validateImageFile,
+    validateBatchFiles,
     validatePagination,
-    validateUUID
+    validateUUID,
+    validateNoticeUpdate,
+    validateReviewedData,
+    validateNoticeLocation,
+    validateVersionNumbers,
+    validateNoticeQuery,
+    validateSearchQuery,
+    validateVillageMatchQuery,
+    validateImageUrlRequest,
+    validatePublication
 }; 
\ No newline at end of file
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const { importGazetteer } = require('../import-gazetteer');
+const { getGazetteer, findVillage } = require('../../services/gazetteerService');
+const { TEST_VILLAGES, writeTestGazetteer } = require('../../test/helpers');
+
+const CENSUS_HEADER = 'Village Code,Village Name,Gujarati Name,Sub-District Name,District Name,Lat,Lon';
+
+function writeSource(name, lines) {
+    const filePath = path.join(path.dirname(process.env.GAZETTEER_PATH), 'imports', name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+    return filePath;
+}
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('importGazetteer', () => {
+    test('replaces the gazetteer with a census directory export', async () => {
+        writeTestGazetteer();
+        const file = writeSource('census.csv', [
+            CENSUS_HEADER,
+            '515101,Ribada,રીબડા,Gondal,Rajkot,21.9968,70.8732',
+            '515102,Sultanpur,સુલતાનપુર,Gondal,Rajkot,21.8710,70.9190',
+            ',Nowhere,,Gondal,,21.9,70.9'
+        ]);
+
+        const result = await importGazetteer({ file });
+
+        expect(result).toEqual({ read: 2, skipped: 1, total: 2, withoutCode: 0 });
+        expect(getGazetteer().villages.map(village => village.village_code)).toEqual(['515101', '515102']);
+        expect(findVillage('સુલતાનપુર')).toMatchObject({ status: 'matched', village: { name_en: 'Sultanpur', taluka: 'Gondal' } });
+    });
+
+    test('merges into the gazetteer, replacing villages with the same census code', async () => {
+        writeTestGazetteer();
+        const file = writeSource('update.csv', [
+            CENSUS_HEADER,
+            'TEST004,Atkot,આટકોટ,Jasdan,Rajkot,22.0150,71.0350',
+            '515103,Kamlapur,કમળાપુર,Jasdan,Rajkot,22.0800,71.1000'
+        ]);
+
+        const result = await importGazetteer({ file, merge: true });
+
+        expect(result).toMatchObject({ read: 2, total: TEST_VILLAGES.length + 1 });
+        expect(findVillage('Atkot').village).toMatchObject({ latitude: 22.015, longitude: 71.035 });
+        expect(findVillage('Kamlapur').status).toBe('matched');
+    });
+
+    test('skips rows without a census code when codes are required', async () => {
+        const file = writeSource('mixed.csv', [
+            CENSUS_HEADER,
+            '515101,Ribada,રીબડા,Gondal,Rajkot,21.9968,70.8732',
+            ',Moviya,મોવિયા,Gondal,Rajkot,21.9230,70.8820'
+        ]);
+
+        expect(await importGazetteer({ file, dryRun: true })).toMatchObject({ read: 2, skipped: 0, withoutCode: 1 });
+        expect(await importGazetteer({ file, requireCode: true, dryRun: true })).toMatchObject({ read: 1, skipped: 1, withoutCode: 0 });
+    });
+
+    test('writes nothing on a dry run', async () => {
+        writeTestGazetteer();
+        const before = fs.readFileSync(process.env.GAZETTEER_PATH, 'utf8');
+
+        await importGazetteer({ file: writeSource('dry-run.csv', [CENSUS_HEADER, '515104,Bhadva,ભાડવા,Kotda Sangani,Rajkot,22.07,70.82']), dryRun: true });
+
+        expect(fs.readFileSync(process.env.GAZETTEER_PATH, 'utf8')).toBe(before);
+    });
+
+    test('requires a file', async () => {
+        await expect(importGazetteer({})).rejects.toThrow('Usage');
+    });
+});
@@ -1,4 +1,4 @@
-const { initializeFirebase, testFirebaseConnection } = require('../services/firebaseService');
+const { initializeFirebase, testConnection } = require('../services/storageProviders/firestoreProvider');
 require('dotenv').config();
 
 async function setupFirebase() {
@@ -21,13 +21,14 @@ async function setupFirebase() {
         
         // Test connection
         console.log('🧪 Testing Firebase connection...');
-        await testFirebaseConnection();
+        await testConnection();
         
         console.log('✅ Firebase setup completed successfully!');
         console.log('');
         console.log('📋 Firebase Collections Used:');
         console.log('   • property_notices - Main data collection');
         console.log('   • processing_logs - Processing step logs');
+        console.log('   • processing_jobs - Background processing jobs');
         console.log('');
         console.log('🎯 Firebase Features:');
         console.log('   • NoSQL document database');
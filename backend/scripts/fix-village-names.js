@@ -6,7 +6,7 @@
  */
 
 require('dotenv').config();
-const { getPropertyNotices, updatePropertyNotice } = require('../services/firebaseService');
+const { getPropertyNotices, updatePropertyNotice } = require('../services/storageProviders');
 
 /**
  * Clean village name by removing unwanted suffixes and prefixes
@@ -62,7 +62,7 @@ async function fixVillageNames() {
                 // Update the village name in Firebase
                 await updatePropertyNotice(notice.id, {
                     village_name: cleanedName
-                });
+                }, { source: 'script', changedBy: 'fix-village-names' });
                 
                 fixedCount++;
             } else {
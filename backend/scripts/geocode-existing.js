@@ -4,7 +4,7 @@
  */
 
 require('dotenv').config();
-const { getPropertyNotices, updatePropertyNoticeLocation } = require('../services/firebaseService');
+const { getPropertyNotices, updatePropertyNoticeLocation } = require('../services/storageProviders');
 const { geocodeVillage } = require('../services/geocodingService');
 
 async function geocodeExistingNotices() {
@@ -51,7 +51,7 @@ async function geocodeExistingNotices() {
                 
                 console.log(`📍 Geocoding cleaned name: "${villageName}"`);
                 
-                const locationData = await geocodeVillage(villageName, notice.district || 'Rajkot');
+                const locationData = await geocodeVillage(villageName, notice.district);
                 
                 if (locationData.success) {
                     // Update the notice with location data
@@ -61,6 +61,7 @@ async function geocodeExistingNotices() {
                         district: locationData.district || notice.district,
                         taluka: locationData.taluka || notice.taluka,
                         formatted_address: locationData.formatted_address,
+                        coordinate_source: locationData.coordinate_source,
                         status: 'success'
                     });
                     
@@ -0,0 +1,103 @@
+/**
+ * Script to import villages into the local gazetteer from a CSV or GeoJSON file
+ * (for example the census village directory joined with village coordinates). Rows need a name, district
+ * and coordinates inside Gujarat; other rows are reported and skipped. With --require-code rows without a
+ * census village code are skipped too.
+ * With --merge the file is added to the existing gazetteer, replacing villages with the same
+ * census code (or, without a code, the same name, taluka and district); otherwise it replaces it.
+ * Usage: node scripts/import-gazetteer.js --file villages.csv [--merge] [--require-code] [--output <path>] [--dry-run]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const {
+    getGazetteerPath,
+    readPlaceRecords,
+    normalizeVillageRecord,
+    getVillageIdentity,
+    writeGazetteer
+} = require('../services/gazetteerService');
+
+function parseArgs(argv) {
+    const args = { merge: argv.includes('--merge'), requireCode: argv.includes('--require-code'), dryRun: argv.includes('--dry-run') };
+    ['file', 'output'].forEach(name => {
+        const index = argv.indexOf(`--${name}`);
+        args[name] = index >= 0 ? argv[index + 1] : null;
+    });
+    return args;
+}
+
+function readVillages(filePath, label, { requireCode = false } = {}) {
+    const villages = [];
+    const skipped = [];
+
+    readPlaceRecords(filePath).forEach((record, index) => {
+        const { village, error } = normalizeVillageRecord(record);
+        if (village && requireCode && !village.village_code) {
+            skipped.push(`${label} row ${index + 1}: no census village code`);
+        } else if (village) {
+            villages.push(village);
+        } else {
+            skipped.push(`${label} row ${index + 1}: ${error}`);
+        }
+    });
+
+    return { villages, skipped };
+}
+
+async function importGazetteer({ file, merge = false, requireCode = false, output = null, dryRun = false }) {
+    if (!file) {
+        throw new Error('Usage: node scripts/import-gazetteer.js --file <villages.csv|villages.geojson> [--merge] [--require-code] [--output <path>] [--dry-run]');
+    }
+
+    const outputPath = output || getGazetteerPath();
+    console.log(`📚 Importing gazetteer villages from ${file}${dryRun ? ' (dry run)' : ''}...`);
+
+    const imported = readVillages(file, 'Import', { requireCode });
+    imported.skipped.forEach(message => console.warn(`   ⚠️ ${message}`));
+
+    const villages = new Map();
+    if (merge && fs.existsSync(outputPath)) {
+        readVillages(outputPath, 'Existing').villages
+            .forEach(village => villages.set(getVillageIdentity(village), village));
+    }
+    const existingCount = villages.size;
+
+    imported.villages.forEach(village => villages.set(getVillageIdentity(village), village));
+
+    // District, taluka and name order keeps diffs of the bundled file readable
+    const sortKey = village => [village.district, village.taluka || '', village.name_en || village.name_gu].join('|');
+    const result = [...villages.values()].sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+
+    if (!dryRun) {
+        writeGazetteer(result, outputPath);
+    }
+
+    console.log(`   • ${imported.villages.length} village(s) read, ${imported.skipped.length} row(s) skipped`);
+    if (merge) {
+        console.log(`   • ${existingCount} village(s) already in the gazetteer`);
+    }
+    console.log(`   • ${result.length} village(s) ${dryRun ? 'would be written' : 'written'} to ${outputPath}`);
+    const withoutCode = result.filter(village => !village.village_code).length;
+    if (withoutCode > 0) {
+        console.warn(`   ⚠️ ${withoutCode} village(s) have no census village code; later merges match them by name`);
+    }
+
+    console.log(`\n🎉 Gazetteer import ${dryRun ? 'dry run ' : ''}completed!`);
+    return { read: imported.villages.length, skipped: imported.skipped.length, total: result.length, withoutCode };
+}
+
+// Run the script
+if (require.main === module) {
+    importGazetteer(parseArgs(process.argv.slice(2)))
+        .then(() => {
+            console.log('✅ Script completed successfully');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('❌ Script failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { importGazetteer };
@@ -0,0 +1,144 @@
+/**
+ * Script to manage users and API keys in the configured storage provider
+ * Usage:
+ *   node scripts/manage-auth.js create-user <username> --role <viewer|reviewer|admin> [--password <password>]
+ *   node scripts/manage-auth.js set-role <username> <role>
+ *   node scripts/manage-auth.js set-password <username> [--password <password>]
+ *   node scripts/manage-auth.js disable-user <username>
+ *   node scripts/manage-auth.js enable-user <username>
+ *   node scripts/manage-auth.js list-users
+ *   node scripts/manage-auth.js create-key <name> --role <viewer|reviewer|admin>
+ *   node scripts/manage-auth.js list-keys
+ *   node scripts/manage-auth.js revoke-key <id>
+ * Passwords not given with --password are read from AUTH_PASSWORD, so they stay out of shell history.
+ */
+
+require('dotenv').config();
+const {
+    ROLES,
+    createUser,
+    updateUserAccount,
+    listUsers,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey
+} = require('../services/authService');
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i].startsWith('--')) {
+            options[rest[i].slice(2)] = rest[i + 1];
+            i++;
+        } else {
+            positional.push(rest[i]);
+        }
+    }
+
+    return { command, positional, options };
+}
+
+function requireArg(value, usage) {
+    if (!value) {
+        throw new Error(`Usage: node scripts/manage-auth.js ${usage}`);
+    }
+    return value;
+}
+
+function getPassword(options) {
+    const password = options.password || process.env.AUTH_PASSWORD;
+    if (!password) {
+        throw new Error('Pass the password with --password or set AUTH_PASSWORD');
+    }
+    return password;
+}
+
+async function manageAuth({ command, positional, options }) {
+    const roleUsage = `<${ROLES.join('|')}>`;
+
+    switch (command) {
+        case 'create-user': {
+            const username = requireArg(positional[0], `create-user <username> --role ${roleUsage} [--password <password>]`);
+            const user = await createUser({ username, password: getPassword(options), role: options.role });
+            console.log(`✅ Created user ${user.username} (${user.role})`);
+            break;
+        }
+
+        case 'set-role': {
+            const usage = `set-role <username> ${roleUsage}`;
+            const user = await updateUserAccount(requireArg(positional[0], usage), { role: requireArg(positional[1], usage) });
+            console.log(`✅ ${user.username} is now ${user.role}`);
+            break;
+        }
+
+        case 'set-password': {
+            const username = requireArg(positional[0], 'set-password <username> [--password <password>]');
+            await updateUserAccount(username, { password: getPassword(options) });
+            console.log(`✅ Password changed for ${username}`);
+            break;
+        }
+
+        case 'disable-user':
+        case 'enable-user': {
+            const username = requireArg(positional[0], `${command} <username>`);
+            const user = await updateUserAccount(username, { disabled: command === 'disable-user' });
+            console.log(`✅ ${user.username} ${user.disabled ? 'disabled' : 'enabled'}`);
+            break;
+        }
+
+        case 'list-users': {
+            const users = await listUsers();
+            console.log(`👥 ${users.length} user(s)`);
+            users.forEach(user => {
+                console.log(`   • ${user.username} (${user.role})${user.disabled ? ' [disabled]' : ''}` +
+                    ` last sign-in: ${user.last_login_at || 'never'}`);
+            });
+            break;
+        }
+
+        case 'create-key': {
+            const name = requireArg(positional[0], `create-key <name> --role ${roleUsage}`);
+            const apiKey = await createApiKey({ name, role: options.role });
+            console.log(`✅ Created API key ${apiKey.id} "${apiKey.name}" (${apiKey.role})`);
+            console.log('🔑 Store this key now, it cannot be shown again:');
+            console.log(apiKey.key);
+            break;
+        }
+
+        case 'list-keys': {
+            const apiKeys = await listApiKeys();
+            console.log(`🔑 ${apiKeys.length} API key(s)`);
+            apiKeys.forEach(apiKey => {
+                console.log(`   • ${apiKey.id} "${apiKey.name}" (${apiKey.role})` +
+                    `${apiKey.revoked_at ? ` [revoked ${apiKey.revoked_at}]` : ''}` +
+                    ` last used: ${apiKey.last_used_at || 'never'}`);
+            });
+            break;
+        }
+
+        case 'revoke-key': {
+            const id = requireArg(positional[0], 'revoke-key <id>');
+            await revokeApiKey(id);
+            console.log(`✅ Revoked API key ${id}`);
+            break;
+        }
+
+        default:
+            throw new Error('Usage: node scripts/manage-auth.js <create-user|set-role|set-password|disable-user|enable-user|list-users|create-key|list-keys|revoke-key> ...');
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    manageAuth(parseArgs(process.argv.slice(2)))
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Script failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { manageAuth };
@@ -0,0 +1,103 @@
+/**
+ * Script to manage the geocode cache and village location overrides in the configured storage provider
+ * Usage:
+ *   node scripts/manage-geocode-cache.js set-override <village> --lat <latitude> --lng <longitude> [--district <district>] [--taluka <taluka>]
+ *   node scripts/manage-geocode-cache.js remove-override <village> [--district <district>]
+ *   node scripts/manage-geocode-cache.js list [--source <google|manual>]
+ *   node scripts/manage-geocode-cache.js clear [--expired]
+ * Overrides are matched on the village name and district as geocodeVillage is called with them.
+ * clear removes cached Google Maps answers (all, or only expired ones) and keeps overrides.
+ */
+
+require('dotenv').config();
+const {
+    setGeocodeOverride,
+    removeGeocodeOverride,
+    listGeocodeCache,
+    clearGeocodeCache
+} = require('../services/geocodeCacheService');
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--expired') {
+            options.expired = true;
+        } else if (rest[i].startsWith('--')) {
+            options[rest[i].slice(2)] = rest[i + 1];
+            i++;
+        } else {
+            positional.push(rest[i]);
+        }
+    }
+
+    return { command, positional, options };
+}
+
+function requireArg(value, usage) {
+    if (!value) {
+        throw new Error(`Usage: node scripts/manage-geocode-cache.js ${usage}`);
+    }
+    return value;
+}
+
+async function manageGeocodeCache({ command, positional, options }) {
+    switch (command) {
+        case 'set-override': {
+            const usage = 'set-override <village> --lat <latitude> --lng <longitude> [--district <district>] [--taluka <taluka>]';
+            const entry = await setGeocodeOverride({
+                villageName: requireArg(positional[0], usage),
+                district: options.district,
+                taluka: options.taluka,
+                latitude: requireArg(options.lat, usage),
+                longitude: requireArg(options.lng, usage),
+                setBy: 'manage-geocode-cache'
+            });
+            console.log(`✅ ${entry.village_name}${entry.district ? `, ${entry.district}` : ''} pinned to ${entry.result.latitude}, ${entry.result.longitude}`);
+            break;
+        }
+
+        case 'remove-override': {
+            const village = requireArg(positional[0], 'remove-override <village> [--district <district>]');
+            const removed = await removeGeocodeOverride(village, options.district);
+            console.log(removed ? `✅ Override removed for ${village}` : `ℹ️ No override for ${village}`);
+            break;
+        }
+
+        case 'list': {
+            const entries = await listGeocodeCache({ source: options.source || null });
+            console.log(`💾 ${entries.length} cache entr${entries.length === 1 ? 'y' : 'ies'}`);
+            entries.forEach(entry => {
+                const location = entry.status === 'found' ?
+                    `${entry.result.latitude}, ${entry.result.longitude}` :
+                    'not found';
+                console.log(`   • [${entry.source}] ${entry.village_name}${entry.district ? `, ${entry.district}` : ''}: ${location}` +
+                    (entry.expires_at ? ` (expires ${entry.expires_at})` : ''));
+            });
+            break;
+        }
+
+        case 'clear': {
+            const removed = await clearGeocodeCache({ expiredOnly: !!options.expired });
+            console.log(`✅ Removed ${removed} cached ${options.expired ? 'expired ' : ''}result(s); overrides kept`);
+            break;
+        }
+
+        default:
+            throw new Error('Usage: node scripts/manage-geocode-cache.js <set-override|remove-override|list|clear> ...');
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    manageGeocodeCache(parseArgs(process.argv.slice(2)))
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Script failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { manageGeocodeCache };
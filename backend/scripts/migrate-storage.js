@@ -0,0 +1,63 @@
+/**
+ * Script to copy all stored data from one storage provider to another
+ * (notices with their history and versions, processing logs and jobs, refinement batches, users and API keys, and the geocode cache)
+ * Records keep their IDs and timestamps; records that already exist in the target are overwritten,
+ * so the migration can be re-run.
+ * Usage: node scripts/migrate-storage.js --from firestore --to sqlite [--dry-run]
+ */
+
+require('dotenv').config();
+const { getStorageProvider, MIGRATION_RECORD_SETS } = require('../services/storageProviders');
+
+function parseArgs(argv) {
+    const args = { dryRun: argv.includes('--dry-run') };
+    ['from', 'to'].forEach(name => {
+        const index = argv.indexOf(`--${name}`);
+        args[name] = index >= 0 ? argv[index + 1] : null;
+    });
+    return args;
+}
+
+async function migrateStorage({ from, to, dryRun = false }) {
+    if (!from || !to || from === to) {
+        throw new Error('Usage: node scripts/migrate-storage.js --from <firestore|sqlite> --to <firestore|sqlite> [--dry-run]');
+    }
+
+    const source = getStorageProvider(from);
+    const target = getStorageProvider(to);
+
+    console.log(`📦 Migrating storage from ${source.name} to ${target.name}${dryRun ? ' (dry run)' : ''}...`);
+
+    await source.testConnection();
+    await target.testConnection();
+
+    const counts = {};
+    for (const recordSet of MIGRATION_RECORD_SETS) {
+        const records = await source.exportRecords(recordSet);
+
+        if (!dryRun && records.length > 0) {
+            await target.importRecords(recordSet, records);
+        }
+
+        counts[recordSet] = records.length;
+        console.log(`   • ${recordSet}: ${records.length} record(s)${dryRun ? ' found' : ' copied'}`);
+    }
+
+    console.log(`\n🎉 Storage migration ${dryRun ? 'dry run ' : ''}completed!`);
+    return counts;
+}
+
+// Run the script
+if (require.main === module) {
+    migrateStorage(parseArgs(process.argv.slice(2)))
+        .then(() => {
+            console.log('✅ Script completed successfully');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('❌ Script failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrateStorage };
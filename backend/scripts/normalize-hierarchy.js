@@ -0,0 +1,83 @@
+/**
+ * Script to normalise the district and taluka of existing property notices against the Gujarat
+ * district / taluka reference (services/adminAreaService.js): names are rewritten to their canonical
+ * English form, missing districts are filled in from talukas that belong to a single district, and
+ * every notice gets its hierarchy_status and hierarchy_issues. Changed names are recorded in the
+ * notice history like any other update.
+ * Usage: node scripts/normalize-hierarchy.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { getPropertyNotices, updatePropertyNotice } = require('../services/storageProviders');
+const { buildHierarchyFields } = require('../services/storageProviders/noticeRecords');
+
+const PAGE_SIZE = 500;
+
+function isSameIssues(a = [], b = []) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+async function normalizeHierarchy({ dryRun = false } = {}) {
+    console.log(`🗺️ Normalising notice districts and talukas${dryRun ? ' (dry run)' : ''}...`);
+
+    const counts = { checked: 0, renamed: 0, updated: 0, valid: 0, unverified: 0, invalid: 0 };
+    let startAfter = null;
+
+    for (;;) {
+        const notices = await getPropertyNotices({ limit: PAGE_SIZE, startAfter });
+        if (notices.length === 0) {
+            break;
+        }
+        startAfter = notices[notices.length - 1].id;
+
+        for (const notice of notices) {
+            const hierarchy = buildHierarchyFields(notice);
+            const renamed = (notice.district ?? null) !== hierarchy.district || (notice.taluka ?? null) !== hierarchy.taluka;
+            const changed = renamed ||
+                notice.hierarchy_status !== hierarchy.hierarchy_status ||
+                !isSameIssues(notice.hierarchy_issues, hierarchy.hierarchy_issues);
+
+            counts.checked++;
+            counts[hierarchy.hierarchy_status]++;
+
+            if (renamed) {
+                counts.renamed++;
+                console.log(`   • ${notice.id}: ${notice.district || '-'} / ${notice.taluka || '-'} → ${hierarchy.district || '-'} / ${hierarchy.taluka || '-'}`);
+            }
+            if (hierarchy.hierarchy_status === 'invalid') {
+                console.warn(`   ⚠️ ${notice.id} (${notice.village_name || 'no village'}): ${hierarchy.hierarchy_issues.map(issue => issue.message).join('; ')}`);
+            }
+
+            if (changed) {
+                counts.updated++;
+                if (!dryRun) {
+                    // The update re-checks the hierarchy and stores the canonical names
+                    await updatePropertyNotice(notice.id, {
+                        district: notice.district ?? null,
+                        taluka: notice.taluka ?? null
+                    }, { source: 'script', changedBy: 'normalize-hierarchy' });
+                }
+            }
+        }
+    }
+
+    console.log(`\n📊 ${counts.checked} notice(s) checked: ${counts.valid} valid, ${counts.unverified} unverified, ${counts.invalid} invalid`);
+    console.log(`   • ${counts.updated} notice(s) ${dryRun ? 'would be updated' : 'updated'}, ${counts.renamed} with renamed districts or talukas`);
+    console.log(`\n🎉 Hierarchy normalisation ${dryRun ? 'dry run ' : ''}completed!`);
+    return counts;
+}
+
+// Run the script
+if (require.main === module) {
+    normalizeHierarchy({ dryRun: process.argv.includes('--dry-run') })
+        .then(() => {
+            console.log('✅ Script completed successfully');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('❌ Script failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { normalizeHierarchy };
@@ -0,0 +1,132 @@
+const { findDistrict, findTalukas, resolveAreaNames, checkHierarchy, getAdminAreaStatus } = require('../adminAreaService');
+const { writeTestGazetteer } = require('../../test/helpers');
+
+beforeAll(() => {
+    writeTestGazetteer();
+});
+
+describe('findDistrict', () => {
+    test('finds a district by its English, Gujarati and other names, with or without affixes', () => {
+        ['Rajkot', 'રાજકોટ', 'જી. રાજકોટ', 'જિ. રાજકોટ', 'જિલ્લો રાજકોટ', 'રાજકોટ જિલ્લો', 'Rajkot District', 'Dist. Rajkot'].forEach(name => {
+            expect(findDistrict(name)).toMatchObject({ name: 'Rajkot', name_gu: 'રાજકોટ' });
+        });
+        expect(findDistrict('Amdavad').name).toBe('Ahmedabad');
+    });
+
+    test('matches sound-alike spellings unless exact names are asked for', () => {
+        expect(findDistrict('Rajkat').name).toBe('Rajkot');
+        expect(findDistrict('Rajkat', { exactOnly: true })).toBeNull();
+    });
+
+    test('returns null for places that are not districts of Gujarat', () => {
+        expect(findDistrict('Pune')).toBeNull();
+        expect(findDistrict('')).toBeNull();
+    });
+});
+
+describe('findTalukas', () => {
+    test('lists every district with a taluka of the name', () => {
+        expect(findTalukas('માંગરોળ').map(taluka => taluka.district.name).sort()).toEqual(['Junagadh', 'Surat']);
+        expect(findTalukas('Mangrol', { district: findDistrict('Surat') })).toEqual([expect.objectContaining({ name: 'Mangrol', name_gu: 'માંગરોળ' })]);
+    });
+
+    test('strips taluka affixes', () => {
+        expect(findTalukas('તા. ગોંડલ')).toEqual([expect.objectContaining({ name: 'Gondal' })]);
+        expect(findTalukas('Gondal Taluka')).toEqual([expect.objectContaining({ name: 'Gondal' })]);
+    });
+});
+
+describe('resolveAreaNames', () => {
+    test('picks the district and taluka out of administrative areas of unknown level', () => {
+        expect(resolveAreaNames(['Gujarat', 'Rajkot', 'Gondal'])).toEqual({ district: 'Rajkot', taluka: 'Gondal' });
+        expect(resolveAreaNames([null, 'Jasdan'])).toEqual({ district: 'Rajkot', taluka: 'Jasdan' });
+        expect(resolveAreaNames(['Somewhere'])).toEqual({ district: null, taluka: null });
+    });
+});
+
+describe('checkHierarchy', () => {
+    test('accepts a consistent village, taluka and district and stores canonical names', () => {
+        expect(checkHierarchy({ village_name: 'રીબડા', district: 'જિ. રાજકોટ', taluka: 'તા. ગોંડલ' })).toEqual({
+            district: 'Rajkot',
+            district_gu: 'રાજકોટ',
+            taluka: 'Gondal',
+            taluka_gu: 'ગોંડલ',
+            status: 'valid',
+            issues: []
+        });
+    });
+
+    test('fills in the district of a taluka found in a single district', () => {
+        expect(checkHierarchy({ taluka: 'જસદણ' })).toMatchObject({ district: 'Rajkot', taluka: 'Jasdan', status: 'valid' });
+    });
+
+    test('leaves the district empty for a taluka of several districts', () => {
+        expect(checkHierarchy({ taluka: 'Mangrol' })).toMatchObject({
+            district: null,
+            status: 'unverified',
+            issues: [expect.objectContaining({ code: 'missing_district', severity: 'warning' })]
+        });
+    });
+
+    test('flags a taluka of another district as invalid', () => {
+        expect(checkHierarchy({ district: 'Rajkot', taluka: 'Mangrol' })).toMatchObject({
+            district: 'Rajkot',
+            taluka: 'Mangrol',
+            status: 'invalid',
+            issues: [{
+                field: 'taluka',
+                code: 'taluka_not_in_district',
+                severity: 'error',
+                message: 'Mangrol taluka is in Junagadh, Surat district, not Rajkot'
+            }]
+        });
+    });
+
+    test('flags districts outside Gujarat as invalid', () => {
+        expect(checkHierarchy({ district: 'Pune', taluka: 'Haveli' })).toMatchObject({
+            district: 'Pune',
+            status: 'invalid',
+            issues: [expect.objectContaining({ code: 'unknown_district', severity: 'error' })]
+        });
+    });
+
+    test('leaves talukas it cannot confirm unverified', () => {
+        expect(checkHierarchy({ district: 'Rajkot', taluka: 'Nowhere' })).toMatchObject({
+            status: 'unverified',
+            issues: [expect.objectContaining({ code: 'unknown_taluka', severity: 'warning' })]
+        });
+        // The reference lists no talukas for Banaskantha yet
+        expect(checkHierarchy({ district: 'બનાસકાંઠા', taluka: 'Deesa' })).toMatchObject({ district: 'Banaskantha', status: 'unverified', issues: [] });
+    });
+
+    test('warns about villages the gazetteer only knows elsewhere', () => {
+        expect(checkHierarchy({ village_name: 'આટકોટ', district: 'Jamnagar' }).issues).toEqual([expect.objectContaining({
+            field: 'village_name',
+            code: 'village_not_in_district',
+            severity: 'warning'
+        })]);
+        expect(checkHierarchy({ village_name: 'રીબડા', district: 'Rajkot', taluka: 'Jasdan' })).toMatchObject({
+            status: 'unverified',
+            issues: [expect.objectContaining({ code: 'village_not_in_taluka', message: 'The gazetteer has no village રીબડા in Jasdan taluka, only in Gondal' })]
+        });
+        // Villages the gazetteer does not know are not held against the notice
+        expect(checkHierarchy({ village_name: 'અજાણ્યું', district: 'Rajkot', taluka: 'Gondal' }).status).toBe('valid');
+    });
+
+    test('reports a missing district', () => {
+        expect(checkHierarchy({ village_name: 'રીબડા' })).toMatchObject({
+            status: 'unverified',
+            issues: [expect.objectContaining({ field: 'district', code: 'missing_district' })]
+        });
+    });
+});
+
+describe('getAdminAreaStatus', () => {
+    test('counts districts and talukas', () => {
+        const status = getAdminAreaStatus();
+
+        expect(status.districts).toBeGreaterThanOrEqual(33);
+        expect(status.talukas).toBeGreaterThan(200);
+        expect(status.districts_without_talukas).toEqual(['Banaskantha', 'Vav-Tharad']);
+    });
+});
@@ -0,0 +1,167 @@
+jest.mock('../searchService', () => ({
+    getIndexedNotices: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { getIndexedNotices } = require('../searchService');
+const { computeImageHash, hammingDistance, findDuplicateNotices } = require('../duplicateService');
+const { SAMPLE_NOTICE_TEXT, createNoticeImage } = require('../../test/helpers');
+
+function writeImage(name, buffer) {
+    fs.mkdirSync(process.env.UPLOAD_DIR, { recursive: true });
+    const filePath = path.join(process.env.UPLOAD_DIR, name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+}
+
+const savedNotice = (id, data = {}, extra = {}) => ({
+    id,
+    raw_text: null,
+    image_hashes: [],
+    notice_date: '2024-03-15',
+    uploaded_at: '2024-03-16T10:00:00.000Z',
+    extracted_data: {
+        village_name: 'રીબડા',
+        survey_number: '૩૬૭ પૈકી ૧',
+        buyer_name: 'રમેશભાઈ કાનજીભાઈ પટેલ',
+        seller_name: 'સુરેશભાઈ મનજીભાઈ શાહ',
+        ...data
+    },
+    ...extra
+});
+
+describe('computeImageHash', () => {
+    let original;
+
+    beforeAll(async () => {
+        original = await computeImageHash(writeImage('hash-original.png', await createNoticeImage(1)));
+    });
+
+    test('returns 256 bits as hex', () => {
+        expect(original).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('keeps a re-encoded copy of a scan close', async () => {
+        const jpeg = await createNoticeImage(1, { format: 'jpeg' });
+        const recompressed = await sharp(jpeg).jpeg({ quality: 40 }).toBuffer();
+
+        const hash = await computeImageHash(writeImage('hash-copy.jpg', recompressed));
+
+        // Within the distance findDuplicateNotices reports as a similar image
+        expect(hammingDistance(original, hash)).toBeLessThanOrEqual(24);
+    });
+
+    test('hashes the same picture alike with or without colour and alpha channels', async () => {
+        const image = await createNoticeImage(1);
+        const grey = await sharp(image).greyscale().toColourspace('b-w').png().toBuffer();
+        const rgb = await sharp(image).removeAlpha().png().toBuffer();
+
+        expect((await sharp(image).metadata()).channels).toBe(4);
+        expect(await computeImageHash(writeImage('hash-grey.png', grey))).toBe(original);
+        expect(await computeImageHash(writeImage('hash-rgb.png', rgb))).toBe(original);
+    });
+
+    test('keeps different notices far apart', async () => {
+        const hashes = [original];
+        for (const seed of [2, 3, 4]) {
+            hashes.push(await computeImageHash(writeImage(`hash-${seed}.png`, await createNoticeImage(seed))));
+        }
+
+        hashes.forEach((hashA, i) => hashes.slice(i + 1).forEach(hashB => {
+            expect(hammingDistance(hashA, hashB)).toBeGreaterThan(48);
+        }));
+    });
+
+    test('returns null for files that are not images', async () => {
+        const filePath = writeImage('hash-text.png', Buffer.from('not an image'));
+
+        expect(await computeImageHash(filePath)).toBeNull();
+    });
+});
+
+describe('hammingDistance', () => {
+    test('counts differing bits', () => {
+        expect(hammingDistance('00ff', '00ff')).toBe(0);
+        expect(hammingDistance('00ff', '01fe')).toBe(2);
+        expect(hammingDistance('0000', 'ffff')).toBe(16);
+    });
+});
+
+describe('findDuplicateNotices', () => {
+    test('matches a saved notice with the same village and survey number', async () => {
+        getIndexedNotices.mockResolvedValue([
+            savedNotice('same'),
+            savedNotice('other-survey', { survey_number: '૧૨/૩' }),
+            savedNotice('other-village', { village_name: 'આટકોટ' })
+        ]);
+
+        const duplicates = await findDuplicateNotices({
+            extractedData: {
+                village_name: 'Ribada',
+                survey_number: '367 પૈકી 1',
+                buyer_name: 'રમેશભાઈ પટેલ',
+                notice_date: '15/03/2024'
+            }
+        });
+
+        expect(duplicates).toEqual([expect.objectContaining({
+            id: 'same',
+            score: 1,
+            matched_fields: ['village_name', 'survey_number', 'parties', 'notice_date'],
+            url: '/api/notices/same'
+        })]);
+    });
+
+    test('scores partial field matches by their weights', async () => {
+        getIndexedNotices.mockResolvedValue([savedNotice('same')]);
+
+        const [duplicate] = await findDuplicateNotices({
+            extractedData: { village_name: 'રીબડા', survey_number: '367/1', buyer_name: 'હરેશભાઈ દવે', notice_date: '15/03/2024' }
+        });
+
+        expect(duplicate).toMatchObject({ score: 0.75, matched_fields: ['village_name', 'survey_number', 'notice_date'] });
+    });
+
+    test('ignores notices below the score threshold', async () => {
+        getIndexedNotices.mockResolvedValue([savedNotice('same')]);
+
+        const duplicates = await findDuplicateNotices({
+            extractedData: { village_name: 'રીબડા', survey_number: '367/1' }
+        });
+
+        expect(duplicates).toEqual([]);
+    });
+
+    test('matches the same notice text despite OCR differences', async () => {
+        getIndexedNotices.mockResolvedValue([savedNotice('same', { village_name: null }, { raw_text: SAMPLE_NOTICE_TEXT })]);
+
+        const [duplicate] = await findDuplicateNotices({
+            rawText: SAMPLE_NOTICE_TEXT.replace('કાનજીભાઈ', 'કાનજીમાઈ')
+        });
+
+        expect(duplicate.id).toBe('same');
+        expect(duplicate.text_similarity).toBeGreaterThan(0.8);
+        expect(duplicate.reasons).toContain('similar notice text');
+    });
+
+    test('matches a similar image hash and skips the excluded notice', async () => {
+        const hash = 'f'.repeat(64);
+        getIndexedNotices.mockResolvedValue([
+            savedNotice('self', {}, { image_hashes: [hash] }),
+            savedNotice('rescan', { village_name: null }, { image_hashes: [`00${hash.slice(2)}`] })
+        ]);
+
+        const duplicates = await findDuplicateNotices({ imageHash: hash }, { excludeId: 'self' });
+
+        expect(duplicates).toEqual([expect.objectContaining({ id: 'rescan', image_distance: 8, reasons: ['similar image'] })]);
+    });
+
+    test('returns nothing without any signal', async () => {
+        getIndexedNotices.mockClear();
+
+        expect(await findDuplicateNotices({})).toEqual([]);
+        expect(getIndexedNotices).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    SAMPLE_GAZETTEER_PATH,
+    parseCsv,
+    readPlaceRecords,
+    normalizeVillageRecord,
+    getGazetteer,
+    findVillage,
+    resolveVillageLocation,
+    getGazetteerStatus
+} = require('../gazetteerService');
+const { TEST_VILLAGES, writeTestGazetteer } = require('../../test/helpers');
+
+const gazetteerPath = process.env.GAZETTEER_PATH;
+
+function writeSource(name, content) {
+    const filePath = path.join(path.dirname(gazetteerPath), name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+afterEach(() => {
+    process.env.GAZETTEER_PATH = gazetteerPath;
+});
+
+describe('parseCsv', () => {
+    test('handles quoted fields, escaped quotes and CRLF line ends', () => {
+        const rows = parseCsv('﻿name,alt_names\r\n"Jetpur, Navagadh","Jetpur|""Navagadh"""\r\n\r\nGondal,\n');
+
+        expect(rows).toEqual([['name', 'alt_names'], ['Jetpur, Navagadh', 'Jetpur|"Navagadh"'], ['Gondal', '']]);
+    });
+});
+
+describe('readPlaceRecords', () => {
+    test('maps census directory column names onto gazetteer columns', () => {
+        const filePath = writeSource('census.csv', [
+            'Village Code,Village Name,Sub-District Name,District Name,Lat,Lon',
+            '515001,RIBADA,Gondal,Rajkot,21.9968,70.8732'
+        ].join('\n'));
+
+        expect(readPlaceRecords(filePath)).toEqual([{
+            village_code: '515001',
+            name_gu: null,
+            name_en: 'RIBADA',
+            alt_names: null,
+            taluka: 'Gondal',
+            district: 'Rajkot',
+            latitude: '21.9968',
+            longitude: '70.8732'
+        }]);
+    });
+
+    test('takes coordinates from GeoJSON points', () => {
+        const filePath = writeSource('villages.geojson', JSON.stringify({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                properties: { name: 'Atkot', 'name:gu': 'આટકોટ', tehsil: 'Jasdan', district: 'Rajkot' },
+                geometry: { type: 'Point', coordinates: [71.03, 22.01] }
+            }]
+        }));
+
+        expect(readPlaceRecords(filePath)[0]).toMatchObject({ name_en: 'Atkot', name_gu: 'આટકોટ', taluka: 'Jasdan', latitude: 22.01, longitude: 71.03 });
+    });
+});
+
+describe('normalizeVillageRecord', () => {
+    const record = { name_en: 'Ribada', district: 'Rajkot', latitude: '21.99', longitude: '70.87', alt_names: 'Ribda| Rebda ' };
+
+    test('splits alternative names and parses coordinates', () => {
+        expect(normalizeVillageRecord(record).village).toMatchObject({
+            village_code: null,
+            alt_names: ['Ribda', 'Rebda'],
+            latitude: 21.99,
+            longitude: 70.87
+        });
+    });
+
+    test('rejects rows without a name, district or coordinates inside Gujarat', () => {
+        expect(normalizeVillageRecord({ ...record, name_en: ' ' }).error).toBe('no village name');
+        expect(normalizeVillageRecord({ ...record, district: '' }).error).toBe('no district');
+        expect(normalizeVillageRecord({ ...record, latitude: '28.61', longitude: '77.20' }).error).toBe('coordinates missing or outside Gujarat');
+        expect(normalizeVillageRecord({ ...record, latitude: '' }).error).toBe('coordinates missing or outside Gujarat');
+    });
+});
+
+describe('Gazetteer file', () => {
+    test('leaves villages to geocoding until one is imported', () => {
+        expect(findVillage('રીબડા')).toMatchObject({ status: 'not_found', candidates: [] });
+        expect(resolveVillageLocation('રીબડા')).toBeNull();
+        expect(getGazetteerStatus()).toMatchObject({ configured: false, sample: false, villages: 0 });
+    });
+
+    test('is re-read when it changes', () => {
+        writeTestGazetteer(TEST_VILLAGES.slice(0, 1));
+        expect(getGazetteer().villages).toHaveLength(1);
+
+        writeTestGazetteer();
+        expect(getGazetteer().villages).toHaveLength(TEST_VILLAGES.length);
+        expect(getGazetteerStatus()).toMatchObject({ configured: true, sample: false, villages: TEST_VILLAGES.length, villages_without_code: 0 });
+    });
+
+    test('skips invalid rows', () => {
+        writeTestGazetteer([...TEST_VILLAGES, { ...TEST_VILLAGES[0], village_code: 'TEST999', latitude: 0 }]);
+
+        expect(getGazetteerStatus()).toMatchObject({ villages: TEST_VILLAGES.length, skipped_rows: 1 });
+    });
+
+    test('sample is reported as a sample without census codes', () => {
+        process.env.GAZETTEER_PATH = SAMPLE_GAZETTEER_PATH;
+
+        const status = getGazetteerStatus();
+
+        expect(status).toMatchObject({ configured: true, sample: true });
+        expect(status.villages_without_code).toBe(status.villages);
+    });
+});
+
+describe('findVillage', () => {
+    beforeAll(() => {
+        writeTestGazetteer();
+    });
+
+    test('matches names in either script, in other spellings and with case endings', () => {
+        ['રીબડા', 'રિબડા', 'Ribada', 'RIBADA', 'Ribda', 'રીબડાના'].forEach(name => {
+            expect(findVillage(name)).toMatchObject({ status: 'matched', match_type: 'exact', score: 1, village: { village_code: 'TEST001' } });
+        });
+    });
+
+    test('lists villages that share a name until the district tells them apart', () => {
+        const shared = findVillage('ખીરસરા');
+        expect(shared.status).toBe('ambiguous');
+        expect(shared.candidates.map(candidate => candidate.district)).toEqual(['Rajkot', 'Jamnagar']);
+
+        expect(findVillage('ખીરસરા', { district: 'જામનગર' })).toMatchObject({ status: 'matched', village: { village_code: 'TEST006' } });
+        expect(findVillage('Khirasara', { taluka: 'Lodhika' })).toMatchObject({ status: 'matched', village: { village_code: 'TEST005' } });
+    });
+
+    test('does not match a village outside the given district', () => {
+        expect(findVillage('આટકોટ', { district: 'Jamnagar' })).toMatchObject({ status: 'not_found', village: null });
+    });
+});
+
+describe('resolveVillageLocation', () => {
+    beforeAll(() => {
+        writeTestGazetteer();
+    });
+
+    test('describes a gazetteer village like a geocoding result', () => {
+        expect(resolveVillageLocation('આટકોટ', { district: 'Rajkot' })).toMatchObject({
+            success: true,
+            latitude: 22.01,
+            longitude: 71.03,
+            formatted_address: 'Atkot, Jasdan, Rajkot, Gujarat, India',
+            district: 'Rajkot',
+            taluka: 'Jasdan',
+            village_code: 'TEST004',
+            coordinate_source: 'gazetteer',
+            village_match: 'exact'
+        });
+    });
+
+    test('returns null when the name is not a single village', () => {
+        expect(resolveVillageLocation('ખીરસરા')).toBeNull();
+        expect(resolveVillageLocation('અજાણ્યું')).toBeNull();
+    });
+
+    test('returns null instead of failing when the file cannot be read', () => {
+        process.env.GAZETTEER_PATH = writeSource('broken.geojson', '{ not json');
+
+        expect(resolveVillageLocation('રીબડા')).toBeNull();
+        expect(getGazetteerStatus()).toMatchObject({ configured: false, villages: 0, error: expect.any(String) });
+    });
+});
+
+describe('findVillage fuzzy matching', () => {
+    const rampar = { village_code: 'TEST007', name_gu: 'રામપર', name_en: 'Rampar', alt_names: [], taluka: 'Gondal', district: 'Rajkot', latitude: 21.95, longitude: 70.85 };
+    const rampur = { ...rampar, village_code: 'TEST008', name_gu: 'રામપુર', name_en: 'Rampur', latitude: 21.94, longitude: 70.86 };
+
+    beforeAll(() => {
+        writeTestGazetteer([...TEST_VILLAGES, rampar, rampur]);
+    });
+
+    afterEach(() => {
+        delete process.env.VILLAGE_MATCH_ACCEPT_SCORE;
+        delete process.env.VILLAGE_MATCH_MARGIN;
+    });
+
+    test('accepts a clear winner for a name misread by a character', () => {
+        expect(findVillage('રીમડા')).toMatchObject({ status: 'matched', match_type: 'fuzzy', score: 0.8, village: { village_code: 'TEST001' } });
+        expect(findVillage('ગોડલ')).toMatchObject({ status: 'matched', match_type: 'fuzzy', village: { village_code: 'TEST002' } });
+        expect(findVillage('Ribuda')).toMatchObject({ status: 'matched', match_type: 'fuzzy', score: 0.9, village: { village_code: 'TEST001' } });
+    });
+
+    test('folds letters OCR confuses before scoring', () => {
+        expect(findVillage('રામયર')).toMatchObject({ status: 'matched', score: 1, village: { village_code: 'TEST007' } });
+    });
+
+    test('returns ranked candidates when no village leads by the margin', () => {
+        const match = findVillage('રામપરા');
+
+        expect(match).toMatchObject({ status: 'ambiguous', match_type: 'fuzzy', village: null, score: null });
+        expect(match.candidates.map(candidate => [candidate.village_code, candidate.score])).toEqual([['TEST007', 0.93], ['TEST008', 0.85]]);
+        expect(match.candidates[0]).toEqual({
+            village_id: 'TEST007',
+            village_code: 'TEST007',
+            name_gu: 'રામપર',
+            name_en: 'Rampar',
+            taluka: 'Gondal',
+            district: 'Rajkot',
+            latitude: 21.95,
+            longitude: 70.85,
+            score: 0.93
+        });
+    });
+
+    test('only scores villages of the given district and taluka', () => {
+        expect(findVillage('ખીરસર').status).toBe('ambiguous');
+        expect(findVillage('ખીરસર', { district: 'Rajkot' })).toMatchObject({ status: 'matched', village: { village_code: 'TEST005' } });
+        expect(findVillage('રીમડા', { taluka: 'Jasdan' })).toMatchObject({ status: 'not_found', candidates: [] });
+    });
+
+    test('follows the configured accept score and margin', () => {
+        process.env.VILLAGE_MATCH_ACCEPT_SCORE = '0.95';
+        expect(findVillage('રીમડા')).toMatchObject({ status: 'ambiguous', candidates: [expect.objectContaining({ village_code: 'TEST001' })] });
+
+        delete process.env.VILLAGE_MATCH_ACCEPT_SCORE;
+        process.env.VILLAGE_MATCH_MARGIN = '0.05';
+        expect(findVillage('રામપરા')).toMatchObject({ status: 'matched', village: { village_code: 'TEST007' } });
+    });
+
+    test('finds nothing for unrelated or too short names', () => {
+        expect(findVillage('Sultanpur')).toMatchObject({ status: 'not_found', match_type: null, candidates: [] });
+        expect(findVillage('ક')).toMatchObject({ status: 'not_found', candidates: [] });
+    });
+});
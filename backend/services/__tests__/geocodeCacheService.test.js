@@ -0,0 +1,165 @@
+const {
+    getGeocodeCacheKey,
+    readGeocodeCache,
+    setGeocodeOverride,
+    removeGeocodeOverride,
+    listGeocodeCache,
+    clearGeocodeCache,
+    getGeocodeCacheStats
+} = require('../geocodeCacheService');
+const { geocodeVillage } = require('../geocodingService');
+const { writeTestGazetteer } = require('../../test/helpers');
+
+// A Google Maps geocoding response
+function googleResponse(status, results = []) {
+    return { ok: true, status: 200, statusText: 'OK', json: async () => ({ status, results }) };
+}
+
+const KHAREDA = {
+    formatted_address: 'Khareda, Gujarat 360311, India',
+    place_id: 'place-khareda',
+    geometry: { location: { lat: 21.871, lng: 70.919 }, location_type: 'APPROXIMATE' },
+    address_components: [
+        { long_name: 'Khareda', types: ['locality'] },
+        { long_name: 'Rajkot', types: ['administrative_area_level_3'] },
+        { long_name: 'Gujarat', types: ['administrative_area_level_1'] },
+        { long_name: 'India', types: ['country'] }
+    ]
+};
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(async () => {
+    process.env.GOOGLE_MAPS_API_KEY = 'test-maps-key';
+    global.fetch = jest.fn();
+    await clearGeocodeCache();
+});
+
+afterEach(() => {
+    process.env.GOOGLE_MAPS_API_KEY = '';
+    delete global.fetch;
+    delete process.env.GEOCODE_CACHE_TTL_DAYS;
+    delete process.env.GEOCODE_CACHE_NEGATIVE_TTL_DAYS;
+    jest.useRealTimers();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getGeocodeCacheKey', () => {
+    test('is the same for Gujarati and English spellings and district affixes', () => {
+        const key = getGeocodeCacheKey('Ribada', 'Rajkot');
+
+        expect(key).toBe('ribada|rajkot');
+        ['રાજકોટ', 'જી. રાજકોટ', 'Rajkot District'].forEach(district => {
+            expect(getGeocodeCacheKey('ગામ રીબડા', district)).toBe(key);
+        });
+        expect(getGeocodeCacheKey('Ribada')).toBe('ribada|');
+    });
+
+    test('uses the canonical name for other known spellings of a district', () => {
+        expect(getGeocodeCacheKey('Ribada', 'Morvi')).toBe(getGeocodeCacheKey('Ribada', 'Morbi'));
+        expect(getGeocodeCacheKey('Ribada', 'કચ્છ')).toBe(getGeocodeCacheKey('Ribada', 'Kutch'));
+    });
+
+    test('keeps the vowels of districts, so sound-alike names are not merged', () => {
+        expect(getGeocodeCacheKey('Ribada', 'Amroli')).toBe('ribada|amroli');
+        expect(getGeocodeCacheKey('Ribada', 'Amroli')).not.toBe(getGeocodeCacheKey('Ribada', 'Amreli'));
+    });
+
+    test('is null for names without letters', () => {
+        expect(getGeocodeCacheKey('૧૨૩', 'Rajkot')).toBeNull();
+    });
+});
+
+describe('geocodeVillage with the cache', () => {
+    test('asks Google once per village and district', async () => {
+        global.fetch.mockResolvedValue(googleResponse('OK', [KHAREDA]));
+
+        const first = await geocodeVillage('ખરેડા', 'Rajkot');
+        const second = await geocodeVillage('Khareda', 'જી. રાજકોટ');
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(first).toMatchObject({ success: true, latitude: 21.871, coordinate_source: 'google_maps' });
+        expect(second).toMatchObject({ success: true, latitude: 21.871, from_cache: true });
+    });
+
+    test('keeps villages of different districts apart', async () => {
+        global.fetch.mockResolvedValue(googleResponse('OK', [KHAREDA]));
+
+        await geocodeVillage('Khareda', 'Amreli');
+        await geocodeVillage('Khareda', 'Amroli');
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('caches "no results" answers for the negative TTL', async () => {
+        process.env.GEOCODE_CACHE_NEGATIVE_TTL_DAYS = '1';
+        global.fetch.mockResolvedValue(googleResponse('ZERO_RESULTS'));
+
+        expect(await geocodeVillage('Nowhere', 'Rajkot')).toMatchObject({ success: false, status: 'not_found' });
+        expect(await geocodeVillage('Nowhere', 'Rajkot')).toMatchObject({ status: 'not_found', from_cache: true });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+
+        const entry = await readGeocodeCache('Nowhere', 'Rajkot');
+        expect(Date.parse(entry.expires_at) - Date.parse(entry.cached_at)).toBe(24 * 60 * 60 * 1000);
+
+        jest.useFakeTimers({ now: Date.now() + 2 * 24 * 60 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+        await geocodeVillage('Nowhere', 'Rajkot');
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not cache errors', async () => {
+        global.fetch.mockResolvedValue(googleResponse('OVER_QUERY_LIMIT'));
+
+        await expect(geocodeVillage('Khareda', 'Rajkot')).rejects.toMatchObject({ code: 'GOOGLE_MAPS_API_ERROR' });
+
+        expect(await readGeocodeCache('Khareda', 'Rajkot')).toBeNull();
+    });
+
+    test('counts hits and misses', async () => {
+        global.fetch.mockResolvedValue(googleResponse('OK', [KHAREDA]));
+        const before = getGeocodeCacheStats();
+
+        await geocodeVillage('Khareda', 'Rajkot');
+        await geocodeVillage('Khareda', 'Rajkot');
+
+        const after = getGeocodeCacheStats();
+        expect(after.misses - before.misses).toBe(1);
+        expect(after.hits - before.hits).toBe(1);
+        expect(after.writes - before.writes).toBe(1);
+        expect(after.hit_rate).toBeGreaterThan(0);
+    });
+});
+
+describe('Location overrides', () => {
+    test('win over the gazetteer and cached results, and never expire', async () => {
+        writeTestGazetteer();
+        await setGeocodeOverride({ villageName: 'રીબડા', district: 'Rajkot', taluka: 'Gondal', latitude: 22.0001, longitude: 70.8801, setBy: 'asha' });
+
+        const result = await geocodeVillage('Ribada', 'રાજકોટ');
+
+        expect(result).toMatchObject({ latitude: 22.0001, longitude: 70.8801, coordinate_source: 'manual' });
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect((await readGeocodeCache('Ribada', 'Rajkot')).expires_at).toBeNull();
+    });
+
+    test('are kept when the cache is cleared, until removed', async () => {
+        await setGeocodeOverride({ villageName: 'Khareda', district: 'Rajkot', latitude: 21.88, longitude: 70.92 });
+
+        expect(await clearGeocodeCache()).toBe(0);
+        expect(await listGeocodeCache({ source: 'manual' })).toEqual(expect.arrayContaining([expect.objectContaining({ id: 'kareda|rajkot' })]));
+
+        expect(await removeGeocodeOverride('ખરેડા', 'Rajkot')).toBe(true);
+        expect(await readGeocodeCache('Khareda', 'Rajkot')).toBeNull();
+    });
+
+    test('need a village name and coordinates inside Gujarat', async () => {
+        await expect(setGeocodeOverride({ villageName: '', latitude: 22, longitude: 70.8 })).rejects.toMatchObject({ code: 'INVALID_VILLAGE_NAME' });
+        await expect(setGeocodeOverride({ villageName: 'Ribada', latitude: 28.6, longitude: 77.2 })).rejects.toMatchObject({ code: 'INVALID_COORDINATES' });
+    });
+});
@@ -0,0 +1,70 @@
+const {
+    tokenizeWithOffsets,
+    normalizeToken,
+    transliterateGujarati,
+    romanizedKey,
+    phoneticKey,
+    getSearchTerms
+} = require('../gujaratiTextService');
+
+describe('tokenizeWithOffsets', () => {
+    test('keeps vowel signs and virama inside words', () => {
+        const text = 'મોજે ગામ રીબડા, સર્વે નં. ૩૬૭';
+
+        const tokens = tokenizeWithOffsets(text);
+
+        expect(tokens.map(({ token }) => token)).toEqual(['મોજે', 'ગામ', 'રીબડા', 'સર્વે', 'નં', '૩૬૭']);
+        tokens.forEach(({ token, start, end }) => expect(text.slice(start, end)).toBe(token));
+    });
+});
+
+describe('normalizeToken', () => {
+    test('folds vowel length, nukta and nasal spellings', () => {
+        expect(normalizeToken('રીબડા')).toBe(normalizeToken('રિબડા'));
+        expect(normalizeToken('સન્જય')).toBe(normalizeToken('સંજય'));
+        expect(normalizeToken('ફ઼ાર્મ')).toBe(normalizeToken('ફાર્મ'));
+    });
+
+    test('converts Gujarati numerals', () => {
+        expect(normalizeToken('૩૬૭')).toBe('367');
+    });
+
+    test('lowercases Latin tokens and drops accents', () => {
+        expect(normalizeToken('Ribāḍā')).toBe('ribada');
+    });
+});
+
+describe('getSearchTerms', () => {
+    test('folds glyphs OCR confuses', () => {
+        expect(getSearchTerms('ઘોડાસર').ocr).toBe(getSearchTerms('ધોડાસર').ocr);
+        expect(getSearchTerms('ઘોડાસર').norm).not.toBe(getSearchTerms('ધોડાસર').norm);
+    });
+
+    test('has no OCR term for Latin tokens', () => {
+        expect(getSearchTerms('Ribada').ocr).toBeNull();
+    });
+});
+
+describe('romanised terms', () => {
+    test('transliterate Gujarati without the final inherent vowel', () => {
+        expect(transliterateGujarati('રાજકોટ')).toBe('rajakot');
+        expect(transliterateGujarati('ગોંડલ')).toBe('gondal');
+    });
+
+    test('match Gujarati and English spellings of a name', () => {
+        expect(romanizedKey(normalizeToken('રીબડા'))).toBe('ribada');
+        expect(romanizedKey('Ribada')).toBe('ribada');
+        expect(romanizedKey('Shah')).toBe(romanizedKey('શાહ'));
+    });
+
+    test('reduce to a consonant skeleton when vowels differ', () => {
+        expect(phoneticKey('Rajkot')).toBe('rjkt');
+        expect(phoneticKey('રાજકોટ')).toBe('rjkt');
+    });
+
+    test('skip numbers and single letters', () => {
+        expect(romanizedKey('367')).toBeNull();
+        expect(phoneticKey('367')).toBeNull();
+        expect(romanizedKey('a')).toBeNull();
+    });
+});
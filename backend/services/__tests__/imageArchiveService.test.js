@@ -0,0 +1,64 @@
+const sharp = require('sharp');
+const { stageJobImage, archiveNoticeImage, getArchivedImage, deleteArchivedImages } = require('../imageArchiveService');
+const { getImageStorage, getImageStorageStatus } = require('../imageStorage');
+const { createNoticeImage, createUploadedFile } = require('../../test/helpers');
+
+describe('stageJobImage', () => {
+    test('keeps a copy of the upload under the job', async () => {
+        const buffer = await createNoticeImage(1);
+        const file = createUploadedFile(buffer, 'notice.png');
+
+        const key = await stageJobImage('job-1', file);
+
+        expect(key).toBe('staging/job-1.png');
+        expect(await getArchivedImage(key)).toEqual({ buffer, contentType: 'image/png' });
+    });
+
+    test('cuts a segmented notice out of its page, clamped to the page', async () => {
+        const file = createUploadedFile(await createNoticeImage(2), 'page.png');
+
+        const key = await stageJobImage('job-2', file, { boundingBox: { x: 500, y: 700, width: 300, height: 300 } });
+
+        const { buffer } = await getArchivedImage(key);
+        expect(await sharp(buffer).metadata()).toMatchObject({ width: 100, height: 100 });
+    });
+
+    test('returns null instead of failing the job when the file is gone', async () => {
+        const key = await stageJobImage('job-3', { path: '/nonexistent/notice.png', filename: 'notice.png' });
+
+        expect(key).toBeNull();
+    });
+});
+
+describe('archiveNoticeImage', () => {
+    test('moves the staged image under the notice and adds a thumbnail', async () => {
+        const key = await stageJobImage('job-4', createUploadedFile(await createNoticeImage(4), 'notice.png'));
+
+        const keys = await archiveNoticeImage('notice-4', key);
+
+        expect(keys).toEqual({ image_key: 'notices/notice-4/original.png', thumbnail_key: 'notices/notice-4/thumbnail.jpg' });
+        expect(await getArchivedImage(key)).toBeNull();
+        expect((await getArchivedImage(keys.thumbnail_key)).contentType).toBe('image/jpeg');
+
+        await deleteArchivedImages('notices/notice-4/');
+        expect(await getArchivedImage(keys.image_key)).toBeNull();
+    });
+
+    test('stores no keys when the staged image is gone', async () => {
+        expect(await archiveNoticeImage('notice-5', 'staging/missing.png')).toEqual({ image_key: null, thumbnail_key: null });
+    });
+});
+
+describe('image storage', () => {
+    test('rejects keys outside the storage directory', async () => {
+        await expect(getImageStorage().getImage('../../etc/passwd')).rejects.toMatchObject({ code: 'INVALID_IMAGE_KEY' });
+    });
+
+    test('rejects unknown providers', () => {
+        expect(() => getImageStorage('dropbox')).toThrow(expect.objectContaining({ code: 'UNKNOWN_IMAGE_STORAGE_PROVIDER' }));
+    });
+
+    test('describes the provider for the status endpoint', () => {
+        expect(getImageStorageStatus()).toEqual({ provider: 'local', configured: true });
+    });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const llmProviders = require('../llmProviders');
+
+const LLM_ENV = [
+    'LLM_PROVIDER', 'LLM_MODEL', 'LLM_PROVIDER_REFINEMENT', 'LLM_MODEL_REFINEMENT',
+    'LLM_FIXTURE_DIR', 'LLM_FIXTURE_RECORD', 'OPENAI_BASE_URL', 'OPENAI_API_KEY'
+];
+const savedEnv = Object.fromEntries(LLM_ENV.map(name => [name, process.env[name]]));
+
+// A local OpenAI-compatible server that answers with the next queued reply
+let server;
+let requests;
+let replies;
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+            const { status, json } = replies.shift();
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(json));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    requests = [];
+    replies = [];
+});
+
+afterEach(() => {
+    LLM_ENV.forEach(name => {
+        if (savedEnv[name] === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = savedEnv[name];
+        }
+    });
+});
+
+function useLocalServer() {
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1/`;
+}
+
+describe('task configuration', () => {
+    test('picks the provider and model per task, falling back to the global settings', () => {
+        process.env.LLM_PROVIDER = 'fixture';
+        process.env.LLM_PROVIDER_REFINEMENT = 'openai';
+        process.env.LLM_MODEL_REFINEMENT = 'qwen2.5-7b-instruct';
+        process.env.OPENAI_BASE_URL = 'http://127.0.0.1:8080/v1';
+
+        expect(llmProviders.getLlmStatus()).toEqual({
+            extraction: { provider: 'fixture', model: 'replay', configured: true },
+            refinement: { provider: 'openai', model: 'qwen2.5-7b-instruct', configured: true },
+            coordinates: { provider: 'fixture', model: 'replay', configured: true }
+        });
+    });
+
+    test('defaults to Gemini and refuses to call it without a key', async () => {
+        delete process.env.LLM_PROVIDER;
+
+        expect(llmProviders.getLlmStatus().extraction).toEqual({ provider: 'gemini', model: 'gemini-1.5-flash', configured: false });
+        await expect(llmProviders.generateText('extraction', 'prompt')).rejects.toMatchObject({ code: 'LLM_NOT_CONFIGURED' });
+    });
+
+    test('rejects unknown providers', () => {
+        process.env.LLM_PROVIDER = 'claude-local';
+
+        expect(() => llmProviders.isLlmConfigured('extraction')).toThrow(expect.objectContaining({ code: 'UNKNOWN_LLM_PROVIDER' }));
+    });
+});
+
+describe('OpenAI-compatible provider', () => {
+    test('sends the prompt to the chat completions endpoint', async () => {
+        useLocalServer();
+        process.env.LLM_MODEL = 'llama3';
+        process.env.OPENAI_API_KEY = 'local-key';
+        replies.push({ status: 200, json: { choices: [{ message: { content: '{"village_name":"રીબડા"}' } }] } });
+
+        const result = await llmProviders.generateText('extraction', 'Extract the notice');
+
+        expect(result).toEqual({
+            text: '{"village_name":"રીબડા"}',
+            provider: 'openai',
+            model: 'llama3',
+            aiService: 'openai-compatible-llama3'
+        });
+        expect(requests[0].url).toBe('/v1/chat/completions');
+        expect(requests[0].headers.authorization).toBe('Bearer local-key');
+        expect(requests[0].body).toEqual({
+            model: 'llama3',
+            messages: [{ role: 'user', content: 'Extract the notice' }],
+            temperature: 0
+        });
+    });
+
+    test('reports rate limits as quota errors', async () => {
+        useLocalServer();
+        replies.push({ status: 429, json: { error: 'slow down' } });
+
+        await expect(llmProviders.generateText('extraction', 'prompt')).rejects.toMatchObject({ code: 'LLM_QUOTA_EXCEEDED', statusCode: 429 });
+    });
+
+    test('rejects responses without completion text', async () => {
+        useLocalServer();
+        replies.push({ status: 200, json: { choices: [] } });
+
+        await expect(llmProviders.generateText('extraction', 'prompt')).rejects.toMatchObject({ code: 'LLM_API_ERROR' });
+    });
+});
+
+describe('fixture provider', () => {
+    test('replays the per-task fixture', async () => {
+        process.env.LLM_PROVIDER = 'fixture';
+
+        const { text, aiService } = await llmProviders.generateText('extraction', 'any prompt');
+
+        expect(JSON.parse(text).data.village_name).toBe('રીબડા');
+        expect(aiService).toBe('fixture-replay');
+    });
+
+    test('records real responses and replays them for the same prompt', async () => {
+        const fixtureDir = path.join(process.env.UPLOAD_DIR, 'llm-fixtures');
+        useLocalServer();
+        process.env.LLM_FIXTURE_DIR = fixtureDir;
+        process.env.LLM_FIXTURE_RECORD = 'true';
+        replies.push({ status: 200, json: { choices: [{ message: { content: 'recorded answer' } }] } });
+
+        await llmProviders.generateText('coordinates', 'Where is Ribda?');
+        const [fixtureFile] = fs.readdirSync(fixtureDir);
+        expect(fixtureFile).toMatch(/^coordinates-[0-9a-f]{16}\.json$/);
+        expect(JSON.parse(fs.readFileSync(path.join(fixtureDir, fixtureFile), 'utf8'))).toMatchObject({
+            task: 'coordinates',
+            provider: 'openai',
+            response: 'recorded answer'
+        });
+
+        process.env.LLM_PROVIDER = 'fixture';
+        process.env.LLM_FIXTURE_RECORD = 'false';
+        expect((await llmProviders.generateText('coordinates', 'Where is Ribda?')).text).toBe('recorded answer');
+        await expect(llmProviders.generateText('coordinates', 'Where is Gondal?')).rejects.toMatchObject({ code: 'LLM_FIXTURE_MISSING' });
+    });
+});
@@ -0,0 +1,134 @@
+jest.mock('../llmProviders', () => ({
+    ...jest.requireActual('../llmProviders'),
+    generateText: jest.fn()
+}));
+
+const { generateText } = require('../llmProviders');
+const { validateModelResponse, generateValidatedResponse } = require('../llmResponseValidator');
+const { runProcessingStages } = require('../ocrService');
+const { SAMPLE_NOTICE_TEXT } = require('../../test/helpers');
+
+const reply = text => ({ text, provider: 'fixture', model: 'replay', aiService: 'fixture-replay' });
+
+afterEach(() => {
+    generateText.mockReset();
+    delete process.env.LLM_REPAIR_ATTEMPTS;
+});
+
+describe('validateModelResponse', () => {
+    test('parses fenced JSON and normalises empty values and mobile numbers', () => {
+        const text = '```json\n{"data": {"village_name": "રીબડા", "buyer_name": "", "advocate_mobile": "+91 98765-43210", "notice_date": "15/03/2024"}, "confidence": 0.9}\n```';
+
+        const { value, errors } = validateModelResponse('extraction', text);
+
+        expect(errors).toEqual([]);
+        expect(value.confidence).toBe(0.9);
+        expect(value.data).toMatchObject({
+            village_name: 'રીબડા',
+            buyer_name: null,
+            advocate_mobile: '9876543210',
+            notice_date: '15/03/2024',
+            taluka: null
+        });
+    });
+
+    test('finds the JSON object inside surrounding prose', () => {
+        const { value } = validateModelResponse('refinement', 'Here you go: {"village_name": "રીબડા"} Hope this helps');
+
+        expect(value.village_name).toBe('રીબડા');
+    });
+
+    test('reports every schema violation', () => {
+        const text = JSON.stringify({ data: { notice_date: '2024-03-15', advocate_mobile: '૯૮૭૬૫૪૩૨૧૦' }, confidence: 3 });
+
+        const { value, errors } = validateModelResponse('extraction', text);
+
+        expect(value).toBeNull();
+        expect(errors).toEqual([
+            '"data.notice_date" must be a date in DD/MM/YYYY format with English digits',
+            '"data.advocate_mobile" must be a 10-digit mobile number with English digits only',
+            '"confidence" must be less than or equal to 1'
+        ]);
+    });
+
+    test('rejects coordinates outside Gujarat and half a coordinate pair', () => {
+        expect(validateModelResponse('coordinates', '{"latitude": 28.61, "longitude": 77.2}').errors).toEqual([
+            '"latitude" must be inside Gujarat (between 20.0 and 24.8)',
+            '"longitude" must be inside Gujarat (between 68.0 and 74.6)'
+        ]);
+        expect(validateModelResponse('coordinates', '{"latitude": 22.1}').errors).toEqual([
+            '"value" contains [latitude] without its required peers [longitude]'
+        ]);
+    });
+
+    test('reports responses that are not JSON', () => {
+        expect(validateModelResponse('extraction', 'I could not read this notice').errors[0]).toMatch(/^Response is not valid JSON/);
+    });
+});
+
+describe('generateValidatedResponse', () => {
+    test('re-prompts with the validation errors and accepts the repaired response', async () => {
+        generateText
+            .mockResolvedValueOnce(reply('{"village_name": "રીબડા", "notice_date": "15-03-2024"}'))
+            .mockResolvedValueOnce(reply('{"village_name": "રીબડા", "notice_date": "15/03/2024"}'));
+
+        const result = await generateValidatedResponse('refinement', 'Refine this notice');
+
+        expect(result.attempts).toBe(2);
+        expect(result.value.notice_date).toBe('15/03/2024');
+        const repairPrompt = generateText.mock.calls[1][1];
+        expect(repairPrompt).toMatch(/^Refine this notice/);
+        expect(repairPrompt).toContain('"notice_date": "15-03-2024"');
+        expect(repairPrompt).toContain('- "notice_date" must be a date in DD/MM/YYYY format with English digits');
+    });
+
+    test('gives up after LLM_REPAIR_ATTEMPTS repairs', async () => {
+        process.env.LLM_REPAIR_ATTEMPTS = '2';
+        generateText.mockResolvedValue(reply('not json'));
+
+        const error = await generateValidatedResponse('coordinates', 'Locate Ribda').catch(rejection => rejection);
+
+        expect(generateText).toHaveBeenCalledTimes(3);
+        expect(error.code).toBe('LLM_INVALID_RESPONSE');
+        expect(error.details).toMatchObject({ task: 'coordinates', attempts: 3 });
+        expect(error.details.validation_errors[0]).toMatch(/^Response is not valid JSON/);
+    });
+});
+
+describe('processing pipeline', () => {
+    test('keeps extracted values the refinement left empty', async () => {
+        generateText.mockImplementation(async task => reply(task === 'refinement'
+            ? '{"village_name": null, "survey_number": "367/1", "notice_date": null}'
+            : 'not json'));
+
+        const state = await runProcessingStages('/unused.png', {
+            fromStage: 'extracting',
+            state: { raw_text: SAMPLE_NOTICE_TEXT }
+        });
+
+        expect(state.extracted_data).toMatchObject({
+            village_name: 'રીબડા',
+            survey_number: '367/1',
+            notice_date: '15/03/2024',
+            refinement_applied: true
+        });
+    });
+
+    test('falls back to rule extraction and records why the LLM response was rejected', async () => {
+        generateText.mockResolvedValue(reply('{"data": {"notice_date": "March 15"}}'));
+
+        const state = await runProcessingStages('/unused.png', {
+            fromStage: 'extracting',
+            state: { raw_text: SAMPLE_NOTICE_TEXT }
+        });
+
+        expect(state.extraction_model).toBe('rules');
+        expect(state.extracted_data.village_name).toBe('રીબડા');
+        expect(state.llm_failures[0]).toEqual({
+            task: 'extraction',
+            message: expect.stringContaining('after 2 attempts'),
+            code: 'LLM_INVALID_RESPONSE',
+            validation_errors: ['"data.notice_date" must be a date in DD/MM/YYYY format with English digits']
+        });
+    });
+});
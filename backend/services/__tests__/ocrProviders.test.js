@@ -0,0 +1,121 @@
+jest.mock('tesseract.js', () => ({ createWorker: jest.fn() }));
+
+const { createWorker } = require('tesseract.js');
+const ocrProviders = require('../ocrProviders');
+const { createNoticeImage, createUploadedFile } = require('../../test/helpers');
+
+const recognize = jest.fn();
+
+// A tesseract.js recognize() result with one block holding one line of two words
+const tesseractData = {
+    text: 'જાહેર નોટીસ\n',
+    confidence: 91,
+    blocks: [{
+        bbox: { x0: 10, y0: 20, x1: 210, y1: 50 },
+        confidence: 90,
+        paragraphs: [{
+            bbox: { x0: 10, y0: 20, x1: 210, y1: 50 },
+            confidence: 89,
+            lines: [{
+                words: [
+                    { text: 'જાહેર', confidence: 95, bbox: { x0: 10, y0: 20, x1: 90, y1: 50 } },
+                    { text: 'નોટીસ', confidence: 80, bbox: { x0: 100, y0: 20, x1: 210, y1: 50 } }
+                ]
+            }]
+        }]
+    }]
+};
+
+let imagePath;
+
+beforeAll(async () => {
+    process.env.TESSERACT_LANG_PATH = process.env.UPLOAD_DIR;
+    createWorker.mockResolvedValue({ recognize });
+    imagePath = createUploadedFile(await createNoticeImage(1, { width: 300, height: 400 })).path;
+});
+
+beforeEach(() => {
+    recognize.mockReset();
+    recognize.mockResolvedValue({ data: tesseractData });
+});
+
+afterEach(() => {
+    process.env.OCR_PROVIDER = 'tesseract';
+    process.env.OCR_FALLBACK_PROVIDER = '';
+});
+
+describe('tesseract provider', () => {
+    test('maps its result onto the Vision full-text annotation', async () => {
+        const result = await ocrProviders.annotateImage(imagePath);
+
+        expect(result.provider).toBe('tesseract');
+        expect(result.rawText).toBe('જાહેર નોટીસ');
+        const page = result.fullTextAnnotation.pages[0];
+        expect(page).toMatchObject({ width: 300, height: 400, confidence: 0.91 });
+
+        const [paragraph] = page.blocks[0].paragraphs;
+        expect(page.blocks[0].confidence).toBe(0.9);
+        expect(paragraph.words.map(word => word.confidence)).toEqual([0.95, 0.8]);
+        expect(paragraph.words[1].boundingBox.vertices).toEqual([
+            { x: 100, y: 20 }, { x: 210, y: 20 }, { x: 210, y: 50 }, { x: 100, y: 50 }
+        ]);
+        expect(paragraph.words[0].symbols.map(symbol => symbol.text).join('')).toBe('જાહેર');
+        expect(paragraph.words[0].symbols.at(-1).property.detectedBreak.type).toBe('SPACE');
+        expect(paragraph.words[1].symbols.at(-1).property.detectedBreak.type).toBe('EOL_SURE_SPACE');
+    });
+
+    test('reports images without text', async () => {
+        recognize.mockResolvedValue({ data: { ...tesseractData, text: '  \n' } });
+
+        await expect(ocrProviders.annotateImage(imagePath)).rejects.toMatchObject({ code: 'NO_TEXT_DETECTED' });
+    });
+});
+
+describe('provider fallback', () => {
+    test('falls back when Vision has no credentials', async () => {
+        process.env.OCR_PROVIDER = 'vision';
+        process.env.OCR_FALLBACK_PROVIDER = 'tesseract';
+
+        const result = await ocrProviders.annotateImage(imagePath);
+
+        expect(result.provider).toBe('tesseract');
+        expect(recognize).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not retry problems with the document itself', async () => {
+        process.env.OCR_PROVIDER = 'vision';
+        process.env.OCR_FALLBACK_PROVIDER = 'tesseract';
+
+        await expect(ocrProviders.annotateImage('/no/such/notice.png')).rejects.toMatchObject({ code: 'FILE_NOT_FOUND' });
+        expect(recognize).not.toHaveBeenCalled();
+    });
+
+    test('surfaces the last provider error when every provider fails', async () => {
+        process.env.OCR_PROVIDER = 'vision';
+
+        await expect(ocrProviders.annotateImage(imagePath)).rejects.toMatchObject({ code: 'OCR_PROVIDER_UNAVAILABLE' });
+    });
+
+    test('rejects unknown providers', async () => {
+        process.env.OCR_PROVIDER = 'abbyy';
+
+        await expect(ocrProviders.annotateImage(imagePath)).rejects.toMatchObject({ code: 'UNKNOWN_OCR_PROVIDER' });
+    });
+});
+
+describe('getOcrStatus', () => {
+    test('describes the provider chain', () => {
+        process.env.OCR_PROVIDER = 'tesseract';
+        process.env.OCR_FALLBACK_PROVIDER = 'vision';
+
+        expect(ocrProviders.getOcrStatus()).toEqual({
+            provider: 'tesseract',
+            fallback_provider: 'vision',
+            pdf_supported: true,
+            providers: {
+                vision: { configured: false, supports_pdf: true },
+                tesseract: { configured: true, supports_pdf: false }
+            }
+        });
+    });
+});
@@ -0,0 +1,86 @@
+const { locateValue, buildFieldProvenance } = require('../provenanceService');
+const { runProcessingStages, formatProcessingResult } = require('../ocrService');
+const { SAMPLE_NOTICE_TEXT } = require('../../test/helpers');
+
+// OCR word layout for "સર્વે નં. ૩૬૭ પૈકી ૧" on one line
+const words = [
+    { text: 'સર્વે', separator: ' ', box: { x: 10, y: 100, width: 60, height: 20 }, confidence: 0.95 },
+    { text: 'નં.', separator: ' ', box: { x: 75, y: 100, width: 30, height: 20 }, confidence: 0.9 },
+    { text: '૩૬૭', separator: ' ', box: { x: 110, y: 100, width: 40, height: 20 }, confidence: 0.8 },
+    { text: 'પૈકી', separator: ' ', box: { x: 155, y: 98, width: 45, height: 24 }, confidence: 0.9 },
+    { text: '૧', separator: '\n', box: { x: 205, y: 100, width: 15, height: 20 }, confidence: 0.7 }
+];
+
+describe('locateValue', () => {
+    test('matches values despite Gujarati digits, separators and leading zeros', () => {
+        const text = 'નોટીસ તારીખ ૧૫-૩-૨૦૨૪ ના રોજ';
+
+        expect(locateValue(text, '15/03/2024')).toEqual({ start: 12, end: 21, partial: false });
+        expect(locateValue(SAMPLE_NOTICE_TEXT, '367 પૈકી-1')).toMatchObject({ partial: false });
+    });
+
+    test('falls back to the most distinctive word', () => {
+        const span = locateValue(SAMPLE_NOTICE_TEXT, 'શ્રી રમેશભાઈ પટેલ');
+
+        expect(span.partial).toBe(true);
+        expect(SAMPLE_NOTICE_TEXT.substring(span.start, span.end)).toBe('રમેશભાઈ');
+    });
+
+    test('returns null for values that are not in the text', () => {
+        expect(locateValue(SAMPLE_NOTICE_TEXT, 'અમદાવાદ')).toBeNull();
+        expect(locateValue('', 'રીબડા')).toBeNull();
+    });
+});
+
+describe('buildFieldProvenance', () => {
+    test('scores each field and locates it on the image', () => {
+        const provenance = buildFieldProvenance({
+            raw_text: 'સર્વે નં. ૩૬૭ પૈકી ૧\nગામ રીબડા',
+            extracted_data: { survey_number: '367 પૈકી-1', village_name: 'રીબડા', buyer_name: 'જયેશ શાહ', district: 'રાજકોટ' },
+            confidence_score: 0.8,
+            ocr_words: words,
+            rule_extracted_data: { survey_number: '367 પૈકી-1', district: 'જામનગર' },
+            extraction_disagreements: [{ field: 'district', llm_value: 'રાજકોટ', rule_value: 'જામનગર' }],
+            extraction_model: 'gemini'
+        });
+
+        expect(provenance.survey_number).toEqual({
+            confidence: 0.72,
+            source_span: { start: 10, end: 20, text: '૩૬૭ પૈકી ૧', partial: false },
+            bounding_box: { x: 110, y: 98, width: 110, height: 24 },
+            ocr_confidence: expect.closeTo(0.8),
+            rule_agreement: true
+        });
+        expect(provenance.village_name).toMatchObject({ confidence: 0.8, source_span: { text: 'રીબડા' }, bounding_box: null, rule_agreement: null });
+        // Not in the text at all
+        expect(provenance.buyer_name).toMatchObject({ confidence: 0.48, source_span: null });
+        // Not in the text, and the rules read something else
+        expect(provenance.district).toMatchObject({ confidence: 0.24, rule_agreement: false });
+        expect(provenance.taluka).toEqual({ confidence: null, source_span: null, bounding_box: null, ocr_confidence: null, rule_agreement: null });
+    });
+
+    test('does not count rule-extracted values as agreeing with themselves', () => {
+        const provenance = buildFieldProvenance({
+            raw_text: SAMPLE_NOTICE_TEXT,
+            extracted_data: { village_name: 'રીબડા' },
+            rule_extracted_data: { village_name: 'રીબડા' },
+            confidence_score: 0.7,
+            extraction_model: 'rules'
+        });
+
+        expect(provenance.village_name).toMatchObject({ confidence: 0.7, rule_agreement: null });
+    });
+});
+
+test('processing results include the provenance of every field', async () => {
+    const state = await runProcessingStages('/unused.png', {
+        fromStage: 'extracting',
+        state: { raw_text: SAMPLE_NOTICE_TEXT }
+    });
+
+    const { field_provenance: provenance } = formatProcessingResult(state, 10);
+
+    expect(provenance.village_name.source_span.text).toBe('રીબડા');
+    expect(provenance.advocate_mobile.source_span.text).toBe('૯૮૭૬૫૪૩૨૧૦');
+    expect(provenance.buyer_name.rule_agreement).toBe(true);
+});
@@ -0,0 +1,76 @@
+const { extractWithRules, compareExtractions, normalizeDigits } = require('../ruleExtractionService');
+const { SAMPLE_NOTICE_TEXT } = require('../../test/helpers');
+
+describe('extractWithRules', () => {
+    test('extracts every field of a typical notice', () => {
+        const { extracted_data: data, confidence_score: confidence } = extractWithRules(SAMPLE_NOTICE_TEXT);
+
+        expect(data).toEqual({
+            village_name: 'રીબડા',
+            village_name_cleaned: 'રીબડા',
+            survey_number: '367 પૈકી-1',
+            buyer_name: 'રમેશભાઈ કાનજીભાઈ પટેલ',
+            seller_name: 'સુરેશભાઈ મનજીભાઈ શાહ',
+            notice_date: '15/03/2024',
+            advocate_name: 'એ. બી. જોષી',
+            advocate_address: 'ઓફિસ નં. ૧૨, કોર્ટ રોડ, રાજકોટ',
+            advocate_mobile: '9876543210',
+            district: 'રાજકોટ',
+            taluka: 'ગોંડલ'
+        });
+        expect(confidence).toBe(0.7);
+    });
+
+    test('stops party names at the end of the sentence', () => {
+        const names = text => {
+            const { buyer_name: buyer, seller_name: seller } = extractWithRules(text).extracted_data;
+            return { buyer, seller };
+        };
+
+        expect(names('ખરીદનાર: હરેશભાઈ પટેલ જમીન ખરીદવા ઇચ્છે છે.')).toMatchObject({ buyer: 'હરેશભાઈ પટેલ' });
+        expect(names('ખરીદનાર: કે. એમ. દવે. વાંધો હોય તો જણાવવું')).toMatchObject({ buyer: 'કે. એમ. દવે' });
+        expect(names('વેચનાર: મહેશભાઈ રાઠોડ। ખરીદનાર: જયેશ શાહ')).toEqual({ seller: 'મહેશભાઈ રાઠોડ', buyer: 'જયેશ શાહ' });
+        expect(names('રમેશભાઈ કાનજીભાઈ પટેલ પાસેથી જમીન વેચાણ રાખેલ છે')).toMatchObject({ seller: 'રમેશભાઈ કાનજીભાઈ પટેલ' });
+    });
+
+    test('reads districts abbreviated as જી. or જિ.', () => {
+        expect(extractWithRules('તા. ગોંડલ, જી. રાજકોટ').extracted_data.district).toBe('રાજકોટ');
+        expect(extractWithRules('તા. મોરબી, જિ. મોરબી').extracted_data.district).toBe('મોરબી');
+        expect(extractWithRules('રાજકોટ જિલ્લાના ગોંડલ તાલુકાના').extracted_data).toMatchObject({ district: 'રાજકોટ', taluka: 'ગોંડલ' });
+    });
+
+    test('scores notices by the fields found', () => {
+        const result = extractWithRules('કોઈ માહિતી નથી');
+
+        expect(result.confidence_score).toBe(0);
+        expect(result.notes).toBe('Rule-based extraction matched: no fields');
+    });
+});
+
+describe('compareExtractions', () => {
+    const ruleData = extractWithRules(SAMPLE_NOTICE_TEXT).extracted_data;
+
+    test('flags fields where the LLM disagrees with the rules', () => {
+        const llmData = { ...ruleData, survey_number: '૩૭૬ પૈકી ૧', advocate_mobile: '+91 98765 43210' };
+
+        expect(compareExtractions(llmData, ruleData)).toEqual([
+            { field: 'survey_number', llm_value: '૩૭૬ પૈકી ૧', rule_value: '367 પૈકી-1' }
+        ]);
+    });
+
+    test('accepts names that only add an honorific and transliterated values', () => {
+        const llmData = { ...ruleData, buyer_name: 'શ્રી રમેશભાઈ કાનજીભાઈ પટેલ', district: 'Rajkot' };
+
+        expect(compareExtractions(llmData, ruleData)).toEqual([]);
+    });
+
+    test('flags fields the LLM missed', () => {
+        expect(compareExtractions({ ...ruleData, taluka: null }, ruleData)).toEqual([
+            { field: 'taluka', llm_value: null, rule_value: 'ગોંડલ' }
+        ]);
+    });
+});
+
+test('normalizeDigits converts Gujarati numerals', () => {
+    expect(normalizeDigits('સર્વે નં. ૩૬૭/૧')).toBe('સર્વે નં. 367/1');
+});
@@ -0,0 +1,54 @@
+const { segmentPage, toRectangle } = require('../segmentationService');
+const { TWO_COLUMN_PAGE_BLOCKS, createPageAnnotation } = require('../../test/helpers');
+
+describe('segmentPage', () => {
+    test('splits a two-column page into notices at headings and wide gaps, column by column', () => {
+        const { page, segments } = segmentPage(createPageAnnotation(TWO_COLUMN_PAGE_BLOCKS));
+
+        expect(page).toEqual({ width: 1000, height: 1400 });
+        expect(segments).toHaveLength(4);
+        expect(segments.map(segment => segment.index)).toEqual([0, 1, 2, 3]);
+        expect(segments.map(segment => segment.boundingBox)).toEqual([
+            { x: 40, y: 40, width: 440, height: 96 },
+            { x: 40, y: 144, width: 440, height: 96 },
+            { x: 520, y: 40, width: 440, height: 92 },
+            { x: 520, y: 300, width: 440, height: 68 }
+        ]);
+        expect(segments.map(segment => segment.blockCount)).toEqual([2, 2, 1, 1]);
+    });
+
+    test('keeps the text, word boxes and confidence of each notice', () => {
+        const [first, , third] = segmentPage(createPageAnnotation(TWO_COLUMN_PAGE_BLOCKS)).segments;
+
+        expect(first.text).toBe([...TWO_COLUMN_PAGE_BLOCKS[0].lines, ...TWO_COLUMN_PAGE_BLOCKS[1].lines].join('\n'));
+        expect(third.text).toMatch(/^મોજે ગામ મોવિયાના/);
+        expect(first.words[0]).toEqual({ text: 'જાહેર', separator: ' ', box: { x: 40, y: 40, width: 216, height: 20 }, confidence: 0.9 });
+        expect(first.confidence).toBeCloseTo(0.9);
+    });
+
+    test('keeps blocks without a gap or heading between them in one notice', () => {
+        // The second notice on the left without its heading, right below the first
+        const blocks = TWO_COLUMN_PAGE_BLOCKS.filter((block, index) => index !== 2)
+            .map(block => (block === TWO_COLUMN_PAGE_BLOCKS[3] ? { ...block, y: 144 } : block));
+
+        const { segments } = segmentPage(createPageAnnotation(blocks));
+
+        expect(segments).toHaveLength(3);
+        expect(segments[0]).toMatchObject({ blockCount: 3, boundingBox: { x: 40, y: 40, width: 440, height: 172 } });
+    });
+
+    test('drops page furniture and returns no notices for a page without layout', () => {
+        const { segments } = segmentPage(createPageAnnotation([TWO_COLUMN_PAGE_BLOCKS[6]]));
+
+        expect(segments).toEqual([]);
+        expect(segmentPage(null)).toEqual({ page: null, segments: [] });
+    });
+});
+
+describe('toRectangle', () => {
+    test('scales the normalized vertices of PDF pages to the page size', () => {
+        const boundingBox = { normalizedVertices: [{ x: 0.1, y: 0.2 }, { x: 0.5, y: 0.2 }, { x: 0.5, y: 0.3 }, { x: 0.1, y: 0.3 }] };
+
+        expect(toRectangle(boundingBox, { width: 1000, height: 1400 })).toEqual({ x: 100, y: 280, width: 400, height: 140 });
+    });
+});
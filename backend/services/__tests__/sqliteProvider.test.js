@@ -0,0 +1,177 @@
+const storageProviders = require('../storageProviders');
+const sqlite = require('../storageProviders/sqliteProvider');
+
+const notice = (extractedData = {}) => ({
+    raw_text: 'મોજે ગામ રીબડાના રેવન્યુ સર્વે નં. ૩૬૭',
+    extracted_data: {
+        village_name: 'રીબડા',
+        survey_number: '૩૬૭',
+        buyer_name: 'રમેશભાઈ પટેલ',
+        notice_date: '15/03/2024',
+        district: 'રાજકોટ',
+        taluka: 'ગોંડલ',
+        ...extractedData
+    },
+    confidence_score: 0.9,
+    processing_time_ms: 1200,
+    publication: { newspaper: 'Sandesh', edition: 'Rajkot', publication_date: '2024-03-16' }
+});
+
+describe('sqlite storage provider', () => {
+    test('saves a notice with its first version and publication', async () => {
+        const saved = await sqlite.savePropertyNotice(notice());
+
+        const stored = await sqlite.getPropertyNoticeById(saved.id);
+        expect(stored).toMatchObject({
+            id: saved.id,
+            village_name: 'રીબડા',
+            notice_date: '2024-03-15',
+            district: 'Rajkot',
+            taluka: 'Gondal',
+            current_version: 1,
+            uploaded_at: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/)
+        });
+        expect(await sqlite.getPropertyNoticeVersions(saved.id)).toEqual([
+            expect.objectContaining({ version: 1, source: 'extraction', changed_fields: [] })
+        ]);
+        expect(await sqlite.getPropertyNoticePublications(saved.id)).toEqual([
+            expect.objectContaining({ newspaper: 'Sandesh', edition: 'Rajkot', source: 'upload' })
+        ]);
+    });
+
+    test('keeps history and versions of updates', async () => {
+        const saved = await sqlite.savePropertyNotice(notice());
+
+        const updated = await sqlite.updatePropertyNotice(saved.id, { buyer_name: 'જયેશ શાહ' }, { source: 'manual', changedBy: 'reviewer' });
+
+        expect(updated).toMatchObject({ buyer_name: 'જયેશ શાહ', current_version: 2 });
+        expect(updated.extracted_data.buyer_name).toBe('જયેશ શાહ');
+        expect(await sqlite.getPropertyNoticeHistory(saved.id)).toEqual([
+            expect.objectContaining({ field: 'buyer_name', old_value: 'રમેશભાઈ પટેલ', new_value: 'જયેશ શાહ', changed_by: 'reviewer' })
+        ]);
+        expect((await sqlite.getPropertyNoticeVersion(saved.id, 2)).snapshot.buyer_name).toBe('જયેશ શાહ');
+        expect(await sqlite.updatePropertyNotice('no-such-notice', { buyer_name: 'x' })).toBeNull();
+    });
+
+    test('records geocoder results and lists notices still needing a location', async () => {
+        const pending = await sqlite.savePropertyNotice(notice({ village_name: 'ખીરસરા' }));
+        const located = await sqlite.savePropertyNotice(notice({ village_name: 'ભાયાવદર' }));
+
+        await sqlite.updatePropertyNoticeLocation(located.id, {
+            latitude: 21.86,
+            longitude: 70.25,
+            formatted_address: 'Bhayavadar, Gujarat',
+            coordinate_source: 'google_maps',
+            status: 'success'
+        });
+
+        expect(await sqlite.getPropertyNoticeById(located.id)).toMatchObject({ latitude: 21.86, geocoding_status: 'success' });
+        const needing = await sqlite.getVillagesNeedingGeocoding();
+        expect(needing).toEqual(expect.arrayContaining([{ id: pending.id, village_name: 'ખીરસરા', district: 'Rajkot' }]));
+        expect(needing.map(village => village.id)).not.toContain(located.id);
+    });
+
+    test('deletes a notice with everything recorded about it', async () => {
+        const saved = await sqlite.savePropertyNotice(notice());
+        await sqlite.updatePropertyNotice(saved.id, { taluka: 'જેતપુર' }, { source: 'manual' });
+
+        expect(await sqlite.deletePropertyNotice(saved.id)).toBe(true);
+
+        expect(await sqlite.getPropertyNoticeById(saved.id)).toBeNull();
+        expect(await sqlite.getPropertyNoticeHistory(saved.id)).toEqual([]);
+        expect(await sqlite.getPropertyNoticeVersions(saved.id)).toEqual([]);
+        expect(await sqlite.deletePropertyNotice(saved.id)).toBe(false);
+    });
+
+    test('reports database stats', async () => {
+        const stats = await sqlite.getDatabaseStats();
+
+        expect(stats.database_type).toBe('SQLite');
+        expect(stats.total_notices).toBeGreaterThan(0);
+        expect(stats.recent_notices_7_days).toBe(stats.total_notices);
+    });
+
+    test('implements every repository method', () => {
+        const missing = Object.keys(storageProviders)
+            .filter(method => typeof storageProviders[method] === 'function')
+            .filter(method => !['getStorageProvider', 'getStorageStatus', 'onNoticeChange'].includes(method))
+            .filter(method => typeof sqlite[method] !== 'function');
+
+        expect(missing).toEqual([]);
+    });
+});
+
+describe('storage migration', () => {
+    // Records as another provider exports them
+    const exported = {
+        property_notices: [{
+            id: 'notice-1',
+            village_name: 'રીબડા',
+            extracted_data: { village_name: 'રીબડા' },
+            current_version: 2,
+            uploaded_at: '2024-03-16T08:00:00.000Z',
+            updated_at: '2024-03-17T08:00:00.000Z'
+        }],
+        notice_history: [{
+            notice_id: 'notice-1',
+            id: 'history-1',
+            field: 'village_name',
+            old_value: 'રીબડ',
+            new_value: 'રીબડા',
+            source: 'manual',
+            changed_at: '2024-03-17T08:00:00.000Z'
+        }],
+        notice_versions: [1, 2].map(version => ({
+            notice_id: 'notice-1',
+            version,
+            snapshot: { village_name: version === 1 ? 'રીબડ' : 'રીબડા' },
+            source: version === 1 ? 'extraction' : 'manual',
+            created_at: '2024-03-17T08:00:00.000Z'
+        })),
+        users: [{ id: 'user-1', email: 'reviewer@example.com', role: 'reviewer' }]
+    };
+
+    let migrateStorage;
+    let source;
+
+    beforeAll(() => {
+        source = {
+            name: 'firestore',
+            testConnection: jest.fn(async () => true),
+            exportRecords: jest.fn(async recordSet => exported[recordSet] || [])
+        };
+        jest.spyOn(storageProviders, 'getStorageProvider').mockImplementation(name => (name === 'sqlite' ? sqlite : source));
+        ({ migrateStorage } = require('../../scripts/migrate-storage'));
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a dry run counts the records without copying them', async () => {
+        const counts = await migrateStorage({ from: 'firestore', to: 'sqlite', dryRun: true });
+
+        expect(counts).toMatchObject({ property_notices: 1, notice_history: 1, notice_versions: 2, users: 1, api_keys: 0 });
+        expect(await sqlite.getPropertyNoticeById('notice-1')).toBeNull();
+    });
+
+    test('copies every record set and can be re-run', async () => {
+        await migrateStorage({ from: 'firestore', to: 'sqlite' });
+        await migrateStorage({ from: 'firestore', to: 'sqlite' });
+
+        expect(await sqlite.getPropertyNoticeById('notice-1')).toMatchObject({ village_name: 'રીબડા', uploaded_at: '2024-03-16T08:00:00.000Z' });
+        expect(await sqlite.getPropertyNoticeHistory('notice-1')).toEqual([
+            expect.objectContaining({ id: 'history-1', new_value: 'રીબડા' })
+        ]);
+        expect((await sqlite.getPropertyNoticeVersions('notice-1')).map(version => version.version)).toEqual([2, 1]);
+        expect(await sqlite.getUserById('user-1')).toMatchObject({ email: 'reviewer@example.com' });
+
+        // Sub-collection records are exported with the notice they belong to
+        const history = await sqlite.exportRecords('notice_history');
+        expect(history.filter(entry => entry.notice_id === 'notice-1')).toEqual(exported.notice_history);
+    });
+
+    test('refuses to migrate a provider onto itself', async () => {
+        await expect(migrateStorage({ from: 'sqlite', to: 'sqlite' })).rejects.toThrow(/^Usage/);
+    });
+});
@@ -0,0 +1,258 @@
+/**
+ * Gujarat Administrative Areas
+ * Reference model of Gujarat's districts and their talukas, with canonical English and Gujarati names
+ * and other known spellings, bundled as gazetteer/gujarat-talukas.csv (one row per taluka; a district
+ * whose talukas are not listed has one row with an empty taluka). Villages come from the gazetteer.
+ *
+ * Notices are checked against it when they are saved or their location changes:
+ *   errors    impossible combinations: a district outside Gujarat, a taluka of another district
+ *   warnings  what the reference cannot confirm: no district, a taluka it does not list, a village
+ *             the gazetteer only knows in another district or taluka (the gazetteer may be incomplete)
+ * and district and taluka are stored under their canonical English names.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, placeNameKey, placePhoneticKey, findVillage } = require('./gazetteerService');
+
+const ADMIN_AREAS_PATH = path.join(__dirname, '..', 'gazetteer', 'gujarat-talukas.csv');
+
+// "જી. રાજકોટ" (or "જિ."), "તા. ગોંડલ", "Rajkot District", "Gondal Taluka" name the same places as "રાજકોટ" and "ગોંડલ"
+const AREA_PREFIX = /^(?:(?:જી|જિ|તા|dist|ta)(?:\.\s*|\s+)|(?:જિલ્લો|જિલ્લા|તાલુકો|તાલુકા|district|taluka|taluk|tehsil)\s+)/i;
+const AREA_SUFFIX = /\s+(?:જિલ્લો|જિલ્લા|તાલુકો|તાલુકા|district|taluka|taluk|tehsil|sub-district)$/i;
+
+const ERROR_CODES = ['unknown_district', 'taluka_not_in_district'];
+
+let loaded = null;
+
+function cleanAreaName(name) {
+    const text = String(name ?? '').trim().replace(/\s+/g, ' ');
+    return text.replace(AREA_PREFIX, '').replace(AREA_SUFFIX, '').trim() || null;
+}
+
+function addNames(index, names, value) {
+    names.forEach(name => {
+        [[index.byName, placeNameKey(name)], [index.bySound, placePhoneticKey(name)]].forEach(([map, key]) => {
+            if (key && !(map.get(key) || []).includes(value)) {
+                map.set(key, [...(map.get(key) || []), value]);
+            }
+        });
+    });
+}
+
+// Entries named like name (and accepted by filter): by romanised spelling, else by consonant
+// skeleton ("Rajkot" / "રાજકોટ") unless exactOnly
+function lookup(index, name, { filter = () => true, exactOnly = false } = {}) {
+    const cleaned = cleanAreaName(name);
+    if (!cleaned) {
+        return [];
+    }
+    const exact = (index.byName.get(placeNameKey(cleaned)) || []).filter(filter);
+    return exact.length > 0 || exactOnly ? exact : (index.bySound.get(placePhoneticKey(cleaned)) || []).filter(filter);
+}
+
+/**
+ * The reference model: districts with their talukas, indexed by name
+ * @returns {Object} - { districts, districtIndex, talukaIndex }
+ */
+function getAdminAreas() {
+    if (loaded) {
+        return loaded;
+    }
+
+    const [header, ...rows] = parseCsv(fs.readFileSync(ADMIN_AREAS_PATH, 'utf8'));
+    const columns = header.map(column => column.trim());
+    const districts = new Map();
+    const districtIndex = { byName: new Map(), bySound: new Map() };
+    const talukaIndex = { byName: new Map(), bySound: new Map() };
+    const altNames = value => (value || '').split('|').map(name => name.trim()).filter(Boolean);
+
+    rows.map(row => Object.fromEntries(columns.map((column, index) => [column, (row[index] || '').trim()])))
+        .forEach(row => {
+            if (!districts.has(row.district)) {
+                const district = { name: row.district, name_gu: row.district_gu || null, alt_names: altNames(row.district_alt_names), talukas: [] };
+                districts.set(row.district, district);
+                addNames(districtIndex, [district.name, district.name_gu, ...district.alt_names].filter(Boolean), district);
+            }
+            if (row.taluka) {
+                const district = districts.get(row.district);
+                const taluka = { name: row.taluka, name_gu: row.taluka_gu || null, alt_names: altNames(row.taluka_alt_names), district };
+                district.talukas.push(taluka);
+                addNames(talukaIndex, [taluka.name, taluka.name_gu, ...taluka.alt_names].filter(Boolean), taluka);
+            }
+        });
+
+    loaded = { districts: [...districts.values()], districtIndex, talukaIndex };
+    return loaded;
+}
+
+/**
+ * Find a Gujarat district by any of its names
+ * @param {string} name - District name, in Gujarati or English, with or without "જી." / "જિ." / "District"
+ * @param {Object} options - { exactOnly } to skip sound-alike matches
+ * @returns {Object|null} - { name, name_gu, alt_names, talukas }, or null if unknown or ambiguous
+ */
+function findDistrict(name, { exactOnly = false } = {}) {
+    const matches = lookup(getAdminAreas().districtIndex, name, { exactOnly });
+    return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Find the talukas of a name (several districts have a taluka of the same name)
+ * @param {string} name - Taluka name, in Gujarati or English, with or without "તા." / "Taluka"
+ * @param {Object} options - { district } to search one district's talukas, { exactOnly } to skip
+ *   sound-alike matches
+ * @returns {Array} - Talukas ({ name, name_gu, alt_names, district })
+ */
+function findTalukas(name, { district = null, exactOnly = false } = {}) {
+    const filter = taluka => !district || taluka.district === district;
+    return lookup(getAdminAreas().talukaIndex, name, { filter, exactOnly });
+}
+
+/**
+ * Canonical district and taluka among administrative area names of unknown level (Google Maps'
+ * administrative_area_level_2/3); names that are neither a district nor a taluka are dropped
+ * @param {Array} names - Area names, the widest first
+ * @returns {Object} - { district, taluka } canonical English names (null when not recognised)
+ */
+function resolveAreaNames(names) {
+    const areaNames = names.filter(Boolean);
+    const districtIndex = areaNames.findIndex(name => findDistrict(name));
+    const district = districtIndex >= 0 ? findDistrict(areaNames[districtIndex]) : null;
+    const taluka = areaNames
+        .filter((_, index) => index !== districtIndex)
+        .map(name => findTalukas(name, { district }))
+        .find(talukas => talukas.length === 1)?.[0] || null;
+
+    return { district: (district || taluka?.district)?.name || null, taluka: taluka?.name || null };
+}
+
+function issue(field, code, message) {
+    return { field, code, severity: ERROR_CODES.includes(code) ? 'error' : 'warning', message };
+}
+
+// Gazetteer villages of exactly this name (village names repeat across districts)
+function findNamedVillages(villageName) {
+    // Required here: geocodingService depends on this module
+    const { cleanVillageNameForGeocoding } = require('./geocodingService');
+    try {
+        const match = findVillage(cleanVillageNameForGeocoding(villageName));
+        return match.match_type === 'exact' ? match.candidates : [];
+    } catch (error) {
+        console.warn(`⚠️ Gazetteer lookup failed for ${villageName}: ${error.message}`);
+        return [];
+    }
+}
+
+function checkVillage(villageName, district, taluka) {
+    const villages = findNamedVillages(villageName);
+    if (villages.length === 0) {
+        return [];
+    }
+
+    const inDistrict = villages.filter(village => findDistrict(village.district) === district);
+    if (inDistrict.length === 0) {
+        const elsewhere = [...new Set(villages.map(village => village.district))].join(', ');
+        return [issue('village_name', 'village_not_in_district',
+            `The gazetteer has no village ${villageName} in ${district.name} district, only in ${elsewhere}`)];
+    }
+
+    const talukaKnown = taluka && inDistrict.every(village => village.taluka);
+    if (talukaKnown && !inDistrict.some(village => findTalukas(village.taluka, { district }).includes(taluka))) {
+        const elsewhere = [...new Set(inDistrict.map(village => village.taluka))].join(', ');
+        return [issue('village_name', 'village_not_in_taluka',
+            `The gazetteer has no village ${villageName} in ${taluka.name} taluka, only in ${elsewhere}`)];
+    }
+    return [];
+}
+
+/**
+ * Check a notice's village, taluka and district against each other and canonicalise their names
+ * A taluka found in a single district fills in a missing district
+ * @param {Object} location - { village_name, district, taluka }
+ * @returns {Object} - { district, district_gu, taluka, taluka_gu, status: 'valid' | 'unverified' | 'invalid',
+ *   issues: [{ field, code, severity: 'error' | 'warning', message }] }; unrecognised names are kept as given
+ */
+function checkHierarchy({ village_name: villageName = null, district = null, taluka = null } = {}) {
+    const issues = [];
+    let knownDistrict = null;
+    let knownTaluka = null;
+
+    if (cleanAreaName(district)) {
+        knownDistrict = findDistrict(district);
+        if (!knownDistrict) {
+            issues.push(issue('district', 'unknown_district', `${cleanAreaName(district)} is not a district of Gujarat`));
+        }
+    }
+
+    if (cleanAreaName(taluka)) {
+        const inDistrict = findTalukas(taluka, { district: knownDistrict });
+        // Only a taluka spelled exactly like one of another district rules the combination out
+        const elsewhere = knownDistrict && inDistrict.length === 0 ? findTalukas(taluka, { exactOnly: true }) : [];
+
+        if (inDistrict.length === 1) {
+            knownTaluka = inDistrict[0];
+            if (!cleanAreaName(district)) {
+                knownDistrict = knownTaluka.district;
+            }
+        } else if (elsewhere.length > 0) {
+            const districts = [...new Set(elsewhere.map(candidate => candidate.district.name))].join(', ');
+            issues.push(issue('taluka', 'taluka_not_in_district',
+                `${cleanAreaName(taluka)} taluka is in ${districts} district, not ${knownDistrict.name}`));
+        } else if (knownDistrict && knownDistrict.talukas.length > 0) {
+            issues.push(issue('taluka', 'unknown_taluka', `${cleanAreaName(taluka)} is not a known taluka of ${knownDistrict.name} district`));
+        }
+    }
+
+    if (!knownDistrict && !cleanAreaName(district)) {
+        issues.push(issue('district', 'missing_district', 'No district'));
+    }
+
+    if (villageName && knownDistrict) {
+        issues.push(...checkVillage(villageName, knownDistrict, knownTaluka));
+    }
+
+    let status = 'valid';
+    if (issues.some(({ severity }) => severity === 'error')) {
+        status = 'invalid';
+    } else if (issues.length > 0 || (cleanAreaName(taluka) && !knownTaluka)) {
+        // Includes talukas of districts the reference lists no talukas for
+        status = 'unverified';
+    }
+
+    return {
+        district: knownDistrict?.name || cleanAreaName(district),
+        district_gu: knownDistrict?.name_gu || null,
+        taluka: knownTaluka?.name || cleanAreaName(taluka),
+        taluka_gu: knownTaluka?.name_gu || null,
+        status,
+        issues
+    };
+}
+
+/**
+ * Describe the reference model for the status endpoint
+ * @returns {Object}
+ */
+function getAdminAreaStatus() {
+    try {
+        const { districts } = getAdminAreas();
+        return {
+            path: ADMIN_AREAS_PATH,
+            districts: districts.length,
+            talukas: districts.reduce((count, district) => count + district.talukas.length, 0),
+            districts_without_talukas: districts.filter(district => district.talukas.length === 0).map(district => district.name)
+        };
+    } catch (error) {
+        return { path: ADMIN_AREAS_PATH, districts: 0, error: error.message };
+    }
+}
+
+module.exports = {
+    getAdminAreas,
+    findDistrict,
+    findTalukas,
+    resolveAreaNames,
+    checkHierarchy,
+    getAdminAreaStatus
+};
@@ -0,0 +1,376 @@
+/**
+ * Authentication Service
+ * Users sign in to the frontend with a username and password and get a JWT; scripts use API keys.
+ * Both carry one of the ROLES, where each role includes the ones before it:
+ *   viewer    read notices, search, images and job status
+ *   reviewer  upload and process notices, save drafts, edit, revert and geocode single villages
+ *   admin     delete notices and run the batch operations that spend paid API quota
+ *
+ * Passwords are stored as scrypt hashes. API keys look like pnk_<id>_<secret>; only a SHA-256 hash of
+ * the secret is stored, so a key is shown once when it is created and cannot be recovered.
+ * Tokens are signed with AUTH_JWT_SECRET and expire after AUTH_TOKEN_TTL (default 12h).
+ *
+ * Image elements cannot send headers, so images are read through signed URLs instead: each one is
+ * valid for a single image path and expires after IMAGE_URL_TTL_SECONDS to twice that (default 10-20 min).
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const {
+    saveUser,
+    getUserById,
+    listUsers: listStoredUsers,
+    updateUser,
+    saveApiKey,
+    getApiKeyById,
+    listApiKeys: listStoredApiKeys,
+    updateApiKey
+} = require('./storageProviders');
+const { AppError } = require('../middleware/errorHandler');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'reviewer', 'admin'];
+const API_KEY_PREFIX = 'pnk';
+const DEFAULT_TOKEN_TTL = '12h';
+const MIN_PASSWORD_LENGTH = 8;
+// last_used_at is a write per request otherwise
+const KEY_USAGE_WRITE_INTERVAL_MS = 15 * 60 * 1000;
+const DEFAULT_IMAGE_URL_TTL_SECONDS = 600;
+
+// Image paths a signed URL can be issued for (a notice's publication scans are read with ?publication=<id>)
+const SIGNABLE_IMAGE_PATH = /^\/api\/(notices|jobs)\/[\w-]+\/(image|thumbnail)(\?publication=[\w-]+)?$/;
+
+/**
+ * Whether a role grants at least the access of another
+ * @param {string} role - Role held
+ * @param {string} requiredRole - Role needed
+ * @returns {boolean}
+ */
+function hasRole(role, requiredRole) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new AppError(`Invalid role: ${role}. Roles: ${ROLES.join(', ')}`, 400, 'INVALID_ROLE');
+    }
+}
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function getJwtSecret() {
+    if (!process.env.AUTH_JWT_SECRET) {
+        throw new AppError('Sign-in is not configured. Set AUTH_JWT_SECRET', 500, 'AUTH_NOT_CONFIGURED');
+    }
+    return process.env.AUTH_JWT_SECRET;
+}
+
+// Users and keys as returned to callers: never with their hashes
+function toPublicUser(user) {
+    const { password_hash, ...publicUser } = user;
+    return publicUser;
+}
+
+function toPublicApiKey(apiKey) {
+    const { secret_hash, ...publicKey } = apiKey;
+    return publicKey;
+}
+
+/**
+ * Create a user
+ * @param {Object} params - { username, password, role }
+ * @returns {Object} - User (without password hash)
+ */
+async function createUser({ username, password, role = 'viewer' }) {
+    const id = normalizeUsername(username);
+    if (!/^[a-z0-9._-]{2,64}$/.test(id)) {
+        throw new AppError('Username must be 2-64 letters, digits, dots, dashes or underscores', 400, 'INVALID_USERNAME');
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        throw new AppError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400, 'INVALID_PASSWORD');
+    }
+    validateRole(role);
+
+    if (await getUserById(id)) {
+        throw new AppError(`User ${id} already exists`, 409, 'USER_EXISTS');
+    }
+
+    const user = await saveUser({
+        id,
+        username: id,
+        role,
+        password_hash: await hashPassword(password),
+        disabled: false
+    });
+    return toPublicUser(user);
+}
+
+async function getExistingUser(username) {
+    const user = await getUserById(normalizeUsername(username));
+    if (!user) {
+        throw new AppError(`User ${username} not found`, 404, 'USER_NOT_FOUND');
+    }
+    return user;
+}
+
+/**
+ * Change a user's role, password or disabled flag
+ * @param {string} username - Username
+ * @param {Object} changes - { role, password, disabled } (each optional)
+ * @returns {Object} - Updated user (without password hash)
+ */
+async function updateUserAccount(username, { role, password, disabled } = {}) {
+    const user = await getExistingUser(username);
+    const updateData = {};
+
+    if (role !== undefined) {
+        validateRole(role);
+        updateData.role = role;
+    }
+    if (password !== undefined) {
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            throw new AppError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400, 'INVALID_PASSWORD');
+        }
+        updateData.password_hash = await hashPassword(password);
+    }
+    if (disabled !== undefined) {
+        updateData.disabled = !!disabled;
+    }
+
+    await updateUser(user.id, updateData);
+    return toPublicUser({ ...user, ...updateData });
+}
+
+/**
+ * All users, without password hashes
+ * @returns {Array}
+ */
+async function listUsers() {
+    return (await listStoredUsers()).map(toPublicUser);
+}
+
+/**
+ * Check a username and password and issue a token
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Object} - { token, expiresAt, user: { username, role } }
+ */
+async function login(username, password) {
+    const secret = getJwtSecret();
+    const user = await getUserById(normalizeUsername(username));
+
+    // Same answer for unknown users and wrong passwords
+    if (!user || user.disabled || !password || !(await verifyPassword(password, user.password_hash))) {
+        throw new AppError('Invalid username or password', 401, 'INVALID_CREDENTIALS');
+    }
+
+    const token = jwt.sign({ role: user.role }, secret, {
+        subject: user.id,
+        expiresIn: process.env.AUTH_TOKEN_TTL || DEFAULT_TOKEN_TTL
+    });
+
+    await updateUser(user.id, { last_login_at: new Date().toISOString() });
+
+    return {
+        token,
+        expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+        user: { username: user.username, role: user.role }
+    };
+}
+
+/**
+ * Resolve a token issued by login
+ * The user is looked up on every request, so disabling a user or changing their role applies at once
+ * @param {string} token - JWT
+ * @returns {Object} - Principal { type: 'user', id, name, role }
+ */
+async function verifyToken(token) {
+    let payload;
+    try {
+        payload = jwt.verify(token, getJwtSecret(), { algorithms: ['HS256'] });
+    } catch (error) {
+        if (error instanceof AppError) {
+            throw error;
+        }
+        throw error.name === 'TokenExpiredError' ?
+            new AppError('Session expired, sign in again', 401, 'TOKEN_EXPIRED') :
+            new AppError('Invalid token', 401, 'INVALID_TOKEN');
+    }
+
+    const user = await getUserById(payload.sub);
+    if (!user || user.disabled) {
+        throw new AppError('User is disabled or no longer exists', 401, 'INVALID_TOKEN');
+    }
+
+    return { type: 'user', id: user.id, name: user.username, role: user.role };
+}
+
+/**
+ * Create an API key for a script
+ * @param {Object} params - { name, role }
+ * @returns {Object} - API key record plus the key itself (only returned here)
+ */
+async function createApiKey({ name, role = 'viewer' }) {
+    if (!name || !String(name).trim()) {
+        throw new AppError('API key name is required', 400, 'INVALID_API_KEY_NAME');
+    }
+    validateRole(role);
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const apiKey = await saveApiKey({
+        id,
+        name: String(name).trim(),
+        role,
+        secret_hash: hashSecret(secret),
+        revoked_at: null,
+        last_used_at: null
+    });
+
+    return { ...toPublicApiKey(apiKey), key: `${API_KEY_PREFIX}_${id}_${secret}` };
+}
+
+/**
+ * Resolve an API key sent by a script
+ * @param {string} key - pnk_<id>_<secret>
+ * @returns {Object} - Principal { type: 'api_key', id, name, role }
+ */
+async function verifyApiKey(key) {
+    const match = /^pnk_([0-9a-f]+)_([A-Za-z0-9_-]+)$/.exec(String(key || ''));
+    const apiKey = match && await getApiKeyById(match[1]);
+
+    if (!apiKey || apiKey.revoked_at ||
+        !crypto.timingSafeEqual(Buffer.from(hashSecret(match[2]), 'hex'), Buffer.from(apiKey.secret_hash, 'hex'))) {
+        throw new AppError('Invalid or revoked API key', 401, 'INVALID_API_KEY');
+    }
+
+    const lastUsed = apiKey.last_used_at ? Date.parse(apiKey.last_used_at) : 0;
+    if (Date.now() - lastUsed > KEY_USAGE_WRITE_INTERVAL_MS) {
+        updateApiKey(apiKey.id, { last_used_at: new Date().toISOString() }).catch(error => {
+            console.warn(`⚠️ Could not record use of API key ${apiKey.id}: ${error.message}`);
+        });
+    }
+
+    return { type: 'api_key', id: apiKey.id, name: `key:${apiKey.name}`, role: apiKey.role };
+}
+
+/**
+ * All API keys, without secret hashes
+ * @returns {Array}
+ */
+async function listApiKeys() {
+    return (await listStoredApiKeys()).map(toPublicApiKey);
+}
+
+/**
+ * Revoke an API key; requests using it are rejected from then on
+ * @param {string} id - API key ID
+ */
+async function revokeApiKey(id) {
+    const apiKey = await getApiKeyById(id);
+    if (!apiKey) {
+        throw new AppError(`API key ${id} not found`, 404, 'API_KEY_NOT_FOUND');
+    }
+    if (!apiKey.revoked_at) {
+        await updateApiKey(id, { revoked_at: new Date().toISOString() });
+    }
+}
+
+function signImagePath(path, expires) {
+    return crypto.createHmac('sha256', getJwtSecret()).update(`image:${path}:${expires}`).digest('base64url');
+}
+
+/**
+ * Whether a signed URL can be issued for a path
+ * @param {string} path - API path, e.g. /api/notices/<id>/thumbnail
+ * @returns {boolean}
+ */
+function isSignableImagePath(path) {
+    return typeof path === 'string' && SIGNABLE_IMAGE_PATH.test(path);
+}
+
+/**
+ * Sign an image path so it can be loaded without credentials
+ * The expiry is rounded up to the end of the next TTL window, so every URL issued for an image within
+ * one window is the same and browsers can cache the image
+ * @param {string} path - Signable image path (see isSignableImagePath)
+ * @returns {Object} - { url, expires_at }
+ */
+function createImageUrl(path) {
+    if (!isSignableImagePath(path)) {
+        throw new AppError(`Cannot sign a URL for ${path}`, 400, 'INVALID_IMAGE_PATH');
+    }
+
+    const ttl = parseInt(process.env.IMAGE_URL_TTL_SECONDS) || DEFAULT_IMAGE_URL_TTL_SECONDS;
+    const expires = (Math.floor(Date.now() / 1000 / ttl) + 2) * ttl;
+    const signature = signImagePath(path, expires);
+
+    return {
+        url: `${path}${path.includes('?') ? '&' : '?'}expires=${expires}&signature=${signature}`,
+        expires_at: new Date(expires * 1000).toISOString()
+    };
+}
+
+/**
+ * Check a signed image URL
+ * @param {string} path - Requested image path, with its publication parameter if any
+ * @param {string} expires - expires parameter (Unix seconds)
+ * @param {string} signature - signature parameter
+ * @returns {Object} - Principal { type: 'image_url', id, name, role } allowed to read that image only
+ */
+function verifyImageUrl(path, expires, signature) {
+    if (!/^\d+$/.test(String(expires)) || Number(expires) * 1000 < Date.now()) {
+        throw new AppError('Image link expired, reload the page', 401, 'IMAGE_URL_EXPIRED');
+    }
+
+    const expected = Buffer.from(signImagePath(path, expires));
+    const given = Buffer.from(String(signature));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        throw new AppError('Invalid image link', 401, 'INVALID_IMAGE_URL');
+    }
+
+    return { type: 'image_url', id: null, name: null, role: 'viewer' };
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    createUser,
+    updateUserAccount,
+    listUsers,
+    login,
+    verifyToken,
+    createApiKey,
+    verifyApiKey,
+    listApiKeys,
+    revokeApiKey,
+    isSignableImagePath,
+    createImageUrl,
+    verifyImageUrl
+};
@@ -0,0 +1,319 @@
+/**
+ * Batch Upload Service
+ * Expands multi-image, PDF and ZIP uploads into individual processing jobs
+ * (one per image or PDF page) grouped under a single batch ID
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { v4: uuidv4 } = require('uuid');
+const { createProcessingJob, formatJobStatus } = require('./jobService');
+const { getProcessingJobsByBatch } = require('./storageProviders');
+const { isPdfFile, splitPdfPages } = require('./pdfService');
+const { assertPdfSupported } = require('./ocrProviders');
+const { AppError } = require('../middleware/errorHandler');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const DOCUMENT_EXTENSIONS = [...IMAGE_EXTENSIONS, '.pdf'];
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+const maxBatchFiles = parseInt(process.env.MAX_BATCH_FILES) || 50;
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+const maxArchiveExtractedSize = parseInt(process.env.MAX_ARCHIVE_EXTRACTED_SIZE) || 250 * 1024 * 1024;
+
+/**
+ * Check whether an uploaded file is a ZIP archive
+ * @param {Object} file - Uploaded file from multer
+ * @returns {boolean}
+ */
+function isZipFile(file) {
+    return ZIP_MIME_TYPES.includes(file.mimetype) ||
+        path.extname(file.originalname).toLowerCase() === '.zip';
+}
+
+/**
+ * Read a ZIP entry without inflating more than a byte limit
+ * The sizes in the archive headers are declared by whoever built the archive,
+ * so the limit is enforced on the inflated output itself
+ * @param {Object} entry - adm-zip entry
+ * @param {number} limit - Maximum uncompressed size in bytes
+ * @returns {Buffer} - Entry content
+ */
+function readZipEntry(entry, limit) {
+    if (entry.header.encrypted) {
+        throw new AppError('Encrypted archive entries are not supported', 400, 'INVALID_ARCHIVE');
+    }
+
+    const compressed = entry.getCompressedData();
+    let data;
+
+    switch (entry.header.method) {
+        case 0: // Stored
+            data = compressed;
+            break;
+        case 8: // Deflated
+            try {
+                data = zlib.inflateRawSync(compressed, { maxOutputLength: limit + 1 });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                    throw new AppError('File too large', 400, 'FILE_TOO_LARGE');
+                }
+                throw new AppError('Could not inflate archive entry', 400, 'INVALID_ARCHIVE');
+            }
+            break;
+        default:
+            throw new AppError('Unsupported compression method', 400, 'INVALID_ARCHIVE');
+    }
+
+    if (data.length > limit) {
+        throw new AppError('File too large', 400, 'FILE_TOO_LARGE');
+    }
+
+    return data;
+}
+
+/**
+ * Extract the images and PDFs in a ZIP archive into the upload directory
+ * Every entry is capped at the upload file size and the archive as a whole at
+ * MAX_ARCHIVE_EXTRACTED_SIZE, so a small archive cannot unpack into gigabytes
+ * @param {Object} zipFile - Uploaded ZIP file from multer
+ * @returns {Object} - Extracted files and rejected entries
+ */
+function extractZipImages(zipFile) {
+    const files = [];
+    const rejected = [];
+    const zip = new AdmZip(zipFile.path);
+    let extractedSize = 0;
+
+    zip.getEntries().forEach((entry, index) => {
+        const entryName = entry.entryName;
+        const extension = path.extname(entryName).toLowerCase();
+
+        // Skip folders and macOS resource forks
+        if (entry.isDirectory || entryName.startsWith('__MACOSX/') || path.basename(entryName).startsWith('.')) {
+            return;
+        }
+
+        if (!DOCUMENT_EXTENSIONS.includes(extension)) {
+            rejected.push({ originalName: entryName, error: 'Not a JPEG/PNG image or PDF document', code: 'INVALID_FILE_TYPE' });
+            return;
+        }
+
+        // Entries past the batch limit would be dropped anyway, so don't inflate them
+        if (files.length >= maxBatchFiles) {
+            rejected.push({ originalName: entryName, error: `Batch limit of ${maxBatchFiles} files exceeded`, code: 'BATCH_LIMIT_EXCEEDED' });
+            return;
+        }
+
+        // Skip entries that declare an oversized file without reading them
+        if (entry.header.size > maxFileSize) {
+            rejected.push({ originalName: entryName, error: 'File too large', code: 'FILE_TOO_LARGE' });
+            return;
+        }
+
+        const remaining = maxArchiveExtractedSize - extractedSize;
+        let data;
+        try {
+            data = readZipEntry(entry, Math.min(maxFileSize, remaining));
+        } catch (error) {
+            const archiveFull = error.code === 'FILE_TOO_LARGE' && remaining < maxFileSize;
+            rejected.push(archiveFull
+                ? { originalName: entryName, error: `Archive unpacks to more than ${maxArchiveExtractedSize} bytes`, code: 'ARCHIVE_TOO_LARGE' }
+                : { originalName: entryName, error: error.message, code: error.code });
+            return;
+        }
+        extractedSize += data.length;
+
+        const filename = `property-notice-${Date.now()}-${index}-${Math.round(Math.random() * 1E9)}${extension}`;
+        const filePath = path.join(zipFile.destination, filename);
+        fs.writeFileSync(filePath, data);
+
+        files.push({
+            filename,
+            originalname: path.basename(entryName),
+            path: filePath,
+            destination: zipFile.destination,
+            mimetype: extension === '.pdf' ? 'application/pdf' : extension === '.png' ? 'image/png' : 'image/jpeg'
+        });
+    });
+
+    return { files, rejected };
+}
+
+/**
+ * Split an uploaded PDF into one file per page and remove the original
+ * PDFs are rejected when the configured OCR provider cannot read them
+ * @param {Object} pdfFile - Uploaded PDF file
+ * @returns {Object} - Page files and rejected entries
+ */
+async function expandPdfPages(pdfFile) {
+    try {
+        assertPdfSupported();
+        return { files: await splitPdfPages(pdfFile), rejected: [] };
+    } catch (error) {
+        console.error(`Failed to split PDF ${pdfFile.originalname}:`, error.message);
+        return {
+            files: [],
+            rejected: [{ originalName: pdfFile.originalname, error: error.message, code: error.code || 'INVALID_PDF' }]
+        };
+    } finally {
+        fs.unlink(pdfFile.path, (err) => {
+            if (err) console.error('Failed to delete uploaded PDF:', err);
+        });
+    }
+}
+
+/**
+ * Queue a processing job for every image and PDF page in the upload,
+ * unpacking ZIP archives and splitting PDFs into pages
+ * @param {Array} uploadedFiles - Uploaded files from multer
+ * @param {Object} options - { publication }: where the uploaded notices were published, applied to every job
+ * @returns {Object} - Batch ID, queued items and rejected files
+ */
+async function createProcessingBatch(uploadedFiles, options = {}) {
+    const { publication = null } = options;
+    const batchId = uuidv4();
+    let documents = [];
+    let rejected = [];
+
+    for (const file of uploadedFiles) {
+        if (isZipFile(file)) {
+            try {
+                const extracted = extractZipImages(file);
+                documents = documents.concat(extracted.files);
+                rejected = rejected.concat(extracted.rejected);
+            } catch (error) {
+                console.error(`Failed to read ZIP archive ${file.originalname}:`, error.message);
+                rejected.push({ originalName: file.originalname, error: 'Could not read ZIP archive', code: 'INVALID_ARCHIVE' });
+            } finally {
+                fs.unlink(file.path, (err) => {
+                    if (err) console.error('Failed to delete uploaded archive:', err);
+                });
+            }
+        } else {
+            documents.push(file);
+        }
+    }
+
+    let images = [];
+    for (const file of documents) {
+        if (isPdfFile(file)) {
+            const expanded = await expandPdfPages(file);
+            images = images.concat(expanded.files);
+            rejected = rejected.concat(expanded.rejected);
+        } else {
+            images.push(file);
+        }
+    }
+
+    // Enforce the batch size after archives and PDFs have been expanded
+    images.slice(maxBatchFiles).forEach(file => {
+        rejected.push({ originalName: file.originalname, error: `Batch limit of ${maxBatchFiles} files exceeded`, code: 'BATCH_LIMIT_EXCEEDED' });
+        fs.unlink(file.path, (err) => {
+            if (err) console.error('Failed to delete uploaded file:', err);
+        });
+    });
+    images = images.slice(0, maxBatchFiles);
+
+    const items = [];
+    for (const [index, file] of images.entries()) {
+        const job = await createProcessingJob(file, { batchId, batchIndex: index, publication });
+        items.push({
+            jobId: job.id,
+            filename: job.filename,
+            originalName: file.originalname,
+            pageNumber: job.page_number,
+            status: job.status
+        });
+    }
+
+    console.log(`📦 Batch ${batchId}: queued ${items.length} files, rejected ${rejected.length}`);
+
+    return { batchId, items, rejected };
+}
+
+/**
+ * Queue one extraction job per notice found on a segmented newspaper page
+ * The page has already been OCR'd, so every job starts at the extraction stage with its own text
+ * @param {Object} pageFile - Uploaded page image
+ * @param {Array} segments - Candidate notices from segmentNoticePage
+ * @param {Object} options - { publication }: where the page was published, applied to every notice on it
+ * @returns {Object} - Batch ID, queued items and rejected files
+ */
+async function createSegmentedBatch(pageFile, segments, options = {}) {
+    const { publication = null } = options;
+    const batchId = uuidv4();
+    const baseName = path.basename(pageFile.originalname, path.extname(pageFile.originalname));
+    const items = [];
+
+    for (const segment of segments) {
+        const job = await createProcessingJob({
+            ...pageFile,
+            originalname: `${baseName} (notice ${segment.index + 1})`
+        }, {
+            batchId,
+            batchIndex: segment.index,
+            fromStage: 'extracting',
+            state: {
+                raw_text: segment.text,
+                ocr_words: segment.words,
+                vision_api_response: {
+                    text_length: segment.text.length,
+                    annotations_count: segment.blockCount,
+                    structured_confidence: segment.confidence
+                }
+            },
+            segment,
+            publication
+        });
+
+        items.push({
+            jobId: job.id,
+            filename: job.filename,
+            originalName: job.original_name,
+            segmentIndex: segment.index,
+            boundingBox: segment.boundingBox,
+            status: job.status
+        });
+    }
+
+    console.log(`📦 Batch ${batchId}: queued ${items.length} notices from segmented page ${pageFile.originalname}`);
+
+    return { batchId, items, rejected: [] };
+}
+
+/**
+ * Get the per-file status and results of a batch
+ * @param {string} batchId - Batch ID
+ * @returns {Object|null} - Batch status or null if not found
+ */
+async function getProcessingBatch(batchId) {
+    const jobs = await getProcessingJobsByBatch(batchId);
+
+    if (jobs.length === 0) {
+        return null;
+    }
+
+    const counts = jobs.reduce((totals, job) => {
+        const bucket = ['done', 'failed'].includes(job.status) ? job.status : 'pending';
+        totals[bucket]++;
+        return totals;
+    }, { pending: 0, done: 0, failed: 0 });
+
+    return {
+        batchId,
+        total: jobs.length,
+        ...counts,
+        completed: counts.pending === 0,
+        items: jobs.map(formatJobStatus)
+    };
+}
+
+module.exports = {
+    createProcessingBatch,
+    createSegmentedBatch,
+    getProcessingBatch,
+    isZipFile
+};
@@ -0,0 +1,220 @@
+/**
+ * Notice Draft Service
+ * A finished processing job is the draft of a notice: it holds the staged image, raw OCR text,
+ * AI output and stage timings until the reviewer saves it. save-notice takes the draft ID and the
+ * reviewed values, so every saved notice points back to the exact processing run it came from.
+ *
+ * A save claims its draft first ('open' -> 'saving'), in one storage transaction, so two saves of the
+ * same draft cannot both create a notice; the draft becomes 'saved' once the notice is written, or
+ * 'open' again if saving fails.
+ *
+ * Drafts expire DRAFT_TTL_HOURS after processing finishes; a periodic sweep removes the uploaded
+ * file and staged image of drafts nobody saved (failed jobs included) and marks them expired.
+ */
+
+const fs = require('fs');
+const {
+    getProcessingJobById,
+    updateProcessingJob,
+    transitionProcessingJobDraft,
+    getExpiredProcessingJobs
+} = require('./storageProviders');
+const { deleteArchivedImages } = require('./imageArchiveService');
+const { AppError } = require('../middleware/errorHandler');
+
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Draft statuses a draft can be claimed or expired from; jobs that never finished have none
+const OPEN_DRAFT_STATUSES = [null, 'open'];
+
+/**
+ * When a draft finishing now expires
+ * @returns {string} - ISO timestamp
+ */
+function getDraftExpiry() {
+    const ttlHours = parseFloat(process.env.DRAFT_TTL_HOURS) || DEFAULT_TTL_HOURS;
+    return new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Load a draft that can be saved as a notice
+ * @param {string} draftId - Draft (processing job) ID
+ * @returns {Object} - Processing job
+ */
+async function getSavableDraft(draftId) {
+    const draft = await getProcessingJobById(draftId);
+
+    if (!draft) {
+        throw new AppError('Draft not found', 404, 'DRAFT_NOT_FOUND');
+    }
+    if (draft.draft_status === 'saved') {
+        throw new AppError(`Draft was already saved as notice ${draft.notice_id}`, 409, 'DRAFT_ALREADY_SAVED');
+    }
+    if (draft.draft_status === 'saving') {
+        throw new AppError('Draft is being saved by another request', 409, 'DRAFT_SAVE_IN_PROGRESS');
+    }
+    if (draft.draft_status === 'expired') {
+        throw new AppError('Draft expired; upload the notice again', 410, 'DRAFT_EXPIRED');
+    }
+    if (draft.status !== 'done' || !draft.result) {
+        throw new AppError(`Draft is not ready to save (status: ${draft.status})`, 409, 'DRAFT_NOT_READY');
+    }
+
+    return draft;
+}
+
+/**
+ * Claim a draft for saving: only one request can hold the claim, until markDraftSaved or releaseDraft
+ * @param {string} draftId - Draft (processing job) ID
+ * @returns {Object} - Processing job
+ */
+async function claimDraft(draftId) {
+    const draft = await getSavableDraft(draftId);
+
+    const claimed = await transitionProcessingJobDraft(draftId, OPEN_DRAFT_STATUSES, { draft_status: 'saving' });
+    if (!claimed) {
+        // Another request got there first: report what it did to the draft
+        await getSavableDraft(draftId);
+        throw new AppError('Draft is being saved by another request', 409, 'DRAFT_SAVE_IN_PROGRESS');
+    }
+
+    return { ...draft, draft_status: 'saving' };
+}
+
+/**
+ * Reopen a claimed draft after its save failed, so it can be saved again
+ * @param {string} draftId - Draft ID
+ */
+async function releaseDraft(draftId) {
+    await transitionProcessingJobDraft(draftId, ['saving'], { draft_status: 'open' }).catch(error => {
+        console.warn(`⚠️ Could not reopen draft ${draftId}: ${error.message}`);
+    });
+}
+
+function normalizeValue(value) {
+    return value === null || value === undefined ? null : String(value).trim() || null;
+}
+
+/**
+ * Fields the reviewer changed from the extracted values
+ * @param {Object} extracted - Extracted data from the draft
+ * @param {Object} reviewed - Values confirmed by the reviewer
+ * @returns {Array} - [{ field, extracted_value, corrected_value }]
+ */
+function getCorrections(extracted, reviewed) {
+    return Object.keys(reviewed)
+        .filter(field => normalizeValue(reviewed[field]) !== normalizeValue(extracted[field]))
+        .map(field => ({
+            field,
+            extracted_value: normalizeValue(extracted[field]),
+            corrected_value: normalizeValue(reviewed[field])
+        }));
+}
+
+/**
+ * Build the notice to save from a draft: OCR text, AI output and timings come from the draft,
+ * only the reviewed field values come from the client
+ * @param {Object} draft - Processing job from getSavableDraft
+ * @param {Object} reviewedData - Field values as confirmed by the reviewer (optional)
+ * @returns {Object} - save-notice payload for savePropertyNotice / addPropertyNoticePublication
+ */
+function buildNoticeFromDraft(draft, reviewedData) {
+    const result = draft.result;
+    // Fields the reviewer did not send keep their extracted values
+    const extractedData = { ...result.extractedData, ...reviewedData };
+
+    return {
+        draft_id: draft.id,
+        raw_text: result.rawText,
+        extracted_data: extractedData,
+        confidence_score: result.confidenceScore,
+        processing_time_ms: result.processingTime,
+        processing_status: 'completed',
+        ai_service: result.aiService || 'google_vision_and_gemini',
+        filename: draft.filename,
+        page_number: draft.page_number || null,
+        bounding_box: draft.bounding_box || null,
+        llm_failures: result.llmFailures,
+        field_provenance: result.fieldProvenance,
+        // Perceptual hash of the scan, for recognising later uploads of the same notice
+        image_hash: result.imageHash || null,
+        // Fields the reviewer changed before saving, to measure extraction accuracy over time
+        corrections: getCorrections(result.extractedData || {}, extractedData)
+    };
+}
+
+/**
+ * Close a claimed draft once its notice is written, so it is not saved twice or swept
+ * @param {string} draftId - Draft ID
+ * @param {string} noticeId - Notice it was saved as (or merged into)
+ */
+async function markDraftSaved(draftId, noticeId) {
+    await updateProcessingJob(draftId, {
+        draft_status: 'saved',
+        notice_id: noticeId,
+        saved_at: new Date().toISOString(),
+        expires_at: null
+    });
+}
+
+/**
+ * Mark expired drafts expired and remove their files
+ * The job records are kept, so an expired draft can still be looked up
+ * @returns {number} - Number of drafts expired
+ */
+async function sweepExpiredDrafts() {
+    const drafts = await getExpiredProcessingJobs(new Date().toISOString());
+
+    let expired = 0;
+    for (const draft of drafts) {
+        // A draft claimed by a save in progress is left to that save
+        const claimed = await transitionProcessingJobDraft(draft.id, OPEN_DRAFT_STATUSES, {
+            draft_status: 'expired',
+            expired_at: new Date().toISOString(),
+            expires_at: null
+        });
+        if (!claimed) {
+            continue;
+        }
+        expired++;
+
+        if (draft.file_path) {
+            await fs.promises.rm(draft.file_path, { force: true }).catch(error => {
+                console.warn(`⚠️ Could not delete upload of expired draft ${draft.id}: ${error.message}`);
+            });
+        }
+        if (draft.image_key) {
+            await deleteArchivedImages(draft.image_key);
+        }
+    }
+
+    if (expired > 0) {
+        console.log(`🧹 Expired ${expired} abandoned drafts`);
+    }
+    return expired;
+}
+
+/**
+ * Sweep expired drafts now and every DRAFT_SWEEP_INTERVAL_MS
+ */
+function startDraftSweeper() {
+    const interval = parseInt(process.env.DRAFT_SWEEP_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL_MS;
+    const sweep = () => sweepExpiredDrafts()
+        .catch(error => console.warn('⚠️ Draft sweep failed:', error.message));
+
+    sweep();
+    // The sweeper alone must not keep the process (e.g. a script) alive
+    setInterval(sweep, interval).unref();
+}
+
+module.exports = {
+    getDraftExpiry,
+    getSavableDraft,
+    claimDraft,
+    releaseDraft,
+    buildNoticeFromDraft,
+    markDraftSaved,
+    sweepExpiredDrafts,
+    startDraftSweeper
+};
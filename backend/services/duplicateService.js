@@ -0,0 +1,298 @@
+/**
+ * Duplicate Notice Detection
+ * The same notice is often published in several newspapers or uploaded twice. A new upload is
+ * compared with every saved notice on three signals, and the best one decides the score:
+ * - image: perceptual hash (dHash) of the scan, tolerant to re-compression and small crops
+ * - text: overlap of the normalised raw OCR text (word pairs, OCR confusions folded)
+ * - fields: village + survey number + parties + notice date
+ *
+ * Saved notices are read from the search index, which is already kept in memory and current.
+ */
+
+const sharp = require('sharp');
+const { tokenizeWithOffsets, getSearchTerms } = require('./gujaratiTextService');
+const { getIndexedNotices } = require('./searchService');
+
+// Image hashes compare a HASH_SIZE x HASH_SIZE grid of neighbouring pixel pairs (256 bits); 8x8
+// cannot tell mostly-text clippings apart. Re-scans of one clipping differ in a few percent of the
+// bits, different notices in a fifth or more
+const HASH_SIZE = 16;
+const MAX_IMAGE_DISTANCE = 24;
+
+// Weight of each matching key field; together they add up to 1
+const FIELD_WEIGHTS = {
+    village_name: 0.25,
+    survey_number: 0.35,
+    parties: 0.25,
+    notice_date: 0.15
+};
+
+const MIN_TEXT_TOKENS = 8;
+const DEFAULT_THRESHOLD = 0.65;
+const MAX_DUPLICATES = 5;
+
+// Shingle sets of saved notices, dropped with the notice object when the search index replaces it
+const shingleCache = new WeakMap();
+
+/**
+ * Perceptual hash (dHash) of an image: one bit per horizontally adjacent pixel pair of a small,
+ * contrast-stretched greyscale thumbnail
+ * @param {string|Buffer} image - Image file or contents
+ * @returns {string|null} - 64 hex characters, or null if the file is not a readable image
+ */
+async function computeImageHash(image) {
+    try {
+        // Trimming the paper margin keeps the hash stable when the same clipping is cut a little differently
+        const trimmed = await sharp(image)
+            .greyscale()
+            .trim({ threshold: 40 })
+            .toBuffer()
+            .catch(() => sharp(image).greyscale().toBuffer());
+
+        const width = HASH_SIZE + 1;
+        // The encoded intermediate may come back with colour or alpha channels; only the first is read
+        const { data: pixels, info } = await sharp(trimmed)
+            .greyscale()
+            .resize(width, HASH_SIZE, { fit: 'fill' })
+            .normalise()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const pixel = (row, col) => pixels[(row * width + col) * info.channels];
+
+        let hash = '';
+        for (let row = 0; row < HASH_SIZE; row++) {
+            let nibble = 0;
+            for (let col = 0; col < HASH_SIZE; col++) {
+                const bit = pixel(row, col) > pixel(row, col + 1) ? 1 : 0;
+                nibble = (nibble << 1) | bit;
+                if (col % 4 === 3) {
+                    hash += nibble.toString(16);
+                    nibble = 0;
+                }
+            }
+        }
+        return hash;
+
+    } catch (error) {
+        console.warn(`⚠️ Could not hash image${Buffer.isBuffer(image) ? '' : ` ${image}`}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Number of differing bits between two image hashes
+ * @returns {number}
+ */
+function hammingDistance(hashA, hashB) {
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i++) {
+        let bits = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+// OCR-folded word pairs of a text; single words for texts too short to pair up
+function buildShingles(text) {
+    const tokens = tokenizeWithOffsets(text)
+        .map(({ token }) => {
+            const terms = getSearchTerms(token);
+            return terms.ocr || terms.norm;
+        })
+        .filter(Boolean);
+
+    if (tokens.length < MIN_TEXT_TOKENS) {
+        return null;
+    }
+    return new Set(tokens.slice(1).map((token, index) => `${tokens[index]} ${token}`));
+}
+
+function getNoticeShingles(notice) {
+    if (!shingleCache.has(notice)) {
+        shingleCache.set(notice, notice.raw_text ? buildShingles(notice.raw_text) : null);
+    }
+    return shingleCache.get(notice);
+}
+
+function jaccard(setA, setB) {
+    let shared = 0;
+    setA.forEach(item => {
+        if (setB.has(item)) shared++;
+    });
+    return shared / (setA.size + setB.size - shared);
+}
+
+// Romanised words of a name, so Gujarati and English spellings of it compare equal
+function nameKeys(value) {
+    return new Set(tokenizeWithOffsets(value || '')
+        .map(({ token }) => {
+            const terms = getSearchTerms(token);
+            return terms.roman || terms.norm;
+        })
+        .filter(Boolean));
+}
+
+function sameName(a, b) {
+    const keysA = nameKeys(a);
+    const keysB = nameKeys(b);
+    if (keysA.size === 0 || keysB.size === 0) {
+        return false;
+    }
+    return [...keysA].every(key => keysB.has(key)) || [...keysB].every(key => keysA.has(key));
+}
+
+// Survey numbers are written with varying separators and spacing ("12/1 પૈકી" / "12-1")
+function normalizeSurveyNumber(value) {
+    return tokenizeWithOffsets(value || '')
+        .map(({ token }) => getSearchTerms(token).norm)
+        .filter(token => /\d/.test(token))
+        .join('/');
+}
+
+function partyNames(data) {
+    return [data.buyer_name, data.seller_name].filter(Boolean).join(' ');
+}
+
+function noticeDateKey(value) {
+    if (!value) return null;
+    const printed = String(value).match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (printed) {
+        return `${printed[3]}-${printed[2].padStart(2, '0')}-${printed[1].padStart(2, '0')}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+// Share of the parties' name words found in both notices
+function partyOverlap(a, b) {
+    const keysA = nameKeys(a);
+    const keysB = nameKeys(b);
+    if (keysA.size === 0 || keysB.size === 0) {
+        return 0;
+    }
+    const shared = [...keysA].filter(key => keysB.has(key)).length;
+    return shared / Math.min(keysA.size, keysB.size);
+}
+
+/**
+ * Key fields the upload and a saved notice have in common
+ * @returns {Array} - Matching field names (see FIELD_WEIGHTS)
+ */
+function matchKeyFields(extractedData, notice) {
+    const saved = notice.extracted_data || notice;
+    const matched = [];
+
+    if (sameName(extractedData.village_name, saved.village_name)) {
+        matched.push('village_name');
+    }
+
+    const surveyNumber = normalizeSurveyNumber(extractedData.survey_number);
+    if (surveyNumber && surveyNumber === normalizeSurveyNumber(saved.survey_number)) {
+        matched.push('survey_number');
+    }
+
+    if (partyOverlap(partyNames(extractedData), partyNames(saved)) >= 0.6) {
+        matched.push('parties');
+    }
+
+    const noticeDate = noticeDateKey(extractedData.notice_date);
+    if (noticeDate && noticeDate === noticeDateKey(notice.notice_date)) {
+        matched.push('notice_date');
+    }
+
+    return matched;
+}
+
+/**
+ * Compare an upload with one saved notice
+ * @returns {Object} - { score, reasons, image_distance, text_similarity, matched_fields }
+ */
+function compareWithNotice(upload, notice) {
+    const reasons = [];
+    let score = 0;
+
+    let imageDistance = null;
+    // Hashes of another size (another hashing scheme) cannot be compared
+    const savedHashes = (notice.image_hashes || []).filter(hash => hash.length === upload.imageHash?.length);
+    if (upload.imageHash && savedHashes.length > 0) {
+        imageDistance = Math.min(...savedHashes.map(hash => hammingDistance(upload.imageHash, hash)));
+        if (imageDistance <= MAX_IMAGE_DISTANCE) {
+            score = Math.max(score, 1 - imageDistance / (MAX_IMAGE_DISTANCE * 4));
+            reasons.push(imageDistance === 0 ? 'identical image' : 'similar image');
+        }
+    }
+
+    let textSimilarity = null;
+    const savedShingles = getNoticeShingles(notice);
+    if (upload.shingles && savedShingles) {
+        textSimilarity = Math.round(jaccard(upload.shingles, savedShingles) * 100) / 100;
+        if (textSimilarity >= 0.5) {
+            score = Math.max(score, Math.min(1, textSimilarity + 0.2));
+            reasons.push('similar notice text');
+        }
+    }
+
+    const matchedFields = upload.extractedData ? matchKeyFields(upload.extractedData, notice) : [];
+    const fieldScore = matchedFields.reduce((total, field) => total + FIELD_WEIGHTS[field], 0);
+    if (matchedFields.includes('survey_number') && matchedFields.includes('village_name')) {
+        score = Math.max(score, fieldScore);
+        reasons.push(`same ${matchedFields.map(field => field.replace('_name', '').replace('_', ' ')).join(', ')}`);
+    }
+
+    return {
+        score: Math.round(score * 100) / 100,
+        reasons,
+        image_distance: imageDistance,
+        text_similarity: textSimilarity,
+        matched_fields: matchedFields
+    };
+}
+
+/**
+ * Find saved notices that are likely the same notice as an upload
+ * Any signal may be missing (no hash for PDFs, no text before OCR has run)
+ * @param {Object} upload - { imageHash, rawText, extractedData }
+ * @param {Object} options - { excludeId } to skip the notice being checked
+ * @returns {Array} - Best matches first: [{ id, score, reasons, image_distance, text_similarity,
+ *   matched_fields, village_name, survey_number, notice_date, uploaded_at, url }]
+ */
+async function findDuplicateNotices(upload, options = {}) {
+    const { excludeId = null } = options;
+    const threshold = parseFloat(process.env.DUPLICATE_SCORE_THRESHOLD) || DEFAULT_THRESHOLD;
+
+    const prepared = {
+        imageHash: upload.imageHash || null,
+        shingles: upload.rawText ? buildShingles(upload.rawText) : null,
+        extractedData: upload.extractedData || null
+    };
+    if (!prepared.imageHash && !prepared.shingles && !prepared.extractedData) {
+        return [];
+    }
+
+    const notices = await getIndexedNotices();
+
+    return notices
+        .filter(notice => notice.id !== excludeId)
+        .map(notice => ({ notice, match: compareWithNotice(prepared, notice) }))
+        .filter(({ match }) => match.score >= threshold)
+        .sort((a, b) => b.match.score - a.match.score)
+        .slice(0, MAX_DUPLICATES)
+        .map(({ notice, match }) => ({
+            id: notice.id,
+            ...match,
+            village_name: notice.village_name || null,
+            survey_number: notice.survey_number || null,
+            notice_date: notice.notice_date || null,
+            publication_count: notice.publication_count || 1,
+            uploaded_at: notice.uploaded_at || null,
+            url: `/api/notices/${notice.id}`
+        }));
+}
+
+module.exports = {
+    computeImageHash,
+    hammingDistance,
+    findDuplicateNotices
+};
@@ -0,0 +1,504 @@
+/**
+ * Gujarat Village Gazetteer
+ * A local list of villages (Gujarati and English names, taluka, district, census village code and
+ * coordinates) that extracted village names are resolved against before any geocoding API or LLM is
+ * asked, so known villages resolve offline and always to the same point.
+ *
+ * The gazetteer is a CSV file with GAZETTEER_COLUMNS (GAZETTEER_PATH, default gazetteer/gujarat-villages.csv),
+ * built by scripts/import-gazetteer.js from the census village directory or another CSV or GeoJSON export.
+ * It is not bundled: until it is imported every village is geocoded online. The bundled
+ * gazetteer/gujarat-villages.sample.csv lists a few towns only, without census codes, for trying things out.
+ * The file is re-read when it changes, so an import applies without restarting the server.
+ *
+ * Names are compared by their romanised form (see gujaratiTextService), so "રીબડા", "રિબડા" and
+ * "Ribada" are the same village. Other names are scored against the villages of the notice's district
+ * and taluka by the edit distance of their Gujarati, romanised and consonant-skeleton forms, which
+ * catches English spellings that drop a vowel ("Rajkot" / "રાજકોટ") and names OCR misread by a
+ * character or two. A clear winner is accepted, otherwise the best candidates are returned for the
+ * reviewer to choose from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenizeWithOffsets, normalizeToken, romanizedKey, phoneticKey, getSearchTerms } = require('./gujaratiTextService');
+const { GUJARAT_BOUNDS } = require('./llmResponseValidator');
+
+const DEFAULT_GAZETTEER_PATH = path.join(__dirname, '..', 'gazetteer', 'gujarat-villages.csv');
+const SAMPLE_GAZETTEER_PATH = path.join(__dirname, '..', 'gazetteer', 'gujarat-villages.sample.csv');
+
+const GAZETTEER_COLUMNS = ['village_code', 'name_gu', 'name_en', 'alt_names', 'taluka', 'district', 'latitude', 'longitude'];
+
+// Column names used by census and OpenStreetMap exports, for imports (compared in lower case, with
+// spaces and hyphens as underscores, so the census "Village Code" and "Sub-District Name" match)
+const COLUMN_ALIASES = {
+    village_code: ['village_code', 'code', 'census_code', 'census_village_code', 'town_village_code', 'vill_code'],
+    name_gu: ['name_gu', 'gujarati_name', 'name:gu', 'village_name_gu'],
+    name_en: ['name_en', 'name', 'english_name', 'name:en', 'village_name', 'village'],
+    alt_names: ['alt_names', 'alt_name', 'other_names'],
+    taluka: ['taluka', 'tehsil', 'sub_district', 'sub_dist', 'subdistrict', 'sub_district_name'],
+    district: ['district', 'district_name'],
+    latitude: ['latitude', 'lat', 'y'],
+    longitude: ['longitude', 'lng', 'lon', 'long', 'x']
+};
+
+// Case endings OCR text keeps on village names ("રીબડાના રેવન્યુ સર્વે નં" gives "રીબડાના")
+const CASE_SUFFIXES = /(ના|ની|નું|નો|માં|થી)$/;
+
+// Fuzzy matches scoring below this are not offered as candidates
+const MIN_CANDIDATE_SCORE = 0.6;
+const MAX_CANDIDATES = 5;
+
+// A fuzzy match is accepted without review when it scores at least VILLAGE_MATCH_ACCEPT_SCORE
+// and leads the next candidate by VILLAGE_MATCH_MARGIN
+const DEFAULT_ACCEPT_SCORE = 0.8;
+const DEFAULT_MARGIN = 0.15;
+
+let loaded = null;
+
+function getGazetteerPath() {
+    return path.resolve(process.env.GAZETTEER_PATH || DEFAULT_GAZETTEER_PATH);
+}
+
+/**
+ * Comparable form of a place name, the same for its Gujarati and English spellings
+ * @param {string} name - Village, taluka or district name
+ * @param {Function} tokenKey - romanizedKey (default) or phoneticKey
+ * @returns {string} - Key, empty if the name has no letters
+ */
+function placeNameKey(name, tokenKey = romanizedKey) {
+    return tokenizeWithOffsets(name)
+        .map(({ token }) => tokenKey(normalizeToken(token)) || '')
+        .join('');
+}
+
+function placePhoneticKey(name) {
+    return placeNameKey(name, phoneticKey);
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array} - Array of string arrays
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Map a source record's own column names onto gazetteer columns
+function mapColumns(source) {
+    const lowerCased = Object.fromEntries(Object.entries(source)
+        .map(([key, value]) => [key.trim().toLowerCase().replace(/[\s-]+/g, '_'), value]));
+    return Object.fromEntries(GAZETTEER_COLUMNS.map(column => {
+        const alias = COLUMN_ALIASES[column].find(name => lowerCased[name] !== undefined && lowerCased[name] !== '');
+        return [column, alias ? lowerCased[alias] : null];
+    }));
+}
+
+/**
+ * Read the records of a CSV or GeoJSON file, with columns mapped to gazetteer columns
+ * GeoJSON features take their coordinates from Point geometries and their fields from properties
+ * @param {string} filePath - .csv, .geojson or .json file
+ * @returns {Array} - Unvalidated records
+ */
+function readPlaceRecords(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+
+    if (/\.(geo)?json$/i.test(filePath)) {
+        const collection = JSON.parse(text);
+        return (collection.features || []).map(feature => {
+            const record = mapColumns(feature.properties || {});
+            if (feature.geometry?.type === 'Point') {
+                [record.longitude, record.latitude] = feature.geometry.coordinates;
+            }
+            return record;
+        });
+    }
+
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        return [];
+    }
+    return rows.map(row => mapColumns(Object.fromEntries(header.map((column, index) => [column, row[index] ?? '']))));
+}
+
+/**
+ * Validate and tidy a gazetteer record
+ * @param {Object} record - Record with gazetteer columns
+ * @returns {Object} - { village } or { error }
+ */
+function normalizeVillageRecord(record) {
+    const text = value => (value === null || value === undefined ? null : String(value).trim() || null);
+    const latitude = parseFloat(record.latitude);
+    const longitude = parseFloat(record.longitude);
+
+    const village = {
+        village_code: text(record.village_code),
+        name_gu: text(record.name_gu),
+        name_en: text(record.name_en),
+        alt_names: (text(record.alt_names) || '').split('|').map(name => name.trim()).filter(Boolean),
+        taluka: text(record.taluka),
+        district: text(record.district),
+        latitude,
+        longitude
+    };
+
+    if (!village.name_gu && !village.name_en) {
+        return { error: 'no village name' };
+    }
+    if (!village.district) {
+        return { error: 'no district' };
+    }
+    if (!(latitude >= GUJARAT_BOUNDS.minLatitude && latitude <= GUJARAT_BOUNDS.maxLatitude &&
+        longitude >= GUJARAT_BOUNDS.minLongitude && longitude <= GUJARAT_BOUNDS.maxLongitude)) {
+        return { error: 'coordinates missing or outside Gujarat' };
+    }
+
+    return { village };
+}
+
+/**
+ * Identity of a village across imports: its census code, or its name, taluka and district
+ * @param {Object} village - Gazetteer village
+ * @returns {string}
+ */
+function getVillageIdentity(village) {
+    return village.village_code ||
+        [village.name_en || village.name_gu, village.taluka, village.district].map(name => placeNameKey(name)).join('|');
+}
+
+/**
+ * Write villages to a gazetteer CSV file
+ * @param {Array} villages - Gazetteer villages
+ * @param {string} filePath - Target file (defaults to GAZETTEER_PATH)
+ */
+function writeGazetteer(villages, filePath = getGazetteerPath()) {
+    const lines = [
+        GAZETTEER_COLUMNS.join(','),
+        ...villages.map(village => GAZETTEER_COLUMNS
+            .map(column => toCsvField(column === 'alt_names' ? village.alt_names.join('|') : village[column]))
+            .join(','))
+    ];
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+}
+
+// Forms of a name compared by fuzzy matching: Gujarati with OCR confusions folded, romanised, consonant skeleton
+function getNameTerms(name) {
+    const tokens = tokenizeWithOffsets(name).map(({ token }) => getSearchTerms(token));
+    return {
+        gujarati: tokens.map(terms => terms.ocr || '').join(''),
+        roman: tokens.map(terms => terms.roman || '').join(''),
+        phonetic: tokens.map(terms => terms.phonetic || '').join('')
+    };
+}
+
+// Levenshtein distance between two strings, by character
+function editDistance(a, b) {
+    const source = Array.from(a);
+    const target = Array.from(b);
+    let previous = target.map((_, index) => index + 1);
+    previous.unshift(0);
+
+    source.forEach((char, i) => {
+        const current = [i + 1];
+        target.forEach((targetChar, j) => {
+            current.push(Math.min(
+                previous[j + 1] + 1,
+                current[j] + 1,
+                previous[j] + (char === targetChar ? 0 : 1)
+            ));
+        });
+        previous = current;
+    });
+
+    return previous[target.length];
+}
+
+function similarity(a, b) {
+    if (!a || !b) {
+        return 0;
+    }
+    return 1 - editDistance(a, b) / Math.max(Array.from(a).length, Array.from(b).length);
+}
+
+// 0-1 similarity of two names: Gujarati spellings compared directly, other pairs by sound
+function nameSimilarity(a, b) {
+    const gujarati = similarity(a.gujarati, b.gujarati);
+    const latin = 0.6 * similarity(a.roman, b.roman) + 0.4 * similarity(a.phonetic, b.phonetic);
+    return Math.max(gujarati, latin);
+}
+
+// Gazetteer entries (village, name terms, district and taluka keys), and the entries by each
+// romanised key of their names
+function indexVillages(villages) {
+    const byName = new Map();
+
+    const entries = villages.map(village => {
+        const names = [village.name_gu, village.name_en, ...village.alt_names].filter(Boolean);
+        const entry = {
+            village,
+            terms: names.map(getNameTerms),
+            area: { district: placePhoneticKey(village.district), taluka: placePhoneticKey(village.taluka) }
+        };
+        new Set(names.map(name => placeNameKey(name))).forEach(key => {
+            if (key) {
+                byName.set(key, [...(byName.get(key) || []), entry]);
+            }
+        });
+        return entry;
+    });
+
+    return { entries, byName };
+}
+
+/**
+ * The loaded gazetteer, re-read when its file changed
+ * A missing file gives an empty gazetteer (every lookup falls through to geocoding)
+ * @returns {Object} - { path, villages, entries, byName, skipped }
+ */
+function getGazetteer() {
+    const filePath = getGazetteerPath();
+    let mtimeMs = null;
+    try {
+        mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    if (loaded && loaded.path === filePath && loaded.mtimeMs === mtimeMs) {
+        return loaded;
+    }
+
+    const villages = [];
+    let skipped = 0;
+    if (mtimeMs !== null) {
+        readPlaceRecords(filePath).forEach(record => {
+            const { village } = normalizeVillageRecord(record);
+            if (village) {
+                villages.push(village);
+            } else {
+                skipped++;
+            }
+        });
+        console.log(`📚 Loaded ${villages.length} gazetteer villages from ${filePath}${skipped ? ` (${skipped} invalid rows skipped)` : ''}`);
+    } else {
+        console.warn(`⚠️ Gazetteer file ${filePath} not found; villages will be geocoded online until one is imported (npm run gazetteer:import)`);
+    }
+
+    loaded = { path: filePath, mtimeMs, exists: mtimeMs !== null, villages, ...indexVillages(villages), skipped };
+    return loaded;
+}
+
+function getMatchThresholds() {
+    return {
+        acceptScore: parseFloat(process.env.VILLAGE_MATCH_ACCEPT_SCORE) || DEFAULT_ACCEPT_SCORE,
+        margin: parseFloat(process.env.VILLAGE_MATCH_MARGIN) || DEFAULT_MARGIN
+    };
+}
+
+/**
+ * Describe a gazetteer village as a match candidate
+ * @param {Object} village - Gazetteer village
+ * @param {number} score - Name similarity (0-1)
+ * @returns {Object} - { village_id, village_code, name_gu, name_en, taluka, district, latitude, longitude, score }
+ */
+function toCandidate(village, score) {
+    return {
+        village_id: getVillageIdentity(village),
+        village_code: village.village_code,
+        name_gu: village.name_gu,
+        name_en: village.name_en,
+        taluka: village.taluka,
+        district: village.district,
+        latitude: village.latitude,
+        longitude: village.longitude,
+        score: Math.round(score * 100) / 100
+    };
+}
+
+/**
+ * Match an extracted village name against the gazetteer villages of a district and taluka (when known)
+ * Exact name matches come first; otherwise names are scored by edit distance and phonetic similarity
+ * @param {string} villageName - Extracted village name
+ * @param {Object} area - { district, taluka } (optional)
+ * @returns {Object} - { status: 'matched' | 'ambiguous' | 'not_found', match_type: 'exact' | 'fuzzy' | null,
+ *   village, score, candidates } with candidates best first (see toCandidate)
+ */
+function findVillage(villageName, { district = null, taluka = null } = {}) {
+    const { entries, byName } = getGazetteer();
+    const name = String(villageName || '').trim();
+    const stripped = name.replace(CASE_SUFFIXES, '');
+
+    // A district or taluka that rules out a village means a different village of the same name
+    const areaKeys = Object.entries({ district, taluka })
+        .map(([field, value]) => [field, value && placePhoneticKey(value)])
+        .filter(([, key]) => key);
+    const inArea = entry => areaKeys.every(([field, key]) => entry.area[field] === key);
+
+    const exact = (byName.get(placeNameKey(name)) || byName.get(placeNameKey(stripped)) || []).filter(inArea);
+
+    if (exact.length > 0) {
+        const candidates = exact.map(({ village }) => toCandidate(village, 1));
+        return exact.length === 1 ?
+            { status: 'matched', match_type: 'exact', village: exact[0].village, score: 1, candidates } :
+            { status: 'ambiguous', match_type: 'exact', village: null, score: null, candidates };
+    }
+
+    const extracted = [...new Set([name, stripped])].map(getNameTerms).filter(terms => terms.roman.length >= 2);
+    const scored = extracted.length === 0 ? [] : entries
+        .filter(inArea)
+        .map(entry => ({
+            village: entry.village,
+            score: Math.max(...entry.terms.flatMap(terms => extracted.map(input => nameSimilarity(input, terms))))
+        }))
+        .filter(({ score }) => score >= MIN_CANDIDATE_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+
+    const candidates = scored.map(({ village, score }) => toCandidate(village, score));
+    const [best, next] = scored;
+    const { acceptScore, margin } = getMatchThresholds();
+
+    if (best && best.score >= acceptScore && (!next || best.score - next.score >= margin)) {
+        return { status: 'matched', match_type: 'fuzzy', village: best.village, score: candidates[0].score, candidates };
+    }
+    return {
+        status: candidates.length > 0 ? 'ambiguous' : 'not_found',
+        match_type: candidates.length > 0 ? 'fuzzy' : null,
+        village: null,
+        score: null,
+        candidates
+    };
+}
+
+/**
+ * Describe a gazetteer village the way geocodeVillage describes a geocoding result
+ * @param {Object} village - Gazetteer village
+ * @param {Object} match - { score, match_type } from findVillage
+ * @returns {Object}
+ */
+function toLocationResult(village, { score = 1, match_type = 'exact' } = {}) {
+    const villageName = village.name_en || village.name_gu;
+    return {
+        success: true,
+        latitude: village.latitude,
+        longitude: village.longitude,
+        formatted_address: [villageName, village.taluka, village.district, 'Gujarat, India'].filter(Boolean).join(', '),
+        district: village.district,
+        taluka: village.taluka,
+        state: 'Gujarat',
+        country: 'India',
+        village_code: village.village_code,
+        village_name_gu: village.name_gu,
+        village_name_en: village.name_en,
+        coordinate_source: 'gazetteer',
+        confidence_score: score,
+        village_match: match_type,
+        status: 'success'
+    };
+}
+
+/**
+ * Resolve a village from the gazetteer alone
+ * @param {string} villageName - Extracted village name
+ * @param {Object} area - { district, taluka } (optional)
+ * @returns {Object|null} - Location result, or null when the gazetteer has no single match
+ */
+function resolveVillageLocation(villageName, area = {}) {
+    try {
+        const match = findVillage(villageName, area);
+        return match.status === 'matched' ? toLocationResult(match.village, match) : null;
+    } catch (error) {
+        // A broken gazetteer file must not stop geocoding
+        console.warn(`⚠️ Gazetteer lookup failed for ${villageName}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Describe the gazetteer for the status endpoint
+ * sample is true while the bundled sample is in use; villages_without_code counts villages that do not
+ * come from the census directory
+ * @returns {Object}
+ */
+function getGazetteerStatus() {
+    try {
+        const { path: filePath, exists, villages, skipped, mtimeMs } = getGazetteer();
+        return {
+            path: filePath,
+            configured: exists && villages.length > 0,
+            sample: filePath === SAMPLE_GAZETTEER_PATH,
+            villages: villages.length,
+            villages_without_code: villages.filter(village => !village.village_code).length,
+            skipped_rows: skipped,
+            updated_at: mtimeMs ? new Date(mtimeMs).toISOString() : null
+        };
+    } catch (error) {
+        return { path: getGazetteerPath(), configured: false, villages: 0, error: error.message };
+    }
+}
+
+module.exports = {
+    GAZETTEER_COLUMNS,
+    SAMPLE_GAZETTEER_PATH,
+    getGazetteerPath,
+    placeNameKey,
+    placePhoneticKey,
+    parseCsv,
+    readPlaceRecords,
+    normalizeVillageRecord,
+    getVillageIdentity,
+    writeGazetteer,
+    getGazetteer,
+    findVillage,
+    resolveVillageLocation,
+    getGazetteerStatus
+};
@@ -1,12 +1,10 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { AppError } = require('../middleware/errorHandler');
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { generateText, isLlmConfigured } = require('./llmProviders');
+const { generateValidatedResponse } = require('./llmResponseValidator');
 
 /**
- * Process raw OCR text using Google Gemini AI
- * @param {string} rawText - Raw text from Google Cloud Vision API
+ * Process raw OCR text with the LLM configured for extraction (Gemini by default)
+ * @param {string} rawText - Raw text from the OCR provider
  * @returns {Object} - Extracted property information
  */
 async function processWithGemini(rawText) {
@@ -16,42 +14,29 @@ async function processWithGemini(rawText) {
         console.log('🤖 Processing with Google Gemini AI...');
         console.log(`📝 Raw text length: ${rawText.length} characters`);
         
-        if (!process.env.GEMINI_API_KEY) {
-            throw new AppError(
-                'Gemini API key not configured. Please set GEMINI_API_KEY in your .env file',
-                500,
-                'GEMINI_API_KEY_MISSING'
-            );
-        }
-
-        // Get the Gemini model
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
         // Create the prompt for property notice extraction
         const prompt = createExtractionPrompt(rawText);
 
-        // Generate content using Gemini
-        console.log('🔄 Calling Gemini API...');
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
+        // Generate content with the extraction model, re-prompting if the response fails validation
+        const { value, text, aiService, attempts } = await generateValidatedResponse('extraction', prompt);
 
         console.log('✅ Gemini API response received');
         console.log('📋 Response preview:', text.substring(0, 200) + '...');
 
-        // Parse the JSON response from Gemini
-        const extractedData = parseGeminiResponse(text);
+        // Post-process village names to ensure they're clean
+        const extractedData = postProcessVillageNames(value.data);
         
         const processingTime = Date.now() - startTime;
         console.log(`⏱️ Gemini processing time: ${processingTime}ms`);
 
         return {
             raw_text: rawText,
-            extracted_data: extractedData.data,
-            confidence_score: extractedData.confidence,
+            extracted_data: extractedData,
+            confidence_score: value.confidence,
             processing_time_ms: processingTime,
             processing_status: 'completed_gemini',
-            ai_service: 'google-gemini-1.5-flash',
+            ai_service: aiService,
+            llm_attempts: attempts,
             gemini_response: text
         };
 
@@ -147,7 +132,7 @@ The most important field is village_name. You MUST follow these rules EXACTLY:
 - advocate_name: એડવોકેટ (Advocate's Name)
 - advocate_address: એડવોકેટનું સરનામું (Advocate's Address)
 - advocate_mobile: મોબાઇલ નંબર (Mobile Number) - extract only digits
-- district: જિલ્લો (District) - Usually "Rajkot" or extract if mentioned
+- district: જિલ્લો (District) - Extract only if mentioned (e.g. "જી. રાજકોટ"), otherwise null; do not guess
 - taluka: તાલુકો (Taluka/Sub-district) - Extract if mentioned in the text
 
 **Special Instructions for Date Extraction:**
@@ -282,97 +267,13 @@ function postProcessVillageNames(extractedData) {
     };
 }
 
-/**
- * Parse Gemini response and extract structured data
- * @param {string} geminiResponse - Raw response from Gemini
- * @returns {Object} - Parsed extraction data
- */
-function parseGeminiResponse(geminiResponse) {
-    try {
-        // Clean the response - remove markdown formatting if present
-        let cleanResponse = geminiResponse.trim();
-        
-        // Remove markdown code blocks if present
-        cleanResponse = cleanResponse.replace(/```json\s*/, '').replace(/```\s*$/, '');
-        cleanResponse = cleanResponse.replace(/```\s*/, '').replace(/```\s*$/, '');
-        
-        // Parse JSON
-        const parsed = JSON.parse(cleanResponse);
-        
-        // Validate structure
-        if (!parsed.data || typeof parsed.data !== 'object') {
-            throw new Error('Invalid response structure: missing data object');
-        }
-
-        // Post-process village names to ensure they're clean
-        const cleanedData = postProcessVillageNames(parsed.data);
-
-        // Ensure confidence score is valid
-        const confidence = parsed.confidence || 0.5;
-        const validConfidence = Math.min(Math.max(confidence, 0), 1);
-
-        return {
-            data: cleanedData,
-            confidence: validConfidence,
-            notes: parsed.notes || 'Processed with Gemini AI'
-        };
-
-    } catch (error) {
-        console.error('Failed to parse Gemini response:', error);
-        console.error('Raw response:', geminiResponse);
-        
-        // Fallback: try to extract any JSON-like content
-        const jsonMatch = geminiResponse.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            try {
-                const fallbackParsed = JSON.parse(jsonMatch[0]);
-                if (fallbackParsed.data) {
-                    return {
-                        data: fallbackParsed.data,
-                        confidence: fallbackParsed.confidence || 0.3,
-                        notes: 'Parsed with fallback method'
-                    };
-                }
-            } catch (fallbackError) {
-                console.error('Fallback parsing also failed:', fallbackError);
-            }
-        }
-
-        // Ultimate fallback: return empty structure
-        return {
-            data: {
-                village_name: null,
-                village_name_cleaned: null,
-                survey_number: null,
-                buyer_name: null,
-                seller_name: null,
-                notice_date: null,
-                advocate_name: null,
-                advocate_address: null,
-                advocate_mobile: null,
-                district: null,
-                taluka: null
-            },
-            confidence: 0.1,
-            notes: 'Failed to parse Gemini response, returned empty structure'
-        };
-    }
-}
-
 /**
  * Test Gemini API connectivity
  * @returns {Promise<boolean>} - True if API is accessible
  */
 async function testGeminiAPI() {
     try {
-        if (!process.env.GEMINI_API_KEY) {
-            throw new Error('GEMINI_API_KEY not configured');
-        }
-
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-        const result = await model.generateContent("Hello, please respond with 'API Working'");
-        const response = await result.response;
-        const text = response.text();
+        const { text } = await generateText('extraction', "Hello, please respond with 'API Working'");
         
         console.log('✅ Gemini API test successful:', text);
         return true;
@@ -413,7 +314,7 @@ async function processImageWithGemini(imagePath) {
                 
                 const { geocodeVillage } = require('./geocodingService');
                 const villageName = geminiResults.extracted_data.village_name_cleaned || geminiResults.extracted_data.village_name;
-                const district = geminiResults.extracted_data.district || 'Rajkot';
+                const district = geminiResults.extracted_data.district || null;
                 
                 locationData = await geocodeVillage(villageName, district);
                 geocodingTime = Date.now() - geocodingStart;
@@ -511,13 +412,11 @@ async function refineExtractedDataWithGemini(extractedData, rawText) {
     try {
         console.log('🔍 Refining extracted data with Gemini AI for perfect accuracy...');
         
-        if (!process.env.GEMINI_API_KEY) {
-            console.warn('Gemini API key not available, skipping refinement');
+        if (!isLlmConfigured('refinement')) {
+            console.warn('Refinement LLM not configured, skipping refinement');
             return extractedData;
         }
 
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
         // Create specialized refinement prompt
         const refinementPrompt = `
 You are an expert in Gujarati property notices and geographic data. Your task is to PERFECT the following 4 critical fields from this property notice:
@@ -566,40 +465,19 @@ RESPOND WITH VALID JSON ONLY:
 }
 `;
 
-        console.log('🔄 Calling Gemini for data refinement...');
-        const result = await model.generateContent(refinementPrompt);
-        const response = await result.response;
-        const text = response.text();
+        // Invalid responses are re-prompted; if they never validate the error is recorded below
+        const { value: refinedData, text } = await generateValidatedResponse('refinement', refinementPrompt);
 
         console.log('✅ Gemini refinement response received');
         console.log('📋 Refinement response preview:', text.substring(0, 300) + '...');
-
-        // Parse the refinement response directly (not using parseGeminiResponse as it expects different format)
-        let refinedData;
-        try {
-            // Clean the response
-            let cleanResponse = text.trim();
-            cleanResponse = cleanResponse.replace(/```json\s*/, '').replace(/```\s*$/, '');
-            cleanResponse = cleanResponse.replace(/```\s*/, '').replace(/```\s*$/, '');
-            
-            // Parse JSON directly
-            refinedData = JSON.parse(cleanResponse);
-            
-            console.log('✅ Refinement data parsed successfully');
-            
-        } catch (parseError) {
-            console.error('Failed to parse refinement response:', parseError);
-            console.error('Raw response:', text);
-            throw new Error(`Refinement response parsing failed: ${parseError.message}`);
-        }
         
         const processingTime = Date.now() - startTime;
         console.log(`⏱️ Gemini refinement time: ${processingTime}ms`);
 
-        // Merge refined data with original data
+        // Merge refined data with original data; fields the model left null keep their extracted value
         const mergedData = {
             ...extractedData,
-            ...refinedData,
+            ...Object.fromEntries(Object.entries(refinedData).filter(([, value]) => value !== null)),
             // Keep original data as backup
             original_village_name: extractedData.village_name,
             original_survey_number: extractedData.survey_number,
@@ -650,14 +528,19 @@ async function getPerfectCoordinatesWithGemini(villageName, district = null, raw
     
     try {
         console.log(`🎯 Getting perfect coordinates for: ${villageName}, District: ${district || 'Unknown'}`);
+
+        // A reviewer's pin or surveyed gazetteer coordinates beat anything the model can recall
+        const { findKnownLocation } = require('./geocodingService');
+        const knownLocation = await findKnownLocation(villageName, district);
+        if (knownLocation) {
+            return { ...knownLocation, processing_time_ms: Date.now() - startTime };
+        }
         
-        if (!process.env.GEMINI_API_KEY) {
-            console.warn('Gemini API key not available, skipping coordinate refinement');
-            return { success: false, error: 'Gemini API not available' };
+        if (!isLlmConfigured('coordinates')) {
+            console.warn('Coordinates LLM not configured, skipping coordinate refinement');
+            return { success: false, error: 'Coordinates LLM not configured' };
         }
 
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
         // Create specialized coordinate prompt
         const coordinatePrompt = `
 You are a geographic expert specializing in Gujarat, India. I need the most accurate coordinates for this village.
@@ -693,36 +576,11 @@ RESPOND WITH VALID JSON ONLY:
 }
 `;
 
-        console.log('🔄 Calling Gemini for coordinate analysis...');
-        const result = await model.generateContent(coordinatePrompt);
-        const response = await result.response;
-        const text = response.text();
+        // Coordinates outside Gujarat fail validation and are re-prompted
+        const { value: coordinateData } = await generateValidatedResponse('coordinates', coordinatePrompt);
 
         console.log('✅ Gemini coordinate response received');
         
-        // Parse the coordinate response directly
-        let coordinateData;
-        try {
-            // Clean the response
-            let cleanResponse = text.trim();
-            cleanResponse = cleanResponse.replace(/```json\s*/, '').replace(/```\s*$/, '');
-            cleanResponse = cleanResponse.replace(/```\s*/, '').replace(/```\s*$/, '');
-            
-            // Parse JSON directly
-            coordinateData = JSON.parse(cleanResponse);
-            
-            console.log('✅ Coordinate data parsed successfully');
-            
-        } catch (parseError) {
-            console.error('Failed to parse coordinate response:', parseError);
-            console.error('Raw response:', text);
-            return {
-                success: false,
-                error: `Coordinate response parsing failed: ${parseError.message}`,
-                processing_time_ms: Date.now() - startTime
-            };
-        }
-        
         const processingTime = Date.now() - startTime;
 
         if (coordinateData && coordinateData.latitude && coordinateData.longitude) {
@@ -840,7 +698,7 @@ module.exports = {
     processImageWithGeminiOnly,
     testGeminiAPI,
     createExtractionPrompt,
-    parseGeminiResponse,
+    postProcessVillageNames,
     refineExtractedDataWithGemini,
     getPerfectCoordinatesWithGemini
 }; 
\ No newline at end of file
@@ -0,0 +1,263 @@
+/**
+ * Geocode Cache Service
+ * Keeps Google Maps geocoding results in the configured storage provider (geocode_cache), keyed by
+ * the normalised village name and district, so each village is paid for once:
+ *   found      results are reused for GEOCODE_CACHE_TTL_DAYS (default 90)
+ *   not_found  ZERO_RESULTS answers are reused for GEOCODE_CACHE_NEGATIVE_TTL_DAYS (default 7)
+ *   manual     overrides set by a reviewer never expire and win over the gazetteer and Google
+ * Errors (quota, missing key) are not cached. Lookup statistics are counted since the server started.
+ */
+
+const {
+    getGeocodeCacheEntry,
+    saveGeocodeCacheEntry,
+    deleteGeocodeCacheEntry,
+    listGeocodeCacheEntries
+} = require('./storageProviders');
+const { placeNameKey } = require('./gazetteerService');
+const { findDistrict } = require('./adminAreaService');
+const { GUJARAT_BOUNDS } = require('./llmResponseValidator');
+const { AppError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TTL_DAYS = 90;
+const DEFAULT_NEGATIVE_TTL_DAYS = 7;
+
+const stats = {
+    since: new Date().toISOString(),
+    hits: 0,
+    negative_hits: 0,
+    override_hits: 0,
+    misses: 0,
+    writes: 0,
+    errors: 0
+};
+
+// Village name as geocodeVillage searches it (without "ગામ", survey numbers, ...)
+function cleanName(villageName) {
+    // Required here: geocodingService itself depends on this module
+    const { cleanVillageNameForGeocoding } = require('./geocodingService');
+    return cleanVillageNameForGeocoding(villageName);
+}
+
+/**
+ * Cache key of a village: its cleaned, romanised name (the same for Gujarati and English spellings)
+ * and the romanised canonical name of its district, so "ગામ રીબડા" / "Ribada" and "જી. રાજકોટ" / "Rajkot"
+ * share entries. Only known spellings of a district count as that district; any other name is keyed by
+ * its own romanised form, vowels included, so "Amroli" is not taken for "Amreli"
+ * @param {string} villageName - Village name
+ * @param {string} district - District name (optional)
+ * @returns {string|null} - Key, or null for names that cannot be keyed
+ */
+function getGeocodeCacheKey(villageName, district = null) {
+    const villageKey = placeNameKey(cleanName(villageName));
+    if (!villageKey) {
+        return null;
+    }
+    return `${villageKey}|${district ? placeNameKey(findDistrict(district, { exactOnly: true })?.name || district) : ''}`;
+}
+
+function getTtlMs(status) {
+    const days = status === 'not_found' ?
+        parseFloat(process.env.GEOCODE_CACHE_NEGATIVE_TTL_DAYS) || DEFAULT_NEGATIVE_TTL_DAYS :
+        parseFloat(process.env.GEOCODE_CACHE_TTL_DAYS) || DEFAULT_TTL_DAYS;
+    return days * DAY_MS;
+}
+
+function isExpired(entry, now = Date.now()) {
+    return !!entry.expires_at && new Date(entry.expires_at).getTime() <= now;
+}
+
+/**
+ * Read the cache entry of a village; expired entries are ignored
+ * Storage failures are counted and reported as a miss, so geocoding carries on without the cache
+ * @param {string} villageName - Village name
+ * @param {string} district - District name (optional)
+ * @returns {Object|null} - { id, source: 'google' | 'manual', status: 'found' | 'not_found', result, ... }
+ */
+async function readGeocodeCache(villageName, district = null) {
+    const key = getGeocodeCacheKey(villageName, district);
+    if (!key) {
+        return null;
+    }
+
+    try {
+        const entry = await getGeocodeCacheEntry(key);
+        return entry && !isExpired(entry) ? entry : null;
+    } catch (error) {
+        stats.errors++;
+        console.warn(`⚠️ Geocode cache read failed for ${villageName}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Count a cache lookup for the status endpoint
+ * @param {Object|null} entry - Entry from readGeocodeCache, null for a miss
+ */
+function recordGeocodeCacheLookup(entry) {
+    if (!entry) {
+        stats.misses++;
+    } else if (entry.source === 'manual') {
+        stats.override_hits++;
+    } else if (entry.status === 'not_found') {
+        stats.negative_hits++;
+    } else {
+        stats.hits++;
+    }
+}
+
+/**
+ * Cache a Google Maps geocoding result (success or not_found); other results are not cached
+ * Never throws: a failed write only costs a repeated request later
+ * @param {string} villageName - Village name
+ * @param {string} district - District name (optional)
+ * @param {Object} result - geocodeVillage result
+ */
+async function writeGeocodeCache(villageName, district, result) {
+    const key = getGeocodeCacheKey(villageName, district);
+    const status = result.success ? 'found' : result.status;
+    if (!key || !['found', 'not_found'].includes(status)) {
+        return;
+    }
+
+    try {
+        // A manual override is never replaced by a geocoding result
+        const existing = await getGeocodeCacheEntry(key);
+        if (existing?.source === 'manual') {
+            return;
+        }
+
+        const now = Date.now();
+        await saveGeocodeCacheEntry({
+            id: key,
+            village_name: villageName,
+            district: district || null,
+            source: 'google',
+            status,
+            result,
+            cached_at: new Date(now).toISOString(),
+            expires_at: new Date(now + getTtlMs(status)).toISOString()
+        });
+        stats.writes++;
+    } catch (error) {
+        stats.errors++;
+        console.warn(`⚠️ Geocode cache write failed for ${villageName}: ${error.message}`);
+    }
+}
+
+/**
+ * Pin a village to coordinates chosen by a reviewer; the override is used for every later geocode
+ * of the village and district
+ * @param {Object} override - { villageName, district, taluka, latitude, longitude, setBy }
+ * @returns {Object} - Saved cache entry
+ */
+async function setGeocodeOverride({ villageName, district = null, taluka = null, latitude, longitude, setBy = null }) {
+    const key = getGeocodeCacheKey(villageName, district);
+    if (!key) {
+        throw new AppError('A village name is required for a location override', 400, 'INVALID_VILLAGE_NAME');
+    }
+
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) ||
+        lat < GUJARAT_BOUNDS.minLatitude || lat > GUJARAT_BOUNDS.maxLatitude ||
+        lng < GUJARAT_BOUNDS.minLongitude || lng > GUJARAT_BOUNDS.maxLongitude) {
+        throw new AppError('Coordinates must be a latitude and longitude inside Gujarat', 400, 'INVALID_COORDINATES');
+    }
+
+    const name = cleanName(villageName);
+    const entry = {
+        id: key,
+        village_name: name,
+        district: district || null,
+        source: 'manual',
+        status: 'found',
+        result: {
+            success: true,
+            latitude: lat,
+            longitude: lng,
+            formatted_address: [name, taluka, district, 'Gujarat, India'].filter(Boolean).join(', '),
+            district: district || null,
+            taluka: taluka || null,
+            state: 'Gujarat',
+            country: 'India',
+            coordinate_source: 'manual',
+            confidence_score: 1,
+            status: 'success'
+        },
+        set_by: setBy,
+        cached_at: new Date().toISOString(),
+        expires_at: null
+    };
+
+    await saveGeocodeCacheEntry(entry);
+    console.log(`📌 Location override set for ${name}${district ? `, ${district}` : ''}: ${lat}, ${lng}`);
+    return entry;
+}
+
+/**
+ * Remove the manual override of a village
+ * @param {string} villageName - Village name
+ * @param {string} district - District name (optional)
+ * @returns {boolean} - True if an override was removed
+ */
+async function removeGeocodeOverride(villageName, district = null) {
+    const key = getGeocodeCacheKey(villageName, district);
+    const entry = key ? await getGeocodeCacheEntry(key) : null;
+    if (!entry || entry.source !== 'manual') {
+        return false;
+    }
+    return deleteGeocodeCacheEntry(key);
+}
+
+/**
+ * List cache entries
+ * @param {Object} options - { source: 'google' | 'manual' } to list only one kind
+ * @returns {Array} - Entries
+ */
+async function listGeocodeCache({ source = null } = {}) {
+    const entries = await listGeocodeCacheEntries();
+    return source ? entries.filter(entry => entry.source === source) : entries;
+}
+
+/**
+ * Remove cached geocoding results; overrides are kept
+ * @param {Object} options - { expiredOnly } to remove only expired results
+ * @returns {number} - Number of entries removed
+ */
+async function clearGeocodeCache({ expiredOnly = false } = {}) {
+    const now = Date.now();
+    const entries = (await listGeocodeCacheEntries())
+        .filter(entry => entry.source !== 'manual' && (!expiredOnly || isExpired(entry, now)));
+
+    for (const entry of entries) {
+        await deleteGeocodeCacheEntry(entry.id);
+    }
+    return entries.length;
+}
+
+/**
+ * Cache lookup statistics since the server started, for the status endpoint
+ * @returns {Object}
+ */
+function getGeocodeCacheStats() {
+    const hits = stats.hits + stats.negative_hits + stats.override_hits;
+    const lookups = hits + stats.misses;
+    return {
+        ...stats,
+        hit_rate: lookups > 0 ? Math.round((hits / lookups) * 100) / 100 : null
+    };
+}
+
+module.exports = {
+    getGeocodeCacheKey,
+    readGeocodeCache,
+    recordGeocodeCacheLookup,
+    writeGeocodeCache,
+    setGeocodeOverride,
+    removeGeocodeOverride,
+    listGeocodeCache,
+    clearGeocodeCache,
+    getGeocodeCacheStats
+};
@@ -1,9 +1,42 @@
 /**
  * Geocoding Service for Property Notices
- * Converts village names to latitude/longitude coordinates using Google Maps API
+ * Converts village names to latitude/longitude coordinates: a reviewer's location override, the local
+ * gazetteer, a cached Google Maps answer, and only then the Google Maps API
  */
 
 const { AppError } = require('../middleware/errorHandler');
+const { resolveVillageLocation } = require('./gazetteerService');
+const { resolveAreaNames } = require('./adminAreaService');
+const { readGeocodeCache, recordGeocodeCacheLookup, writeGeocodeCache } = require('./geocodeCacheService');
+
+// A reviewer's override (from the village's cache entry), else the gazetteer village
+function getLocalLocation(cleanVillageName, district, cached) {
+    const searchQuery = [cleanVillageName, district].filter(Boolean).join(', ');
+
+    if (cached?.source === 'manual') {
+        recordGeocodeCacheLookup(cached);
+        console.log(`📌 Using location override: ${cached.result.latitude}, ${cached.result.longitude}`);
+        return { ...cached.result, search_query: searchQuery };
+    }
+
+    const gazetteerResult = resolveVillageLocation(cleanVillageName, { district });
+    if (gazetteerResult) {
+        console.log(`📚 Found in gazetteer: ${gazetteerResult.formatted_address}`);
+        return { ...gazetteerResult, search_query: searchQuery };
+    }
+    return null;
+}
+
+/**
+ * Location of a village known without asking Google: a reviewer's override, else the gazetteer village
+ * @param {string} villageName - Name of the village
+ * @param {string} district - District name (optional)
+ * @returns {Object|null} - Geocoding result, or null when the village is not known locally
+ */
+async function findKnownLocation(villageName, district = null) {
+    const cleanVillageName = cleanVillageNameForGeocoding(villageName);
+    return getLocalLocation(cleanVillageName, district, await readGeocodeCache(cleanVillageName, district));
+}
 
 /**
  * Geocode a village name to get coordinates and address details
@@ -15,6 +48,21 @@ const { AppError } = require('../middleware/errorHandler');
 async function geocodeVillage(villageName, district = null, state = 'Gujarat, India') {
     try {
         console.log(`🌍 Geocoding village: ${villageName}, District: ${district || 'Unknown'}`);
+
+        // Clean and format the village name
+        const cleanVillageName = cleanVillageNameForGeocoding(villageName);
+
+        const cached = await readGeocodeCache(cleanVillageName, district);
+        const localLocation = getLocalLocation(cleanVillageName, district, cached);
+        if (localLocation) {
+            return localLocation;
+        }
+
+        recordGeocodeCacheLookup(cached);
+        if (cached) {
+            console.log(`💾 Geocode cache hit for ${cleanVillageName} (${cached.status}, cached ${cached.cached_at})`);
+            return { ...cached.result, from_cache: true };
+        }
         
         if (!process.env.GOOGLE_MAPS_API_KEY) {
             throw new AppError(
@@ -24,9 +72,6 @@ async function geocodeVillage(villageName, district = null, state = 'Gujarat, In
             );
         }
 
-        // Clean and format the village name
-        const cleanVillageName = cleanVillageNameForGeocoding(villageName);
-        
         // Build search query
         let searchQuery = cleanVillageName;
         if (district) {
@@ -53,12 +98,14 @@ async function geocodeVillage(villageName, district = null, state = 'Gujarat, In
 
         if (data.status === 'ZERO_RESULTS') {
             console.log(`❌ No results found for: ${searchQuery}`);
-            return {
+            const notFound = {
                 success: false,
                 error: 'No location found for this village',
                 status: 'not_found',
                 search_query: searchQuery
             };
+            await writeGeocodeCache(cleanVillageName, district, notFound);
+            return notFound;
         }
 
         if (data.status !== 'OK') {
@@ -79,7 +126,7 @@ async function geocodeVillage(villageName, district = null, state = 'Gujarat, In
 
         console.log(`✅ Geocoded successfully: ${location.lat}, ${location.lng}`);
 
-        return {
+        const geocoded = {
             success: true,
             latitude: location.lat,
             longitude: location.lng,
@@ -90,9 +137,12 @@ async function geocodeVillage(villageName, district = null, state = 'Gujarat, In
             country: parsedAddress.country,
             place_id: result.place_id,
             location_type: result.geometry.location_type,
+            coordinate_source: 'google_maps',
             search_query: searchQuery,
             status: 'success'
         };
+        await writeGeocodeCache(cleanVillageName, district, geocoded);
+        return geocoded;
 
     } catch (error) {
         console.error('❌ Geocoding error:', error);
@@ -140,6 +190,9 @@ function cleanVillageNameForGeocoding(villageName) {
 
 /**
  * Parse Google Maps address components into structured data
+ * Google's administrative_area_level_2 / 3 are not reliably Gujarat's district and taluka (either may
+ * be missing, a taluka or a city), so they are matched against the district / taluka reference model:
+ * only names found there are kept, under their canonical names
  * @param {Array} addressComponents - Address components from Google Maps API
  * @returns {Object} - Parsed address components
  */
@@ -150,16 +203,14 @@ function parseAddressComponents(addressComponents) {
         state: null,
         country: null
     };
+    const areaNames = [];
     
     addressComponents.forEach(component => {
         const types = component.types;
         
-        if (types.includes('administrative_area_level_2')) {
-            // District level
-            parsed.district = component.long_name;
-        } else if (types.includes('administrative_area_level_3')) {
-            // Taluka level
-            parsed.taluka = component.long_name;
+        if (types.includes('administrative_area_level_2') || types.includes('administrative_area_level_3')) {
+            // District / taluka level, widest first
+            areaNames[types.includes('administrative_area_level_2') ? 0 : 1] = component.long_name;
         } else if (types.includes('administrative_area_level_1')) {
             // State level
             parsed.state = component.long_name;
@@ -169,6 +220,11 @@ function parseAddressComponents(addressComponents) {
         }
     });
     
+    // Outside Gujarat the names cannot be a Gujarat district or taluka
+    if (!parsed.state || parsed.state === 'Gujarat') {
+        Object.assign(parsed, resolveAreaNames(areaNames));
+    }
+    
     return parsed;
 }
 
@@ -223,6 +279,7 @@ async function testGeocodingAPI() {
 
 module.exports = {
     geocodeVillage,
+    findKnownLocation,
     geocodeVillagesBatch,
     testGeocodingAPI,
     cleanVillageNameForGeocoding,
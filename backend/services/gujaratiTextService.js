@@ -0,0 +1,221 @@
+/**
+ * Gujarati Text Normalisation
+ * Reduces Gujarati and romanised text to comparable search terms, so spelling variants
+ * (રીબડા / રિબડા), OCR glyph confusions and Gujarati vs English spellings ("Ribada") of the
+ * same name still match.
+ *
+ * Each token yields up to four terms, from strictest to loosest:
+ * - norm: Unicode-normalised, numerals converted, vowel length and nasal spellings folded
+ * - ocr: norm with glyphs OCR commonly mistakes for each other folded together (Gujarati only)
+ * - roman: romanised token with Latin spelling variants folded ("Ribada" and "રીબડા" both give "ribada")
+ * - phonetic: consonant skeleton of roman ("Rajkot" and "રાજકોટ" both give "rjkt")
+ */
+
+const { normalizeDigits } = require('./ruleExtractionService');
+
+const GUJARATI_SCRIPT = /[\u0A80-\u0AFF]/;
+
+// Characters that separate tokens; Gujarati vowel signs and virama are part of a word
+const TOKEN_PATTERN = /[^\s.,:;\-\/()'"“”‘’|!?[\]{}<>=+*#&@_]+/gu;
+
+const VIRAMA = '્';
+
+const CONSONANTS = {
+    'ક': 'k', 'ખ': 'kh', 'ગ': 'g', 'ઘ': 'gh', 'ઙ': 'n',
+    'ચ': 'ch', 'છ': 'chh', 'જ': 'j', 'ઝ': 'jh', 'ઞ': 'n',
+    'ટ': 't', 'ઠ': 'th', 'ડ': 'd', 'ઢ': 'dh', 'ણ': 'n',
+    'ત': 't', 'થ': 'th', 'દ': 'd', 'ધ': 'dh', 'ન': 'n',
+    'પ': 'p', 'ફ': 'ph', 'બ': 'b', 'ભ': 'bh', 'મ': 'm',
+    'ય': 'y', 'ર': 'r', 'લ': 'l', 'વ': 'v', 'શ': 'sh',
+    'ષ': 'sh', 'સ': 's', 'હ': 'h', 'ળ': 'l'
+};
+
+const INDEPENDENT_VOWELS = {
+    'અ': 'a', 'આ': 'a', 'ઇ': 'i', 'ઈ': 'i', 'ઉ': 'u', 'ઊ': 'u', 'ઋ': 'ru',
+    'એ': 'e', 'ઍ': 'e', 'ઐ': 'ai', 'ઓ': 'o', 'ઑ': 'o', 'ઔ': 'au'
+};
+
+const VOWEL_SIGNS = {
+    'ા': 'a', 'િ': 'i', 'ી': 'i', 'ુ': 'u', 'ૂ': 'u', 'ૃ': 'ru',
+    'ે': 'e', 'ૅ': 'e', 'ૈ': 'ai', 'ો': 'o', 'ૉ': 'o', 'ૌ': 'au'
+};
+
+// Spelling variants that mean the same word
+const SPELLING_VARIANTS = [
+    [/[\u200B-\u200D\uFEFF]/g, ''], // zero-width (non-)joiners
+    [/઼/g, ''], // nukta
+    [/ઁ/g, 'ં'], // candrabindu
+    [/ઃ/g, ''], // visarga
+    [/ી/g, 'િ'],
+    [/ૂ/g, 'ુ'],
+    [/ઈ/g, 'ઇ'],
+    [/ઊ/g, 'ઉ'],
+    [/ૅ/g, 'ે'],
+    [/ૉ/g, 'ો'],
+    [/ઍ/g, 'એ'],
+    [/ઑ/g, 'ઓ'],
+    // Nasal consonant + virama before a consonant is written either way (સન્જય / સંજય)
+    [/[ઙઞણનમ]્(?=[ક-હળ])/g, 'ં']
+];
+
+// Glyph pairs OCR engines often read as each other in printed Gujarati
+const OCR_CONFUSIONS = [
+    [/ઘ/g, 'ધ'],
+    [/ય/g, 'પ'],
+    [/ભ/g, 'મ'],
+    [/ઢ/g, 'ઠ'],
+    [/ણ/g, 'ળ'],
+    [/ઝ/g, 'ગ']
+];
+
+/**
+ * Split text into tokens, keeping each token's position in the original text
+ * @param {string} text - Text to tokenize
+ * @returns {Array} - [{ token, start, end }]
+ */
+function tokenizeWithOffsets(text) {
+    return [...String(text || '').matchAll(TOKEN_PATTERN)].map(match => ({
+        token: match[0],
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+/**
+ * Normalise a token for exact comparison
+ * @param {string} token - Gujarati or Latin token
+ * @returns {string}
+ */
+function normalizeToken(token) {
+    let normalized = normalizeDigits(token.normalize('NFC'));
+
+    if (GUJARATI_SCRIPT.test(normalized)) {
+        SPELLING_VARIANTS.forEach(([pattern, replacement]) => {
+            normalized = normalized.replace(pattern, replacement);
+        });
+        return normalized;
+    }
+
+    // Latin: drop accents ("Ribāḍā" is "ribada")
+    return normalized.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Fold glyphs OCR confuses, for a token already passed through normalizeToken
+ * @param {string} normalized - Normalised token
+ * @returns {string|null} - Null for tokens without Gujarati letters
+ */
+function ocrFoldToken(normalized) {
+    if (!GUJARATI_SCRIPT.test(normalized)) {
+        return null;
+    }
+    return OCR_CONFUSIONS.reduce((folded, [pattern, replacement]) => folded.replace(pattern, replacement), normalized);
+}
+
+/**
+ * Romanise Gujarati text (simplified, lossy; inherent vowels dropped at the end of a word)
+ * @param {string} text - Gujarati text
+ * @returns {string} - Lowercase Latin text
+ */
+function transliterateGujarati(text) {
+    const chars = [...normalizeDigits(String(text))];
+    let latin = '';
+
+    chars.forEach((char, index) => {
+        const next = chars[index + 1];
+
+        if (CONSONANTS[char]) {
+            latin += CONSONANTS[char];
+            // Inherent "a" unless a vowel sign or virama follows, or the word ends
+            const wordContinues = next && GUJARATI_SCRIPT.test(next);
+            if (wordContinues && !VOWEL_SIGNS[next] && next !== VIRAMA && next !== '઼') {
+                latin += 'a';
+            }
+        } else if (VOWEL_SIGNS[char]) {
+            latin += VOWEL_SIGNS[char];
+        } else if (INDEPENDENT_VOWELS[char]) {
+            latin += INDEPENDENT_VOWELS[char];
+        } else if (char === 'ં' || char === 'ઁ') {
+            latin += 'n';
+        } else if (char === 'ઃ') {
+            latin += 'h';
+        } else if (!GUJARATI_SCRIPT.test(char)) {
+            latin += char.toLowerCase();
+        }
+        // Virama, nukta and other signs add no sound of their own
+    });
+
+    return latin;
+}
+
+// Romanise a token and fold Latin spellings of the same sound (aspiration, sibilants, long vowels)
+function foldLatin(token) {
+    const latin = GUJARATI_SCRIPT.test(token) ? transliterateGujarati(token) : token;
+    return latin
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '')
+        .replace(/chh|ch/g, 'c')
+        .replace(/sh/g, 's')
+        .replace(/([kgjtdpb])h/g, '$1')
+        .replace(/f/g, 'p')
+        .replace(/w/g, 'v')
+        .replace(/z/g, 'j')
+        .replace(/q/g, 'k')
+        .replace(/x/g, 'ks')
+        .replace(/ee/g, 'i')
+        .replace(/oo/g, 'u')
+        .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Romanised form of a token, comparable across Gujarati and Latin spellings ("Ribada" and "રીબડા" both give "ribada")
+ * @param {string} token - Gujarati or Latin token
+ * @returns {string|null} - Null for numbers and tokens too short to compare
+ */
+function romanizedKey(token) {
+    if (/^\d+$/.test(token)) {
+        return null;
+    }
+    const key = foldLatin(token);
+    return key.length >= 2 ? key : null;
+}
+
+/**
+ * Consonant skeleton of a token, for romanised spellings that differ in their vowels ("Rajkot" / "રાજકોટ" give "rjkt")
+ * @param {string} token - Gujarati or Latin token
+ * @returns {string|null} - Null for numbers and tokens too short to compare
+ */
+function phoneticKey(token) {
+    if (/^\d+$/.test(token)) {
+        return null;
+    }
+    const folded = foldLatin(token);
+    const key = (folded.charAt(0) + folded.slice(1).replace(/[aeiou]/g, '')).replace(/(.)\1+/g, '$1');
+    return key.length >= 2 ? key : null;
+}
+
+/**
+ * All search terms of a token
+ * @param {string} token - Token from tokenizeWithOffsets
+ * @returns {Object} - { norm, ocr, roman, phonetic }
+ */
+function getSearchTerms(token) {
+    const norm = normalizeToken(token);
+    return {
+        norm,
+        ocr: ocrFoldToken(norm),
+        roman: romanizedKey(norm),
+        phonetic: phoneticKey(norm)
+    };
+}
+
+module.exports = {
+    tokenizeWithOffsets,
+    normalizeToken,
+    transliterateGujarati,
+    romanizedKey,
+    phoneticKey,
+    getSearchTerms
+};
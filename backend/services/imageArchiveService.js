@@ -0,0 +1,167 @@
+/**
+ * Notice Image Archive
+ * Keeps the original scan of every saved notice so values can be checked against the source later.
+ *
+ * Images are staged per processing job when the job is created (uploads are deleted once processed),
+ * then moved under the notice when the reviewer saves it:
+ *   staging/<jobId>.<ext>                          uploaded image, or the notice cut out of a segmented page
+ *   notices/<noticeId>/original.<ext>              the saved notice's scan
+ *   notices/<noticeId>/thumbnail.jpg               small preview for lists
+ *   notices/<noticeId>/publications/<id>.<ext>     scans of other publications merged into the notice
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { getImageStorage } = require('./imageStorage');
+const { getContentType } = require('./imageStorage/imageTypes');
+
+const THUMBNAIL_WIDTH = 320;
+
+/**
+ * Cut a notice region out of a page image, clamped to the image
+ * @param {string} filePath - Page image
+ * @param {Object} box - { x, y, width, height } in page pixels
+ * @returns {Buffer|null} - Cropped image in the page's format, or null if the page is not an image
+ */
+async function cropImage(filePath, box) {
+    try {
+        const image = sharp(filePath);
+        const { width, height } = await image.metadata();
+        const left = Math.max(0, Math.min(Math.round(box.x), width - 1));
+        const top = Math.max(0, Math.min(Math.round(box.y), height - 1));
+
+        return await image.extract({
+            left,
+            top,
+            width: Math.max(1, Math.min(Math.round(box.width), width - left)),
+            height: Math.max(1, Math.min(Math.round(box.height), height - top))
+        }).toBuffer();
+    } catch (error) {
+        console.warn(`⚠️ Could not crop notice region from ${filePath}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Keep a copy of a job's image until the notice is saved
+ * Failures are logged and not thrown: a missing image must not stop the notice from being processed
+ * @param {string} jobId - Processing job ID
+ * @param {Object} file - Uploaded file ({ path, filename })
+ * @param {Object} segment - Notice region ({ boundingBox }) when the file is a segmented page
+ * @returns {string|null} - Staging key, or null if the image could not be stored
+ */
+async function stageJobImage(jobId, file, segment = null) {
+    try {
+        const extension = path.extname(file.filename || file.path).toLowerCase();
+        const key = `staging/${jobId}${extension}`;
+        const buffer = (segment?.boundingBox && await cropImage(file.path, segment.boundingBox)) ||
+            await fs.promises.readFile(file.path);
+
+        await getImageStorage().saveImage(key, buffer, getContentType(key));
+        return key;
+
+    } catch (error) {
+        console.warn(`⚠️ Could not stage image for job ${jobId}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Move a staged image to a permanent key
+ * @returns {Object|null} - { key, buffer } or null if the staged image is gone
+ */
+async function moveStagedImage(stagedKey, key) {
+    const storage = getImageStorage();
+    const staged = await storage.getImage(stagedKey);
+    if (!staged) {
+        console.warn(`⚠️ Staged image ${stagedKey} not found, notice saved without its image`);
+        return null;
+    }
+
+    await storage.saveImage(key, staged.buffer, staged.contentType);
+    await storage.deleteImages(stagedKey);
+    return { key, buffer: staged.buffer };
+}
+
+/**
+ * Small JPEG preview of an image
+ * @param {Buffer} buffer - Image contents
+ * @returns {Buffer|null} - Thumbnail, or null if the image cannot be decoded (e.g. a PDF page)
+ */
+async function createThumbnail(buffer) {
+    try {
+        return await sharp(buffer)
+            .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+            .jpeg({ quality: 75 })
+            .toBuffer();
+    } catch (error) {
+        console.warn(`⚠️ Could not create thumbnail: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Archive a saved notice's staged image as its original, with a thumbnail
+ * @param {string} noticeId - Notice ID
+ * @param {string} stagedKey - Staging key from stageJobImage
+ * @returns {Object} - { image_key, thumbnail_key } (null keys when nothing could be stored)
+ */
+async function archiveNoticeImage(noticeId, stagedKey) {
+    const extension = path.extname(stagedKey);
+    const original = await moveStagedImage(stagedKey, `notices/${noticeId}/original${extension}`);
+    if (!original) {
+        return { image_key: null, thumbnail_key: null };
+    }
+
+    const thumbnail = await createThumbnail(original.buffer);
+    const thumbnailKey = `notices/${noticeId}/thumbnail.jpg`;
+    if (thumbnail) {
+        await getImageStorage().saveImage(thumbnailKey, thumbnail, 'image/jpeg');
+    }
+
+    console.log(`🗄️ Archived image for notice ${noticeId}`);
+    return { image_key: original.key, thumbnail_key: thumbnail ? thumbnailKey : null };
+}
+
+/**
+ * Archive the staged image of an upload merged into a notice as another publication
+ * @param {string} noticeId - Notice the upload is merged into
+ * @param {string} stagedKey - Staging key from stageJobImage
+ * @returns {string|null} - Image key
+ */
+async function archivePublicationImage(noticeId, stagedKey) {
+    const moved = await moveStagedImage(stagedKey,
+        `notices/${noticeId}/publications/${uuidv4()}${path.extname(stagedKey)}`);
+    return moved ? moved.key : null;
+}
+
+/**
+ * Read an archived image
+ * @param {string} key - Image key
+ * @returns {Object|null} - { buffer, contentType } or null if not stored
+ */
+async function getArchivedImage(key) {
+    return key ? getImageStorage().getImage(key) : null;
+}
+
+/**
+ * Remove images that are no longer needed: every image of a deleted notice, or a single key
+ * @param {string} prefixOrKey - notices/<id>/ or an image key
+ */
+async function deleteArchivedImages(prefixOrKey) {
+    try {
+        await getImageStorage().deleteImages(prefixOrKey);
+    } catch (error) {
+        console.warn(`⚠️ Could not delete archived images ${prefixOrKey}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    stageJobImage,
+    archiveNoticeImage,
+    archivePublicationImage,
+    getArchivedImage,
+    deleteArchivedImages
+};
@@ -0,0 +1,102 @@
+/**
+ * Firebase Storage image storage
+ * Stores every image as an object in FIREBASE_STORAGE_BUCKET, using the key as its object name
+ */
+
+const admin = require('firebase-admin');
+const { AppError } = require('../../middleware/errorHandler');
+
+// Resolved on first use so the server can start with local image storage and no bucket configured
+let bucket;
+
+function getBucket() {
+    if (bucket) {
+        return bucket;
+    }
+
+    if (!process.env.FIREBASE_STORAGE_BUCKET) {
+        throw new AppError('Firebase Storage bucket not configured. Set FIREBASE_STORAGE_BUCKET', 500, 'IMAGE_STORAGE_UNAVAILABLE');
+    }
+
+    // The Firestore provider initializes the same app when it is used; otherwise set it up here
+    if (admin.apps.length === 0) {
+        if (process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount),
+                projectId: serviceAccount.project_id
+            });
+        } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+            admin.initializeApp({
+                credential: admin.credential.applicationDefault(),
+                projectId: process.env.FIREBASE_PROJECT_ID
+            });
+        } else {
+            throw new AppError(
+                'Firebase credentials not configured. Set FIREBASE_SERVICE_ACCOUNT_KEY or GOOGLE_APPLICATION_CREDENTIALS',
+                500,
+                'IMAGE_STORAGE_UNAVAILABLE'
+            );
+        }
+    }
+
+    bucket = admin.storage().bucket(process.env.FIREBASE_STORAGE_BUCKET);
+    console.log(`Firebase Storage bucket ${bucket.name} initialized for notice images`);
+    return bucket;
+}
+
+function isConfigured() {
+    return !!(process.env.FIREBASE_STORAGE_BUCKET &&
+        (process.env.FIREBASE_SERVICE_ACCOUNT_KEY || process.env.GOOGLE_APPLICATION_CREDENTIALS));
+}
+
+/**
+ * Store an image
+ * @param {string} key - Object name (e.g. notices/<id>/original.jpg)
+ * @param {Buffer} buffer - Image contents
+ * @param {string} contentType - MIME type
+ */
+async function saveImage(key, buffer, contentType) {
+    await getBucket().file(key).save(buffer, {
+        resumable: false,
+        contentType
+    });
+}
+
+/**
+ * Read a stored image
+ * @param {string} key - Object name
+ * @returns {Object|null} - { buffer, contentType } or null if not stored
+ */
+async function getImage(key) {
+    const file = getBucket().file(key);
+
+    try {
+        const [[buffer], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+        return {
+            buffer,
+            contentType: metadata.contentType || 'application/octet-stream'
+        };
+    } catch (error) {
+        if (error.code === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Delete every image whose object name starts with a prefix (e.g. all images of a notice)
+ * @param {string} prefix - Object name prefix ending in "/", or a single object name
+ */
+async function deleteImages(prefix) {
+    await getBucket().deleteFiles({ prefix, force: true });
+}
+
+module.exports = {
+    name: 'firebase',
+    isConfigured,
+    saveImage,
+    getImage,
+    deleteImages
+};
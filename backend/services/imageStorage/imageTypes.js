@@ -0,0 +1,26 @@
+/**
+ * Image types kept by the image storage providers, keyed by file extension
+ */
+
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.pdf': 'application/pdf'
+};
+
+/**
+ * MIME type of a stored image, from the extension of its key or filename
+ * @param {string} key - Storage key or filename
+ * @returns {string}
+ */
+function getContentType(key) {
+    return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    getContentType
+};
@@ -0,0 +1,51 @@
+/**
+ * Image Storage Registry
+ * Every provider exposes the same interface:
+ *   saveImage(key, buffer, contentType), getImage(key) -> { buffer, contentType } | null,
+ *   deleteImages(prefix), isConfigured()
+ * Keys are slash-separated paths such as notices/<id>/original.jpg.
+ *
+ * IMAGE_STORAGE_PROVIDER selects the provider (local | firebase). Providers are loaded on first use,
+ * so the Firebase SDK is not initialized when images are kept in a local directory.
+ */
+
+const { AppError } = require('../../middleware/errorHandler');
+
+const providers = {
+    local: () => require('./localProvider'),
+    firebase: () => require('./firebaseProvider')
+};
+
+/**
+ * Look up an image storage provider by name
+ * @param {string} name - Provider name (defaults to IMAGE_STORAGE_PROVIDER)
+ * @returns {Object} - Provider
+ */
+function getImageStorage(name = process.env.IMAGE_STORAGE_PROVIDER || 'local') {
+    const loadProvider = providers[name];
+    if (!loadProvider) {
+        throw new AppError(
+            `Unknown image storage provider: ${name}. Available providers: ${Object.keys(providers).join(', ')}`,
+            500,
+            'UNKNOWN_IMAGE_STORAGE_PROVIDER'
+        );
+    }
+    return loadProvider();
+}
+
+/**
+ * Describe the image storage configuration for the status endpoint
+ * @returns {Object}
+ */
+function getImageStorageStatus() {
+    const provider = getImageStorage();
+    return {
+        provider: provider.name,
+        configured: provider.isConfigured()
+    };
+}
+
+module.exports = {
+    getImageStorage,
+    getImageStorageStatus
+};
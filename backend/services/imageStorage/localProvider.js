@@ -0,0 +1,74 @@
+/**
+ * Local directory image storage
+ * Stores every image as a file under IMAGE_STORAGE_DIR, using the key as its relative path
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getContentType } = require('./imageTypes');
+const { AppError } = require('../../middleware/errorHandler');
+
+function getRootDir() {
+    return path.resolve(process.env.IMAGE_STORAGE_DIR || path.join('data', 'images'));
+}
+
+// Keys are built by the archive service, but never let one point outside the storage directory
+function resolveKey(key) {
+    const root = getRootDir();
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new AppError(`Invalid image key: ${key}`, 400, 'INVALID_IMAGE_KEY');
+    }
+    return filePath;
+}
+
+function isConfigured() {
+    return true;
+}
+
+/**
+ * Store an image
+ * @param {string} key - Storage key (e.g. notices/<id>/original.jpg)
+ * @param {Buffer} buffer - Image contents
+ */
+async function saveImage(key, buffer) {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+}
+
+/**
+ * Read a stored image
+ * @param {string} key - Storage key
+ * @returns {Object|null} - { buffer, contentType } or null if not stored
+ */
+async function getImage(key) {
+    try {
+        const buffer = await fs.promises.readFile(resolveKey(key));
+        return {
+            buffer,
+            contentType: getContentType(key)
+        };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Delete every image whose key starts with a prefix (e.g. all images of a notice)
+ * @param {string} prefix - Key prefix ending in "/", or a single key
+ */
+async function deleteImages(prefix) {
+    await fs.promises.rm(resolveKey(prefix), { recursive: true, force: true });
+}
+
+module.exports = {
+    name: 'local',
+    isConfigured,
+    saveImage,
+    getImage,
+    deleteImages
+};
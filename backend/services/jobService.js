@@ -0,0 +1,331 @@
+/**
+ * Processing Job Service
+ * Runs the property notice pipeline in the background, one stage at a time,
+ * and records per-stage progress so clients can poll and failed jobs can be retried.
+ * A finished job is the draft the reviewer saves the notice from (see draftService).
+ */
+
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { PROCESSING_STAGES, runProcessingStages, formatProcessingResult } = require('./ocrService');
+const {
+    saveProcessingJob,
+    getProcessingJobById,
+    updateProcessingJob,
+    getUnfinishedProcessingJobs
+} = require('./storageProviders');
+const { computeImageHash, findDuplicateNotices } = require('./duplicateService');
+const { stageJobImage, getArchivedImage } = require('./imageArchiveService');
+const { getDraftExpiry } = require('./draftService');
+const { AppError } = require('../middleware/errorHandler');
+
+const maxConcurrentJobs = parseInt(process.env.JOB_CONCURRENCY) || 1;
+const jobQueue = [];
+let activeJobs = 0;
+
+/**
+ * Create a processing job for an uploaded file and queue it
+ * @param {Object} file - Uploaded file from multer
+ * @param {Object} options - Job options
+ * @param {string} options.batchId - Batch the file was uploaded in (optional)
+ * @param {number} options.batchIndex - Position of the file within its batch
+ * @param {string} options.fromStage - First stage to run (default: ocr)
+ * @param {Object} options.state - Pipeline state already produced for the earlier stages
+ * @param {Object} options.segment - Notice region ({ index, boundingBox }) when the file is a segmented page
+ * @param {Object} options.publication - Where the notice was published ({ newspaper, edition, publication_date, page })
+ * @returns {Object} - Queued job
+ */
+async function createProcessingJob(file, options = {}) {
+    const {
+        batchId = null,
+        batchIndex = null,
+        fromStage = PROCESSING_STAGES[0],
+        state = {},
+        segment = null,
+        publication = null
+    } = options;
+
+    // The upload is deleted once processed; a copy is kept so the saved notice can be archived with its scan
+    const id = uuidv4();
+    const imageKey = await stageJobImage(id, file, segment);
+
+    const job = await saveProcessingJob({
+        id,
+        batch_id: batchId,
+        batch_index: batchIndex,
+        status: 'queued',
+        filename: file.filename,
+        original_name: file.originalname,
+        file_path: file.path,
+        page_number: file.pageNumber || null,
+        segment_index: segment ? segment.index : null,
+        bounding_box: segment ? segment.boundingBox : null,
+        publication,
+        image_key: imageKey,
+        resume_stage: fromStage,
+        current_stage: null,
+        failed_stage: null,
+        stages: {},
+        stage_state: JSON.parse(JSON.stringify(state)),
+        result: null,
+        error: null,
+        attempts: 0
+    });
+
+    console.log(`📥 Queued processing job ${job.id} for ${file.filename}`);
+    enqueueJob(job.id);
+
+    return job;
+}
+
+/**
+ * Get the public view of a processing job
+ * @param {string} id - Job ID
+ * @returns {Object|null} - Job status or null if not found
+ */
+async function getProcessingJob(id) {
+    const job = await getProcessingJobById(id);
+    return job ? formatJobStatus(job) : null;
+}
+
+/**
+ * Re-queue a failed job so it resumes from the stage that failed
+ * @param {string} id - Job ID
+ * @returns {Object} - Job status after re-queueing
+ */
+async function retryProcessingJob(id) {
+    const job = await getProcessingJobById(id);
+
+    if (!job) {
+        throw new AppError('Processing job not found', 404, 'JOB_NOT_FOUND');
+    }
+
+    if (job.status !== 'failed') {
+        throw new AppError(`Only failed jobs can be retried (current status: ${job.status})`, 409, 'JOB_NOT_RETRYABLE');
+    }
+
+    if (job.draft_status === 'expired') {
+        throw new AppError('The uploaded file of this job has expired; upload it again', 410, 'JOB_EXPIRED');
+    }
+
+    await updateProcessingJob(id, {
+        status: 'queued',
+        failed_stage: null,
+        error: null,
+        expires_at: null
+    });
+
+    console.log(`🔁 Retrying processing job ${id} from stage: ${job.resume_stage}`);
+    enqueueJob(id);
+
+    return getProcessingJob(id);
+}
+
+/**
+ * Re-queue jobs that were queued or running when the server stopped
+ * @returns {number} - Number of jobs resumed
+ */
+async function resumeUnfinishedJobs() {
+    const jobs = await getUnfinishedProcessingJobs();
+
+    jobs.forEach(job => {
+        console.log(`▶️ Resuming processing job ${job.id} from stage: ${job.resume_stage}`);
+        enqueueJob(job.id);
+    });
+
+    return jobs.length;
+}
+
+/**
+ * Add a job to the in-memory queue and start workers if capacity allows
+ * @param {string} id - Job ID
+ */
+function enqueueJob(id) {
+    if (!jobQueue.includes(id)) {
+        jobQueue.push(id);
+    }
+    drainQueue();
+}
+
+function drainQueue() {
+    while (activeJobs < maxConcurrentJobs && jobQueue.length > 0) {
+        const id = jobQueue.shift();
+        activeJobs++;
+
+        runJob(id)
+            .catch(error => console.error(`❌ Processing job ${id} crashed:`, error))
+            .finally(() => {
+                activeJobs--;
+                drainQueue();
+            });
+    }
+}
+
+/**
+ * Run the remaining stages of a job, persisting progress after every stage
+ * @param {string} id - Job ID
+ */
+async function runJob(id) {
+    const job = await getProcessingJobById(id);
+
+    if (!job || job.status === 'done' || job.status === 'failed') {
+        return;
+    }
+
+    const stages = job.stages || {};
+    let currentStage = job.resume_stage;
+
+    await updateProcessingJob(id, { attempts: (job.attempts || 0) + 1 });
+
+    try {
+        const finalState = await runProcessingStages(job.file_path, {
+            state: job.stage_state || {},
+            fromStage: job.resume_stage,
+            onStageStart: async (stage) => {
+                currentStage = stage;
+                stages[stage] = { started_at: new Date().toISOString() };
+                await updateProcessingJob(id, { status: stage, current_stage: stage, stages });
+            },
+            onStageComplete: async (stage, state, durationMs) => {
+                stages[stage] = {
+                    ...stages[stage],
+                    completed_at: new Date().toISOString(),
+                    duration_ms: durationMs
+                };
+                const nextStage = PROCESSING_STAGES[PROCESSING_STAGES.indexOf(stage) + 1] || null;
+                await updateProcessingJob(id, {
+                    stages,
+                    // Round-trip through JSON: Firestore rejects undefined values
+                    stage_state: JSON.parse(JSON.stringify(state)),
+                    resume_stage: nextStage
+                });
+            }
+        });
+
+        const processingTime = Object.values(stages)
+            .reduce((total, stage) => total + (stage.duration_ms || 0), 0);
+        const result = formatProcessingResult(finalState, processingTime);
+
+        // Warn the reviewer when this notice is already saved (e.g. published in another newspaper).
+        // The staged copy is hashed: for a segmented page it is the notice's own cut-out, while the page
+        // file is shared by all of its notices and removed once they are queued
+        const staged = await getArchivedImage(job.image_key).catch(() => null);
+        const imageHash = await computeImageHash(staged?.buffer || job.file_path).catch(error => {
+            console.warn(`⚠️ Image hash failed for job ${id}:`, error.message);
+            return null;
+        });
+        const duplicates = await findDuplicateNotices({
+            imageHash,
+            rawText: result.raw_text,
+            extractedData: result.extracted_data
+        }).catch(error => {
+            console.warn(`⚠️ Duplicate check failed for job ${id}:`, error.message);
+            return [];
+        });
+
+        await updateProcessingJob(id, {
+            status: 'done',
+            current_stage: null,
+            // The result is now a draft waiting for review
+            draft_status: 'open',
+            expires_at: getDraftExpiry(),
+            result: JSON.parse(JSON.stringify({
+                extractedData: result.extracted_data,
+                rawText: result.raw_text,
+                confidenceScore: result.confidence_score,
+                fieldProvenance: result.field_provenance,
+                disagreements: result.extraction_disagreements,
+                // Gazetteer village the name was matched to, or the closest villages when no single one matched
+                villageMatch: result.village_match,
+                villageCandidates: result.village_candidates,
+                llmFailures: result.llm_failures,
+                processingTime: result.processing_time_ms,
+                aiService: result.ai_service,
+                filename: job.filename,
+                pageNumber: job.page_number || null,
+                boundingBox: job.bounding_box || null,
+                publication: job.publication || null,
+                // Sent back with save-notice, which saves the notice from this job's stored output
+                draftId: id,
+                imageUrl: job.image_key ? `/api/jobs/${id}/image` : null,
+                imageHash,
+                duplicates,
+                needsConfirmation: true
+            }))
+        });
+
+        console.log(`✅ Processing job ${id} completed in ${processingTime}ms`);
+        removeUploadedFile(job.file_path);
+
+    } catch (error) {
+        console.error(`❌ Processing job ${id} failed at stage ${currentStage}:`, error.message);
+
+        if (stages[currentStage]) {
+            stages[currentStage].failed_at = new Date().toISOString();
+        }
+
+        // The uploaded file is kept so the job can be retried, until the draft sweeper removes it
+        await updateProcessingJob(id, {
+            status: 'failed',
+            current_stage: null,
+            failed_stage: currentStage,
+            expires_at: getDraftExpiry(),
+            stages,
+            error: {
+                message: error.message,
+                code: error.code || 'PROCESSING_ERROR',
+                details: error.details || null
+            }
+        });
+    }
+}
+
+function removeUploadedFile(filePath) {
+    if (filePath && fs.existsSync(filePath)) {
+        try {
+            fs.unlinkSync(filePath);
+            console.log(`Cleaned up file: ${filePath}`);
+        } catch (cleanupError) {
+            console.error(`Failed to clean up file ${filePath}:`, cleanupError);
+        }
+    }
+}
+
+/**
+ * Build the job status returned to API clients
+ * @param {Object} job - Stored processing job
+ * @returns {Object} - Job status
+ */
+function formatJobStatus(job) {
+    return {
+        id: job.id,
+        batchId: job.batch_id || null,
+        status: job.status,
+        filename: job.filename,
+        originalName: job.original_name,
+        pageNumber: job.page_number || null,
+        segmentIndex: job.segment_index ?? null,
+        boundingBox: job.bounding_box || null,
+        imageUrl: job.image_key ? `/api/jobs/${job.id}/image` : null,
+        currentStage: job.current_stage,
+        failedStage: job.failed_stage,
+        resumeStage: job.resume_stage,
+        stages: job.stages || {},
+        attempts: job.attempts || 0,
+        error: job.error,
+        result: job.status === 'done' ? job.result : null,
+        draftStatus: job.draft_status || null,
+        noticeId: job.notice_id || null,
+        expiresAt: job.expires_at || null,
+        createdAt: job.created_at,
+        updatedAt: job.updated_at
+    };
+}
+
+module.exports = {
+    formatJobStatus,
+    createProcessingJob,
+    getProcessingJob,
+    retryProcessingJob,
+    resumeUnfinishedJobs
+};
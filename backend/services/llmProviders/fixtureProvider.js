@@ -0,0 +1,88 @@
+/**
+ * Fixture replay LLM provider
+ * Returns recorded responses instead of calling a model, so tests and offline runs are
+ * deterministic. Fixtures are JSON files in LLM_FIXTURE_DIR, looked up by task and prompt hash
+ * (<task>-<hash>.json), falling back to a per-task default (<task>.json).
+ * Run with LLM_FIXTURE_RECORD=true against a real provider to record new fixtures.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AppError } = require('../../middleware/errorHandler');
+
+function getFixtureDir() {
+    return process.env.LLM_FIXTURE_DIR || path.join(__dirname, '..', '..', 'fixtures', 'llm');
+}
+
+function hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 16);
+}
+
+/**
+ * Check whether the fixture directory exists
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return fs.existsSync(getFixtureDir());
+}
+
+/**
+ * Replay the recorded response for a prompt
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Generation options
+ * @param {string} options.task - Task the prompt belongs to
+ * @returns {Promise<string>} - Recorded response text
+ */
+async function generateText(prompt, { task }) {
+    const candidates = [
+        path.join(getFixtureDir(), `${task}-${hashPrompt(prompt)}.json`),
+        path.join(getFixtureDir(), `${task}.json`)
+    ];
+
+    const fixturePath = candidates.find(candidate => fs.existsSync(candidate));
+    if (!fixturePath) {
+        throw new AppError(
+            `No LLM fixture found for task "${task}" (looked for ${candidates.map(c => path.basename(c)).join(', ')})`,
+            500,
+            'LLM_FIXTURE_MISSING'
+        );
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+}
+
+/**
+ * Record a real provider response as a fixture for later replay
+ * @param {string} task - Task the prompt belongs to
+ * @param {string} prompt - Prompt text
+ * @param {string} response - Response text
+ * @param {Object} source - Provider and model that produced the response
+ * @returns {string} - Path of the written fixture
+ */
+function saveFixture(task, prompt, response, source) {
+    const fixtureDir = getFixtureDir();
+    const fixturePath = path.join(fixtureDir, `${task}-${hashPrompt(prompt)}.json`);
+
+    fs.mkdirSync(fixtureDir, { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify({
+        task,
+        provider: source.provider,
+        model: source.model,
+        recorded_at: new Date().toISOString(),
+        response
+    }, null, 2));
+
+    console.log(`💾 Recorded LLM fixture: ${path.basename(fixturePath)}`);
+    return fixturePath;
+}
+
+module.exports = {
+    name: 'fixture',
+    label: 'fixture',
+    defaultModel: 'replay',
+    isConfigured,
+    generateText,
+    saveFixture
+};
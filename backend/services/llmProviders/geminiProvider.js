@@ -0,0 +1,41 @@
+/**
+ * Google Gemini LLM provider
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Created on first use so a missing key does not break module loading
+let genAI;
+
+/**
+ * Check whether a Gemini API key is configured
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY) && process.env.GEMINI_API_KEY !== 'your-gemini-api-key';
+}
+
+/**
+ * Generate a completion for a prompt
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Generation options
+ * @param {string} options.model - Gemini model name
+ * @returns {Promise<string>} - Response text
+ */
+async function generateText(prompt, { model }) {
+    if (!genAI) {
+        genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    }
+
+    const result = await genAI.getGenerativeModel({ model }).generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+}
+
+module.exports = {
+    name: 'gemini',
+    label: 'google',
+    defaultModel: 'gemini-1.5-flash',
+    isConfigured,
+    generateText
+};
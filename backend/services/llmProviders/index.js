@@ -0,0 +1,106 @@
+/**
+ * LLM Provider Registry
+ * Every provider exposes the same interface:
+ *   generateText(prompt, { model, task }) -> response text
+ *   isConfigured(), name, label, defaultModel
+ *
+ * Each task (extraction, refinement, coordinates) picks its provider and model from
+ * LLM_PROVIDER_<TASK> / LLM_MODEL_<TASK>, falling back to LLM_PROVIDER / LLM_MODEL and then
+ * to Gemini with the provider's default model, so models can be compared without code edits.
+ */
+
+const { AppError } = require('../../middleware/errorHandler');
+const fixtureProvider = require('./fixtureProvider');
+
+const providers = {
+    gemini: require('./geminiProvider'),
+    openai: require('./openaiCompatibleProvider'),
+    fixture: fixtureProvider
+};
+
+const LLM_TASKS = ['extraction', 'refinement', 'coordinates'];
+
+/**
+ * Look up an LLM provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider
+ */
+function getLlmProvider(name) {
+    const provider = providers[name];
+    if (!provider) {
+        throw new AppError(
+            `Unknown LLM provider: ${name}. Available providers: ${Object.keys(providers).join(', ')}`,
+            500,
+            'UNKNOWN_LLM_PROVIDER'
+        );
+    }
+    return provider;
+}
+
+/**
+ * Resolve the provider and model configured for a task
+ * @param {string} task - Task name
+ * @returns {Object} - { provider, model }
+ */
+function getTaskConfig(task) {
+    const key = task.toUpperCase();
+    const provider = getLlmProvider(process.env[`LLM_PROVIDER_${key}`] || process.env.LLM_PROVIDER || 'gemini');
+    const model = process.env[`LLM_MODEL_${key}`] || process.env.LLM_MODEL || provider.defaultModel;
+
+    return { provider, model };
+}
+
+/**
+ * Check whether the provider for a task is configured
+ * @param {string} task - Task name
+ * @returns {boolean}
+ */
+function isLlmConfigured(task) {
+    return getTaskConfig(task).provider.isConfigured();
+}
+
+/**
+ * Generate a completion with the provider and model configured for a task
+ * @param {string} task - Task name (extraction, refinement, coordinates)
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<Object>} - { text, provider, model, aiService }
+ */
+async function generateText(task, prompt) {
+    const { provider, model } = getTaskConfig(task);
+
+    if (!provider.isConfigured()) {
+        throw new AppError(
+            `LLM provider "${provider.name}" is not configured for ${task}. Check your .env settings`,
+            500,
+            'LLM_NOT_CONFIGURED'
+        );
+    }
+
+    console.log(`🔄 Calling ${provider.name} (${model}) for ${task}...`);
+    const text = await provider.generateText(prompt, { model, task });
+
+    if (process.env.LLM_FIXTURE_RECORD === 'true' && provider !== fixtureProvider) {
+        fixtureProvider.saveFixture(task, prompt, text, { provider: provider.name, model });
+    }
+
+    return { text, provider: provider.name, model, aiService: `${provider.label}-${model}` };
+}
+
+/**
+ * Describe the LLM configuration for the status endpoint
+ * @returns {Object}
+ */
+function getLlmStatus() {
+    return Object.fromEntries(LLM_TASKS.map(task => {
+        const { provider, model } = getTaskConfig(task);
+        return [task, { provider: provider.name, model, configured: provider.isConfigured() }];
+    }));
+}
+
+module.exports = {
+    LLM_TASKS,
+    getLlmProvider,
+    isLlmConfigured,
+    generateText,
+    getLlmStatus
+};
@@ -0,0 +1,75 @@
+/**
+ * OpenAI-compatible LLM provider
+ * Talks to any server implementing the /chat/completions API: OpenAI itself, or a
+ * local llama.cpp / Ollama / vLLM server via OPENAI_BASE_URL
+ */
+
+const { AppError } = require('../../middleware/errorHandler');
+
+function getBaseUrl() {
+    return (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+}
+
+/**
+ * Local servers usually need no key, so a base URL alone is enough
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return Boolean(process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY);
+}
+
+/**
+ * Generate a completion for a prompt
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Generation options
+ * @param {string} options.model - Model name as known to the server
+ * @returns {Promise<string>} - Response text
+ */
+async function generateText(prompt, { model }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) {
+        headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    let response;
+    try {
+        response = await fetch(`${getBaseUrl()}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: 0
+            }),
+            signal: AbortSignal.timeout(parseInt(process.env.LLM_TIMEOUT_MS) || 120000)
+        });
+    } catch (error) {
+        throw new AppError(`LLM server unreachable at ${getBaseUrl()}: ${error.message}`, 502, 'LLM_API_ERROR');
+    }
+
+    if (!response.ok) {
+        const body = await response.text();
+        throw new AppError(
+            `LLM API error (${response.status}): ${body.substring(0, 200)}`,
+            response.status === 429 ? 429 : 502,
+            response.status === 429 ? 'LLM_QUOTA_EXCEEDED' : 'LLM_API_ERROR'
+        );
+    }
+
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content;
+
+    if (typeof text !== 'string') {
+        throw new AppError('LLM API returned no completion text', 502, 'LLM_API_ERROR');
+    }
+
+    return text;
+}
+
+module.exports = {
+    name: 'openai',
+    label: 'openai-compatible',
+    defaultModel: 'gpt-4o-mini',
+    isConfigured,
+    generateText
+};
@@ -0,0 +1,195 @@
+/**
+ * LLM Response Validation
+ * Joi schemas for the JSON the extraction, refinement and coordinate prompts ask for, and a
+ * generate-and-validate loop that re-prompts the model with the validation errors before giving up.
+ */
+
+const Joi = require('joi');
+const { AppError } = require('../middleware/errorHandler');
+const { generateText } = require('./llmProviders');
+
+// Generous bounding box around Gujarat; coordinates outside it are for the wrong place
+const GUJARAT_BOUNDS = {
+    minLatitude: 20.0,
+    maxLatitude: 24.8,
+    minLongitude: 68.0,
+    maxLongitude: 74.6
+};
+
+const DATE_PATTERN = /^(0[1-9]|[12]\d|3[01])\/(0[1-9]|1[0-2])\/\d{4}$/;
+
+// Models answer "" as often as null for fields they could not find
+const optionalText = Joi.string().trim().empty('').allow(null).default(null);
+
+const noticeDate = optionalText.pattern(DATE_PATTERN).messages({
+    'string.pattern.base': '{{#label}} must be a date in DD/MM/YYYY format with English digits'
+});
+
+const mobileNumber = optionalText.replace(/[\s\-+]/g, '').pattern(/^(91)?\d{10}$/).replace(/^91(?=\d{10}$)/, '').messages({
+    'string.pattern.base': '{{#label}} must be a 10-digit mobile number with English digits only'
+});
+
+const latitude = Joi.number().min(GUJARAT_BOUNDS.minLatitude).max(GUJARAT_BOUNDS.maxLatitude).allow(null).messages({
+    'number.min': '{{#label}} must be inside Gujarat (between 20.0 and 24.8)',
+    'number.max': '{{#label}} must be inside Gujarat (between 20.0 and 24.8)'
+});
+
+const longitude = Joi.number().min(GUJARAT_BOUNDS.minLongitude).max(GUJARAT_BOUNDS.maxLongitude).allow(null).messages({
+    'number.min': '{{#label}} must be inside Gujarat (between 68.0 and 74.6)',
+    'number.max': '{{#label}} must be inside Gujarat (between 68.0 and 74.6)'
+});
+
+const confidence = Joi.number().min(0).max(1);
+
+const extractionSchema = Joi.object({
+    data: Joi.object({
+        village_name: optionalText,
+        village_name_cleaned: optionalText,
+        survey_number: optionalText,
+        buyer_name: optionalText,
+        seller_name: optionalText,
+        notice_date: noticeDate,
+        advocate_name: optionalText,
+        advocate_address: optionalText,
+        advocate_mobile: mobileNumber,
+        district: optionalText,
+        taluka: optionalText
+    }).required(),
+    confidence: confidence.default(0.5),
+    notes: optionalText
+});
+
+const refinementSchema = Joi.object({
+    village_name: optionalText,
+    survey_number: optionalText,
+    notice_date: noticeDate,
+    latitude,
+    longitude,
+    confidence_score: confidence.allow(null),
+    refinement_notes: optionalText
+});
+
+const coordinatesSchema = Joi.object({
+    village_name: optionalText,
+    latitude,
+    longitude,
+    district: optionalText,
+    taluka: optionalText,
+    state: optionalText,
+    country: optionalText,
+    confidence_score: confidence.allow(null),
+    coordinate_source: optionalText,
+    notes: optionalText
+}).and('latitude', 'longitude');
+
+const LLM_RESPONSE_SCHEMAS = {
+    extraction: extractionSchema,
+    refinement: refinementSchema,
+    coordinates: coordinatesSchema
+};
+
+/**
+ * Parse the JSON object out of a model response, tolerating markdown code fences and
+ * text around the object
+ * @param {string} text - Raw model response
+ * @returns {Object} - Parsed JSON
+ */
+function parseModelJson(text) {
+    const cleanResponse = text.trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/\s*```$/, '');
+
+    try {
+        return JSON.parse(cleanResponse);
+    } catch (parseError) {
+        const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw parseError;
+        }
+        return JSON.parse(jsonMatch[0]);
+    }
+}
+
+/**
+ * Validate a model response against the schema for its task
+ * @param {string} task - Task name (extraction, refinement, coordinates)
+ * @param {string} text - Raw model response
+ * @returns {Object} - { value, errors } with errors empty when the response is valid
+ */
+function validateModelResponse(task, text) {
+    let parsed;
+    try {
+        parsed = parseModelJson(text);
+    } catch (parseError) {
+        return { value: null, errors: [`Response is not valid JSON: ${parseError.message}`] };
+    }
+
+    const { value, error } = LLM_RESPONSE_SCHEMAS[task].validate(parsed, {
+        abortEarly: false,
+        stripUnknown: true
+    });
+
+    return {
+        value: error ? null : value,
+        errors: error ? error.details.map(detail => detail.message) : []
+    };
+}
+
+function createRepairPrompt(prompt, response, errors) {
+    return `${prompt}
+
+Your previous response was:
+${response}
+
+It was rejected because:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Fix these problems and respond again with ONLY the corrected JSON object in the required format.
+`;
+}
+
+/**
+ * Generate a response for a task and validate it, re-prompting with the validation errors
+ * up to LLM_REPAIR_ATTEMPTS times (default 1) before giving up
+ * @param {string} task - Task name (extraction, refinement, coordinates)
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<Object>} - { value, text, aiService, attempts }
+ */
+async function generateValidatedResponse(task, prompt) {
+    const repairAttempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS);
+    const maxAttempts = 1 + (Number.isNaN(repairAttempts) ? 1 : repairAttempts);
+    let currentPrompt = prompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const { text, aiService } = await generateText(task, currentPrompt);
+        const validation = validateModelResponse(task, text);
+
+        if (validation.errors.length === 0) {
+            if (attempt > 1) {
+                console.log(`🔧 ${task} response repaired on attempt ${attempt}`);
+            }
+            return { value: validation.value, text, aiService, attempts: attempt };
+        }
+
+        errors = validation.errors;
+        console.warn(`⚠️ Invalid ${task} response (attempt ${attempt}/${maxAttempts}): ${errors.join('; ')}`);
+        currentPrompt = createRepairPrompt(prompt, text, errors);
+    }
+
+    const error = new AppError(
+        `LLM returned an invalid ${task} response after ${maxAttempts} attempts: ${errors.join('; ')}`,
+        502,
+        'LLM_INVALID_RESPONSE'
+    );
+    error.details = { task, validation_errors: errors, attempts: maxAttempts };
+    throw error;
+}
+
+module.exports = {
+    GUJARAT_BOUNDS,
+    LLM_RESPONSE_SCHEMAS,
+    parseModelJson,
+    validateModelResponse,
+    generateValidatedResponse
+};
@@ -0,0 +1,99 @@
+/**
+ * Notice Location Pins
+ * Lets a reviewer set the location of a notice by hand when geocoding picked the wrong place, either
+ * for that notice alone or for its village: a village pin is saved as a geocode override (see
+ * geocodeCacheService), so it applies to every notice of the village already saved and to every one
+ * geocoded later. Pinned notices have coordinate_source 'manual' and location_pin { scope, set_by,
+ * set_at }; geocoder and refinement updates leave their location alone (see noticeRecords).
+ */
+
+const { getPropertyNotices, getPropertyNoticeById, updatePropertyNotice } = require('./storageProviders');
+const { getGeocodeCacheKey, setGeocodeOverride } = require('./geocodeCacheService');
+const { cleanVillageNameForGeocoding } = require('./geocodingService');
+const { AppError } = require('../middleware/errorHandler');
+
+const PAGE_SIZE = 500;
+
+function buildPinnedLocation(notice, { latitude, longitude, scope, setBy }) {
+    const villageName = notice.village_name ? cleanVillageNameForGeocoding(notice.village_name) : null;
+
+    return {
+        latitude,
+        longitude,
+        full_address: [villageName, notice.taluka, notice.district, 'Gujarat, India'].filter(Boolean).join(', '),
+        coordinate_source: 'manual',
+        geocoding_status: 'success',
+        // extracted_data carries its own copy of the location, which must not contradict the pin
+        extracted_data: { ...notice.extracted_data, latitude, longitude, coordinate_source: 'manual' },
+        location_pin: { scope, set_by: setBy || null, set_at: new Date().toISOString() }
+    };
+}
+
+// Notices of a village, by the key its geocode override is stored under
+async function findVillageNotices(key) {
+    const notices = [];
+    let startAfter = null;
+
+    for (;;) {
+        const page = await getPropertyNotices({ limit: PAGE_SIZE, startAfter });
+        if (page.length === 0) {
+            return notices;
+        }
+        startAfter = page[page.length - 1].id;
+        notices.push(...page.filter(notice => notice.village_name && getGeocodeCacheKey(notice.village_name, notice.district) === key));
+    }
+}
+
+/**
+ * Pin a notice, or every notice of its village, to coordinates chosen by a reviewer
+ * Notices of the village pinned on their own keep their pin
+ * @param {string} id - Notice ID
+ * @param {Object} pin - { latitude, longitude, scope: 'notice' | 'village' }
+ * @param {string} changedBy - Reviewer name, for the notice history
+ * @returns {Object|null} - { notice, scope, updated_ids, override }, or null if the notice does not exist
+ */
+async function pinNoticeLocation(id, { latitude, longitude, scope = 'notice' }, changedBy = null) {
+    const notice = await getPropertyNoticeById(id);
+    if (!notice) {
+        return null;
+    }
+
+    let override = null;
+    let notices = [notice];
+
+    if (scope === 'village') {
+        if (!notice.village_name) {
+            throw new AppError('The notice has no village name to pin', 400, 'MISSING_VILLAGE_NAME');
+        }
+        override = await setGeocodeOverride({
+            villageName: notice.village_name,
+            district: notice.district,
+            taluka: notice.taluka,
+            latitude,
+            longitude,
+            setBy: changedBy
+        });
+        notices = (await findVillageNotices(override.id))
+            .filter(villageNotice => villageNotice.id === id || villageNotice.location_pin?.scope !== 'notice');
+    }
+
+    for (const target of notices) {
+        await updatePropertyNotice(target.id, buildPinnedLocation(target, { latitude, longitude, scope, setBy: changedBy }), {
+            source: 'manual',
+            changedBy
+        });
+    }
+
+    console.log(`📌 Pinned ${notices.length} notice(s)${scope === 'village' ? ` of ${override.village_name}` : ''} to ${latitude}, ${longitude}`);
+
+    return {
+        notice: await getPropertyNoticeById(id),
+        scope,
+        updated_ids: notices.map(target => target.id),
+        override
+    };
+}
+
+module.exports = {
+    pinNoticeLocation
+};
@@ -0,0 +1,173 @@
+/**
+ * Notice Version Service
+ * Compares and restores the immutable snapshots saved on every change to a notice, so a bad
+ * refinement can be rolled back for one notice or for a whole refinement batch
+ */
+
+const {
+    getPropertyNoticeById,
+    getPropertyNoticeVersion,
+    getPropertyNoticeVersionByBatch,
+    getRefinementBatchById,
+    updatePropertyNotice
+} = require('./storageProviders');
+const { AppError } = require('../middleware/errorHandler');
+
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Field-by-field differences between two version snapshots
+ * extracted_data is compared key by key so refinement metadata changes show up individually
+ * @param {Object} fromSnapshot - Older snapshot
+ * @param {Object} toSnapshot - Newer snapshot
+ * @returns {Array} - [{ field, from, to }]
+ */
+function diffSnapshots(fromSnapshot, toSnapshot) {
+    const changes = [];
+    const fields = new Set([...Object.keys(fromSnapshot), ...Object.keys(toSnapshot)]);
+
+    fields.forEach(field => {
+        if (field === 'extracted_data') {
+            const fromData = fromSnapshot.extracted_data || {};
+            const toData = toSnapshot.extracted_data || {};
+            new Set([...Object.keys(fromData), ...Object.keys(toData)]).forEach(key => {
+                if (!isSameValue(fromData[key], toData[key])) {
+                    changes.push({ field: `extracted_data.${key}`, from: fromData[key] ?? null, to: toData[key] ?? null });
+                }
+            });
+        } else if (!isSameValue(fromSnapshot[field], toSnapshot[field])) {
+            changes.push({ field, from: fromSnapshot[field] ?? null, to: toSnapshot[field] ?? null });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Diff two versions of a notice
+ * @param {string} id - Notice ID
+ * @param {number} fromVersion - Older version
+ * @param {number} toVersion - Newer version (defaults to the current version)
+ * @returns {Object} - { from, to, changes }
+ */
+async function diffNoticeVersions(id, fromVersion, toVersion) {
+    const notice = await getPropertyNoticeById(id);
+    if (!notice) {
+        throw new AppError('Property notice not found', 404, 'NOT_FOUND');
+    }
+
+    // Notices saved before versioning get their first version on their next change
+    if (!notice.current_version) {
+        throw new AppError('Property notice has no saved versions yet', 404, 'VERSION_NOT_FOUND');
+    }
+
+    const to = toVersion || notice.current_version;
+    const from = fromVersion || to - 1;
+    if (from < 1) {
+        throw new AppError('Version 1 has no earlier version to compare with', 400, 'INVALID_VERSION');
+    }
+
+    const [fromDoc, toDoc] = await Promise.all([
+        getPropertyNoticeVersion(id, from),
+        getPropertyNoticeVersion(id, to)
+    ]);
+    if (!fromDoc || !toDoc) {
+        throw new AppError(`Version ${!fromDoc ? from : to} not found`, 404, 'VERSION_NOT_FOUND');
+    }
+
+    return {
+        from,
+        to,
+        changes: diffSnapshots(fromDoc.snapshot, toDoc.snapshot)
+    };
+}
+
+/**
+ * Restore a notice to an earlier version; the restore is itself saved as a new version
+ * @param {string} id - Notice ID
+ * @param {number} version - Version to restore
+ * @param {Object} options - Change attribution ({ changedBy })
+ * @returns {Object} - Updated notice
+ */
+async function revertNoticeToVersion(id, version, options = {}) {
+    const target = await getPropertyNoticeVersion(id, version);
+    if (!target) {
+        const notice = await getPropertyNoticeById(id);
+        throw notice ?
+            new AppError(`Version ${version} not found`, 404, 'VERSION_NOT_FOUND') :
+            new AppError('Property notice not found', 404, 'NOT_FOUND');
+    }
+
+    const updated = await updatePropertyNotice(id, target.snapshot, {
+        ...options,
+        source: 'revert',
+        revertedTo: version
+    });
+    if (!updated) {
+        throw new AppError('Property notice not found', 404, 'NOT_FOUND');
+    }
+
+    console.log(`⏪ Notice ${id} reverted to version ${version}`);
+    return updated;
+}
+
+/**
+ * Undo every change a refinement batch made
+ * Notices edited since the batch are skipped unless force is set, so later corrections are not lost
+ * @param {string} batchId - Refinement batch ID
+ * @param {Object} options - { force, changedBy }
+ * @returns {Object} - { batch_id, reverted, skipped, failed, results }
+ */
+async function revertRefinementBatch(batchId, options = {}) {
+    const { force = false, changedBy = null } = options;
+
+    const batch = await getRefinementBatchById(batchId);
+    if (!batch) {
+        throw new AppError('Refinement batch not found', 404, 'BATCH_NOT_FOUND');
+    }
+
+    const results = [];
+    for (const id of batch.notice_ids) {
+        try {
+            const [notice, refinedVersion] = await Promise.all([
+                getPropertyNoticeById(id),
+                getPropertyNoticeVersionByBatch(id, batchId)
+            ]);
+
+            if (!notice) {
+                results.push({ id, status: 'skipped', reason: 'notice_deleted' });
+            } else if (!refinedVersion) {
+                results.push({ id, status: 'skipped', reason: 'not_changed_by_batch' });
+            } else if (notice.current_version !== refinedVersion.version && !force) {
+                results.push({ id, status: 'skipped', reason: 'modified_since_refinement', current_version: notice.current_version });
+            } else {
+                const restoredVersion = refinedVersion.version - 1;
+                await revertNoticeToVersion(id, restoredVersion, { changedBy });
+                results.push({ id, status: 'reverted', restored_version: restoredVersion });
+            }
+        } catch (error) {
+            console.error(`Failed to revert notice ${id}:`, error.message);
+            results.push({ id, status: 'failed', error: error.message });
+        }
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    console.log(`⏪ Refinement batch ${batchId} reverted: ${count('reverted')}/${results.length} notices`);
+
+    return {
+        batch_id: batchId,
+        reverted: count('reverted'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        results
+    };
+}
+
+module.exports = {
+    diffSnapshots,
+    diffNoticeVersions,
+    revertNoticeToVersion,
+    revertRefinementBatch
+};
@@ -0,0 +1,148 @@
+/**
+ * OCR Provider Registry
+ * Every provider exposes the same interface:
+ *   annotateImage(imagePath) -> { rawText, textAnnotations, fullTextAnnotation }
+ *   annotatePdfPages(pdfPath, pageNumbers) -> [{ pageNumber, rawText, fullTextAnnotation }]
+ *   isConfigured(), testConnection(), supportsPdf
+ * fullTextAnnotation always follows the Vision structure (pages -> blocks -> paragraphs -> words
+ * -> symbols, with bounding boxes and 0-1 confidences).
+ *
+ * OCR_PROVIDER selects the provider (vision | tesseract); OCR_FALLBACK_PROVIDER is tried
+ * when the primary provider is unavailable or out of quota.
+ */
+
+const { AppError } = require('../../middleware/errorHandler');
+
+const providers = {
+    vision: require('./visionProvider'),
+    tesseract: require('./tesseractProvider')
+};
+
+// Problems with the document itself, which another provider would hit as well
+const DOCUMENT_ERROR_CODES = ['FILE_NOT_FOUND', 'NO_TEXT_DETECTED', 'INVALID_PDF'];
+
+/**
+ * Look up an OCR provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider
+ */
+function getOcrProvider(name) {
+    const provider = providers[name];
+    if (!provider) {
+        throw new AppError(
+            `Unknown OCR provider: ${name}. Available providers: ${Object.keys(providers).join(', ')}`,
+            500,
+            'UNKNOWN_OCR_PROVIDER'
+        );
+    }
+    return provider;
+}
+
+function getProviderChain() {
+    const primary = process.env.OCR_PROVIDER || 'vision';
+    const fallback = process.env.OCR_FALLBACK_PROVIDER;
+
+    const chain = [getOcrProvider(primary)];
+    if (fallback && fallback !== primary) {
+        chain.push(getOcrProvider(fallback));
+    }
+    return chain;
+}
+
+/**
+ * Check that the configured providers can OCR PDF documents
+ * Tesseract reads images only and PDFs are not rasterised, so PDFs are refused before any page is queued
+ * @throws {AppError} - OCR_PDF_NOT_SUPPORTED when no configured provider reads PDFs
+ */
+function assertPdfSupported() {
+    const chain = getProviderChain();
+    if (!chain.some(provider => provider.supportsPdf)) {
+        throw new AppError(
+            `The configured OCR provider (${chain.map(provider => provider.name).join(', ')}) cannot read PDF documents. ` +
+            'Upload the pages as JPEG or PNG images, or set OCR_PROVIDER or OCR_FALLBACK_PROVIDER to vision',
+            400,
+            'OCR_PDF_NOT_SUPPORTED'
+        );
+    }
+}
+
+/**
+ * Run an operation on the configured provider, falling back to the next one on provider failures
+ * @param {string} operation - Provider method name
+ * @param {Function} canRun - Whether a provider supports this call
+ * @param {Array} args - Method arguments
+ * @returns {Object} - { provider, result }
+ */
+async function runWithFallback(operation, canRun, args) {
+    const chain = getProviderChain().filter(canRun);
+    let lastError = null;
+
+    if (chain.length === 0) {
+        throw new AppError('No configured OCR provider supports this document', 400, 'OCR_PDF_NOT_SUPPORTED');
+    }
+
+    for (const provider of chain) {
+        try {
+            const result = await provider[operation](...args);
+            return { provider: provider.name, result };
+        } catch (error) {
+            if (DOCUMENT_ERROR_CODES.includes(error.code)) {
+                throw error;
+            }
+            lastError = error;
+            console.error(`⚠️ OCR provider ${provider.name} failed: ${error.message}`);
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * OCR an image with the configured provider
+ * @param {string} imagePath - Path to the image file
+ * @returns {Object} - Raw text, annotations and the name of the provider that produced them
+ */
+async function annotateImage(imagePath) {
+    const { provider, result } = await runWithFallback('annotateImage', () => true, [imagePath]);
+    return { ...result, provider };
+}
+
+/**
+ * OCR pages of a PDF with the configured provider
+ * @param {string} pdfPath - Path to the PDF file
+ * @param {Array<number>} pageNumbers - 1-based page numbers
+ * @returns {Array} - One { pageNumber, rawText, fullTextAnnotation, provider } entry per page
+ */
+async function annotatePdfPages(pdfPath, pageNumbers) {
+    assertPdfSupported();
+    const { provider, result } = await runWithFallback(
+        'annotatePdfPages',
+        candidate => candidate.supportsPdf,
+        [pdfPath, pageNumbers]
+    );
+    return result.map(page => ({ ...page, provider }));
+}
+
+/**
+ * Describe the OCR configuration for the status endpoint
+ * @returns {Object}
+ */
+function getOcrStatus() {
+    return {
+        provider: process.env.OCR_PROVIDER || 'vision',
+        fallback_provider: process.env.OCR_FALLBACK_PROVIDER || null,
+        pdf_supported: getProviderChain().some(provider => provider.supportsPdf),
+        providers: Object.fromEntries(Object.values(providers).map(provider => [
+            provider.name,
+            { configured: provider.isConfigured(), supports_pdf: provider.supportsPdf }
+        ]))
+    };
+}
+
+module.exports = {
+    getOcrProvider,
+    assertPdfSupported,
+    annotateImage,
+    annotatePdfPages,
+    getOcrStatus
+};
@@ -0,0 +1,230 @@
+/**
+ * Tesseract OCR provider
+ * Runs tesseract.js locally (Gujarati + English by default) so the pipeline works
+ * offline and without Google credentials. Results are mapped onto the Vision
+ * fullTextAnnotation shape so the rest of the pipeline does not care which provider ran.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorker } = require('tesseract.js');
+const { AppError } = require('../../middleware/errorHandler');
+
+const languages = (process.env.TESSERACT_LANGS || 'guj+eng').split('+').filter(Boolean);
+
+// One long-lived worker: loading the traineddata takes several seconds
+let workerPromise = null;
+
+/**
+ * Directory holding <lang>.traineddata.gz for every configured language
+ * Uses TESSERACT_LANG_PATH when set, otherwise stages the files shipped in the
+ * @tesseract.js-data packages into one directory (tesseract.js reads a single langPath)
+ * @returns {string}
+ */
+function resolveLanguagePath() {
+    if (process.env.TESSERACT_LANG_PATH) {
+        return process.env.TESSERACT_LANG_PATH;
+    }
+
+    const langPath = path.join(os.tmpdir(), 'property-notice-tesseract');
+    fs.mkdirSync(langPath, { recursive: true });
+
+    languages.forEach(lang => {
+        const target = path.join(langPath, `${lang}.traineddata.gz`);
+        if (fs.existsSync(target)) return;
+
+        let packageDir;
+        try {
+            packageDir = path.dirname(require.resolve(`@tesseract.js-data/${lang}/package.json`));
+        } catch (error) {
+            throw new AppError(
+                `Tesseract language data for "${lang}" not found. Install @tesseract.js-data/${lang} or set TESSERACT_LANG_PATH`,
+                500,
+                'OCR_PROVIDER_UNAVAILABLE'
+            );
+        }
+        fs.copyFileSync(path.join(packageDir, '4.0.0_best_int', `${lang}.traineddata.gz`), target);
+    });
+
+    return langPath;
+}
+
+function getWorker() {
+    if (!workerPromise) {
+        workerPromise = (async () => {
+            console.log(`🔤 Starting Tesseract worker (${languages.join('+')})...`);
+            return createWorker(languages.join('+'), 1, {
+                langPath: resolveLanguagePath(),
+                gzip: true,
+                // Keep tesseract.js from writing traineddata caches into the working directory
+                cacheMethod: 'none'
+            });
+        })().catch(error => {
+            workerPromise = null;
+            throw error instanceof AppError ? error :
+                new AppError(`Tesseract initialization failed: ${error.message}`, 500, 'OCR_PROVIDER_UNAVAILABLE');
+        });
+    }
+    return workerPromise;
+}
+
+/**
+ * Read the pixel size of a PNG or JPEG image from its header
+ * @param {Buffer} buffer - Image contents
+ * @returns {Object} - { width, height } (null values if unknown)
+ */
+function getImageSize(buffer) {
+    // PNG: dimensions live in the IHDR chunk
+    if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // JPEG: walk the segments until a start-of-frame marker
+    if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) break;
+            const marker = buffer[offset + 1];
+            const length = buffer.readUInt16BE(offset + 2);
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + length;
+        }
+    }
+
+    return { width: null, height: null };
+}
+
+function toBoundingPoly(bbox) {
+    return {
+        vertices: [
+            { x: bbox.x0, y: bbox.y0 },
+            { x: bbox.x1, y: bbox.y0 },
+            { x: bbox.x1, y: bbox.y1 },
+            { x: bbox.x0, y: bbox.y1 }
+        ]
+    };
+}
+
+/**
+ * Map Tesseract blocks onto the Vision fullTextAnnotation structure
+ * (Tesseract confidences are 0-100, Vision's are 0-1)
+ * @param {Object} data - tesseract.js recognize() result
+ * @param {Object} size - Image width and height
+ * @returns {Object} - fullTextAnnotation
+ */
+function toFullTextAnnotation(data, size) {
+    const blocks = (data.blocks || []).map(block => ({
+        boundingBox: toBoundingPoly(block.bbox),
+        confidence: block.confidence / 100,
+        paragraphs: (block.paragraphs || []).map(paragraph => ({
+            boundingBox: toBoundingPoly(paragraph.bbox),
+            confidence: paragraph.confidence / 100,
+            words: (paragraph.lines || []).flatMap(line => (line.words || []).map((word, index, lineWords) => {
+                const symbols = [...word.text].map(text => ({ text }));
+                if (symbols.length > 0) {
+                    symbols[symbols.length - 1].property = {
+                        detectedBreak: { type: index === lineWords.length - 1 ? 'EOL_SURE_SPACE' : 'SPACE' }
+                    };
+                }
+                return {
+                    boundingBox: toBoundingPoly(word.bbox),
+                    confidence: word.confidence / 100,
+                    symbols
+                };
+            }))
+        }))
+    }));
+
+    return {
+        text: data.text || '',
+        pages: [{ width: size.width, height: size.height, confidence: data.confidence / 100, blocks }]
+    };
+}
+
+/**
+ * Run Tesseract on an image
+ * @param {string} imagePath - Path to the image file
+ * @returns {Object} - Raw text plus a Vision-style full-text annotation
+ */
+async function annotateImage(imagePath) {
+    if (!fs.existsSync(imagePath)) {
+        throw new AppError('Image file not found', 404, 'FILE_NOT_FOUND');
+    }
+
+    const imageBuffer = fs.readFileSync(imagePath);
+    const worker = await getWorker();
+
+    console.log('🔤 Running Tesseract OCR...');
+    let data;
+    try {
+        ({ data } = await worker.recognize(imageBuffer, {}, { text: true, blocks: true }));
+    } catch (error) {
+        throw new AppError(`Tesseract OCR failed: ${error.message || error}`, 500, 'TESSERACT_ERROR');
+    }
+
+    const rawText = (data.text || '').trim();
+    if (!rawText) {
+        throw new AppError('No text detected in the image', 400, 'NO_TEXT_DETECTED');
+    }
+
+    return {
+        rawText,
+        textAnnotations: [],
+        fullTextAnnotation: toFullTextAnnotation(data, getImageSize(imageBuffer))
+    };
+}
+
+/**
+ * PDF pages would first have to be rasterized, which tesseract.js cannot do
+ */
+async function annotatePdfPages() {
+    throw new AppError(
+        'The tesseract OCR provider cannot read PDF documents. Upload page images or use the vision provider',
+        400,
+        'OCR_PDF_NOT_SUPPORTED'
+    );
+}
+
+/**
+ * Check whether the configured language data can be found
+ * @returns {boolean}
+ */
+function isConfigured() {
+    if (process.env.TESSERACT_LANG_PATH) {
+        return fs.existsSync(process.env.TESSERACT_LANG_PATH);
+    }
+    return languages.every(lang => {
+        try {
+            require.resolve(`@tesseract.js-data/${lang}/package.json`);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Check that the Tesseract worker starts with the configured languages
+ * @returns {Promise<boolean>}
+ */
+async function testConnection() {
+    try {
+        await getWorker();
+        return true;
+    } catch (error) {
+        console.error('Tesseract initialization test failed:', error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    name: 'tesseract',
+    supportsPdf: false,
+    isConfigured,
+    annotateImage,
+    annotatePdfPages,
+    testConnection
+};
@@ -0,0 +1,235 @@
+/**
+ * Google Cloud Vision OCR provider
+ * Document text detection with Gujarati and English language hints
+ */
+
+const vision = require('@google-cloud/vision');
+const fs = require('fs');
+const { AppError } = require('../../middleware/errorHandler');
+
+// Vision accepts at most 5 pages per synchronous file annotation request
+const PDF_PAGES_PER_REQUEST = 5;
+
+// Created on first use so the server can start (and use another provider) without Google credentials
+let client;
+
+function initializeVisionClient() {
+    if (process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+        // Use service account key from environment variable (for cloud deployment)
+        const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+        client = new vision.ImageAnnotatorClient({
+            credentials: serviceAccount,
+            projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
+        });
+    } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        // Use service account file path (for local development)
+        client = new vision.ImageAnnotatorClient({
+            keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+            projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
+        });
+    } else {
+        throw new AppError(
+            'Google Cloud credentials not configured. Set FIREBASE_SERVICE_ACCOUNT_KEY or GOOGLE_APPLICATION_CREDENTIALS',
+            500,
+            'OCR_PROVIDER_UNAVAILABLE'
+        );
+    }
+    console.log('Google Cloud Vision client initialized successfully');
+    return client;
+}
+
+function getClient() {
+    return client || initializeVisionClient();
+}
+
+/**
+ * Check whether Vision credentials are configured
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return Boolean(process.env.FIREBASE_SERVICE_ACCOUNT_KEY || process.env.GOOGLE_APPLICATION_CREDENTIALS);
+}
+
+/**
+ * Wrap gRPC failures (quota, network) so callers can fall back to another provider
+ */
+function toVisionError(error) {
+    if (error instanceof AppError) {
+        return error;
+    }
+    return new AppError(`Vision API error: ${error.message}`, 500, 'VISION_API_ERROR');
+}
+
+/**
+ * Run document text detection on pages of a PDF
+ * @param {string} pdfPath - Path to the PDF file
+ * @param {Array<number>} pageNumbers - 1-based page numbers to annotate
+ * @returns {Array} - One { pageNumber, rawText, fullTextAnnotation } entry per page
+ */
+async function annotatePdfPages(pdfPath, pageNumbers) {
+    if (!fs.existsSync(pdfPath)) {
+        throw new AppError('PDF file not found', 404, 'FILE_NOT_FOUND');
+    }
+
+    const pdfBuffer = fs.readFileSync(pdfPath);
+    const pages = [];
+
+    for (let i = 0; i < pageNumbers.length; i += PDF_PAGES_PER_REQUEST) {
+        const chunk = pageNumbers.slice(i, i + PDF_PAGES_PER_REQUEST);
+
+        console.log(`📷 Calling Google Cloud Vision API for PDF pages ${chunk.join(', ')}...`);
+        let result;
+        try {
+            [result] = await getClient().batchAnnotateFiles({
+                requests: [{
+                    inputConfig: {
+                        content: pdfBuffer,
+                        mimeType: 'application/pdf'
+                    },
+                    features: [
+                        {
+                            type: 'DOCUMENT_TEXT_DETECTION'
+                        }
+                    ],
+                    imageContext: {
+                        languageHints: ['gu', 'en'] // Gujarati and English
+                    },
+                    pages: chunk
+                }]
+            });
+        } catch (error) {
+            throw toVisionError(error);
+        }
+
+        const fileResponse = result.responses[0];
+        if (fileResponse.error && fileResponse.error.message) {
+            throw new AppError(`Vision API error: ${fileResponse.error.message}`, 500, 'VISION_API_ERROR');
+        }
+
+        fileResponse.responses.forEach((pageResponse, index) => {
+            if (pageResponse.error && pageResponse.error.message) {
+                throw new AppError(`Vision API error: ${pageResponse.error.message}`, 500, 'VISION_API_ERROR');
+            }
+
+            pages.push({
+                pageNumber: pageResponse.context?.pageNumber || chunk[index],
+                rawText: pageResponse.fullTextAnnotation?.text || '',
+                fullTextAnnotation: pageResponse.fullTextAnnotation || null
+            });
+        });
+    }
+
+    return pages;
+}
+
+/**
+ * Run text detection on an image
+ * @param {string} imagePath - Path to the image file
+ * @returns {Object} - Raw text plus the text and full-text annotations
+ */
+async function annotateImage(imagePath) {
+    // Verify file exists
+    if (!fs.existsSync(imagePath)) {
+        throw new AppError('Image file not found', 404, 'FILE_NOT_FOUND');
+    }
+
+    // Read the image file
+    const imageBuffer = fs.readFileSync(imagePath);
+
+    // Prepare the request for Google Cloud Vision API
+    const request = {
+        image: {
+            content: imageBuffer
+        },
+        features: [
+            {
+                type: 'TEXT_DETECTION',
+                maxResults: 1
+            },
+            {
+                type: 'DOCUMENT_TEXT_DETECTION',
+                maxResults: 1
+            }
+        ],
+        imageContext: {
+            languageHints: ['gu', 'en'] // Gujarati and English
+        }
+    };
+
+    // Call Google Cloud Vision API
+    console.log('📷 Calling Google Cloud Vision API...');
+    let result;
+    try {
+        [result] = await getClient().annotateImage(request);
+    } catch (error) {
+        throw toVisionError(error);
+    }
+
+    // Check for errors in the API response
+    if (result.error) {
+        console.error('Vision API error:', result.error);
+        throw new AppError(
+            `Vision API error: ${result.error.message}`,
+            500,
+            'VISION_API_ERROR'
+        );
+    }
+
+    // Extract text from the response
+    const textAnnotations = result.textAnnotations;
+    const fullTextAnnotation = result.fullTextAnnotation;
+
+    if (!textAnnotations || textAnnotations.length === 0) {
+        throw new AppError(
+            'No text detected in the image',
+            400,
+            'NO_TEXT_DETECTED'
+        );
+    }
+
+    return {
+        rawText: textAnnotations[0].description || '',
+        textAnnotations,
+        fullTextAnnotation
+    };
+}
+
+/**
+ * Test Google Cloud Vision API connectivity
+ * @returns {Promise<boolean>} - True if API is accessible
+ */
+async function testConnection() {
+    try {
+        // Create a simple test image (1x1 pixel PNG)
+        const testImageBase64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChAGA60e6kgAAAABJRU5ErkJggg==';
+        const testImageBuffer = Buffer.from(testImageBase64, 'base64');
+
+        const request = {
+            image: {
+                content: testImageBuffer
+            },
+            features: [
+                {
+                    type: 'TEXT_DETECTION',
+                    maxResults: 1
+                }
+            ]
+        };
+
+        await getClient().annotateImage(request);
+        console.log('Google Cloud Vision API connectivity test passed');
+        return true;
+    } catch (error) {
+        console.error('Google Cloud Vision API connectivity test failed:', error);
+        return false;
+    }
+}
+
+module.exports = {
+    name: 'vision',
+    supportsPdf: true,
+    isConfigured,
+    annotateImage,
+    annotatePdfPages,
+    testConnection
+};
@@ -1,210 +1,370 @@
-const vision = require('@google-cloud/vision');
-const fs = require('fs');
-const { processWithGemini } = require('./geminiService');
+const { processWithGemini, refineExtractedDataWithGemini, getPerfectCoordinatesWithGemini } = require('./geminiService');
 const { AppError } = require('../middleware/errorHandler');
+const { isPdfFile, getPdfPageCount } = require('./pdfService');
+const { segmentPage, getWordLayout } = require('./segmentationService');
+const ocrProviders = require('./ocrProviders');
+const { isLlmConfigured } = require('./llmProviders');
+const { extractWithRules, compareExtractions } = require('./ruleExtractionService');
+const { buildFieldProvenance } = require('./provenanceService');
+const { findVillage } = require('./gazetteerService');
+const { cleanVillageNameForGeocoding } = require('./geocodingService');
 
-// Initialize Google Cloud Vision client
-let client;
+/**
+ * Processing stages of the property notice pipeline, in execution order
+ */
+const PROCESSING_STAGES = ['ocr', 'extracting', 'refining', 'geocoding'];
 
-function initializeVisionClient() {
-    if (process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
-        // Use service account key from environment variable (for cloud deployment)
-        const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
-        client = new vision.ImageAnnotatorClient({
-            credentials: serviceAccount,
-            projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
-        });
-    } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-        // Use service account file path (for local development)
-        client = new vision.ImageAnnotatorClient({
-            keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-            projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
-        });
-    } else {
-        throw new Error('Google Cloud credentials not configured. Set FIREBASE_SERVICE_ACCOUNT_KEY or GOOGLE_APPLICATION_CREDENTIALS');
+/**
+ * OCR an image or a single-page PDF with the configured OCR provider
+ * @param {string} imagePath - Path to the uploaded image (or single-page PDF) file
+ * @returns {Object} - Raw text, text and full-text annotations, and the provider used
+ */
+async function annotateImage(imagePath) {
+    if (isPdfFile(imagePath)) {
+        const [page] = await ocrProviders.annotatePdfPages(imagePath, [1]);
+
+        if (!page || !page.fullTextAnnotation) {
+            throw new AppError('No text detected in the PDF page', 400, 'NO_TEXT_DETECTED');
+        }
+
+        return {
+            rawText: page.rawText,
+            textAnnotations: [],
+            fullTextAnnotation: page.fullTextAnnotation,
+            provider: page.provider
+        };
     }
-    return client;
-}
 
-// Initialize the client
-try {
-    initializeVisionClient();
-    console.log('Google Cloud Vision client initialized successfully');
-} catch (error) {
-    console.error('Google Cloud Vision client initialization failed:', error.message);
+    return ocrProviders.annotateImage(imagePath);
 }
 
 /**
- * Process property notice image using Google Cloud Vision API + Gemini AI ONLY
+ * Stage 1: Extract the raw text from the image with the configured OCR provider
  * @param {string} imagePath - Path to the uploaded image file
- * @returns {Object} - Extracted property information
+ * @param {Object} state - Pipeline state from earlier stages
+ * @returns {Object} - Pipeline state with raw_text and the OCR word layout
  */
-async function processPropertyNotice(imagePath) {
-    const startTime = Date.now();
+async function runOcrStage(imagePath, state) {
+    const { rawText, textAnnotations, fullTextAnnotation, provider } = await annotateImage(imagePath);
     
+    if (!rawText.trim()) {
+        throw new AppError(
+            'Empty text detected in the image',
+            400,
+            'EMPTY_TEXT_DETECTED'
+        );
+    }
+
+    console.log(`📝 OCR completed. Text length: ${rawText.length} characters`);
+
+    const page = fullTextAnnotation?.pages?.[0];
+
+    return {
+        ...state,
+        raw_text: rawText,
+        // Word boxes let later stages point at where each field was read on the image
+        ocr_words: page ? getWordLayout(page.blocks, page) : null,
+        vision_api_response: {
+            ocr_provider: provider,
+            text_length: rawText.length,
+            annotations_count: textAnnotations.length,
+            structured_confidence: fullTextAnnotation ? 
+                calculateAverageConfidence(fullTextAnnotation) : null
+        }
+    };
+}
+
+/**
+ * Stage 2: Extract the notice fields from the raw text with the extraction LLM
+ * Rule-based extraction always runs as well: it stands in when no LLM is available, and
+ * otherwise cross-checks the LLM so disagreeing fields can be flagged for review.
+ * @param {string} imagePath - Path to the uploaded image file
+ * @param {Object} state - Pipeline state from earlier stages
+ * @returns {Object} - Pipeline state with extracted_data and extraction_disagreements
+ */
+async function runExtractionStage(imagePath, state) {
+    const ruleResult = extractWithRules(state.raw_text);
+
+    if (!isLlmConfigured('extraction')) {
+        console.warn('⚠️ No extraction LLM configured, using rule-based extraction');
+        return useRuleExtraction(state, ruleResult);
+    }
+
+    console.log('🤖 Processing extracted text with the extraction LLM...');
+    let geminiResult;
     try {
-        console.log(`🚀 Starting OCR + Gemini processing for: ${imagePath}`);
+        geminiResult = await processWithGemini(state.raw_text);
+    } catch (error) {
+        // Without a village name the rule result is not worth reviewing; fail so the job can be retried
+        if (!ruleResult.extracted_data.village_name) {
+            throw error;
+        }
+        console.warn(`⚠️ Extraction LLM failed (${error.message}), using rule-based extraction`);
+        return recordLlmFailure(useRuleExtraction(state, ruleResult), 'extraction', error);
+    }
+
+    const disagreements = compareExtractions(geminiResult.extracted_data, ruleResult.extracted_data);
+    if (disagreements.length > 0) {
+        console.log(`🔀 LLM and rules disagree on: ${disagreements.map(d => d.field).join(', ')}`);
+    }
+
+    return {
+        ...state,
+        extracted_data: geminiResult.extracted_data,
+        confidence_score: geminiResult.confidence_score,
+        extraction_model: geminiResult.ai_service,
+        rule_extracted_data: ruleResult.extracted_data,
+        extraction_disagreements: disagreements,
+        ai_service: 'google_vision_and_gemini'
+    };
+}
+
+/**
+ * Record why an LLM step was skipped or fell back, so the reason is kept on the saved notice
+ * @param {Object} state - Pipeline state
+ * @param {string} task - LLM task (extraction, refinement, coordinates)
+ * @param {Error|string} error - Error or failure message
+ * @returns {Object} - Pipeline state with the failure appended to llm_failures
+ */
+function recordLlmFailure(state, task, error) {
+    const failure = {
+        task,
+        message: typeof error === 'string' ? error : error.message,
+        code: error.code || null,
+        validation_errors: error.details?.validation_errors || null
+    };
+
+    return { ...state, llm_failures: [...(state.llm_failures || []), failure] };
+}
+
+function useRuleExtraction(state, ruleResult) {
+    return {
+        ...state,
+        extracted_data: ruleResult.extracted_data,
+        confidence_score: ruleResult.confidence_score,
+        extraction_model: 'rules',
+        rule_extracted_data: ruleResult.extracted_data,
+        extraction_disagreements: [],
+        ai_service: 'rule_based'
+    };
+}
+
+/**
+ * Stage 3: Refine the village name, survey number and notice date
+ * @param {string} imagePath - Path to the uploaded image file
+ * @param {Object} state - Pipeline state from earlier stages
+ * @returns {Object} - Pipeline state with refined extracted_data
+ */
+async function runRefinementStage(imagePath, state) {
+    // 🎯 REFINEMENT LAYER: Perfect the extracted data
+    console.log('✨ Applying data refinement layer for perfect accuracy...');
+    try {
+        const refinedData = await refineExtractedDataWithGemini(state.extracted_data, state.raw_text);
         
-        // Verify file exists
-        if (!fs.existsSync(imagePath)) {
-            throw new AppError('Image file not found', 404, 'FILE_NOT_FOUND');
+        if (refinedData.refinement_error) {
+            state = recordLlmFailure(state, 'refinement', refinedData.refinement_error);
+        } else {
+            console.log('🎊 Data refinement completed successfully!');
         }
 
-        // Read the image file
-        const imageBuffer = fs.readFileSync(imagePath);
+        return {
+            ...state,
+            extracted_data: refinedData,
+            ai_service: refinedData.refinement_applied ? 'google_vision_gemini_refined' : state.ai_service,
+            // Update confidence score based on refinement
+            confidence_score: refinedData.refinement_confidence ?
+                Math.max(state.confidence_score, refinedData.refinement_confidence) : state.confidence_score
+        };
         
-        // Prepare the request for Google Cloud Vision API
-        const request = {
-            image: {
-                content: imageBuffer
-            },
-            features: [
-                {
-                    type: 'TEXT_DETECTION',
-                    maxResults: 1
-                },
-                {
-                    type: 'DOCUMENT_TEXT_DETECTION',
-                    maxResults: 1
-                }
-            ],
-            imageContext: {
-                languageHints: ['gu', 'en'] // Gujarati and English
+    } catch (refinementError) {
+        console.warn('Data refinement failed, using original Gemini results:', refinementError.message);
+        // Continue with original Gemini results
+        return state;
+    }
+}
+
+/**
+ * Stage 4: Resolve coordinates for the refined village name
+ * @param {string} imagePath - Path to the uploaded image file
+ * @param {Object} state - Pipeline state from earlier stages
+ * @returns {Object} - Pipeline state with location fields in extracted_data
+ */
+async function runGeocodingStage(imagePath, state) {
+    const extractedData = { ...state.extracted_data };
+
+    if (!extractedData.village_name || extractedData.village_name.length < 2) {
+        return state;
+    }
+
+    // Match the name against the gazetteer: a close match corrects OCR misreadings of the name,
+    // several close matches are offered to the reviewer
+    const readName = extractedData.village_name;
+    let villageMatch = null;
+    let villageCandidates = [];
+    try {
+        const match = findVillage(cleanVillageNameForGeocoding(readName), {
+            district: extractedData.district,
+            taluka: extractedData.taluka
+        });
+        villageCandidates = match.status === 'ambiguous' ? match.candidates : [];
+
+        if (match.status === 'matched') {
+            villageMatch = { read_name: readName, match_type: match.match_type, score: match.score, ...match.candidates[0] };
+            if (match.match_type === 'fuzzy') {
+                extractedData.village_name = match.village.name_gu || match.village.name_en;
+                console.log(`📚 Village name "${readName}" matched to "${extractedData.village_name}" (${match.score})`);
             }
-        };
+        }
+    } catch (gazetteerError) {
+        console.warn('⚠️ Gazetteer lookup failed:', gazetteerError.message);
+    }
+    state = { ...state, village_match: villageMatch, village_candidates: villageCandidates };
 
-        // Call Google Cloud Vision API
-        console.log('📷 Calling Google Cloud Vision API...');
-        const [result] = await client.annotateImage(request);
+    try {
+        console.log(`🎯 Getting perfect coordinates for refined village: ${extractedData.village_name}`);
         
-        // Check for errors in the API response
-        if (result.error) {
-            console.error('Vision API error:', result.error);
-            throw new AppError(
-                `Vision API error: ${result.error.message}`,
-                500,
-                'VISION_API_ERROR'
-            );
+        const perfectCoordinates = await getPerfectCoordinatesWithGemini(
+            extractedData.village_name,
+            extractedData.district,
+            state.raw_text
+        );
+        
+        if (perfectCoordinates.success) {
+            extractedData.latitude = perfectCoordinates.latitude;
+            extractedData.longitude = perfectCoordinates.longitude;
+            extractedData.district = perfectCoordinates.district || extractedData.district;
+            extractedData.taluka = perfectCoordinates.taluka || extractedData.taluka;
+            extractedData.full_address = perfectCoordinates.formatted_address;
+            extractedData.coordinate_source = perfectCoordinates.coordinate_source;
+            extractedData.coordinate_confidence = perfectCoordinates.confidence_score;
+            extractedData.geocoding_status = 'success_perfect';
+            
+            console.log(`✅ Perfect coordinates obtained: ${perfectCoordinates.latitude}, ${perfectCoordinates.longitude} (${perfectCoordinates.coordinate_source})`);
+        } else {
+            console.log(`⚠️ Perfect coordinates failed: ${perfectCoordinates.error}`);
+            extractedData.geocoding_status = 'failed_perfect_attempt';
+            extractedData.geocoding_error = perfectCoordinates.error;
+            return recordLlmFailure({ ...state, extracted_data: extractedData }, 'coordinates', perfectCoordinates.error);
         }
 
-        // Extract text from the response
-        const textAnnotations = result.textAnnotations;
-        const fullTextAnnotation = result.fullTextAnnotation;
+        return { ...state, extracted_data: extractedData };
         
-        if (!textAnnotations || textAnnotations.length === 0) {
-            throw new AppError(
-                'No text detected in the image',
-                400,
-                'NO_TEXT_DETECTED'
-            );
+    } catch (geocodingError) {
+        console.warn('Coordinate lookup failed, continuing without location data:', geocodingError.message);
+        return { ...state, extracted_data: extractedData };
+    }
+}
+
+const STAGE_HANDLERS = {
+    ocr: runOcrStage,
+    extracting: runExtractionStage,
+    refining: runRefinementStage,
+    geocoding: runGeocodingStage
+};
+
+/**
+ * Run the processing stages in order, optionally resuming from a later stage
+ * @param {string} imagePath - Path to the uploaded image file
+ * @param {Object} options - Run options
+ * @param {Object} options.state - Pipeline state produced by earlier stages
+ * @param {string} options.fromStage - First stage to run (default: ocr)
+ * @param {Function} options.onStageStart - Called with (stage) before each stage
+ * @param {Function} options.onStageComplete - Called with (stage, state, durationMs) after each stage
+ * @returns {Object} - Final pipeline state
+ */
+async function runProcessingStages(imagePath, options = {}) {
+    const { fromStage = 'ocr', onStageStart, onStageComplete } = options;
+    let state = options.state || {};
+
+    const firstStageIndex = PROCESSING_STAGES.indexOf(fromStage);
+    if (firstStageIndex === -1) {
+        throw new AppError(`Unknown processing stage: ${fromStage}`, 400, 'INVALID_STAGE');
+    }
+
+    for (const stage of PROCESSING_STAGES.slice(firstStageIndex)) {
+        if (onStageStart) {
+            await onStageStart(stage);
         }
 
-        // Get the raw text
-        const rawText = textAnnotations[0].description || '';
-        
-        if (!rawText.trim()) {
-            throw new AppError(
-                'Empty text detected in the image',
-                400,
-                'EMPTY_TEXT_DETECTED'
-            );
+        const stageStartTime = Date.now();
+        state = await STAGE_HANDLERS[stage](imagePath, state);
+
+        if (onStageComplete) {
+            await onStageComplete(stage, state, Date.now() - stageStartTime);
         }
+    }
 
-        console.log(`📝 OCR completed. Text length: ${rawText.length} characters`);
-        
-        // Initialize variables for extraction results
-        let extractedData = {};
-        let confidenceScore = 0.5;
-        let aiService = 'google_vision_only';
-        
-        // Process with Gemini AI (REQUIRED - no fallback)
-        if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === 'your-gemini-api-key') {
-            throw new AppError(
-                'Gemini API key not configured. Please set GEMINI_API_KEY in your .env file to extract data from property notices.',
-                500,
-                'GEMINI_API_KEY_REQUIRED'
-            );
+    return state;
+}
+
+/**
+ * OCR a full newspaper page and split it into candidate notices
+ * Each candidate is later extracted on its own, since the extraction prompt expects a single notice
+ * @param {string} imagePath - Path to the page image, or a single-page PDF
+ * @returns {Object} - Raw page text, page size and candidate notices with bounding boxes
+ */
+async function segmentNoticePage(imagePath) {
+    // Only the first page of a PDF would be read, so the other pages would be lost without a word
+    if (isPdfFile(imagePath)) {
+        const pageCount = await getPdfPageCount(imagePath);
+        if (pageCount > 1) {
+            throw new AppError(`The PDF has ${pageCount} pages; upload one newspaper page at a time`, 400, 'MULTI_PAGE_PDF');
         }
+    }
+
+    const { rawText, fullTextAnnotation } = await annotateImage(imagePath);
+
+    if (!fullTextAnnotation) {
+        throw new AppError('No text layout detected in the image', 400, 'NO_TEXT_DETECTED');
+    }
+
+    const { page, segments } = segmentPage(fullTextAnnotation);
+    console.log(`✂️ Segmented page into ${segments.length} candidate notices`);
+
+    return { rawText, page, segments };
+}
 
-        console.log('🤖 Processing extracted text with Gemini AI...');
-        const geminiResult = await processWithGemini(rawText);
-        extractedData = geminiResult.extracted_data;
-        confidenceScore = geminiResult.confidence_score;
-        aiService = 'google_vision_and_gemini';
+/**
+ * Build the processing result returned to API clients from the final pipeline state
+ * @param {Object} state - Final pipeline state
+ * @param {number} processingTime - Total processing time in milliseconds
+ * @returns {Object} - Processing result
+ */
+function formatProcessingResult(state, processingTime) {
+    return {
+        success: true,
+        extracted_data: state.extracted_data,
+        raw_text: state.raw_text,
+        confidence_score: state.confidence_score,
+        extraction_disagreements: state.extraction_disagreements || [],
+        village_match: state.village_match || null,
+        village_candidates: state.village_candidates || [],
+        llm_failures: state.llm_failures || [],
+        field_provenance: buildFieldProvenance(state),
+        processing_time_ms: processingTime,
+        processing_status: 'completed',
+        ai_service: state.ai_service,
+        vision_api_response: state.vision_api_response
+    };
+}
+
+/**
+ * Process property notice image using Google Cloud Vision API + Gemini AI ONLY
+ * @param {string} imagePath - Path to the uploaded image file
+ * @returns {Object} - Extracted property information
+ */
+async function processPropertyNotice(imagePath) {
+    const startTime = Date.now();
+    
+    try {
+        console.log(`🚀 Starting OCR + Gemini processing for: ${imagePath}`);
         
-        // 🎯 REFINEMENT LAYER: Perfect the extracted data
-        console.log('✨ Applying data refinement layer for perfect accuracy...');
-        try {
-            const { refineExtractedDataWithGemini, getPerfectCoordinatesWithGemini } = require('./geminiService');
-            
-            // Step 1: Refine the core data (village name, survey number, notice date)
-            const refinedData = await refineExtractedDataWithGemini(extractedData, rawText);
-            
-            // Step 2: Get perfect coordinates if we have a good village name
-            if (refinedData.village_name && refinedData.village_name.length >= 2) {
-                console.log(`🎯 Getting perfect coordinates for refined village: ${refinedData.village_name}`);
-                
-                const perfectCoordinates = await getPerfectCoordinatesWithGemini(
-                    refinedData.village_name,
-                    refinedData.district || extractedData.district,
-                    rawText
-                );
-                
-                if (perfectCoordinates.success) {
-                    refinedData.latitude = perfectCoordinates.latitude;
-                    refinedData.longitude = perfectCoordinates.longitude;
-                    refinedData.district = perfectCoordinates.district || refinedData.district;
-                    refinedData.taluka = perfectCoordinates.taluka || refinedData.taluka;
-                    refinedData.full_address = perfectCoordinates.formatted_address;
-                    refinedData.coordinate_source = perfectCoordinates.coordinate_source;
-                    refinedData.coordinate_confidence = perfectCoordinates.confidence_score;
-                    refinedData.geocoding_status = 'success_perfect';
-                    
-                    console.log(`✅ Perfect coordinates obtained: ${perfectCoordinates.latitude}, ${perfectCoordinates.longitude} (${perfectCoordinates.coordinate_source})`);
-                } else {
-                    console.log(`⚠️ Perfect coordinates failed: ${perfectCoordinates.error}`);
-                    refinedData.geocoding_status = 'failed_perfect_attempt';
-                    refinedData.geocoding_error = perfectCoordinates.error;
-                }
-            }
-            
-            // Use refined data
-            extractedData = refinedData;
-            aiService = 'google_vision_gemini_refined';
-            
-            // Update confidence score based on refinement
-            if (refinedData.refinement_confidence) {
-                confidenceScore = Math.max(confidenceScore, refinedData.refinement_confidence);
-            }
-            
-            console.log('🎊 Data refinement completed successfully!');
-            
-        } catch (refinementError) {
-            console.warn('Data refinement failed, using original Gemini results:', refinementError.message);
-            // Continue with original Gemini results
-        }
+        const state = await runProcessingStages(imagePath);
         
         const processingTime = Date.now() - startTime;
-        console.log(`⏱️ Total processing time (${aiService}): ${processingTime}ms`);
-
-        // Calculate structured text confidence if available
-        const structuredTextConfidence = fullTextAnnotation ? 
-            calculateAverageConfidence(fullTextAnnotation) : null;
+        console.log(`⏱️ Total processing time (${state.ai_service}): ${processingTime}ms`);
 
-        return {
-            success: true,
-            extracted_data: extractedData,
-            raw_text: rawText,
-            confidence_score: confidenceScore,
-            processing_time_ms: processingTime,
-            processing_status: 'completed',
-            ai_service: aiService,
-            vision_api_response: {
-                text_length: rawText.length,
-                annotations_count: textAnnotations.length,
-                structured_confidence: structuredTextConfidence
-            }
-        };
+        return formatProcessingResult(state, processingTime);
 
     } catch (error) {
         const processingTime = Date.now() - startTime;
@@ -244,62 +404,11 @@ async function getRawOCRText(imagePath) {
     try {
         console.log(`📷 Getting raw OCR text for: ${imagePath}`);
         
-        // Verify file exists
-        if (!fs.existsSync(imagePath)) {
-            throw new AppError('Image file not found', 404, 'FILE_NOT_FOUND');
-        }
-
-        // Read the image file
-        const imageBuffer = fs.readFileSync(imagePath);
-        
-        // Prepare the request for Google Cloud Vision API
-        const request = {
-            image: {
-                content: imageBuffer
-            },
-            features: [
-                {
-                    type: 'TEXT_DETECTION',
-                    maxResults: 1
-                },
-                {
-                    type: 'DOCUMENT_TEXT_DETECTION',
-                    maxResults: 1
-                }
-            ],
-            imageContext: {
-                languageHints: ['gu', 'en'] // Gujarati and English
-            }
-        };
-
-        // Call Google Cloud Vision API
-        console.log('📷 Calling Google Cloud Vision API for raw text...');
-        const [result] = await client.annotateImage(request);
-        
-        // Check for errors in the API response
-        if (result.error) {
-            console.error('Vision API error:', result.error);
-            throw new AppError(
-                `Vision API error: ${result.error.message}`,
-                500,
-                'VISION_API_ERROR'
-            );
+        if (isPdfFile(imagePath)) {
+            return await getRawPdfText(imagePath, startTime);
         }
-
-        // Extract text from the response
-        const textAnnotations = result.textAnnotations;
-        const fullTextAnnotation = result.fullTextAnnotation;
         
-        if (!textAnnotations || textAnnotations.length === 0) {
-            throw new AppError(
-                'No text detected in the image',
-                400,
-                'NO_TEXT_DETECTED'
-            );
-        }
-
-        // Get the full text content
-        const rawText = textAnnotations[0].description || '';
+        const { rawText, textAnnotations, fullTextAnnotation, provider } = await annotateImage(imagePath);
         
         // Get structured text with confidence scores
         const structuredText = fullTextAnnotation ? {
@@ -321,6 +430,7 @@ async function getRawOCRText(imagePath) {
             processing_time_ms: processingTime,
             text_length: rawText.length,
             vision_api_response: {
+                ocr_provider: provider,
                 textAnnotations: textAnnotations.slice(0, 5), // First 5 annotations for debugging
                 fullTextAnnotation: fullTextAnnotation ? {
                     text: fullTextAnnotation.text,
@@ -348,6 +458,40 @@ async function getRawOCRText(imagePath) {
     }
 }
 
+/**
+ * Get raw OCR text for every page of a PDF
+ * @param {string} pdfPath - Path to the PDF file
+ * @param {number} startTime - Time the extraction started
+ * @returns {Object} - Per-page raw text plus the combined text
+ */
+async function getRawPdfText(pdfPath, startTime) {
+    const pageCount = await getPdfPageCount(pdfPath);
+    const pageNumbers = Array.from({ length: pageCount }, (_, index) => index + 1);
+    const annotatedPages = await ocrProviders.annotatePdfPages(pdfPath, pageNumbers);
+
+    const pages = annotatedPages.map(page => ({
+        page_number: page.pageNumber,
+        raw_text: page.rawText,
+        text_length: page.rawText.length,
+        confidence_score: calculateAverageConfidence(page.fullTextAnnotation)
+    }));
+
+    const rawText = pages.map(page => page.raw_text).join('\n\n');
+    const processingTime = Date.now() - startTime;
+
+    console.log(`✅ Raw PDF OCR completed. ${pageCount} pages, ${rawText.length} characters`);
+
+    return {
+        success: true,
+        raw_text: rawText,
+        page_count: pageCount,
+        pages,
+        ocr_provider: annotatedPages[0]?.provider || null,
+        processing_time_ms: processingTime,
+        text_length: rawText.length
+    };
+}
+
 /**
  * Calculate average confidence score from Vision API response
  * @param {Object} fullTextAnnotation - Full text annotation from Vision API
@@ -381,30 +525,7 @@ function calculateAverageConfidence(fullTextAnnotation) {
  * @returns {Promise<boolean>} - True if API is accessible
  */
 async function testVisionAPI() {
-    try {
-        // Create a simple test image (1x1 pixel PNG)
-        const testImageBase64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChAGA60e6kgAAAABJRU5ErkJggg==';
-        const testImageBuffer = Buffer.from(testImageBase64, 'base64');
-        
-        const request = {
-            image: {
-                content: testImageBuffer
-            },
-            features: [
-                {
-                    type: 'TEXT_DETECTION',
-                    maxResults: 1
-                }
-            ]
-        };
-
-        await client.annotateImage(request);
-        console.log('Google Cloud Vision API connectivity test passed');
-        return true;
-    } catch (error) {
-        console.error('Google Cloud Vision API connectivity test failed:', error);
-        return false;
-    }
+    return ocrProviders.getOcrProvider('vision').testConnection();
 }
 
 /**
@@ -427,7 +548,11 @@ async function getSupportedLanguages() {
 }
 
 module.exports = {
+    PROCESSING_STAGES,
     processPropertyNotice,
+    runProcessingStages,
+    formatProcessingResult,
+    segmentNoticePage,
     getRawOCRText,
     calculateAverageConfidence,
     testVisionAPI,
@@ -0,0 +1,103 @@
+/**
+ * PDF Service
+ * Splits multi-page PDF uploads (e-paper editions, scanned bundles) into
+ * single-page documents so every page can be processed as its own notice
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { AppError } = require('../middleware/errorHandler');
+
+const maxPdfPages = parseInt(process.env.MAX_PDF_PAGES) || 50;
+
+/**
+ * Check whether a file is a PDF document
+ * @param {Object|string} file - Uploaded file from multer, or a file path
+ * @returns {boolean}
+ */
+function isPdfFile(file) {
+    if (typeof file === 'string') {
+        return path.extname(file).toLowerCase() === '.pdf';
+    }
+    return file.mimetype === 'application/pdf' ||
+        path.extname(file.originalname || file.path).toLowerCase() === '.pdf';
+}
+
+/**
+ * Load a PDF document from disk
+ * @param {string} pdfPath - Path to the PDF file
+ * @returns {Promise<PDFDocument>}
+ */
+async function loadPdf(pdfPath) {
+    try {
+        return await PDFDocument.load(fs.readFileSync(pdfPath), { ignoreEncryption: true });
+    } catch (error) {
+        throw new AppError(`Could not read PDF document: ${error.message}`, 400, 'INVALID_PDF');
+    }
+}
+
+/**
+ * Count the pages of a PDF document
+ * @param {string} pdfPath - Path to the PDF file
+ * @returns {Promise<number>} - Number of pages
+ */
+async function getPdfPageCount(pdfPath) {
+    const pdf = await loadPdf(pdfPath);
+    return pdf.getPageCount();
+}
+
+/**
+ * Write every page of an uploaded PDF to its own single-page PDF file
+ * @param {Object} pdfFile - Uploaded PDF file (needs path, destination and originalname)
+ * @returns {Promise<Array>} - One file object per page, with pageNumber set
+ */
+async function splitPdfPages(pdfFile) {
+    const source = await loadPdf(pdfFile.path);
+    const pageCount = source.getPageCount();
+
+    if (pageCount === 0) {
+        throw new AppError('PDF document has no pages', 400, 'EMPTY_PDF');
+    }
+
+    if (pageCount > maxPdfPages) {
+        throw new AppError(
+            `PDF has ${pageCount} pages. Maximum allowed is ${maxPdfPages}`,
+            400,
+            'PDF_TOO_MANY_PAGES'
+        );
+    }
+
+    const destination = pdfFile.destination || path.dirname(pdfFile.path);
+    const baseName = path.basename(pdfFile.originalname, path.extname(pdfFile.originalname));
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const pages = [];
+
+    for (let index = 0; index < pageCount; index++) {
+        const pageDocument = await PDFDocument.create();
+        const [page] = await pageDocument.copyPages(source, [index]);
+        pageDocument.addPage(page);
+
+        const filename = `property-notice-${uniqueSuffix}-p${index + 1}.pdf`;
+        const filePath = path.join(destination, filename);
+        fs.writeFileSync(filePath, await pageDocument.save());
+
+        pages.push({
+            filename,
+            originalname: `${baseName} (page ${index + 1}).pdf`,
+            path: filePath,
+            destination,
+            mimetype: 'application/pdf',
+            pageNumber: index + 1
+        });
+    }
+
+    console.log(`📄 Split ${pdfFile.originalname} into ${pageCount} pages`);
+    return pages;
+}
+
+module.exports = {
+    isPdfFile,
+    getPdfPageCount,
+    splitPdfPages
+};
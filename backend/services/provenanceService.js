@@ -0,0 +1,168 @@
+/**
+ * Field Provenance Service
+ * Locates each extracted value in the raw OCR text (and, when the OCR word layout is available,
+ * on the image) and scores a per-field confidence, so reviewers can see which fields are shaky
+ * and where each value was read.
+ */
+
+const { EXTRACTED_FIELDS, normalizeDigits } = require('./ruleExtractionService');
+const { unionRectangles } = require('./segmentationService');
+
+// Characters OCR text and extracted values disagree on without the value being different
+const SEPARATOR_CLASS = '[\\s.,:;\\-\\/()]*';
+
+// Confidence multipliers applied to the overall extraction confidence
+const NOT_IN_TEXT_FACTOR = 0.6;
+const PARTIAL_MATCH_FACTOR = 0.8;
+const RULE_DISAGREEMENT_FACTOR = 0.5;
+const RULE_AGREEMENT_BONUS = 0.1;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function tokenize(value) {
+    return normalizeDigits(String(value))
+        .replace(/પૈકી/g, ' પૈકી ')
+        .split(/[\s.,:;\-\/()]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Build a pattern that matches a value in OCR text despite separator and leading-zero differences
+ * ("15/03/2024" matches "૧૫-૦૩-૨૦૨૪", "367 પૈકી-1" matches "૩૬૭ પૈકી ૧")
+ */
+function buildValuePattern(tokens) {
+    const parts = tokens.map(token => (/^\d+$/.test(token) ?
+        `0*${token.replace(/^0+(?=\d)/, '')}` : escapeRegExp(token)));
+    return new RegExp(parts.join(SEPARATOR_CLASS), 'i');
+}
+
+/**
+ * Find where a value was read in a text
+ * Gujarati digits are normalized one-for-one, so offsets in the normalized text are offsets in the original
+ * @param {string} text - OCR text
+ * @param {string} value - Extracted value
+ * @returns {Object|null} - { start, end, partial }
+ */
+function locateValue(text, value) {
+    const tokens = tokenize(value);
+    if (!text || tokens.length === 0) {
+        return null;
+    }
+
+    const normalizedText = normalizeDigits(text);
+    const match = normalizedText.match(buildValuePattern(tokens));
+    if (match) {
+        return { start: match.index, end: match.index + match[0].length, partial: false };
+    }
+
+    // Fall back to the most distinctive token, e.g. a surname when the honorifics differ
+    const longest = [...tokens].sort((a, b) => b.length - a.length)[0];
+    if (tokens.length > 1 && longest.length >= 3) {
+        const partialMatch = normalizedText.match(buildValuePattern([longest]));
+        if (partialMatch) {
+            return { start: partialMatch.index, end: partialMatch.index + partialMatch[0].length, partial: true };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Find the words a value was read from in the OCR word layout
+ * @param {Array} words - Word layout from segmentationService.getWordLayout
+ * @param {string} value - Extracted value
+ * @returns {Object|null} - { boundingBox, confidence, partial }
+ */
+function locateValueInWords(words, value) {
+    let text = '';
+    const offsets = words.map(word => {
+        const start = text.length;
+        text += word.text;
+        const end = text.length;
+        text += word.separator || '';
+        return { start, end };
+    });
+
+    const span = locateValue(text, value);
+    if (!span) {
+        return null;
+    }
+
+    const matched = words.filter((word, index) =>
+        offsets[index].start < span.end && offsets[index].end > span.start);
+    const boxes = matched.map(word => word.box).filter(Boolean);
+    const confidences = matched.map(word => word.confidence).filter(c => typeof c === 'number');
+
+    return {
+        boundingBox: boxes.length > 0 ? boxes.reduce(unionRectangles) : null,
+        confidence: confidences.length > 0 ?
+            confidences.reduce((sum, c) => sum + c, 0) / confidences.length : null,
+        partial: span.partial
+    };
+}
+
+/**
+ * Build per-field confidence and provenance for the final pipeline state
+ * @param {Object} state - Pipeline state (raw_text, extracted_data, confidence_score, ocr_words,
+ *   rule_extracted_data, extraction_disagreements, extraction_model)
+ * @returns {Object} - { [field]: { confidence, source_span, bounding_box, ocr_confidence, rule_agreement } }
+ */
+function buildFieldProvenance(state) {
+    const extractedData = state.extracted_data || {};
+    const baseConfidence = typeof state.confidence_score === 'number' ? state.confidence_score : 0.5;
+    const disagreements = state.extraction_disagreements || [];
+    const ruleData = state.rule_extracted_data || {};
+    // When the rules produced the values there is no second opinion to agree with
+    const crossChecked = state.extraction_model !== 'rules';
+
+    return Object.fromEntries(EXTRACTED_FIELDS.map(field => {
+        const value = extractedData[field];
+
+        if (value === null || value === undefined || value === '') {
+            return [field, { confidence: null, source_span: null, bounding_box: null, ocr_confidence: null, rule_agreement: null }];
+        }
+
+        const span = locateValue(state.raw_text, value);
+        const location = state.ocr_words ? locateValueInWords(state.ocr_words, value) : null;
+
+        let ruleAgreement = null;
+        if (crossChecked && ruleData[field]) {
+            ruleAgreement = !disagreements.some(disagreement => disagreement.field === field);
+        }
+
+        let confidence = baseConfidence;
+        if (!span) {
+            confidence *= NOT_IN_TEXT_FACTOR;
+        } else if (span.partial) {
+            confidence *= PARTIAL_MATCH_FACTOR;
+        }
+        if (ruleAgreement === false) {
+            confidence *= RULE_DISAGREEMENT_FACTOR;
+        } else if (ruleAgreement === true) {
+            confidence += RULE_AGREEMENT_BONUS;
+        }
+        if (location?.confidence !== null && location?.confidence !== undefined) {
+            confidence *= location.confidence;
+        }
+
+        return [field, {
+            confidence: Math.round(Math.min(Math.max(confidence, 0), 1) * 100) / 100,
+            source_span: span ? {
+                start: span.start,
+                end: span.end,
+                text: state.raw_text.substring(span.start, span.end),
+                partial: span.partial
+            } : null,
+            bounding_box: location?.boundingBox || null,
+            ocr_confidence: location?.confidence ?? null,
+            rule_agreement: ruleAgreement
+        }];
+    }));
+}
+
+module.exports = {
+    locateValue,
+    buildFieldProvenance
+};
@@ -0,0 +1,292 @@
+/**
+ * Rule-based Gujarati property notice extractor
+ * Deterministic regex extraction built from the notice patterns the LLM prompt describes
+ * (મોજે ગામ ...ના, રેવન્યુ સર્વે નં., તારીખ, એડવોકેટ, મો. numbers). Used when no extraction LLM
+ * is available, and run alongside the LLM so fields where the two disagree can be flagged for review.
+ */
+
+const { postProcessVillageNames } = require('./geminiService');
+
+const GUJARATI_DIGITS = '૦૧૨૩૪૫૬૭૮૯';
+const DIGIT = '[0-9૦-૯]';
+
+// Fields rule extraction is expected to find in almost every notice; they weigh double in the confidence
+const KEY_FIELDS = ['village_name', 'survey_number', 'notice_date'];
+
+const EXTRACTED_FIELDS = [
+    'village_name',
+    'survey_number',
+    'buyer_name',
+    'seller_name',
+    'notice_date',
+    'advocate_name',
+    'advocate_address',
+    'advocate_mobile',
+    'district',
+    'taluka'
+];
+
+// Free-text fields are too loosely worded to compare between extractors
+const COMPARED_FIELDS = EXTRACTED_FIELDS.filter(field => field !== 'advocate_address');
+
+const VILLAGE_PATTERNS = [
+    /મોજે\s*ગામ\s*[:\-]?\s*([^\s,.\d૦-૯]+?)(?:ના|ની|નું)?[\s,.]/,
+    /ગામ\s*[:\-]?\s*([^\s,.\d૦-૯]+?)(?:ના|ની|નું)[\s,.]/,
+    /([^\s,.\d૦-૯]+?)(?:ના|ની|નું)\s+રેવન્યુ\s*સર્વે/,
+    /([^\s,.\d૦-૯]+?)(?:ના|ની|નું)\s+સર્વે\s*નં/
+];
+
+const SURVEY_PATTERN = new RegExp(
+    `(?:રેવન્યુ\\s*)?(?:સર્વે|સ\\.)\\s*નં\\.?\\s*[:\\-]?\\s*(${DIGIT}+(?:\\s*(?:\\/|પૈકી)\\s*-?\\s*${DIGIT}+)*(?:\\s*પૈકી)?)`
+);
+
+const DATE_PATTERN = new RegExp(
+    `(?:તારીખ|તા\\.)\\s*[:\\-]*\\s*(${DIGIT}{1,2})\\s*[\\-\\/.]\\s*(${DIGIT}{1,2})\\s*[\\-\\/.]\\s*(${DIGIT}{2,4})`
+);
+
+const MOBILE_PATTERN = new RegExp(
+    `(?:મો(?:બાઇલ|બાઈલ)?\\.?|મોબા\\.|mobile|mob\\.?|mo\\.)\\s*(?:નં\\.?|no\\.?)?\\s*[:\\-]?\\s*((?:${DIGIT}[\\s\\-]?){10})`,
+    'i'
+);
+
+const GUJARATI_SCRIPT = /[\u0A80-\u0AFF]/;
+
+const ADVOCATE_PATTERN = /એડવોકેટ|એડવોકેટસ|વકીલ|advocate/i;
+
+// Verbs, and the land being sold, that follow a party's name in the sentence ("... પટેલ ખરીદ કરવા માંગે છે")
+const PARTY_NAME_END = /^(?:ખરીદ|ખરીદી|ખરીદવા|ખરીદવાના|વેચાણ|વેચવા|વેચાણથી|કરવા|કરવાના|કરે|કરી|કરેલ|માંગે|માગે|માંગતા|માગતા|ઇચ્છે|ઈચ્છે|રાખે|લેવા|લેનાર|આપવા|છે|છીએ|હોય|જમીન|મિલકત|પ્લોટ)$/;
+
+// English initials as written in Gujarati ("એમ.", "એસ."); Gujarati initials are a single letter ("ર.")
+const SPELLED_INITIALS = ['એફ', 'એચ', 'એલ', 'એમ', 'એન', 'એસ', 'આર', 'આઈ', 'ક્યુ', 'એક્સ', 'વાય', 'ઝેડ', 'ડબલ્યુ'];
+
+const GUJARATI_LETTER = /[\u0A85-\u0AB9]/g;
+
+/**
+ * Convert Gujarati numerals to ASCII digits
+ * @param {string} text - Text that may contain Gujarati numerals
+ * @returns {string} - Text with ASCII digits
+ */
+function normalizeDigits(text) {
+    return text.replace(/[૦-૯]/g, digit => String(GUJARATI_DIGITS.indexOf(digit)));
+}
+
+function cleanValue(value) {
+    if (!value) {
+        return null;
+    }
+    const cleaned = value.replace(/\s+/g, ' ').replace(/^[\s:\-,.]+|[\s:\-,]+$/g, '').trim();
+    return cleaned.length >= 2 ? cleaned : null;
+}
+
+function extractVillageName(text) {
+    for (const pattern of VILLAGE_PATTERNS) {
+        const match = text.match(pattern);
+        if (match && match[1] && match[1].length >= 2) {
+            return postProcessVillageNames({ village_name: match[1] }).village_name;
+        }
+    }
+    return null;
+}
+
+function extractSurveyNumber(text) {
+    const match = text.match(SURVEY_PATTERN);
+    if (!match) {
+        return null;
+    }
+    return normalizeDigits(match[1]).replace(/\s+/g, ' ').replace(/પૈકી\s*-?\s*/g, 'પૈકી-').replace(/-$/, '').trim();
+}
+
+function extractNoticeDate(text) {
+    const match = text.match(DATE_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const [day, month, year] = match.slice(1).map(normalizeDigits);
+    if (Number(day) < 1 || Number(day) > 31 || Number(month) < 1 || Number(month) > 12) {
+        return null;
+    }
+
+    const fullYear = year.length === 2 ? `20${year}` : year;
+    return `${day.padStart(2, '0')}/${month.padStart(2, '0')}/${fullYear}`;
+}
+
+function extractMobile(text) {
+    const match = text.match(MOBILE_PATTERN);
+    if (match) {
+        return normalizeDigits(match[1]).replace(/\D/g, '');
+    }
+
+    // Fall back to any standalone 10-digit Indian mobile number
+    const bare = normalizeDigits(text).match(/(?<!\d)[6-9]\d{9}(?!\d)/);
+    return bare ? bare[0] : null;
+}
+
+/**
+ * Advocate details are the signature block at the end of the notice: the name next to
+ * "એડવોકેટ" (on the same line or the line above), followed by address lines up to the mobile number
+ */
+function extractAdvocate(lines) {
+    const index = lines.findIndex(line => ADVOCATE_PATTERN.test(line));
+    if (index === -1) {
+        return { advocate_name: null, advocate_address: null };
+    }
+
+    const sameLine = cleanValue(lines[index].replace(ADVOCATE_PATTERN, '').replace(/[()]/g, ''));
+    const advocateName = sameLine || (index > 0 ? cleanValue(lines[index - 1]) : null);
+
+    const addressLines = [];
+    for (const line of lines.slice(index + 1, index + 4)) {
+        if (MOBILE_PATTERN.test(line) || DATE_PATTERN.test(line)) {
+            break;
+        }
+        addressLines.push(line.replace(/[\s,]+$/, ''));
+    }
+
+    return {
+        advocate_name: advocateName,
+        advocate_address: cleanValue(addressLines.join(', '))
+    };
+}
+
+/**
+ * Cut a buyer or seller name off where the rest of the sentence starts: at a verb, a "।",
+ * or a full stop after a whole word (initials such as "એ." and "એમ." keep their dot)
+ */
+function trimPartyName(value) {
+    const words = [];
+    for (const word of value.trim().split(/\s+/)) {
+        const bare = word.replace(/[.।]+$/, '');
+        if (!bare || PARTY_NAME_END.test(bare)) {
+            break;
+        }
+
+        const initial = (bare.match(GUJARATI_LETTER) || []).length <= 1 || SPELLED_INITIALS.includes(bare);
+        if (word.endsWith('।') || (word.endsWith('.') && !initial)) {
+            words.push(bare);
+            break;
+        }
+        words.push(word);
+    }
+    return words.join(' ');
+}
+
+function extractLabelledValue(text, patterns, trim = value => value) {
+    for (const pattern of patterns) {
+        const match = text.match(pattern);
+        if (match) {
+            const value = cleanValue(trim(match[1]));
+            if (value) {
+                return value;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Extract property notice fields from raw OCR text with regex rules
+ * @param {string} rawText - Raw text from the OCR provider
+ * @returns {Object} - Extracted data in the same shape as the LLM extraction, with a confidence score
+ */
+function extractWithRules(rawText) {
+    const text = rawText.replace(/\r/g, '');
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    const villageName = extractVillageName(text);
+    const advocate = extractAdvocate(lines);
+
+    const extractedData = {
+        village_name: villageName,
+        village_name_cleaned: villageName,
+        survey_number: extractSurveyNumber(text),
+        buyer_name: extractLabelledValue(text, [/ખરીદનાર\s*[:\-]\s*([^\n,]+)/], trimPartyName),
+        seller_name: extractLabelledValue(text, [
+            /વેચનાર\s*[:\-]\s*([^\n,]+)/,
+            /(?<!\S)((?:[^\s,.\d૦-૯]+\s+){1,2}[^\s,.\d૦-૯]+)\s+પાસેથી/
+        ], trimPartyName),
+        notice_date: extractNoticeDate(text),
+        advocate_name: advocate.advocate_name,
+        advocate_address: advocate.advocate_address,
+        advocate_mobile: extractMobile(text),
+        district: extractLabelledValue(text, [
+            /(?:જિલ્લો|જિલ્લા(?!ના|ની|નું)|જી\.|જિ\.)\s*[:\-]?\s*([^\s,.\d૦-૯]+)/,
+            /([^\s,.\d૦-૯]+)\s+જિલ્લા(?:ના|ની|નું)/
+        ]),
+        taluka: extractLabelledValue(text, [
+            /(?:તાલુકો|તાલુકા(?!ના|ની|નું))\s*[:\-]?\s*([^\s,.\d૦-૯]+)/,
+            /([^\s,.\d૦-૯]+)\s+તાલુકા(?:ના|ની|નું)/,
+            /તા\.\s*([^\s,.\d૦-૯]+)/
+        ])
+    };
+
+    const foundFields = EXTRACTED_FIELDS.filter(field => extractedData[field]);
+    const weight = field => (KEY_FIELDS.includes(field) ? 2 : 1);
+    const totalWeight = EXTRACTED_FIELDS.reduce((total, field) => total + weight(field), 0);
+    const foundWeight = foundFields.reduce((total, field) => total + weight(field), 0);
+
+    // Rules never match the LLM's confidence ceiling; a notice with every field found scores 0.7
+    const confidence = Math.round((0.7 * foundWeight / totalWeight) * 100) / 100;
+
+    console.log(`📐 Rule-based extraction found ${foundFields.length}/${EXTRACTED_FIELDS.length} fields`);
+
+    return {
+        extracted_data: extractedData,
+        confidence_score: confidence,
+        notes: `Rule-based extraction matched: ${foundFields.join(', ') || 'no fields'}`
+    };
+}
+
+function normalizeForComparison(field, value) {
+    const normalized = normalizeDigits(String(value)).toLowerCase();
+
+    if (field === 'advocate_mobile') {
+        return normalized.replace(/\D/g, '').slice(-10);
+    }
+
+    return normalized
+        .replace(/પૈકી/g, '/')
+        .replace(/[\s.,:;\-\/()]/g, '');
+}
+
+/**
+ * Compare LLM and rule-based extractions field by field
+ * Only fields the rules found are compared: a field the rules missed is not evidence against the LLM
+ * @param {Object} llmData - Extracted data from the LLM
+ * @param {Object} ruleData - Extracted data from extractWithRules
+ * @returns {Array} - One { field, llm_value, rule_value } entry per disagreeing field
+ */
+function compareExtractions(llmData, ruleData) {
+    return COMPARED_FIELDS
+        .filter(field => ruleData[field])
+        .filter(field => {
+            if (!llmData[field]) {
+                return true;
+            }
+
+            // A transliterated value ("Rajkot" vs "રાજકોટ") cannot be compared character by character
+            if (GUJARATI_SCRIPT.test(llmData[field]) !== GUJARATI_SCRIPT.test(ruleData[field])) {
+                return false;
+            }
+
+            const llmValue = normalizeForComparison(field, llmData[field]);
+            const ruleValue = normalizeForComparison(field, ruleData[field]);
+
+            // Names often differ only by an honorific or initials the other side left out
+            return llmValue !== ruleValue &&
+                !(ruleValue.length >= 3 && llmValue.includes(ruleValue)) &&
+                !(llmValue.length >= 3 && ruleValue.includes(llmValue));
+        })
+        .map(field => ({
+            field,
+            llm_value: llmData[field] || null,
+            rule_value: ruleData[field]
+        }));
+}
+
+module.exports = {
+    EXTRACTED_FIELDS,
+    normalizeDigits,
+    extractWithRules,
+    compareExtractions
+};
@@ -0,0 +1,335 @@
+/**
+ * Notice Search Service
+ * Full-text search over each notice's raw OCR text and extracted fields, matching Gujarati
+ * spelling variants, OCR confusions and romanised spellings (see gujaratiTextService).
+ *
+ * The inverted index lives in memory: it is built from storage on the first search, kept current
+ * through storage change notifications, and rebuilt once it is older than SEARCH_INDEX_MAX_AGE_MS
+ * so changes made by other processes (scripts) are picked up too.
+ */
+
+const { queryPropertyNotices, getPropertyNoticeById, onNoticeChange } = require('./storageProviders');
+const { matchesNoticeFilters } = require('./storageProviders/noticeRecords');
+const { tokenizeWithOffsets, getSearchTerms } = require('./gujaratiTextService');
+
+// How much a match in each field counts towards a notice's score
+const FIELD_WEIGHTS = {
+    village_name: 3,
+    survey_number: 3,
+    buyer_name: 2,
+    seller_name: 2,
+    advocate_name: 2,
+    district: 1.5,
+    taluka: 1.5,
+    advocate_address: 1,
+    publication_sources: 1,
+    raw_text: 1
+};
+
+// Ways a query token can match an indexed token (see gujaratiTextService for the term kinds), strictest first
+const MATCH_TIERS = [
+    { kind: 'norm', prefix: false, weight: 1 },
+    { kind: 'ocr', prefix: false, weight: 0.8 },
+    { kind: 'roman', prefix: false, weight: 0.75 },
+    { kind: 'norm', prefix: true, weight: 0.7 },
+    { kind: 'ocr', prefix: true, weight: 0.6 },
+    { kind: 'phonetic', prefix: false, weight: 0.55 },
+    { kind: 'roman', prefix: true, weight: 0.5 },
+    { kind: 'phonetic', prefix: true, weight: 0.4 }
+];
+
+const MIN_PREFIX_LENGTH = 3;
+const SNIPPET_CONTEXT_CHARS = 60;
+const MAX_SNIPPETS = 3;
+const INDEX_PAGE_SIZE = 1000;
+const DEFAULT_INDEX_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Notice fields returned with each search result
+const RESULT_FIELDS = [
+    'id',
+    'village_name',
+    'survey_number',
+    'buyer_name',
+    'seller_name',
+    'advocate_name',
+    'notice_date',
+    'district',
+    'taluka',
+    'geocoding_status',
+    'hierarchy_status',
+    'confidence_score',
+    'publication_count',
+    'uploaded_at'
+];
+
+let searchIndex = null;
+let buildPromise = null;
+const staleNoticeIds = new Set();
+
+onNoticeChange(noticeId => staleNoticeIds.add(noticeId));
+
+function getFieldText(notice, field) {
+    if (field === 'raw_text') {
+        return notice.raw_text;
+    }
+    if (field === 'publication_sources') {
+        return (notice.publication_sources || []).join('; ');
+    }
+    return notice.extracted_data?.[field] ?? notice[field];
+}
+
+function addPosting(postings, term, noticeId, field) {
+    if (!term) return;
+    if (!postings.has(term)) {
+        postings.set(term, new Map());
+    }
+    const notices = postings.get(term);
+    if (!notices.has(noticeId)) {
+        notices.set(noticeId, new Set());
+    }
+    notices.get(noticeId).add(field);
+}
+
+function removeNotice(index, noticeId) {
+    const terms = index.termsByNotice.get(noticeId) || [];
+    terms.forEach(([kind, term]) => {
+        const notices = index.postings[kind].get(term);
+        if (!notices) return;
+        notices.delete(noticeId);
+        if (notices.size === 0) {
+            index.postings[kind].delete(term);
+        }
+    });
+    index.termsByNotice.delete(noticeId);
+    index.notices.delete(noticeId);
+}
+
+function addNotice(index, notice) {
+    removeNotice(index, notice.id);
+
+    const terms = new Set();
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+        const text = getFieldText(notice, field);
+        if (!text) return;
+
+        tokenizeWithOffsets(String(text)).forEach(({ token }) => {
+            Object.entries(getSearchTerms(token)).forEach(([kind, term]) => {
+                if (!term) return;
+                addPosting(index.postings[kind], term, notice.id, field);
+                terms.add(`${kind}\u0000${term}`);
+            });
+        });
+    });
+
+    index.notices.set(notice.id, notice);
+    index.termsByNotice.set(notice.id, [...terms].map(entry => entry.split('\u0000')));
+}
+
+async function buildIndex() {
+    const startTime = Date.now();
+    const index = {
+        builtAt: startTime,
+        notices: new Map(),
+        termsByNotice: new Map(),
+        postings: { norm: new Map(), ocr: new Map(), roman: new Map(), phonetic: new Map() }
+    };
+
+    // Changes made while the index is being read are applied afterwards
+    staleNoticeIds.clear();
+
+    let cursor = null;
+    do {
+        const page = await queryPropertyNotices({ limit: INDEX_PAGE_SIZE, cursor });
+        page.notices.forEach(notice => addNotice(index, notice));
+        cursor = page.nextCursor;
+    } while (cursor);
+
+    console.log(`🔎 Search index built: ${index.notices.size} notices, ${index.postings.norm.size} terms in ${Date.now() - startTime}ms`);
+    return index;
+}
+
+async function refreshStaleNotices(index) {
+    const noticeIds = [...staleNoticeIds];
+    staleNoticeIds.clear();
+
+    for (const noticeId of noticeIds) {
+        const notice = await getPropertyNoticeById(noticeId);
+        if (notice) {
+            addNotice(index, notice);
+        } else {
+            removeNotice(index, noticeId);
+        }
+    }
+}
+
+/**
+ * Get the search index, building or refreshing it as needed
+ * @returns {Object} - Search index
+ */
+async function getSearchIndex() {
+    const maxAge = parseInt(process.env.SEARCH_INDEX_MAX_AGE_MS) || DEFAULT_INDEX_MAX_AGE_MS;
+
+    if (!searchIndex || Date.now() - searchIndex.builtAt > maxAge) {
+        if (!buildPromise) {
+            buildPromise = buildIndex()
+                .then(index => { searchIndex = index; })
+                .finally(() => { buildPromise = null; });
+        }
+        await buildPromise;
+    }
+
+    if (staleNoticeIds.size > 0) {
+        await refreshStaleNotices(searchIndex);
+    }
+
+    return searchIndex;
+}
+
+function canPrefixMatch(queryTerm) {
+    return Boolean(queryTerm) && queryTerm.length >= MIN_PREFIX_LENGTH;
+}
+
+/**
+ * Find the notices (and fields) each way a query token can match
+ * @returns {Array} - [{ weight, notices: Map(noticeId -> Set(field)) }]
+ */
+function findTermMatches(index, queryTerms) {
+    const matches = [];
+
+    MATCH_TIERS.forEach(({ kind, prefix, weight }) => {
+        const queryTerm = queryTerms[kind];
+        if (!queryTerm) return;
+
+        if (!prefix) {
+            const notices = index.postings[kind].get(queryTerm);
+            if (notices) matches.push({ weight, notices });
+        } else if (canPrefixMatch(queryTerm)) {
+            index.postings[kind].forEach((notices, term) => {
+                if (term !== queryTerm && term.startsWith(queryTerm)) {
+                    matches.push({ weight, notices });
+                }
+            });
+        }
+    });
+
+    return matches;
+}
+
+// Whether a text token matches any query token
+function matchesQuery(token, queryTermsList) {
+    const terms = getSearchTerms(token);
+    return queryTermsList.some(queryTerms => MATCH_TIERS.some(({ kind, prefix }) => {
+        const term = terms[kind];
+        const queryTerm = queryTerms[kind];
+        if (!term || !queryTerm) return false;
+        return prefix ? canPrefixMatch(queryTerm) && term.startsWith(queryTerm) : term === queryTerm;
+    }));
+}
+
+/**
+ * Cut a highlighted snippet out of a field
+ * Short fields are returned whole; raw text is cut around its first match
+ * @returns {Object|null} - { field, text, highlights: [[start, end]] } with offsets into text
+ */
+function buildSnippet(field, text, queryTermsList) {
+    const matched = tokenizeWithOffsets(text).filter(({ token }) => matchesQuery(token, queryTermsList));
+    if (matched.length === 0) {
+        return null;
+    }
+
+    let start = 0;
+    let end = text.length;
+    if (field === 'raw_text') {
+        start = Math.max(0, matched[0].start - SNIPPET_CONTEXT_CHARS);
+        end = Math.min(text.length, matched[0].end + SNIPPET_CONTEXT_CHARS);
+        // Do not cut words in half
+        while (start > 0 && !/\s/.test(text[start - 1])) start--;
+        while (end < text.length && !/\s/.test(text[end])) end++;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const snippetText = `${prefix}${text.slice(start, end).replace(/\s+/g, ' ')}${suffix}`;
+
+    // Offsets are recomputed on the whitespace-collapsed text
+    const highlights = tokenizeWithOffsets(snippetText)
+        .filter(({ token }) => matchesQuery(token, queryTermsList))
+        .map(({ start: tokenStart, end: tokenEnd }) => [tokenStart, tokenEnd]);
+
+    return { field, text: snippetText, highlights };
+}
+
+/**
+ * Search notices
+ * Every query token is matched on its own; notices matching more of the tokens rank first,
+ * then by score (match tier weight × field weight), then newest first
+ * @param {string} query - Search text (Gujarati, English or mixed)
+ * @param {Object} options - { filters, limit }; filters as in GET /api/notices
+ * @returns {Object} - { total, results: [{ notice, score, matched_terms, snippets }] }
+ */
+async function searchNotices(query, options = {}) {
+    const { filters = {}, limit = 20 } = options;
+
+    const queryTermsList = tokenizeWithOffsets(query).map(({ token }) => getSearchTerms(token));
+    if (queryTermsList.length === 0) {
+        return { total: 0, results: [] };
+    }
+
+    const index = await getSearchIndex();
+
+    // noticeId -> { score, matchedTerms }
+    const scores = new Map();
+    queryTermsList.forEach(queryTerms => {
+        const bestByNotice = new Map();
+        findTermMatches(index, queryTerms).forEach(({ weight, notices }) => {
+            notices.forEach((fields, noticeId) => {
+                const fieldWeight = Math.max(...[...fields].map(field => FIELD_WEIGHTS[field]));
+                bestByNotice.set(noticeId, Math.max(bestByNotice.get(noticeId) || 0, weight * fieldWeight));
+            });
+        });
+
+        bestByNotice.forEach((score, noticeId) => {
+            const entry = scores.get(noticeId) || { score: 0, matchedTerms: 0 };
+            entry.score += score;
+            entry.matchedTerms += 1;
+            scores.set(noticeId, entry);
+        });
+    });
+
+    const ranked = [...scores.entries()]
+        .map(([noticeId, entry]) => ({ notice: index.notices.get(noticeId), ...entry }))
+        .filter(({ notice }) => notice && matchesNoticeFilters(notice, filters))
+        .sort((a, b) =>
+            b.matchedTerms - a.matchedTerms ||
+            b.score - a.score ||
+            String(b.notice.uploaded_at).localeCompare(String(a.notice.uploaded_at)));
+
+    const results = ranked.slice(0, limit).map(({ notice, score, matchedTerms }) => ({
+        notice: Object.fromEntries(RESULT_FIELDS.map(field => [field, notice[field] ?? null])),
+        score: Math.round(score * 100) / 100,
+        matched_terms: matchedTerms,
+        snippets: Object.keys(FIELD_WEIGHTS)
+            .map(field => {
+                const text = getFieldText(notice, field);
+                return text ? buildSnippet(field, String(text), queryTermsList) : null;
+            })
+            .filter(Boolean)
+            .slice(0, MAX_SNIPPETS)
+    }));
+
+    return { total: ranked.length, results };
+}
+
+/**
+ * All notices currently in the search index (for other in-memory scans, e.g. duplicate detection)
+ * @returns {Array} - Notices as returned by the storage providers
+ */
+async function getIndexedNotices() {
+    const index = await getSearchIndex();
+    return [...index.notices.values()];
+}
+
+module.exports = {
+    searchNotices,
+    getIndexedNotices
+};
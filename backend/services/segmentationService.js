@@ -0,0 +1,255 @@
+/**
+ * Notice Segmentation Service
+ * Splits an OCR'd newspaper page into individual notice regions using the
+ * block geometry of the Google Cloud Vision fullTextAnnotation
+ */
+
+// Headings that open a new notice even when there is no visible gap above them
+const NOTICE_HEADING_PATTERN = /(જાહેર\s*(નોટ[ીિ]સ|સૂચના)|public\s+notice)/i;
+
+// Blocks whose horizontal ranges overlap by at least this share of the narrower block sit in the same column
+const COLUMN_OVERLAP_RATIO = 0.5;
+
+// A vertical gap larger than this many text lines separates two notices
+const NOTICE_GAP_LINES = 1.8;
+
+// Regions with less text than this are page furniture (headers, page numbers, rules), not notices
+const MIN_NOTICE_CHARS = 40;
+
+/**
+ * Convert a Vision bounding polygon into a pixel rectangle
+ * Images report absolute vertices, PDF pages only report normalized ones
+ * @param {Object} boundingPoly - Vision boundingBox
+ * @param {Object} page - Vision page (for width/height)
+ * @returns {Object|null} - { x, y, width, height }
+ */
+function toRectangle(boundingPoly, page) {
+    if (!boundingPoly) return null;
+
+    let points = (boundingPoly.vertices || []).filter(v => v.x !== undefined || v.y !== undefined);
+    if (points.length === 0 && boundingPoly.normalizedVertices) {
+        points = boundingPoly.normalizedVertices.map(v => ({
+            x: (v.x || 0) * (page.width || 1),
+            y: (v.y || 0) * (page.height || 1)
+        }));
+    }
+    if (points.length === 0) return null;
+
+    const xs = points.map(p => p.x || 0);
+    const ys = points.map(p => p.y || 0);
+    const x = Math.round(Math.min(...xs));
+    const y = Math.round(Math.min(...ys));
+
+    return { x, y, width: Math.round(Math.max(...xs)) - x, height: Math.round(Math.max(...ys)) - y };
+}
+
+function unionRectangles(a, b) {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+        x,
+        y,
+        width: Math.max(a.x + a.width, b.x + b.width) - x,
+        height: Math.max(a.y + a.height, b.y + b.height) - y
+    };
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Rebuild the text of a block from its symbols and detected breaks
+ * @param {Object} block - Vision block
+ * @returns {string}
+ */
+function getBlockText(block) {
+    let text = '';
+
+    (block.paragraphs || []).forEach(paragraph => {
+        (paragraph.words || []).forEach(word => {
+            (word.symbols || []).forEach(symbol => {
+                text += symbol.text || '';
+                const breakType = symbol.property?.detectedBreak?.type;
+                if (breakType === 'SPACE' || breakType === 'SURE_SPACE') {
+                    text += ' ';
+                } else if (breakType === 'EOL_SURE_SPACE' || breakType === 'LINE_BREAK') {
+                    text += '\n';
+                } else if (breakType === 'HYPHEN') {
+                    text += '-\n';
+                }
+            });
+        });
+    });
+
+    return text.trim();
+}
+
+function getBreakSeparator(symbol) {
+    const breakType = symbol?.property?.detectedBreak?.type;
+    if (breakType === 'SPACE' || breakType === 'SURE_SPACE') return ' ';
+    if (breakType === 'EOL_SURE_SPACE' || breakType === 'LINE_BREAK') return '\n';
+    return '';
+}
+
+/**
+ * Flatten blocks into their words with pixel boxes, for locating extracted values on the image
+ * @param {Array} blocks - Vision blocks
+ * @param {Object} page - Vision page (for width/height)
+ * @returns {Array} - [{ text, separator, box, confidence }] in reading order
+ */
+function getWordLayout(blocks, page) {
+    const words = [];
+
+    (blocks || []).forEach(block => {
+        (block.paragraphs || []).forEach(paragraph => {
+            (paragraph.words || []).forEach(word => {
+                const symbols = word.symbols || [];
+                const text = symbols.map(symbol => symbol.text || '').join('');
+                if (!text) return;
+
+                words.push({
+                    text,
+                    separator: getBreakSeparator(symbols[symbols.length - 1]),
+                    box: toRectangle(word.boundingBox, page),
+                    confidence: typeof word.confidence === 'number' ? word.confidence : null
+                });
+            });
+        });
+    });
+
+    return words;
+}
+
+/**
+ * Estimate the height of one text line from the word boxes on the page
+ * @param {Object} page - Vision page
+ * @returns {number}
+ */
+function estimateLineHeight(page) {
+    const heights = [];
+
+    (page.blocks || []).forEach(block => {
+        (block.paragraphs || []).forEach(paragraph => {
+            (paragraph.words || []).forEach(word => {
+                const box = toRectangle(word.boundingBox, page);
+                if (box && box.height > 0) heights.push(box.height);
+            });
+        });
+    });
+
+    return median(heights);
+}
+
+/**
+ * Group text blocks into newspaper columns by horizontal overlap
+ * @param {Array} blocks - Blocks with box and text
+ * @returns {Array<Array>} - Columns, left to right
+ */
+function groupIntoColumns(blocks) {
+    const columns = [];
+
+    [...blocks].sort((a, b) => a.box.x - b.box.x).forEach(block => {
+        const column = columns.find(candidate => {
+            const overlap = Math.min(candidate.right, block.box.x + block.box.width) -
+                Math.max(candidate.left, block.box.x);
+            const narrower = Math.min(candidate.right - candidate.left, block.box.width) || 1;
+            return overlap / narrower >= COLUMN_OVERLAP_RATIO;
+        });
+
+        if (column) {
+            column.blocks.push(block);
+            column.left = Math.min(column.left, block.box.x);
+            column.right = Math.max(column.right, block.box.x + block.box.width);
+        } else {
+            columns.push({ left: block.box.x, right: block.box.x + block.box.width, blocks: [block] });
+        }
+    });
+
+    return columns.sort((a, b) => a.left - b.left).map(column => column.blocks);
+}
+
+/**
+ * Split one column into notices at large vertical gaps and notice headings
+ * @param {Array} blocks - Blocks in the column
+ * @param {number} lineHeight - Estimated text line height
+ * @returns {Array<Array>} - Groups of blocks, top to bottom
+ */
+function splitColumn(blocks, lineHeight) {
+    const groups = [];
+    let current = [];
+    let bottom = null;
+
+    [...blocks].sort((a, b) => a.box.y - b.box.y).forEach(block => {
+        const gap = bottom === null ? 0 : block.box.y - bottom;
+        const startsNotice = NOTICE_HEADING_PATTERN.test(block.text.split('\n')[0]);
+
+        if (current.length > 0 && (gap > lineHeight * NOTICE_GAP_LINES || startsNotice)) {
+            groups.push(current);
+            current = [];
+        }
+
+        current.push(block);
+        bottom = Math.max(bottom === null ? 0 : bottom, block.box.y + block.box.height);
+    });
+
+    if (current.length > 0) {
+        groups.push(current);
+    }
+
+    return groups;
+}
+
+/**
+ * Split a page into candidate notices, in reading order (column by column, top to bottom)
+ * @param {Object} fullTextAnnotation - Vision DOCUMENT_TEXT_DETECTION result
+ * @returns {Object} - Page size and candidate notices with text, bounding box, word layout and confidence
+ */
+function segmentPage(fullTextAnnotation) {
+    const page = fullTextAnnotation?.pages?.[0];
+
+    if (!page) {
+        return { page: null, segments: [] };
+    }
+
+    const blocks = (page.blocks || [])
+        .map(block => ({
+            box: toRectangle(block.boundingBox, page),
+            text: getBlockText(block),
+            words: getWordLayout([block], page),
+            confidence: block.confidence
+        }))
+        .filter(block => block.box && block.text);
+
+    const lineHeight = estimateLineHeight(page) || 20;
+
+    const segments = groupIntoColumns(blocks)
+        .flatMap(column => splitColumn(column, lineHeight))
+        .map(group => {
+            const confidences = group.map(block => block.confidence).filter(c => typeof c === 'number');
+            return {
+                text: group.map(block => block.text).join('\n'),
+                boundingBox: group.map(block => block.box).reduce(unionRectangles),
+                words: group.flatMap(block => block.words),
+                blockCount: group.length,
+                confidence: confidences.length > 0 ?
+                    confidences.reduce((sum, c) => sum + c, 0) / confidences.length : null
+            };
+        })
+        .filter(segment => segment.text.length >= MIN_NOTICE_CHARS)
+        .map((segment, index) => ({ index, ...segment }));
+
+    return {
+        page: { width: page.width || null, height: page.height || null },
+        segments
+    };
+}
+
+module.exports = {
+    segmentPage,
+    getWordLayout,
+    toRectangle,
+    unionRectangles
+};
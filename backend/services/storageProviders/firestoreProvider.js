@@ -0,0 +1,1449 @@
+/**
+ * Firestore Storage Provider
+ * Stores notices in the property_notices collection, with their change history, version
+ * snapshots and publications in per-notice sub-collections; processing jobs, users and API keys have
+ * collections of their own. Configured with FIREBASE_SERVICE_ACCOUNT_KEY or
+ * GOOGLE_APPLICATION_CREDENTIALS.
+ */
+
+const admin = require('firebase-admin');
+const { v4: uuidv4 } = require('uuid');
+const {
+    buildNoticeRecord,
+    buildPublicationRecord,
+    planPublicationMerge,
+    buildVersionSnapshot,
+    buildVersionDoc,
+    planNoticeUpdate,
+    buildLocationUpdate,
+    matchesNoticeFilters,
+    STATS_TOP_VILLAGES,
+    getStatsWindows,
+    countByValue,
+    encodeCursor,
+    decodeCursor
+} = require('./noticeRecords');
+
+// Documents read per round trip while scanning for filtered notices
+const QUERY_SCAN_BATCH_SIZE = 200;
+
+// Initialize Firebase Admin SDK
+let db;
+
+function initializeFirebase() {
+    try {
+        // Check if Firebase is already initialized
+        if (admin.apps.length === 0) {
+            // Initialize with service account
+            if (process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+                // Use service account key from environment variable
+                const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+                admin.initializeApp({
+                    credential: admin.credential.cert(serviceAccount),
+                    projectId: serviceAccount.project_id
+                });
+            } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+                // Use service account file path
+                admin.initializeApp({
+                    credential: admin.credential.applicationDefault(),
+                    projectId: process.env.FIREBASE_PROJECT_ID
+                });
+            } else {
+                throw new Error('Firebase credentials not configured. Set FIREBASE_SERVICE_ACCOUNT_KEY or GOOGLE_APPLICATION_CREDENTIALS');
+            }
+        }
+        
+        db = admin.firestore();
+        console.log('Firebase initialized successfully');
+        return db;
+    } catch (error) {
+        console.error('Firebase initialization error:', error);
+        throw error;
+    }
+}
+
+function isConfigured() {
+    return !!(process.env.FIREBASE_SERVICE_ACCOUNT_KEY || process.env.GOOGLE_APPLICATION_CREDENTIALS);
+}
+
+// Initialize Firebase when module loads
+try {
+    initializeFirebase();
+} catch (error) {
+    console.warn('Firebase initialization failed:', error.message);
+}
+
+/**
+ * Test Firebase connection
+ * @returns {Promise<boolean>} - True if connection successful
+ */
+async function testConnection() {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+        
+        // Test by reading from a collection
+        const testRef = db.collection('test');
+        await testRef.limit(1).get();
+        
+        console.log('Firebase connection test passed');
+        return true;
+    } catch (error) {
+        console.error('Firebase connection test failed:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save extracted property notice information to Firestore
+ * @param {Object} extractedData - Extracted property information
+ * @returns {Object} - Saved record with ID
+ */
+async function savePropertyNotice(extractedData) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        // Generate UUID for the record
+        const id = uuidv4();
+        const timestamp = admin.firestore.Timestamp.now();
+
+        // Prepare document data
+        const docData = {
+            id,
+            ...buildNoticeRecord(extractedData),
+            uploaded_at: timestamp,
+            updated_at: timestamp
+        };
+
+        // Save to Firestore, along with the extracted state as the notice's first version and its scan as the first publication
+        const docRef = db.collection('property_notices').doc(id);
+        const publicationRef = docRef.collection('publications').doc();
+        const batch = db.batch();
+        batch.set(docRef, docData);
+        batch.set(docRef.collection('versions').doc('1'),
+            buildVersionDoc(1, buildVersionSnapshot(docData), [], { source: 'extraction' }, timestamp));
+        batch.set(publicationRef, {
+            id: publicationRef.id,
+            ...buildPublicationRecord(extractedData, 'upload', timestamp)
+        });
+        await batch.commit();
+
+        // Log processing step
+        await logProcessingStep(id, 'EXTRACTION_COMPLETED', 'success', null, docData.processing_time_ms);
+
+        console.log(`Property notice saved to Firebase with ID: ${id}`);
+        
+        // Return the saved record
+        return {
+            id,
+            ...docData,
+            uploaded_at: docData.uploaded_at.toDate().toISOString(),
+            updated_at: docData.updated_at.toDate().toISOString(),
+            notice_date: docData.notice_date ? docData.notice_date.toISOString().split('T')[0] : null
+        };
+
+    } catch (error) {
+        console.error('Firebase save error:', error);
+        throw new Error(`Database save failed: ${error.message}`);
+    }
+}
+
+function formatNoticeDoc(doc) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        ...data,
+        uploaded_at: data.uploaded_at?.toDate().toISOString(),
+        updated_at: data.updated_at?.toDate().toISOString(),
+        notice_date: data.notice_date ? data.notice_date.toDate().toISOString().split('T')[0] : null
+    };
+}
+
+// Timestamps go into cursors at full precision so startAfter lands exactly on the last notice
+function toCursorValue(value) {
+    return value instanceof admin.firestore.Timestamp ?
+        { seconds: value.seconds, nanoseconds: value.nanoseconds } :
+        value;
+}
+
+function fromCursorValue(value) {
+    return value && typeof value === 'object' ?
+        new admin.firestore.Timestamp(value.seconds, value.nanoseconds) :
+        value;
+}
+
+/**
+ * Get property notices with pagination
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Number of records to fetch
+ * @param {string} options.startAfter - Document ID to start after (for pagination)
+ * @returns {Array} - Array of property notices
+ */
+async function getPropertyNotices(options = {}) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const { limit = 1000, startAfter = null } = options;
+        
+        let query = db.collection('property_notices')
+            .orderBy('uploaded_at', 'desc')
+            .limit(limit);
+
+        // Handle pagination
+        if (startAfter) {
+            const startAfterDoc = await db.collection('property_notices').doc(startAfter).get();
+            if (startAfterDoc.exists) {
+                query = query.startAfter(startAfterDoc);
+            }
+        }
+
+        const snapshot = await query.get();
+        
+        const notices = snapshot.docs.map(formatNoticeDoc);
+
+        console.log(`Retrieved ${notices.length} notices from Firebase`);
+        return notices;
+
+    } catch (error) {
+        console.error('Error fetching property notices from Firebase:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+// Timestamp of the start of a YYYY-MM-DD day (UTC), optionally some days later
+function dayStart(date, daysLater = 0) {
+    const start = new Date(`${date}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() + daysLater);
+    return admin.firestore.Timestamp.fromDate(start);
+}
+
+/**
+ * Add the notice filters Firestore can apply itself as where clauses: date and confidence ranges and
+ * status lists. Text filters are substring matches, which Firestore cannot do
+ * @param {Query} query
+ * @param {Object} filters - See matchesNoticeFilters
+ * @returns {Query}
+ */
+function whereNoticeFilters(query, filters) {
+    const clauses = [
+        ['notice_date_from', 'notice_date', '>=', value => dayStart(value)],
+        ['notice_date_to', 'notice_date', '<', value => dayStart(value, 1)],
+        ['uploaded_from', 'uploaded_at', '>=', value => dayStart(value)],
+        ['uploaded_to', 'uploaded_at', '<', value => dayStart(value, 1)],
+        ['min_confidence', 'confidence_score', '>=', value => value],
+        ['max_confidence', 'confidence_score', '<=', value => value],
+        ['geocoding_status', 'geocoding_status', 'in', value => value.split(',')],
+        ['hierarchy_status', 'hierarchy_status', 'in', value => value.split(',')]
+    ];
+
+    return clauses
+        .filter(([name]) => filters[name] !== undefined && filters[name] !== null)
+        .reduce((filtered, [name, field, operator, toValue]) => filtered.where(field, operator, toValue(filters[name])), query);
+}
+
+/**
+ * Query property notices with filters, sorting and cursor pagination
+ * Date, confidence and status filters run in Firestore (see whereNoticeFilters). Firestore cannot match
+ * substrings, so with text filters the notices are read in sort order and filtered in batches until the page is full
+ * @param {Object} options - { filters, sort, order, limit, cursor } (see matchesNoticeFilters for filters)
+ * @returns {Object} - { notices, nextCursor }; nextCursor is null on the last page
+ */
+async function queryPropertyNotices(options = {}) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const { filters = {}, sort = 'uploaded_at', order = 'desc', limit = 50, cursor = null } = options;
+
+        let query = whereNoticeFilters(db.collection('property_notices'), filters)
+            .orderBy(sort, order)
+            .orderBy(admin.firestore.FieldPath.documentId(), order);
+
+        if (cursor) {
+            const { value, id } = decodeCursor(cursor);
+            query = query.startAfter(fromCursorValue(value), id);
+        }
+
+        // One extra match tells whether another page follows
+        const matches = [];
+        let lastScanned = null;
+        let exhausted = false;
+        while (matches.length <= limit && !exhausted) {
+            const batchQuery = lastScanned ? query.startAfter(lastScanned) : query;
+            const snapshot = await batchQuery.limit(QUERY_SCAN_BATCH_SIZE).get();
+
+            for (const doc of snapshot.docs) {
+                const notice = formatNoticeDoc(doc);
+                if (matchesNoticeFilters(notice, filters)) {
+                    matches.push({ doc, notice });
+                    if (matches.length > limit) break;
+                }
+            }
+
+            lastScanned = snapshot.docs[snapshot.docs.length - 1];
+            exhausted = snapshot.size < QUERY_SCAN_BATCH_SIZE;
+        }
+
+        const page = matches.slice(0, limit);
+        const lastDoc = page[page.length - 1]?.doc;
+        const nextCursor = matches.length > limit ?
+            encodeCursor(toCursorValue(lastDoc.get(sort)), lastDoc.id) :
+            null;
+
+        return { notices: page.map(match => match.notice), nextCursor };
+
+    } catch (error) {
+        if (error.statusCode) throw error;
+        console.error('Error querying property notices from Firebase:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get specific property notice by ID
+ * @param {string} id - Notice ID
+ * @returns {Object|null} - Property notice or null if not found
+ */
+async function getPropertyNoticeById(id) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const docRef = db.collection('property_notices').doc(id);
+        const doc = await docRef.get();
+
+        if (!doc.exists) {
+            return null;
+        }
+
+        return formatNoticeDoc(doc);
+
+    } catch (error) {
+        console.error('Error fetching property notice by ID from Firebase:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update property notice, keeping extracted_data in sync, recording each changed field in the
+ * notice's history sub-collection and saving an immutable snapshot in its versions sub-collection
+ * @param {string} id - Notice ID
+ * @param {Object} updateData - Data to update
+ * @param {Object} options - Change attribution
+ * @param {string} options.source - What made the change: manual, refinement, geocoder, script or revert
+ * @param {string} options.changedBy - Who made the change, if known
+ * @param {string} options.batchId - Bulk operation (e.g. a refinement batch) the change belongs to
+ * @param {number} options.revertedTo - Version restored by a revert
+ * @returns {Object|null} - Updated record, or null if the notice does not exist
+ */
+async function updatePropertyNotice(id, updateData, options = {}) {
+    const { source = 'manual', changedBy = null, batchId = null, revertedTo = null } = options;
+
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const docRef = db.collection('property_notices').doc(id);
+
+        const result = await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(docRef);
+
+            if (!doc.exists) {
+                return null;
+            }
+
+            const existing = doc.data();
+            const timestamp = admin.firestore.Timestamp.now();
+            const { updates, changes, versions } = planNoticeUpdate(existing, updateData,
+                { source, changedBy, batchId, revertedTo }, timestamp);
+
+            versions.forEach(version => {
+                transaction.set(docRef.collection('versions').doc(String(version.version)), version);
+            });
+            transaction.update(docRef, updates);
+            changes.forEach(change => {
+                const historyRef = docRef.collection('history').doc();
+                transaction.set(historyRef, {
+                    id: historyRef.id,
+                    ...change,
+                    source,
+                    changed_by: changedBy,
+                    changed_at: timestamp
+                });
+            });
+
+            return { changes, version: updates.current_version || null };
+        });
+
+        if (!result) {
+            return null;
+        }
+
+        if (result.version) {
+            console.log(`📝 Notice ${id}: version ${result.version} saved by ${source} (${result.changes.length} field(s) changed)`);
+        }
+        
+        // Return updated document
+        return await getPropertyNoticeById(id);
+
+    } catch (error) {
+        console.error('Error updating property notice in Firebase:', error);
+        throw new Error(`Database update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get the change history of a property notice, newest first
+ * @param {string} id - Notice ID
+ * @returns {Array} - History entries
+ */
+async function getPropertyNoticeHistory(id) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const snapshot = await db.collection('property_notices').doc(id)
+            .collection('history')
+            .orderBy('changed_at', 'desc')
+            .get();
+
+        return snapshot.docs.map(doc => {
+            const data = doc.data();
+            return {
+                ...data,
+                changed_at: data.changed_at?.toDate().toISOString()
+            };
+        });
+
+    } catch (error) {
+        console.error('Error fetching property notice history from Firebase:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+function formatVersionDoc(doc) {
+    const data = doc.data();
+    return {
+        ...data,
+        created_at: data.created_at?.toDate().toISOString()
+    };
+}
+
+/**
+ * Get the version snapshots of a property notice, newest first
+ * @param {string} id - Notice ID
+ * @returns {Array} - Versions
+ */
+async function getPropertyNoticeVersions(id) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const snapshot = await db.collection('property_notices').doc(id)
+            .collection('versions')
+            .orderBy('version', 'desc')
+            .get();
+
+        return snapshot.docs.map(formatVersionDoc);
+
+    } catch (error) {
+        console.error('Error fetching property notice versions from Firebase:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get one version snapshot of a property notice
+ * @param {string} id - Notice ID
+ * @param {number} version - Version number
+ * @returns {Object|null} - Version or null if not found
+ */
+async function getPropertyNoticeVersion(id, version) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const doc = await db.collection('property_notices').doc(id)
+            .collection('versions').doc(String(version))
+            .get();
+
+        return doc.exists ? formatVersionDoc(doc) : null;
+
+    } catch (error) {
+        console.error('Error fetching property notice version from Firebase:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Find the version a bulk operation (e.g. a refinement batch) created for a notice
+ * @param {string} id - Notice ID
+ * @param {string} batchId - Bulk operation ID
+ * @returns {Object|null} - Version or null if the operation did not change the notice
+ */
+async function getPropertyNoticeVersionByBatch(id, batchId) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const snapshot = await db.collection('property_notices').doc(id)
+            .collection('versions')
+            .where('batch_id', '==', batchId)
+            .get();
+
+        return snapshot.empty ? null : formatVersionDoc(snapshot.docs[0]);
+
+    } catch (error) {
+        console.error('Error fetching property notice version from Firebase:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Record another publication of a property notice (an upload found to be the same notice)
+ * @param {string} id - Notice ID
+ * @param {Object} publication - Publication details (see buildPublicationRecord)
+ * @returns {Object|null} - Saved publication, or null if the notice does not exist
+ */
+async function addPropertyNoticePublication(id, publication) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const docRef = db.collection('property_notices').doc(id);
+
+        const saved = await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(docRef);
+
+            if (!doc.exists) {
+                return null;
+            }
+
+            const existing = doc.data();
+            const timestamp = admin.firestore.Timestamp.now();
+            const publicationRef = docRef.collection('publications').doc();
+            const record = { id: publicationRef.id, ...buildPublicationRecord(publication, 'merge', timestamp) };
+
+            transaction.set(publicationRef, record);
+            transaction.update(docRef, {
+                ...planPublicationMerge(existing, record),
+                updated_at: timestamp
+            });
+            return record;
+        });
+
+        if (!saved) {
+            return null;
+        }
+
+        console.log(`📰 Notice ${id}: publication from ${saved.newspaper || saved.filename || 'unknown source'} merged`);
+        return {
+            ...saved,
+            added_at: saved.added_at.toDate().toISOString()
+        };
+
+    } catch (error) {
+        console.error('Error adding property notice publication in Firebase:', error);
+        throw new Error(`Database update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get the publications of a property notice, oldest first
+ * @param {string} id - Notice ID
+ * @returns {Array} - Publications
+ */
+async function getPropertyNoticePublications(id) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const snapshot = await db.collection('property_notices').doc(id)
+            .collection('publications')
+            .orderBy('added_at', 'asc')
+            .get();
+
+        return snapshot.docs.map(doc => {
+            const data = doc.data();
+            return {
+                ...data,
+                added_at: data.added_at?.toDate().toISOString()
+            };
+        });
+
+    } catch (error) {
+        console.error('Error fetching property notice publications from Firebase:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Delete property notice
+ * @param {string} id - Notice ID
+ * @returns {boolean} - True if deleted successfully
+ */
+async function deletePropertyNotice(id) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const docRef = db.collection('property_notices').doc(id);
+        
+        // Check if document exists
+        const doc = await docRef.get();
+        if (!doc.exists) {
+            return false;
+        }
+
+        // Delete the document
+        await docRef.delete();
+        
+        // Also delete related processing logs, the change history, versions and publications (sub-collections are not deleted with their parent)
+        const logsQuery = db.collection('processing_logs').where('property_notice_id', '==', id);
+        const logsSnapshot = await logsQuery.get();
+        const historySnapshot = await docRef.collection('history').get();
+        const versionsSnapshot = await docRef.collection('versions').get();
+        const publicationsSnapshot = await docRef.collection('publications').get();
+        
+        const batch = db.batch();
+        [...logsSnapshot.docs, ...historySnapshot.docs, ...versionsSnapshot.docs, ...publicationsSnapshot.docs].forEach(doc => {
+            batch.delete(doc.ref);
+        });
+        await batch.commit();
+
+        console.log(`Property notice ${id} deleted from Firebase`);
+        return true;
+
+    } catch (error) {
+        console.error('Error deleting property notice from Firebase:', error);
+        throw new Error(`Database delete failed: ${error.message}`);
+    }
+}
+
+/**
+ * Log processing step
+ * @param {string} propertyNoticeId - Property notice ID
+ * @param {string} step - Processing step
+ * @param {string} status - Status (success/error)
+ * @param {string} errorMessage - Error message if any
+ * @param {number} processingTimeMs - Processing time in milliseconds
+ */
+async function logProcessingStep(propertyNoticeId, step, status, errorMessage = null, processingTimeMs = null) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const logData = {
+            id: uuidv4(),
+            property_notice_id: propertyNoticeId,
+            processing_step: step,
+            status,
+            error_message: errorMessage,
+            processing_time_ms: processingTimeMs,
+            created_at: admin.firestore.Timestamp.now()
+        };
+
+        await db.collection('processing_logs').add(logData);
+
+    } catch (error) {
+        console.error('Error logging processing step to Firebase:', error);
+        // Don't throw error for logging failures
+    }
+}
+
+/**
+ * Update property notice location data
+ * @param {string} id - Notice ID
+ * @param {Object} locationData - Location data
+ * @param {Object} options - Change attribution (defaults to the geocoder)
+ */
+async function updatePropertyNoticeLocation(id, locationData, options = {}) {
+    try {
+        const updated = await updatePropertyNotice(id, buildLocationUpdate(locationData), { source: 'geocoder', ...options });
+        if (!updated) {
+            throw new Error(`Property notice ${id} not found`);
+        }
+
+        console.log(`Location data updated for notice ${id}`);
+
+    } catch (error) {
+        console.error('Error updating location data in Firebase:', error);
+        throw new Error(`Location update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get villages needing geocoding
+ * @returns {Array} - Array of villages that need geocoding
+ */
+async function getVillagesNeedingGeocoding() {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const query = db.collection('property_notices')
+            .where('village_name', '!=', null)
+            .where('geocoding_status', 'in', ['pending', 'failed']);
+
+        const snapshot = await query.get();
+        
+        const villages = [];
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            if (data.village_name && (!data.latitude || !data.longitude)) {
+                villages.push({
+                    id: doc.id,
+                    village_name: data.village_name,
+                    district: data.district
+                });
+            }
+        });
+
+        return villages;
+
+    } catch (error) {
+        console.error('Error fetching villages needing geocoding from Firebase:', error);
+        throw new Error(`Database query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Convert a processing job document to a plain object with ISO timestamps
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object} - Processing job
+ */
+function formatProcessingJob(doc) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        ...data,
+        created_at: data.created_at?.toDate().toISOString(),
+        updated_at: data.updated_at?.toDate().toISOString()
+    };
+}
+
+/**
+ * Save a new processing job
+ * @param {Object} job - Processing job data (must include id)
+ * @returns {Object} - Saved job
+ */
+async function saveProcessingJob(job) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const timestamp = admin.firestore.Timestamp.now();
+        const docRef = db.collection('processing_jobs').doc(job.id);
+        await docRef.set({
+            ...job,
+            created_at: timestamp,
+            updated_at: timestamp
+        });
+
+        return formatProcessingJob(await docRef.get());
+
+    } catch (error) {
+        console.error('Error saving processing job to Firebase:', error);
+        throw new Error(`Job save failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get processing job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null} - Processing job or null if not found
+ */
+async function getProcessingJobById(id) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const doc = await db.collection('processing_jobs').doc(id).get();
+        if (!doc.exists) {
+            return null;
+        }
+
+        return formatProcessingJob(doc);
+
+    } catch (error) {
+        console.error('Error fetching processing job from Firebase:', error);
+        throw new Error(`Job fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update processing job
+ * @param {string} id - Job ID
+ * @param {Object} updateData - Fields to update
+ */
+async function updateProcessingJob(id, updateData) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        await db.collection('processing_jobs').doc(id).update({
+            ...updateData,
+            updated_at: admin.firestore.Timestamp.now()
+        });
+
+    } catch (error) {
+        console.error('Error updating processing job in Firebase:', error);
+        throw new Error(`Job update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update a processing job only while its draft is in one of the given states, in one transaction
+ * @param {string} id - Job ID
+ * @param {Array} fromStatuses - Draft statuses to accept (null for a job without one)
+ * @param {Object} updateData - Fields to update
+ * @returns {boolean} - Whether the job was updated
+ */
+async function transitionProcessingJobDraft(id, fromStatuses, updateData) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const jobRef = db.collection('processing_jobs').doc(id);
+        return await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(jobRef);
+            if (!doc.exists || !fromStatuses.includes(doc.get('draft_status') ?? null)) {
+                return false;
+            }
+
+            transaction.update(jobRef, {
+                ...updateData,
+                updated_at: admin.firestore.Timestamp.now()
+            });
+            return true;
+        });
+
+    } catch (error) {
+        console.error('Error updating processing job draft in Firebase:', error);
+        throw new Error(`Job update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get processing jobs that were queued or running and have not finished
+ * @returns {Array} - Array of unfinished processing jobs, oldest first
+ */
+async function getUnfinishedProcessingJobs() {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const snapshot = await db.collection('processing_jobs')
+            .where('status', 'not-in', ['done', 'failed'])
+            .get();
+
+        const jobs = [];
+        snapshot.forEach(doc => {
+            jobs.push(formatProcessingJob(doc));
+        });
+
+        return jobs.sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    } catch (error) {
+        console.error('Error fetching unfinished processing jobs from Firebase:', error);
+        throw new Error(`Job query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get finished processing jobs whose draft expired before a time
+ * @param {string} before - ISO timestamp
+ * @returns {Array} - Array of processing jobs
+ */
+async function getExpiredProcessingJobs(before) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        // Jobs without an expiry (running, or saved as a notice) have no expires_at and are not matched
+        const snapshot = await db.collection('processing_jobs')
+            .where('expires_at', '<', before)
+            .get();
+
+        const jobs = [];
+        snapshot.forEach(doc => {
+            const job = formatProcessingJob(doc);
+            if (['done', 'failed'].includes(job.status)) {
+                jobs.push(job);
+            }
+        });
+
+        return jobs;
+
+    } catch (error) {
+        console.error('Error fetching expired processing jobs from Firebase:', error);
+        throw new Error(`Job query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get all processing jobs belonging to an upload batch
+ * @param {string} batchId - Batch ID
+ * @returns {Array} - Array of processing jobs in upload order
+ */
+async function getProcessingJobsByBatch(batchId) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const snapshot = await db.collection('processing_jobs')
+            .where('batch_id', '==', batchId)
+            .get();
+
+        const jobs = [];
+        snapshot.forEach(doc => {
+            jobs.push(formatProcessingJob(doc));
+        });
+
+        return jobs.sort((a, b) => (a.batch_index || 0) - (b.batch_index || 0));
+
+    } catch (error) {
+        console.error('Error fetching batch processing jobs from Firebase:', error);
+        throw new Error(`Job query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Record a refinement batch run so its changes can be reverted together
+ * @param {Object} batch - Batch data (id, notice_ids, successful, failed)
+ * @returns {Object} - Saved batch
+ */
+async function saveRefinementBatch(batch) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const docRef = db.collection('refinement_batches').doc(batch.id);
+        await docRef.set({
+            ...batch,
+            created_at: admin.firestore.Timestamp.now()
+        });
+
+        return batch;
+
+    } catch (error) {
+        console.error('Error saving refinement batch to Firebase:', error);
+        throw new Error(`Refinement batch save failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get refinement batch by ID
+ * @param {string} id - Batch ID
+ * @returns {Object|null} - Refinement batch or null if not found
+ */
+async function getRefinementBatchById(id) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const doc = await db.collection('refinement_batches').doc(id).get();
+        if (!doc.exists) {
+            return null;
+        }
+
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...data,
+            created_at: data.created_at?.toDate().toISOString()
+        };
+
+    } catch (error) {
+        console.error('Error fetching refinement batch from Firebase:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Convert a user or API key document to a plain object with ISO timestamps
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object} - User or API key
+ */
+function formatAuthDoc(doc) {
+    const data = doc.data();
+    const record = {
+        id: doc.id,
+        ...data,
+        created_at: data.created_at?.toDate().toISOString()
+    };
+    if (data.updated_at) {
+        record.updated_at = data.updated_at.toDate().toISOString();
+    }
+    return record;
+}
+
+/**
+ * Save a new user
+ * @param {Object} user - User data (id is the username)
+ * @returns {Object} - Saved user
+ */
+async function saveUser(user) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const timestamp = admin.firestore.Timestamp.now();
+        const docRef = db.collection('users').doc(user.id);
+        await docRef.set({
+            ...user,
+            created_at: timestamp,
+            updated_at: timestamp
+        });
+
+        return formatAuthDoc(await docRef.get());
+
+    } catch (error) {
+        console.error('Error saving user to Firebase:', error);
+        throw new Error(`User save failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get user by ID
+ * @param {string} id - User ID (username)
+ * @returns {Object|null} - User or null if not found
+ */
+async function getUserById(id) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const doc = await db.collection('users').doc(id).get();
+        return doc.exists ? formatAuthDoc(doc) : null;
+
+    } catch (error) {
+        console.error('Error fetching user from Firebase:', error);
+        throw new Error(`User fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get all users
+ * @returns {Array} - Array of users ordered by ID
+ */
+async function listUsers() {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const snapshot = await db.collection('users').get();
+        return snapshot.docs.map(formatAuthDoc).sort((a, b) => a.id.localeCompare(b.id));
+
+    } catch (error) {
+        console.error('Error fetching users from Firebase:', error);
+        throw new Error(`User query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update user
+ * @param {string} id - User ID (username)
+ * @param {Object} updateData - Fields to update
+ */
+async function updateUser(id, updateData) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        await db.collection('users').doc(id).update({
+            ...updateData,
+            updated_at: admin.firestore.Timestamp.now()
+        });
+
+    } catch (error) {
+        console.error('Error updating user in Firebase:', error);
+        throw new Error(`User update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Save a new API key
+ * @param {Object} apiKey - API key data (must include id; the secret is stored only as a hash)
+ * @returns {Object} - Saved API key
+ */
+async function saveApiKey(apiKey) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const docRef = db.collection('api_keys').doc(apiKey.id);
+        await docRef.set({
+            ...apiKey,
+            created_at: admin.firestore.Timestamp.now()
+        });
+
+        return formatAuthDoc(await docRef.get());
+
+    } catch (error) {
+        console.error('Error saving API key to Firebase:', error);
+        throw new Error(`API key save failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get API key by ID
+ * @param {string} id - API key ID
+ * @returns {Object|null} - API key or null if not found
+ */
+async function getApiKeyById(id) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const doc = await db.collection('api_keys').doc(id).get();
+        return doc.exists ? formatAuthDoc(doc) : null;
+
+    } catch (error) {
+        console.error('Error fetching API key from Firebase:', error);
+        throw new Error(`API key fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get all API keys
+ * @returns {Array} - Array of API keys, oldest first
+ */
+async function listApiKeys() {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const snapshot = await db.collection('api_keys').orderBy('created_at').get();
+        return snapshot.docs.map(formatAuthDoc);
+
+    } catch (error) {
+        console.error('Error fetching API keys from Firebase:', error);
+        throw new Error(`API key query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update API key
+ * @param {string} id - API key ID
+ * @param {Object} updateData - Fields to update
+ */
+async function updateApiKey(id, updateData) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        await db.collection('api_keys').doc(id).update(updateData);
+
+    } catch (error) {
+        console.error('Error updating API key in Firebase:', error);
+        throw new Error(`API key update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get a geocode cache entry
+ * @param {string} id - Cache key (normalised village and district)
+ * @returns {Object|null} - Entry or null if not cached
+ */
+async function getGeocodeCacheEntry(id) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const doc = await db.collection('geocode_cache').doc(id).get();
+        return doc.exists ? { id: doc.id, ...doc.data() } : null;
+
+    } catch (error) {
+        console.error('Error fetching geocode cache entry from Firebase:', error);
+        throw new Error(`Geocode cache fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Save a geocode cache entry, replacing any entry with the same key
+ * @param {Object} entry - Entry (must include id; timestamps are ISO strings)
+ */
+async function saveGeocodeCacheEntry(entry) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        await db.collection('geocode_cache').doc(entry.id).set(entry);
+
+    } catch (error) {
+        console.error('Error saving geocode cache entry to Firebase:', error);
+        throw new Error(`Geocode cache save failed: ${error.message}`);
+    }
+}
+
+/**
+ * Delete a geocode cache entry
+ * @param {string} id - Cache key
+ * @returns {boolean} - True if an entry was deleted
+ */
+async function deleteGeocodeCacheEntry(id) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const docRef = db.collection('geocode_cache').doc(id);
+        const doc = await docRef.get();
+        if (!doc.exists) {
+            return false;
+        }
+
+        await docRef.delete();
+        return true;
+
+    } catch (error) {
+        console.error('Error deleting geocode cache entry from Firebase:', error);
+        throw new Error(`Geocode cache delete failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get all geocode cache entries
+ * @returns {Array} - Entries
+ */
+async function listGeocodeCacheEntries() {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const snapshot = await db.collection('geocode_cache').get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    } catch (error) {
+        console.error('Error fetching geocode cache entries from Firebase:', error);
+        throw new Error(`Geocode cache query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get database statistics for the dashboard
+ * Counts and the average are Firestore aggregations. Firestore cannot group, so the village and district
+ * counts read just those two fields of every notice, and the upload counts the upload time of recent ones
+ * @returns {Object} - Totals, average confidence, notices per village (top STATS_TOP_VILLAGES) and district,
+ *   and uploads per month and day (see getStatsWindows)
+ */
+async function getDatabaseStats() {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const { AggregateField, Timestamp } = admin.firestore;
+        const { recentFrom, monthlyFrom, dailyFrom } = getStatsWindows();
+        const notices = db.collection('property_notices');
+
+        const [totals, recent, places, uploads] = await Promise.all([
+            notices.aggregate({ total: AggregateField.count(), confidence: AggregateField.average('confidence_score') }).get(),
+            notices.where('uploaded_at', '>=', Timestamp.fromDate(new Date(recentFrom))).count().get(),
+            notices.select('village_name', 'district').get(),
+            notices.where('uploaded_at', '>=', Timestamp.fromDate(new Date(monthlyFrom))).select('uploaded_at').get()
+        ]);
+
+        const villages = countByValue(places.docs.map(doc => doc.get('village_name')), 'village');
+        const uploadedAt = uploads.docs.map(doc => doc.get('uploaded_at').toDate().toISOString());
+        const byTime = (values, key) => countByValue(values, key).sort((a, b) => a[key].localeCompare(b[key]));
+
+        return {
+            total_notices: totals.data().total,
+            unique_villages: villages.length,
+            avg_confidence: totals.data().confidence,
+            recent_notices_7_days: recent.data().count,
+            top_villages: villages.slice(0, STATS_TOP_VILLAGES),
+            districts: countByValue(places.docs.map(doc => doc.get('district')), 'district'),
+            monthly_uploads: byTime(uploadedAt.map(value => value.slice(0, 7)), 'month'),
+            daily_uploads: byTime(uploadedAt.filter(value => value >= dailyFrom).map(value => value.slice(0, 10)), 'date'),
+            database_type: 'Firebase Firestore'
+        };
+
+    } catch (error) {
+        console.error('Error getting database stats from Firebase:', error);
+        throw new Error(`Stats query failed: ${error.message}`);
+    }
+}
+
+// Where each migration record set lives and which of its fields are Firestore timestamps
+const RECORD_SETS = {
+    property_notices: { collection: 'property_notices', timestamps: ['uploaded_at', 'updated_at'] },
+    notice_history: { subcollection: 'history', timestamps: ['changed_at'] },
+    notice_versions: { subcollection: 'versions', timestamps: ['created_at'] },
+    notice_publications: { subcollection: 'publications', timestamps: ['added_at'] },
+    processing_logs: { collection: 'processing_logs', timestamps: ['created_at'] },
+    processing_jobs: { collection: 'processing_jobs', timestamps: ['created_at', 'updated_at'] },
+    refinement_batches: { collection: 'refinement_batches', timestamps: ['created_at'] },
+    users: { collection: 'users', timestamps: ['created_at', 'updated_at'] },
+    api_keys: { collection: 'api_keys', timestamps: ['created_at'] },
+    // Cache timestamps are kept as ISO strings
+    geocode_cache: { collection: 'geocode_cache', timestamps: [] }
+};
+
+// Firestore allows at most 500 writes per batch
+const IMPORT_BATCH_SIZE = 400;
+
+/**
+ * Read every record of a record set as plain objects with ISO timestamps (for migrations)
+ * Sub-collection records carry the ID of their notice as notice_id
+ * @param {string} recordSet - Record set name (see RECORD_SETS)
+ * @returns {Array} - Records
+ */
+async function exportRecords(recordSet) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const { collection, subcollection, timestamps } = RECORD_SETS[recordSet];
+        const snapshot = subcollection ?
+            await db.collectionGroup(subcollection).get() :
+            await db.collection(collection).get();
+
+        return snapshot.docs.map(doc => {
+            const data = doc.data();
+            const record = subcollection ?
+                { notice_id: doc.ref.parent.parent.id, ...data } :
+                { id: doc.id, ...data };
+
+            timestamps.forEach(field => {
+                record[field] = data[field]?.toDate().toISOString() || null;
+            });
+            if (recordSet === 'property_notices') {
+                record.notice_date = data.notice_date ? data.notice_date.toDate().toISOString().split('T')[0] : null;
+            }
+            return record;
+        });
+
+    } catch (error) {
+        console.error(`Error exporting ${recordSet} from Firebase:`, error);
+        throw new Error(`Export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Write records produced by exportRecords, replacing any existing records with the same IDs
+ * @param {string} recordSet - Record set name (see RECORD_SETS)
+ * @param {Array} records - Records
+ */
+async function importRecords(recordSet, records) {
+    try {
+        if (!db) {
+            initializeFirebase();
+        }
+
+        const { collection, subcollection, timestamps } = RECORD_SETS[recordSet];
+
+        for (let i = 0; i < records.length; i += IMPORT_BATCH_SIZE) {
+            const batch = db.batch();
+
+            records.slice(i, i + IMPORT_BATCH_SIZE).forEach(record => {
+                const { notice_id: noticeId, ...data } = record;
+
+                timestamps.forEach(field => {
+                    data[field] = data[field] ? admin.firestore.Timestamp.fromDate(new Date(data[field])) : null;
+                });
+                if (recordSet === 'property_notices') {
+                    data.notice_date = data.notice_date ? new Date(`${data.notice_date}T00:00:00Z`) : null;
+                }
+
+                const docRef = subcollection ?
+                    db.collection('property_notices').doc(noticeId).collection(subcollection)
+                        .doc(subcollection === 'versions' ? String(data.version) : data.id) :
+                    db.collection(collection).doc(data.id);
+                batch.set(docRef, data);
+            });
+
+            await batch.commit();
+        }
+
+    } catch (error) {
+        console.error(`Error importing ${recordSet} into Firebase:`, error);
+        throw new Error(`Import failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    name: 'firestore',
+    isConfigured,
+    savePropertyNotice,
+    getPropertyNotices,
+    queryPropertyNotices,
+    getPropertyNoticeById,
+    updatePropertyNotice,
+    getPropertyNoticeHistory,
+    getPropertyNoticeVersions,
+    getPropertyNoticeVersion,
+    getPropertyNoticeVersionByBatch,
+    addPropertyNoticePublication,
+    getPropertyNoticePublications,
+    deletePropertyNotice,
+    testConnection,
+    logProcessingStep,
+    updatePropertyNoticeLocation,
+    getVillagesNeedingGeocoding,
+    getDatabaseStats,
+    saveProcessingJob,
+    getProcessingJobById,
+    updateProcessingJob,
+    transitionProcessingJobDraft,
+    getUnfinishedProcessingJobs,
+    getExpiredProcessingJobs,
+    getProcessingJobsByBatch,
+    saveRefinementBatch,
+    getRefinementBatchById,
+    saveUser,
+    getUserById,
+    listUsers,
+    updateUser,
+    saveApiKey,
+    getApiKeyById,
+    listApiKeys,
+    updateApiKey,
+    getGeocodeCacheEntry,
+    saveGeocodeCacheEntry,
+    deleteGeocodeCacheEntry,
+    listGeocodeCacheEntries,
+    exportRecords,
+    importRecords,
+    initializeFirebase
+}; 
\ No newline at end of file
@@ -0,0 +1,158 @@
+/**
+ * Storage Provider Registry
+ * Every provider implements the same repository interface (STORAGE_METHODS): notices with their
+ * history, versions and publications, location updates, processing logs and jobs, refinement batches,
+ * users and API keys, the geocode cache, stats, plus exportRecords/importRecords for copying data between providers
+ * (see MIGRATION_RECORD_SETS).
+ * Records come back as plain objects with ISO timestamps whichever provider stores them.
+ *
+ * STORAGE_PROVIDER selects the provider (firestore | sqlite). Providers are loaded on first use,
+ * so the Firestore SDK is not initialized when SQLite is configured.
+ * Notice writes made through the registry are announced to onNoticeChange listeners (e.g. the search index).
+ */
+
+const { AppError } = require('../../middleware/errorHandler');
+
+const providers = {
+    firestore: () => require('./firestoreProvider'),
+    sqlite: () => require('./sqliteProvider')
+};
+
+const STORAGE_METHODS = [
+    'savePropertyNotice',
+    'getPropertyNotices',
+    'queryPropertyNotices',
+    'getPropertyNoticeById',
+    'updatePropertyNotice',
+    'getPropertyNoticeHistory',
+    'getPropertyNoticeVersions',
+    'getPropertyNoticeVersion',
+    'getPropertyNoticeVersionByBatch',
+    'addPropertyNoticePublication',
+    'getPropertyNoticePublications',
+    'deletePropertyNotice',
+    'testConnection',
+    'logProcessingStep',
+    'updatePropertyNoticeLocation',
+    'getVillagesNeedingGeocoding',
+    'getDatabaseStats',
+    'saveProcessingJob',
+    'getProcessingJobById',
+    'updateProcessingJob',
+    'transitionProcessingJobDraft',
+    'getUnfinishedProcessingJobs',
+    'getExpiredProcessingJobs',
+    'getProcessingJobsByBatch',
+    'saveRefinementBatch',
+    'getRefinementBatchById',
+    'saveUser',
+    'getUserById',
+    'listUsers',
+    'updateUser',
+    'saveApiKey',
+    'getApiKeyById',
+    'listApiKeys',
+    'updateApiKey',
+    'getGeocodeCacheEntry',
+    'saveGeocodeCacheEntry',
+    'deleteGeocodeCacheEntry',
+    'listGeocodeCacheEntries'
+];
+
+// Record sets copied by the migration command, parents before the records that reference them
+const MIGRATION_RECORD_SETS = [
+    'property_notices',
+    'notice_history',
+    'notice_versions',
+    'notice_publications',
+    'processing_logs',
+    'processing_jobs',
+    'refinement_batches',
+    'users',
+    'api_keys',
+    'geocode_cache'
+];
+
+/**
+ * Look up a storage provider by name
+ * @param {string} name - Provider name (defaults to STORAGE_PROVIDER)
+ * @returns {Object} - Provider
+ */
+function getStorageProvider(name = process.env.STORAGE_PROVIDER || 'firestore') {
+    const loadProvider = providers[name];
+    if (!loadProvider) {
+        throw new AppError(
+            `Unknown storage provider: ${name}. Available providers: ${Object.keys(providers).join(', ')}`,
+            500,
+            'UNKNOWN_STORAGE_PROVIDER'
+        );
+    }
+    return loadProvider();
+}
+
+/**
+ * Describe the storage configuration for the status endpoint
+ * @returns {Object}
+ */
+function getStorageStatus() {
+    const provider = getStorageProvider();
+    return {
+        provider: provider.name,
+        configured: provider.isConfigured()
+    };
+}
+
+// Methods that change a notice, with how to find the changed notice's ID from the arguments or result
+const NOTICE_WRITE_METHODS = {
+    savePropertyNotice: (args, result) => result?.id,
+    updatePropertyNotice: args => args[0],
+    addPropertyNoticePublication: args => args[0],
+    updatePropertyNoticeLocation: args => args[0],
+    deletePropertyNotice: args => args[0]
+};
+
+const noticeChangeListeners = [];
+
+/**
+ * Register a listener called with a notice ID whenever a notice is saved, updated or deleted
+ * through this registry (changes made by other processes are not seen)
+ * @param {Function} listener - (noticeId) => void
+ */
+function onNoticeChange(listener) {
+    noticeChangeListeners.push(listener);
+}
+
+function notifyNoticeChange(noticeId) {
+    noticeChangeListeners.forEach(listener => {
+        try {
+            listener(noticeId);
+        } catch (error) {
+            console.error('Notice change listener failed:', error.message);
+        }
+    });
+}
+
+// Each repository method is resolved on call, so callers can destructure them at load time
+const repository = Object.fromEntries(STORAGE_METHODS.map(method => {
+    const getChangedId = NOTICE_WRITE_METHODS[method];
+    if (!getChangedId) {
+        return [method, (...args) => getStorageProvider()[method](...args)];
+    }
+
+    return [method, async (...args) => {
+        const result = await getStorageProvider()[method](...args);
+        const noticeId = getChangedId(args, result);
+        if (noticeId) {
+            notifyNoticeChange(noticeId);
+        }
+        return result;
+    }];
+}));
+
+module.exports = {
+    ...repository,
+    getStorageProvider,
+    getStorageStatus,
+    onNoticeChange,
+    MIGRATION_RECORD_SETS
+};
@@ -0,0 +1,520 @@
+/**
+ * Property Notice Records
+ * Storage-independent rules for building, updating and versioning notice records, shared by the
+ * storage providers so Firestore and SQLite store exactly the same data.
+ * Providers pass in their own timestamp values; everything here treats them as opaque.
+ */
+
+const { AppError } = require('../../middleware/errorHandler');
+const { checkHierarchy } = require('../adminAreaService');
+
+// Notice fields stored both as top-level columns and inside extracted_data
+const EXTRACTED_DATA_FIELDS = [
+    'village_name',
+    'survey_number',
+    'buyer_name',
+    'seller_name',
+    'notice_date',
+    'advocate_name',
+    'advocate_address',
+    'advocate_mobile',
+    'district',
+    'taluka'
+];
+
+// Fields whose changes are written to the notice history
+const HISTORY_FIELDS = [...EXTRACTED_DATA_FIELDS, 'latitude', 'longitude', 'full_address', 'coordinate_source'];
+
+// Fields whose changes re-check the notice's district / taluka hierarchy
+const HIERARCHY_FIELDS = ['village_name', 'district', 'taluka'];
+
+// Update sources that locate notices automatically; they never move a location pinned by a reviewer
+// (coordinate_source 'manual'), so these fields keep their pinned values. District and taluka are
+// not pinned: refinement and hierarchy normalisation may still correct them
+const AUTOMATIC_LOCATION_SOURCES = ['geocoder', 'refinement'];
+const PINNED_LOCATION_FIELDS = ['latitude', 'longitude', 'full_address', 'coordinate_source', 'geocoding_status'];
+
+// Fields GET /api/notices can sort by
+const NOTICE_SORT_FIELDS = [
+    'uploaded_at',
+    'notice_date',
+    'village_name',
+    'survey_number',
+    'buyer_name',
+    'seller_name',
+    'district',
+    'taluka',
+    'confidence_score'
+];
+
+// Text filters and the notice fields each one matches (case-insensitive substring); q searches them all
+const TEXT_FILTERS = {
+    village: ['village_name'],
+    district: ['district'],
+    taluka: ['taluka'],
+    survey_number: ['survey_number'],
+    buyer: ['buyer_name'],
+    seller: ['seller_name'],
+    advocate: ['advocate_name'],
+    newspaper: ['publication_sources'],
+    q: ['village_name', 'survey_number', 'buyer_name', 'seller_name', 'advocate_name']
+};
+
+// Fields captured in each version snapshot; raw text, provenance and upload metadata never change after saving.
+// location_pin is versioned with the coordinates it describes, so reverting a notice restores both
+const VERSIONED_FIELDS = [...HISTORY_FIELDS, 'extracted_data', 'confidence_score', 'geocoding_status', 'location_pin'];
+
+/**
+ * Convert a DD/MM/YYYY notice date to a Date
+ * @param {string} value - Notice date as printed in the notice
+ * @returns {Date|null}
+ */
+function parseNoticeDate(value) {
+    const dateParts = typeof value === 'string' ? value.split('/') : [];
+    if (dateParts.length !== 3) {
+        return null;
+    }
+
+    const day = parseInt(dateParts[0]);
+    const month = parseInt(dateParts[1]) - 1; // Month is 0-indexed
+    const year = parseInt(dateParts[2]);
+    return new Date(year, month, day);
+}
+
+/**
+ * Format a stored notice date (Date, Firestore Timestamp or YYYY-MM-DD) as DD/MM/YYYY
+ * @param {*} value - Stored notice date
+ * @returns {string|null}
+ */
+function formatNoticeDate(value) {
+    if (!value) return null;
+
+    if (typeof value === 'string') {
+        const isoDate = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        return isoDate ? `${isoDate[3]}/${isoDate[2]}/${isoDate[1]}` : value;
+    }
+
+    const date = typeof value.toDate === 'function' ? value.toDate() : value;
+    return `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+}
+
+function getHistoryValue(notice, field) {
+    if (field === 'notice_date') {
+        return notice.extracted_data?.notice_date || formatNoticeDate(notice.notice_date);
+    }
+    return notice[field] ?? null;
+}
+
+function buildVersionSnapshot(notice) {
+    return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, getHistoryValue(notice, field)]));
+}
+
+function isSameValue(a, b) {
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every(key => isSameValue(a[key], b[key]));
+    }
+    return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Canonical district and taluka of a notice and whether its village, taluka and district fit
+ * together (see adminAreaService.checkHierarchy)
+ * @param {Object} location - { village_name, district, taluka }
+ * @returns {Object} - { district, district_gu, taluka, taluka_gu, hierarchy_status, hierarchy_issues }
+ */
+function buildHierarchyFields(location) {
+    const { district, district_gu, taluka, taluka_gu, status, issues } = checkHierarchy(location);
+    return { district, district_gu, taluka, taluka_gu, hierarchy_status: status, hierarchy_issues: issues };
+}
+
+function buildVersionDoc(version, snapshot, changedFields, metadata, timestamp) {
+    return {
+        version,
+        snapshot,
+        changed_fields: changedFields,
+        source: metadata.source,
+        changed_by: metadata.changedBy || null,
+        batch_id: metadata.batchId || null,
+        reverted_to: metadata.revertedTo || null,
+        created_at: timestamp
+    };
+}
+
+/**
+ * Build the stored fields of a new notice from the save-notice payload
+ * @param {Object} extractedData - Payload passed to savePropertyNotice
+ * @returns {Object} - Record without id and timestamps; notice_date is a Date
+ */
+function buildNoticeRecord(extractedData) {
+    const {
+        raw_text,
+        extracted_data,
+        confidence_score,
+        processing_time_ms,
+        processing_status = 'completed',
+        ai_service = 'firebase_integration',
+        filename,
+        page_number,
+        bounding_box,
+        llm_failures,
+        field_provenance,
+        image_hash,
+        publication,
+        draft_id,
+        corrections = []
+    } = extractedData;
+    const source = describePublication(publication);
+    const hierarchy = buildHierarchyFields(extracted_data);
+
+    return {
+        village_name: extracted_data.village_name || null,
+        survey_number: extracted_data.survey_number || null,
+        buyer_name: extracted_data.buyer_name || null,
+        seller_name: extracted_data.seller_name || null,
+        notice_date: parseNoticeDate(extracted_data.notice_date),
+        advocate_name: extracted_data.advocate_name || null,
+        advocate_address: extracted_data.advocate_address || null,
+        advocate_mobile: extracted_data.advocate_mobile || null,
+        raw_text,
+        extracted_data: { ...extracted_data, district: hierarchy.district, taluka: hierarchy.taluka },
+        confidence_score: confidence_score || null,
+        processing_status,
+        ai_service,
+        filename: filename || null,
+        page_number: page_number || null,
+        bounding_box: bounding_box || null,
+        // Why LLM steps fell back or were skipped (invalid responses, provider errors)
+        llm_failures: llm_failures || [],
+        // Per-field confidence and where in the OCR text / image each value was read
+        field_provenance: field_provenance || null,
+        // Manual corrections made during review; corrected_fields supports array-contains queries
+        corrections,
+        corrected_fields: corrections.map(correction => correction.field),
+        manually_corrected: corrections.length > 0,
+
+        // Geocoding data
+        latitude: extracted_data.latitude || null,
+        longitude: extracted_data.longitude || null,
+        full_address: extracted_data.full_address || null,
+        geocoding_status: extracted_data.geocoding_status || 'pending',
+
+        // Canonical district and taluka (English, with Gujarati names) and how they fit the village
+        ...hierarchy,
+
+        // Latest snapshot in the versions sub-collection
+        current_version: 1,
+
+        // Perceptual hashes of every scan of this notice, how often it was published and where
+        // (newspaper and edition of each publication, for filtering and search; see publications)
+        image_hashes: image_hash ? [image_hash] : [],
+        publication_count: 1,
+        publication_sources: source ? [source] : [],
+
+        // Processing metadata; the draft (processing job) keeps the full OCR and AI output the notice was saved from
+        processing_time_ms: processing_time_ms || null,
+        draft_id: draft_id || null
+    };
+}
+
+/**
+ * Newspaper and edition of a publication as one label ("Sandesh, Rajkot")
+ * @param {Object} details - Publication details given at upload ({ newspaper, edition, ... })
+ * @returns {string|null}
+ */
+function describePublication(details) {
+    if (!details?.newspaper) {
+        return null;
+    }
+    return details.edition ? `${details.newspaper}, ${details.edition}` : details.newspaper;
+}
+
+/**
+ * Build a publication record: one sighting of a notice in print. The first one is written when the
+ * notice is saved; uploads later found to be the same notice are merged in as further publications
+ * @param {Object} publication - { publication, filename, page_number, bounding_box, image_hash, image_key,
+ *   draft_id, raw_text, confidence_score, duplicate_score }; publication holds the details given at upload
+ *   ({ newspaper, edition, publication_date, page, clipping_ref })
+ * @param {string} source - upload (the notice's own scan) or merge
+ * @param {*} timestamp - Provider timestamp for added_at
+ * @returns {Object} - Record without id
+ */
+function buildPublicationRecord(publication, source, timestamp) {
+    const details = publication.publication || {};
+
+    return {
+        source,
+        newspaper: details.newspaper || null,
+        edition: details.edition || null,
+        // YYYY-MM-DD; may differ from the notice date printed in the notice
+        publication_date: details.publication_date || null,
+        // Page of the newspaper, as printed (page_number is the page of an uploaded PDF)
+        page: details.page || null,
+        // Where the clipping image can be found; the uploaded file unless the uploader named another
+        clipping_ref: details.clipping_ref || publication.filename || null,
+        filename: publication.filename || null,
+        page_number: publication.page_number || null,
+        bounding_box: publication.bounding_box || null,
+        image_hash: publication.image_hash || null,
+        // Archived scan of this publication (see imageArchiveService)
+        image_key: publication.image_key || null,
+        // Processing run (draft) the upload was saved from
+        draft_id: publication.draft_id || null,
+        raw_text: publication.raw_text || null,
+        confidence_score: publication.confidence_score || null,
+        // Duplicate detection score that led to the merge
+        duplicate_score: publication.duplicate_score ?? null,
+        added_at: timestamp
+    };
+}
+
+/**
+ * Notice fields to update when another publication is merged into a notice
+ * @param {Object} existing - Stored notice
+ * @param {Object} record - Publication record from buildPublicationRecord
+ * @returns {Object} - { image_hashes, publication_count, publication_sources }
+ */
+function planPublicationMerge(existing, record) {
+    const imageHashes = existing.image_hashes || [];
+    const sources = existing.publication_sources || [];
+    const source = describePublication(record);
+
+    return {
+        image_hashes: record.image_hash && !imageHashes.includes(record.image_hash) ?
+            [...imageHashes, record.image_hash] :
+            imageHashes,
+        publication_count: (existing.publication_count || 1) + 1,
+        publication_sources: source && !sources.includes(source) ? [...sources, source] : sources
+    };
+}
+
+// An automatic update with the pinned location's fields (also inside extracted_data) put back
+function keepPinnedLocation(existing, updateData) {
+    const kept = { ...updateData };
+    PINNED_LOCATION_FIELDS
+        .filter(field => kept[field] !== undefined)
+        .forEach(field => { kept[field] = existing[field] ?? null; });
+
+    if (kept.extracted_data) {
+        kept.extracted_data = { ...kept.extracted_data };
+        PINNED_LOCATION_FIELDS
+            .filter(field => kept.extracted_data[field] !== undefined)
+            .forEach(field => { kept.extracted_data[field] = existing.extracted_data?.[field] ?? existing[field] ?? null; });
+    }
+    return kept;
+}
+
+/**
+ * Work out what an update writes: the notice fields (with extracted_data kept in sync), one
+ * history entry per changed field and the version snapshot(s) to save. Geocoder and refinement
+ * updates keep a location pinned by a reviewer; any other update that moves the coordinate source
+ * away from 'manual' removes the pin
+ * @param {Object} existing - Stored notice
+ * @param {Object} updateData - Data to update
+ * @param {Object} metadata - Change attribution ({ source, changedBy, batchId, revertedTo })
+ * @param {*} timestamp - Provider timestamp for updated_at / created_at
+ * @returns {Object} - { updates, changes, versions }
+ */
+function planNoticeUpdate(existing, updateData, metadata, timestamp) {
+    if (existing.coordinate_source === 'manual' && AUTOMATIC_LOCATION_SOURCES.includes(metadata.source)) {
+        updateData = keepPinnedLocation(existing, updateData);
+    }
+
+    // A location that is no longer manual is no longer pinned; this also covers reverts to versions
+    // saved before location_pin was versioned
+    if (updateData.coordinate_source !== undefined && updateData.coordinate_source !== 'manual' &&
+        updateData.location_pin === undefined && existing.location_pin) {
+        updateData = { ...updateData, location_pin: null };
+    }
+
+    if (HIERARCHY_FIELDS.some(field => updateData[field] !== undefined)) {
+        const location = Object.fromEntries(HIERARCHY_FIELDS
+            .map(field => [field, updateData[field] !== undefined ? updateData[field] : existing[field]]));
+        updateData = { ...updateData, ...buildHierarchyFields(location) };
+    }
+
+    const updates = {
+        ...updateData,
+        updated_at: timestamp
+    };
+
+    // Handle notice_date conversion if provided
+    if (updateData.notice_date && typeof updateData.notice_date === 'string') {
+        updates.notice_date = parseNoticeDate(updateData.notice_date) || updateData.notice_date;
+    }
+
+    // Top-level columns and extracted_data must not drift apart
+    const extractedData = { ...(updateData.extracted_data || existing.extracted_data || {}) };
+    EXTRACTED_DATA_FIELDS
+        .filter(field => updateData[field] !== undefined)
+        .forEach(field => { extractedData[field] = updateData[field]; });
+    updates.extracted_data = extractedData;
+
+    const changes = HISTORY_FIELDS
+        .filter(field => updateData[field] !== undefined)
+        .map(field => ({
+            field,
+            old_value: getHistoryValue(existing, field),
+            new_value: updateData[field] ?? null
+        }))
+        .filter(change => change.old_value !== change.new_value);
+
+    const previousSnapshot = buildVersionSnapshot(existing);
+    const snapshot = buildVersionSnapshot({ ...existing, ...updateData, extracted_data: extractedData });
+    const changedFields = VERSIONED_FIELDS.filter(field => !isSameValue(previousSnapshot[field], snapshot[field]));
+
+    const versions = [];
+    if (changedFields.length > 0) {
+        // Notices saved before versioning get their current state recorded as the first version
+        let version = existing.current_version || 0;
+        if (!version) {
+            version = 1;
+            versions.push(buildVersionDoc(version, previousSnapshot, [], { source: 'baseline' }, timestamp));
+        }
+        version += 1;
+        updates.current_version = version;
+        versions.push(buildVersionDoc(version, snapshot, changedFields, metadata, timestamp));
+    }
+
+    return { updates, changes, versions };
+}
+
+/**
+ * Map geocoder output to notice fields
+ * A result without a district or taluka (a failed lookup) leaves the notice's own ones in place
+ * @param {Object} locationData - Location data
+ * @returns {Object}
+ */
+function buildLocationUpdate(locationData) {
+    return {
+        latitude: locationData.latitude || null,
+        longitude: locationData.longitude || null,
+        ...(locationData.district && { district: locationData.district }),
+        ...(locationData.taluka && { taluka: locationData.taluka }),
+        full_address: locationData.formatted_address || null,
+        coordinate_source: locationData.coordinate_source || null,
+        geocoding_status: locationData.status || 'completed'
+    };
+}
+
+/**
+ * Check a notice against GET /api/notices filters
+ * @param {Object} notice - Notice as returned by the providers (notice_date YYYY-MM-DD, ISO uploaded_at)
+ * @param {Object} filters - Text filters (see TEXT_FILTERS), notice_date_from/to, uploaded_from/to
+ *   (YYYY-MM-DD, inclusive), geocoding_status and hierarchy_status (comma-separated), min_confidence/max_confidence
+ * @returns {boolean}
+ */
+function matchesNoticeFilters(notice, filters) {
+    const textMatches = Object.entries(TEXT_FILTERS).every(([name, fields]) => {
+        if (!filters[name]) return true;
+        const term = filters[name].toLowerCase();
+        return fields.some(field => String(notice[field] ?? '').toLowerCase().includes(term));
+    });
+    if (!textMatches) return false;
+
+    if (filters.notice_date_from && !(notice.notice_date && notice.notice_date >= filters.notice_date_from)) return false;
+    if (filters.notice_date_to && !(notice.notice_date && notice.notice_date <= filters.notice_date_to)) return false;
+    if (filters.uploaded_from && !(notice.uploaded_at >= filters.uploaded_from)) return false;
+    if (filters.uploaded_to && !(notice.uploaded_at && notice.uploaded_at.slice(0, 10) <= filters.uploaded_to)) return false;
+
+    if (filters.geocoding_status && !filters.geocoding_status.split(',').includes(notice.geocoding_status)) return false;
+    if (filters.hierarchy_status && !filters.hierarchy_status.split(',').includes(notice.hierarchy_status)) return false;
+
+    const confidence = notice.confidence_score;
+    if (filters.min_confidence !== undefined && !(typeof confidence === 'number' && confidence >= filters.min_confidence)) return false;
+    if (filters.max_confidence !== undefined && !(typeof confidence === 'number' && confidence <= filters.max_confidence)) return false;
+
+    return true;
+}
+
+// Sizes of the dashboard stats lists (see getDatabaseStats)
+const STATS_TOP_VILLAGES = 10;
+const STATS_MONTHS = 6;
+const STATS_DAYS = 30;
+
+/**
+ * Upload time windows the dashboard stats count over, as ISO timestamps
+ * @param {Date} now
+ * @returns {Object} - { recentFrom (7 days back), monthlyFrom (start of the month STATS_MONTHS - 1 back, UTC), dailyFrom (STATS_DAYS back) }
+ */
+function getStatsWindows(now = new Date()) {
+    const daysBack = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+    return {
+        recentFrom: daysBack(7),
+        monthlyFrom: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (STATS_MONTHS - 1), 1)).toISOString(),
+        dailyFrom: daysBack(STATS_DAYS)
+    };
+}
+
+/**
+ * Count values, most frequent first and ties in code point order (as SQLite sorts them); values are trimmed
+ * and blank ones skipped
+ * @param {Array} values
+ * @param {string} key - Name of the value in each entry
+ * @returns {Array} - [{ [key]: value, count }]
+ */
+function countByValue(values, key) {
+    const counts = new Map();
+    values
+        .filter(value => typeof value === 'string')
+        .map(value => value.trim())
+        .filter(Boolean)
+        .forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+    return [...counts.entries()]
+        .sort(([a, countA], [b, countB]) => countB - countA || (a < b ? -1 : a > b ? 1 : 0))
+        .map(([value, count]) => ({ [key]: value, count }));
+}
+
+/**
+ * Encode a pagination cursor: the sort value and ID of the last notice on a page
+ * @param {*} value - Sort value, in the provider's own representation
+ * @param {string} id - Notice ID
+ * @returns {string}
+ */
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify({ v: value ?? null, id })).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor produced by encodeCursor
+ * @param {string} cursor
+ * @returns {Object} - { value, id }
+ */
+function decodeCursor(cursor) {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof id !== 'string') {
+            throw new Error('missing id');
+        }
+        return { value: v, id };
+    } catch (error) {
+        throw new AppError('Invalid pagination cursor', 400, 'INVALID_CURSOR');
+    }
+}
+
+module.exports = {
+    EXTRACTED_DATA_FIELDS,
+    HISTORY_FIELDS,
+    HIERARCHY_FIELDS,
+    VERSIONED_FIELDS,
+    NOTICE_SORT_FIELDS,
+    TEXT_FILTERS,
+    parseNoticeDate,
+    formatNoticeDate,
+    buildVersionSnapshot,
+    buildHierarchyFields,
+    buildVersionDoc,
+    buildNoticeRecord,
+    describePublication,
+    buildPublicationRecord,
+    planPublicationMerge,
+    planNoticeUpdate,
+    buildLocationUpdate,
+    matchesNoticeFilters,
+    STATS_TOP_VILLAGES,
+    getStatsWindows,
+    countByValue,
+    encodeCursor,
+    decodeCursor
+};
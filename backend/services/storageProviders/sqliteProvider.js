@@ -0,0 +1,1131 @@
+/**
+ * SQLite Storage Provider
+ * Keeps notices (with their history, versions and publications), processing jobs, logs, users and API keys
+ * in a local SQLite file, so the backend runs without Firebase credentials. SQLITE_PATH sets the database file
+ * (default data/notices.db; ":memory:" for a throwaway database).
+ * Each row stores its record as JSON in the same shape the Firestore provider returns; the other
+ * columns exist for lookups and ordering.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { v4: uuidv4 } = require('uuid');
+const {
+    buildNoticeRecord,
+    buildPublicationRecord,
+    planPublicationMerge,
+    buildVersionSnapshot,
+    buildVersionDoc,
+    planNoticeUpdate,
+    buildLocationUpdate,
+    TEXT_FILTERS,
+    STATS_TOP_VILLAGES,
+    getStatsWindows,
+    encodeCursor,
+    decodeCursor
+} = require('./noticeRecords');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS property_notices (
+    id TEXT PRIMARY KEY,
+    uploaded_at TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_property_notices_uploaded_at ON property_notices (uploaded_at);
+
+CREATE TABLE IF NOT EXISTS notice_history (
+    id TEXT PRIMARY KEY,
+    notice_id TEXT NOT NULL,
+    changed_at TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_notice_history_notice ON notice_history (notice_id, changed_at);
+
+CREATE TABLE IF NOT EXISTS notice_versions (
+    notice_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    batch_id TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (notice_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS notice_publications (
+    id TEXT PRIMARY KEY,
+    notice_id TEXT NOT NULL,
+    added_at TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_notice_publications_notice ON notice_publications (notice_id, added_at);
+
+CREATE TABLE IF NOT EXISTS processing_logs (
+    id TEXT PRIMARY KEY,
+    property_notice_id TEXT,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_processing_logs_notice ON processing_logs (property_notice_id);
+
+CREATE TABLE IF NOT EXISTS processing_jobs (
+    id TEXT PRIMARY KEY,
+    status TEXT,
+    batch_id TEXT,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_status ON processing_jobs (status);
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_batch ON processing_jobs (batch_id);
+
+CREATE TABLE IF NOT EXISTS refinement_batches (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS geocode_cache (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+`;
+
+let db;
+
+function getDb() {
+    if (!db) {
+        const dbPath = process.env.SQLITE_PATH || path.join('data', 'notices.db');
+        if (dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+
+        db = new Database(dbPath);
+        db.pragma('journal_mode = WAL');
+        db.exec(SCHEMA);
+        console.log(`SQLite database opened at ${dbPath}`);
+    }
+    return db;
+}
+
+function isConfigured() {
+    return true;
+}
+
+function parseRow(row) {
+    return row ? JSON.parse(row.data) : null;
+}
+
+// Notice dates are stored as YYYY-MM-DD, like the Firestore provider returns them
+function toStoredNotice(notice) {
+    const noticeDate = notice.notice_date instanceof Date ?
+        `${notice.notice_date.getFullYear()}-${String(notice.notice_date.getMonth() + 1).padStart(2, '0')}-${String(notice.notice_date.getDate()).padStart(2, '0')}` :
+        notice.notice_date ?? null;
+    return { ...notice, notice_date: noticeDate };
+}
+
+// ORDER BY expression of each sortable field; missing values sort as '' (or -1 for confidence)
+function getSortExpression(field) {
+    if (field === 'uploaded_at') return 'uploaded_at';
+    return `COALESCE(json_extract(data, '$.${field}'), ${field === 'confidence_score' ? -1 : "''"})`;
+}
+
+function getSortValue(notice, field) {
+    return notice[field] ?? (field === 'confidence_score' ? -1 : '');
+}
+
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+// WHERE clause and parameters for the GET /api/notices filters (same rules as matchesNoticeFilters)
+function buildNoticeFilterSql(filters) {
+    const clauses = [];
+    const params = {};
+
+    Object.entries(TEXT_FILTERS).forEach(([name, fields]) => {
+        if (!filters[name]) return;
+        params[name] = `%${escapeLike(filters[name].toLowerCase())}%`;
+        const matches = fields.map(field => `lower(json_extract(data, '$.${field}')) LIKE @${name} ESCAPE '\\'`);
+        clauses.push(`(${matches.join(' OR ')})`);
+    });
+
+    const ranges = [
+        ['notice_date_from', "json_extract(data, '$.notice_date') >= @notice_date_from"],
+        ['notice_date_to', "json_extract(data, '$.notice_date') <= @notice_date_to"],
+        ['uploaded_from', 'uploaded_at >= @uploaded_from'],
+        ['uploaded_to', 'substr(uploaded_at, 1, 10) <= @uploaded_to'],
+        ['min_confidence', "json_extract(data, '$.confidence_score') >= @min_confidence"],
+        ['max_confidence', "json_extract(data, '$.confidence_score') <= @max_confidence"]
+    ];
+    ranges
+        .filter(([name]) => filters[name] !== undefined && filters[name] !== null)
+        .forEach(([name, clause]) => {
+            params[name] = filters[name];
+            clauses.push(clause);
+        });
+
+    ['geocoding_status', 'hierarchy_status']
+        .filter(name => filters[name])
+        .forEach(name => {
+            const statuses = filters[name].split(',');
+            statuses.forEach((status, index) => { params[`${name}_${index}`] = status; });
+            clauses.push(`json_extract(data, '$.${name}') IN (${statuses.map((_, index) => `@${name}_${index}`).join(', ')})`);
+        });
+
+    return { clauses, params };
+}
+
+function readNotice(id) {
+    return parseRow(getDb().prepare('SELECT data FROM property_notices WHERE id = ?').get(id));
+}
+
+function writeNotice(notice) {
+    getDb().prepare('INSERT OR REPLACE INTO property_notices (id, uploaded_at, data) VALUES (?, ?, ?)')
+        .run(notice.id, notice.uploaded_at, JSON.stringify(notice));
+}
+
+function writeHistoryEntry(noticeId, entry) {
+    getDb().prepare('INSERT OR REPLACE INTO notice_history (id, notice_id, changed_at, data) VALUES (?, ?, ?, ?)')
+        .run(entry.id, noticeId, entry.changed_at, JSON.stringify(entry));
+}
+
+function writeVersion(noticeId, version) {
+    getDb().prepare('INSERT OR REPLACE INTO notice_versions (notice_id, version, batch_id, data) VALUES (?, ?, ?, ?)')
+        .run(noticeId, version.version, version.batch_id || null, JSON.stringify(version));
+}
+
+function writePublication(noticeId, publication) {
+    getDb().prepare('INSERT OR REPLACE INTO notice_publications (id, notice_id, added_at, data) VALUES (?, ?, ?, ?)')
+        .run(publication.id, noticeId, publication.added_at, JSON.stringify(publication));
+}
+
+function writeProcessingLog(log) {
+    getDb().prepare('INSERT OR REPLACE INTO processing_logs (id, property_notice_id, data) VALUES (?, ?, ?)')
+        .run(log.id, log.property_notice_id || null, JSON.stringify(log));
+}
+
+function writeProcessingJob(job) {
+    getDb().prepare('INSERT OR REPLACE INTO processing_jobs (id, status, batch_id, created_at, data) VALUES (?, ?, ?, ?, ?)')
+        .run(job.id, job.status || null, job.batch_id || null, job.created_at, JSON.stringify(job));
+}
+
+function writeRefinementBatch(batch) {
+    getDb().prepare('INSERT OR REPLACE INTO refinement_batches (id, data) VALUES (?, ?)')
+        .run(batch.id, JSON.stringify(batch));
+}
+
+function writeUser(user) {
+    getDb().prepare('INSERT OR REPLACE INTO users (id, data) VALUES (?, ?)')
+        .run(user.id, JSON.stringify(user));
+}
+
+function writeApiKey(apiKey) {
+    getDb().prepare('INSERT OR REPLACE INTO api_keys (id, created_at, data) VALUES (?, ?, ?)')
+        .run(apiKey.id, apiKey.created_at, JSON.stringify(apiKey));
+}
+
+function writeGeocodeCacheEntry(entry) {
+    getDb().prepare('INSERT OR REPLACE INTO geocode_cache (id, data) VALUES (?, ?)')
+        .run(entry.id, JSON.stringify(entry));
+}
+
+/**
+ * Test SQLite connection
+ * @returns {Promise<boolean>} - True if the database can be queried
+ */
+async function testConnection() {
+    try {
+        getDb().prepare('SELECT 1').get();
+        console.log('SQLite connection test passed');
+        return true;
+    } catch (error) {
+        console.error('SQLite connection test failed:', error);
+        throw error;
+    }
+}
+
+/**
+ * Save extracted property notice information to SQLite
+ * @param {Object} extractedData - Extracted property information
+ * @returns {Object} - Saved record with ID
+ */
+async function savePropertyNotice(extractedData) {
+    try {
+        const id = uuidv4();
+        const timestamp = new Date().toISOString();
+
+        const notice = toStoredNotice({
+            id,
+            ...buildNoticeRecord(extractedData),
+            uploaded_at: timestamp,
+            updated_at: timestamp
+        });
+
+        // Save the notice along with the extracted state as its first version and its scan as the first publication
+        getDb().transaction(() => {
+            writeNotice(notice);
+            writeVersion(id, buildVersionDoc(1, buildVersionSnapshot(notice), [], { source: 'extraction' }, timestamp));
+            writePublication(id, { id: uuidv4(), ...buildPublicationRecord(extractedData, 'upload', timestamp) });
+        })();
+
+        await logProcessingStep(id, 'EXTRACTION_COMPLETED', 'success', null, notice.processing_time_ms);
+
+        console.log(`Property notice saved to SQLite with ID: ${id}`);
+        return notice;
+
+    } catch (error) {
+        console.error('SQLite save error:', error);
+        throw new Error(`Database save failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get property notices with pagination, newest first
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Number of records to fetch
+ * @param {string} options.startAfter - Notice ID to start after (for pagination)
+ * @returns {Array} - Array of property notices
+ */
+async function getPropertyNotices(options = {}) {
+    try {
+        const { limit = 1000, startAfter = null } = options;
+
+        const cursor = startAfter ?
+            getDb().prepare('SELECT id, uploaded_at FROM property_notices WHERE id = ?').get(startAfter) :
+            null;
+
+        const rows = cursor ?
+            getDb().prepare(`
+                SELECT data FROM property_notices
+                WHERE uploaded_at < @uploaded_at OR (uploaded_at = @uploaded_at AND id < @id)
+                ORDER BY uploaded_at DESC, id DESC
+                LIMIT @limit
+            `).all({ ...cursor, limit }) :
+            getDb().prepare('SELECT data FROM property_notices ORDER BY uploaded_at DESC, id DESC LIMIT ?').all(limit);
+
+        const notices = rows.map(parseRow);
+        console.log(`Retrieved ${notices.length} notices from SQLite`);
+        return notices;
+
+    } catch (error) {
+        console.error('Error fetching property notices from SQLite:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Query property notices with filters, sorting and cursor pagination
+ * @param {Object} options - { filters, sort, order, limit, cursor } (see matchesNoticeFilters for filters)
+ * @returns {Object} - { notices, nextCursor }; nextCursor is null on the last page
+ */
+async function queryPropertyNotices(options = {}) {
+    try {
+        const { filters = {}, sort = 'uploaded_at', order = 'desc', limit = 50, cursor = null } = options;
+        const { clauses, params } = buildNoticeFilterSql(filters);
+        const sortExpression = getSortExpression(sort);
+        const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+        if (cursor) {
+            const { value, id } = decodeCursor(cursor);
+            const comparison = order === 'asc' ? '>' : '<';
+            params.cursor_value = value;
+            params.cursor_id = id;
+            clauses.push(`(${sortExpression} ${comparison} @cursor_value OR (${sortExpression} = @cursor_value AND id ${comparison} @cursor_id))`);
+        }
+
+        // One extra row tells whether another page follows
+        const rows = getDb().prepare(`
+            SELECT data FROM property_notices
+            ${clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''}
+            ORDER BY ${sortExpression} ${direction}, id ${direction}
+            LIMIT @limit
+        `).all({ ...params, limit: limit + 1 });
+
+        const notices = rows.slice(0, limit).map(parseRow);
+        const last = notices[notices.length - 1];
+        const nextCursor = rows.length > limit ? encodeCursor(getSortValue(last, sort), last.id) : null;
+
+        return { notices, nextCursor };
+
+    } catch (error) {
+        if (error.statusCode) throw error;
+        console.error('Error querying property notices from SQLite:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get specific property notice by ID
+ * @param {string} id - Notice ID
+ * @returns {Object|null} - Property notice or null if not found
+ */
+async function getPropertyNoticeById(id) {
+    try {
+        return readNotice(id);
+    } catch (error) {
+        console.error('Error fetching property notice by ID from SQLite:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update property notice, keeping extracted_data in sync, recording each changed field in the
+ * notice history and saving an immutable version snapshot
+ * @param {string} id - Notice ID
+ * @param {Object} updateData - Data to update
+ * @param {Object} options - Change attribution ({ source, changedBy, batchId, revertedTo })
+ * @returns {Object|null} - Updated record, or null if the notice does not exist
+ */
+async function updatePropertyNotice(id, updateData, options = {}) {
+    const { source = 'manual', changedBy = null, batchId = null, revertedTo = null } = options;
+
+    try {
+        const result = getDb().transaction(() => {
+            const existing = readNotice(id);
+            if (!existing) {
+                return null;
+            }
+
+            const timestamp = new Date().toISOString();
+            const { updates, changes, versions } = planNoticeUpdate(existing, updateData,
+                { source, changedBy, batchId, revertedTo }, timestamp);
+
+            const notice = toStoredNotice({ ...existing, ...updates });
+            writeNotice(notice);
+            versions.forEach(version => writeVersion(id, version));
+            changes.forEach(change => writeHistoryEntry(id, {
+                id: uuidv4(),
+                ...change,
+                source,
+                changed_by: changedBy,
+                changed_at: timestamp
+            }));
+
+            return { notice, changes, version: updates.current_version || null };
+        })();
+
+        if (!result) {
+            return null;
+        }
+
+        if (result.version) {
+            console.log(`📝 Notice ${id}: version ${result.version} saved by ${source} (${result.changes.length} field(s) changed)`);
+        }
+
+        return result.notice;
+
+    } catch (error) {
+        console.error('Error updating property notice in SQLite:', error);
+        throw new Error(`Database update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get the change history of a property notice, newest first
+ * @param {string} id - Notice ID
+ * @returns {Array} - History entries
+ */
+async function getPropertyNoticeHistory(id) {
+    try {
+        return getDb().prepare('SELECT data FROM notice_history WHERE notice_id = ? ORDER BY changed_at DESC')
+            .all(id)
+            .map(parseRow);
+    } catch (error) {
+        console.error('Error fetching property notice history from SQLite:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get the version snapshots of a property notice, newest first
+ * @param {string} id - Notice ID
+ * @returns {Array} - Versions
+ */
+async function getPropertyNoticeVersions(id) {
+    try {
+        return getDb().prepare('SELECT data FROM notice_versions WHERE notice_id = ? ORDER BY version DESC')
+            .all(id)
+            .map(parseRow);
+    } catch (error) {
+        console.error('Error fetching property notice versions from SQLite:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get one version snapshot of a property notice
+ * @param {string} id - Notice ID
+ * @param {number} version - Version number
+ * @returns {Object|null} - Version or null if not found
+ */
+async function getPropertyNoticeVersion(id, version) {
+    try {
+        return parseRow(getDb().prepare('SELECT data FROM notice_versions WHERE notice_id = ? AND version = ?')
+            .get(id, version));
+    } catch (error) {
+        console.error('Error fetching property notice version from SQLite:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Find the version a bulk operation (e.g. a refinement batch) created for a notice
+ * @param {string} id - Notice ID
+ * @param {string} batchId - Bulk operation ID
+ * @returns {Object|null} - Version or null if the operation did not change the notice
+ */
+async function getPropertyNoticeVersionByBatch(id, batchId) {
+    try {
+        return parseRow(getDb().prepare('SELECT data FROM notice_versions WHERE notice_id = ? AND batch_id = ?')
+            .get(id, batchId));
+    } catch (error) {
+        console.error('Error fetching property notice version from SQLite:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Record another publication of a property notice (an upload found to be the same notice)
+ * @param {string} id - Notice ID
+ * @param {Object} publication - Publication details (see buildPublicationRecord)
+ * @returns {Object|null} - Saved publication, or null if the notice does not exist
+ */
+async function addPropertyNoticePublication(id, publication) {
+    try {
+        const saved = getDb().transaction(() => {
+            const existing = readNotice(id);
+            if (!existing) {
+                return null;
+            }
+
+            const timestamp = new Date().toISOString();
+            const record = { id: uuidv4(), ...buildPublicationRecord(publication, 'merge', timestamp) };
+
+            writePublication(id, record);
+            writeNotice({
+                ...existing,
+                ...planPublicationMerge(existing, record),
+                updated_at: timestamp
+            });
+            return record;
+        })();
+
+        if (saved) {
+            console.log(`📰 Notice ${id}: publication from ${saved.newspaper || saved.filename || 'unknown source'} merged`);
+        }
+        return saved;
+
+    } catch (error) {
+        console.error('Error adding property notice publication in SQLite:', error);
+        throw new Error(`Database update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get the publications of a property notice, oldest first
+ * @param {string} id - Notice ID
+ * @returns {Array} - Publications
+ */
+async function getPropertyNoticePublications(id) {
+    try {
+        return getDb().prepare('SELECT data FROM notice_publications WHERE notice_id = ? ORDER BY added_at ASC')
+            .all(id)
+            .map(parseRow);
+    } catch (error) {
+        console.error('Error fetching property notice publications from SQLite:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Delete property notice, with its history, versions, publications and processing logs
+ * @param {string} id - Notice ID
+ * @returns {boolean} - True if deleted successfully
+ */
+async function deletePropertyNotice(id) {
+    try {
+        const deleted = getDb().transaction(() => {
+            const { changes } = getDb().prepare('DELETE FROM property_notices WHERE id = ?').run(id);
+            if (changes === 0) {
+                return false;
+            }
+
+            getDb().prepare('DELETE FROM notice_history WHERE notice_id = ?').run(id);
+            getDb().prepare('DELETE FROM notice_versions WHERE notice_id = ?').run(id);
+            getDb().prepare('DELETE FROM notice_publications WHERE notice_id = ?').run(id);
+            getDb().prepare('DELETE FROM processing_logs WHERE property_notice_id = ?').run(id);
+            return true;
+        })();
+
+        if (deleted) {
+            console.log(`Property notice ${id} deleted from SQLite`);
+        }
+        return deleted;
+
+    } catch (error) {
+        console.error('Error deleting property notice from SQLite:', error);
+        throw new Error(`Database delete failed: ${error.message}`);
+    }
+}
+
+/**
+ * Log processing step
+ * @param {string} propertyNoticeId - Property notice ID
+ * @param {string} step - Processing step
+ * @param {string} status - Status (success/error)
+ * @param {string} errorMessage - Error message if any
+ * @param {number} processingTimeMs - Processing time in milliseconds
+ */
+async function logProcessingStep(propertyNoticeId, step, status, errorMessage = null, processingTimeMs = null) {
+    try {
+        writeProcessingLog({
+            id: uuidv4(),
+            property_notice_id: propertyNoticeId,
+            processing_step: step,
+            status,
+            error_message: errorMessage,
+            processing_time_ms: processingTimeMs,
+            created_at: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error logging processing step to SQLite:', error);
+        // Don't throw error for logging failures
+    }
+}
+
+/**
+ * Update property notice location data
+ * @param {string} id - Notice ID
+ * @param {Object} locationData - Location data
+ * @param {Object} options - Change attribution (defaults to the geocoder)
+ */
+async function updatePropertyNoticeLocation(id, locationData, options = {}) {
+    try {
+        const updated = await updatePropertyNotice(id, buildLocationUpdate(locationData), { source: 'geocoder', ...options });
+        if (!updated) {
+            throw new Error(`Property notice ${id} not found`);
+        }
+
+        console.log(`Location data updated for notice ${id}`);
+
+    } catch (error) {
+        console.error('Error updating location data in SQLite:', error);
+        throw new Error(`Location update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get villages needing geocoding
+ * @returns {Array} - Array of villages that need geocoding
+ */
+async function getVillagesNeedingGeocoding() {
+    try {
+        return getDb().prepare(`
+            SELECT data FROM property_notices
+            WHERE json_extract(data, '$.village_name') IS NOT NULL
+              AND json_extract(data, '$.geocoding_status') IN ('pending', 'failed')
+        `).all()
+            .map(parseRow)
+            .filter(notice => notice.village_name && (!notice.latitude || !notice.longitude))
+            .map(notice => ({
+                id: notice.id,
+                village_name: notice.village_name,
+                district: notice.district
+            }));
+    } catch (error) {
+        console.error('Error fetching villages needing geocoding from SQLite:', error);
+        throw new Error(`Database query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Save a new processing job
+ * @param {Object} job - Processing job data (must include id)
+ * @returns {Object} - Saved job
+ */
+async function saveProcessingJob(job) {
+    try {
+        const timestamp = new Date().toISOString();
+        const saved = { ...job, created_at: timestamp, updated_at: timestamp };
+        writeProcessingJob(saved);
+        return saved;
+    } catch (error) {
+        console.error('Error saving processing job to SQLite:', error);
+        throw new Error(`Job save failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get processing job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null} - Processing job or null if not found
+ */
+async function getProcessingJobById(id) {
+    try {
+        return parseRow(getDb().prepare('SELECT data FROM processing_jobs WHERE id = ?').get(id));
+    } catch (error) {
+        console.error('Error fetching processing job from SQLite:', error);
+        throw new Error(`Job fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update processing job
+ * @param {string} id - Job ID
+ * @param {Object} updateData - Fields to update
+ */
+async function updateProcessingJob(id, updateData) {
+    try {
+        getDb().transaction(() => {
+            const job = parseRow(getDb().prepare('SELECT data FROM processing_jobs WHERE id = ?').get(id));
+            if (!job) {
+                throw new Error(`Processing job ${id} not found`);
+            }
+
+            writeProcessingJob({ ...job, ...updateData, updated_at: new Date().toISOString() });
+        })();
+    } catch (error) {
+        console.error('Error updating processing job in SQLite:', error);
+        throw new Error(`Job update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update a processing job only while its draft is in one of the given states, in one transaction
+ * @param {string} id - Job ID
+ * @param {Array} fromStatuses - Draft statuses to accept (null for a job without one)
+ * @param {Object} updateData - Fields to update
+ * @returns {boolean} - Whether the job was updated
+ */
+async function transitionProcessingJobDraft(id, fromStatuses, updateData) {
+    try {
+        return getDb().transaction(() => {
+            const job = parseRow(getDb().prepare('SELECT data FROM processing_jobs WHERE id = ?').get(id));
+            if (!job || !fromStatuses.includes(job.draft_status ?? null)) {
+                return false;
+            }
+
+            writeProcessingJob({ ...job, ...updateData, updated_at: new Date().toISOString() });
+            return true;
+        })();
+    } catch (error) {
+        console.error('Error updating processing job draft in SQLite:', error);
+        throw new Error(`Job update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get processing jobs that were queued or running and have not finished
+ * @returns {Array} - Array of unfinished processing jobs, oldest first
+ */
+async function getUnfinishedProcessingJobs() {
+    try {
+        return getDb().prepare(`
+            SELECT data FROM processing_jobs
+            WHERE status NOT IN ('done', 'failed')
+            ORDER BY created_at
+        `).all().map(parseRow);
+    } catch (error) {
+        console.error('Error fetching unfinished processing jobs from SQLite:', error);
+        throw new Error(`Job query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get finished processing jobs whose draft expired before a time
+ * @param {string} before - ISO timestamp
+ * @returns {Array} - Array of processing jobs
+ */
+async function getExpiredProcessingJobs(before) {
+    try {
+        return getDb().prepare(`
+            SELECT data FROM processing_jobs
+            WHERE status IN ('done', 'failed') AND json_extract(data, '$.expires_at') < ?
+        `).all(before).map(parseRow);
+    } catch (error) {
+        console.error('Error fetching expired processing jobs from SQLite:', error);
+        throw new Error(`Job query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get all processing jobs belonging to an upload batch
+ * @param {string} batchId - Batch ID
+ * @returns {Array} - Array of processing jobs in upload order
+ */
+async function getProcessingJobsByBatch(batchId) {
+    try {
+        return getDb().prepare('SELECT data FROM processing_jobs WHERE batch_id = ?')
+            .all(batchId)
+            .map(parseRow)
+            .sort((a, b) => (a.batch_index || 0) - (b.batch_index || 0));
+    } catch (error) {
+        console.error('Error fetching batch processing jobs from SQLite:', error);
+        throw new Error(`Job query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Record a refinement batch run so its changes can be reverted together
+ * @param {Object} batch - Batch data (id, notice_ids, successful, failed)
+ * @returns {Object} - Saved batch
+ */
+async function saveRefinementBatch(batch) {
+    try {
+        writeRefinementBatch({ ...batch, created_at: new Date().toISOString() });
+        return batch;
+    } catch (error) {
+        console.error('Error saving refinement batch to SQLite:', error);
+        throw new Error(`Refinement batch save failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get refinement batch by ID
+ * @param {string} id - Batch ID
+ * @returns {Object|null} - Refinement batch or null if not found
+ */
+async function getRefinementBatchById(id) {
+    try {
+        return parseRow(getDb().prepare('SELECT data FROM refinement_batches WHERE id = ?').get(id));
+    } catch (error) {
+        console.error('Error fetching refinement batch from SQLite:', error);
+        throw new Error(`Database fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Save a new user
+ * @param {Object} user - User data (id is the username)
+ * @returns {Object} - Saved user
+ */
+async function saveUser(user) {
+    try {
+        const timestamp = new Date().toISOString();
+        const saved = { ...user, created_at: timestamp, updated_at: timestamp };
+        writeUser(saved);
+        return saved;
+    } catch (error) {
+        console.error('Error saving user to SQLite:', error);
+        throw new Error(`User save failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get user by ID
+ * @param {string} id - User ID (username)
+ * @returns {Object|null} - User or null if not found
+ */
+async function getUserById(id) {
+    try {
+        return parseRow(getDb().prepare('SELECT data FROM users WHERE id = ?').get(id));
+    } catch (error) {
+        console.error('Error fetching user from SQLite:', error);
+        throw new Error(`User fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get all users
+ * @returns {Array} - Array of users ordered by ID
+ */
+async function listUsers() {
+    try {
+        return getDb().prepare('SELECT data FROM users ORDER BY id').all().map(parseRow);
+    } catch (error) {
+        console.error('Error fetching users from SQLite:', error);
+        throw new Error(`User query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update user
+ * @param {string} id - User ID (username)
+ * @param {Object} updateData - Fields to update
+ */
+async function updateUser(id, updateData) {
+    try {
+        getDb().transaction(() => {
+            const user = parseRow(getDb().prepare('SELECT data FROM users WHERE id = ?').get(id));
+            if (!user) {
+                throw new Error(`User ${id} not found`);
+            }
+
+            writeUser({ ...user, ...updateData, updated_at: new Date().toISOString() });
+        })();
+    } catch (error) {
+        console.error('Error updating user in SQLite:', error);
+        throw new Error(`User update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Save a new API key
+ * @param {Object} apiKey - API key data (must include id; the secret is stored only as a hash)
+ * @returns {Object} - Saved API key
+ */
+async function saveApiKey(apiKey) {
+    try {
+        const saved = { ...apiKey, created_at: new Date().toISOString() };
+        writeApiKey(saved);
+        return saved;
+    } catch (error) {
+        console.error('Error saving API key to SQLite:', error);
+        throw new Error(`API key save failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get API key by ID
+ * @param {string} id - API key ID
+ * @returns {Object|null} - API key or null if not found
+ */
+async function getApiKeyById(id) {
+    try {
+        return parseRow(getDb().prepare('SELECT data FROM api_keys WHERE id = ?').get(id));
+    } catch (error) {
+        console.error('Error fetching API key from SQLite:', error);
+        throw new Error(`API key fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get all API keys
+ * @returns {Array} - Array of API keys, oldest first
+ */
+async function listApiKeys() {
+    try {
+        return getDb().prepare('SELECT data FROM api_keys ORDER BY created_at').all().map(parseRow);
+    } catch (error) {
+        console.error('Error fetching API keys from SQLite:', error);
+        throw new Error(`API key query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Update API key
+ * @param {string} id - API key ID
+ * @param {Object} updateData - Fields to update
+ */
+async function updateApiKey(id, updateData) {
+    try {
+        getDb().transaction(() => {
+            const apiKey = parseRow(getDb().prepare('SELECT data FROM api_keys WHERE id = ?').get(id));
+            if (!apiKey) {
+                throw new Error(`API key ${id} not found`);
+            }
+
+            writeApiKey({ ...apiKey, ...updateData });
+        })();
+    } catch (error) {
+        console.error('Error updating API key in SQLite:', error);
+        throw new Error(`API key update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get a geocode cache entry
+ * @param {string} id - Cache key (normalised village and district)
+ * @returns {Object|null} - Entry or null if not cached
+ */
+async function getGeocodeCacheEntry(id) {
+    try {
+        return parseRow(getDb().prepare('SELECT data FROM geocode_cache WHERE id = ?').get(id));
+    } catch (error) {
+        console.error('Error fetching geocode cache entry from SQLite:', error);
+        throw new Error(`Geocode cache fetch failed: ${error.message}`);
+    }
+}
+
+/**
+ * Save a geocode cache entry, replacing any entry with the same key
+ * @param {Object} entry - Entry (must include id)
+ */
+async function saveGeocodeCacheEntry(entry) {
+    try {
+        writeGeocodeCacheEntry(entry);
+    } catch (error) {
+        console.error('Error saving geocode cache entry to SQLite:', error);
+        throw new Error(`Geocode cache save failed: ${error.message}`);
+    }
+}
+
+/**
+ * Delete a geocode cache entry
+ * @param {string} id - Cache key
+ * @returns {boolean} - True if an entry was deleted
+ */
+async function deleteGeocodeCacheEntry(id) {
+    try {
+        return getDb().prepare('DELETE FROM geocode_cache WHERE id = ?').run(id).changes > 0;
+    } catch (error) {
+        console.error('Error deleting geocode cache entry from SQLite:', error);
+        throw new Error(`Geocode cache delete failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get all geocode cache entries
+ * @returns {Array} - Entries
+ */
+async function listGeocodeCacheEntries() {
+    try {
+        return getDb().prepare('SELECT data FROM geocode_cache ORDER BY id').all().map(parseRow);
+    } catch (error) {
+        console.error('Error fetching geocode cache entries from SQLite:', error);
+        throw new Error(`Geocode cache query failed: ${error.message}`);
+    }
+}
+
+/**
+ * Get database statistics for the dashboard
+ * @returns {Object} - Totals, average confidence, notices per village (top STATS_TOP_VILLAGES) and district,
+ *   and uploads per month and day (see getStatsWindows)
+ */
+async function getDatabaseStats() {
+    try {
+        const { recentFrom, monthlyFrom, dailyFrom } = getStatsWindows();
+        const village = "NULLIF(trim(json_extract(data, '$.village_name')), '')";
+        const district = "NULLIF(trim(json_extract(data, '$.district')), '')";
+
+        const { total_notices, unique_villages, avg_confidence } = getDb().prepare(`
+            SELECT COUNT(*) AS total_notices,
+                   COUNT(DISTINCT ${village}) AS unique_villages,
+                   AVG(json_extract(data, '$.confidence_score')) AS avg_confidence
+            FROM property_notices
+        `).get();
+        const { recent } = getDb().prepare('SELECT COUNT(*) AS recent FROM property_notices WHERE uploaded_at >= ?')
+            .get(recentFrom);
+
+        // Notices per value, most frequent first; LIMIT -1 is no limit
+        const countBy = (expression, where = `${expression} IS NOT NULL`, limit = -1) => getDb().prepare(`
+            SELECT ${expression} AS value, COUNT(*) AS count FROM property_notices
+            WHERE ${where}
+            GROUP BY value
+            ORDER BY count DESC, value
+            LIMIT ${limit}
+        `);
+
+        return {
+            total_notices,
+            unique_villages,
+            avg_confidence,
+            recent_notices_7_days: recent,
+            top_villages: countBy(village, undefined, STATS_TOP_VILLAGES).all()
+                .map(({ value, count }) => ({ village: value, count })),
+            districts: countBy(district).all()
+                .map(({ value, count }) => ({ district: value, count })),
+            monthly_uploads: countBy('substr(uploaded_at, 1, 7)', 'uploaded_at >= ?').all(monthlyFrom)
+                .map(({ value, count }) => ({ month: value, count }))
+                .sort((a, b) => a.month.localeCompare(b.month)),
+            daily_uploads: countBy('substr(uploaded_at, 1, 10)', 'uploaded_at >= ?').all(dailyFrom)
+                .map(({ value, count }) => ({ date: value, count }))
+                .sort((a, b) => a.date.localeCompare(b.date)),
+            database_type: 'SQLite'
+        };
+
+    } catch (error) {
+        console.error('Error getting database stats from SQLite:', error);
+        throw new Error(`Stats query failed: ${error.message}`);
+    }
+}
+
+// Table of each migration record set; sub-collection records carry their notice ID as notice_id
+const RECORD_SETS = {
+    property_notices: { table: 'property_notices', write: writeNotice },
+    notice_history: { table: 'notice_history', write: ({ notice_id, ...entry }) => writeHistoryEntry(notice_id, entry) },
+    notice_versions: { table: 'notice_versions', write: ({ notice_id, ...version }) => writeVersion(notice_id, version) },
+    notice_publications: { table: 'notice_publications', write: ({ notice_id, ...publication }) => writePublication(notice_id, publication) },
+    processing_logs: { table: 'processing_logs', write: writeProcessingLog },
+    processing_jobs: { table: 'processing_jobs', write: writeProcessingJob },
+    refinement_batches: { table: 'refinement_batches', write: writeRefinementBatch },
+    users: { table: 'users', write: writeUser },
+    api_keys: { table: 'api_keys', write: writeApiKey },
+    geocode_cache: { table: 'geocode_cache', write: writeGeocodeCacheEntry }
+};
+
+/**
+ * Read every record of a record set (for migrations)
+ * @param {string} recordSet - Record set name (see RECORD_SETS)
+ * @returns {Array} - Records
+ */
+async function exportRecords(recordSet) {
+    try {
+        const { table } = RECORD_SETS[recordSet];
+        const hasNoticeId = ['notice_history', 'notice_versions', 'notice_publications'].includes(table);
+
+        return getDb().prepare(`SELECT ${hasNoticeId ? 'notice_id, ' : ''}data FROM ${table}`)
+            .all()
+            .map(row => (hasNoticeId ? { notice_id: row.notice_id, ...parseRow(row) } : parseRow(row)));
+    } catch (error) {
+        console.error(`Error exporting ${recordSet} from SQLite:`, error);
+        throw new Error(`Export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Write records produced by exportRecords, replacing any existing records with the same IDs
+ * @param {string} recordSet - Record set name (see RECORD_SETS)
+ * @param {Array} records - Records
+ */
+async function importRecords(recordSet, records) {
+    try {
+        const { write } = RECORD_SETS[recordSet];
+        getDb().transaction(() => records.forEach(record => write(record)))();
+    } catch (error) {
+        console.error(`Error importing ${recordSet} into SQLite:`, error);
+        throw new Error(`Import failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    name: 'sqlite',
+    isConfigured,
+    savePropertyNotice,
+    getPropertyNotices,
+    queryPropertyNotices,
+    getPropertyNoticeById,
+    updatePropertyNotice,
+    getPropertyNoticeHistory,
+    getPropertyNoticeVersions,
+    getPropertyNoticeVersion,
+    getPropertyNoticeVersionByBatch,
+    addPropertyNoticePublication,
+    getPropertyNoticePublications,
+    deletePropertyNotice,
+    testConnection,
+    logProcessingStep,
+    updatePropertyNoticeLocation,
+    getVillagesNeedingGeocoding,
+    getDatabaseStats,
+    saveProcessingJob,
+    getProcessingJobById,
+    updateProcessingJob,
+    transitionProcessingJobDraft,
+    getUnfinishedProcessingJobs,
+    getExpiredProcessingJobs,
+    getProcessingJobsByBatch,
+    saveRefinementBatch,
+    getRefinementBatchById,
+    saveUser,
+    getUserById,
+    listUsers,
+    updateUser,
+    saveApiKey,
+    getApiKeyById,
+    listApiKeys,
+    updateApiKey,
+    getGeocodeCacheEntry,
+    saveGeocodeCacheEntry,
+    deleteGeocodeCacheEntry,
+    listGeocodeCacheEntries,
+    exportRecords,
+    importRecords
+};
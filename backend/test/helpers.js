@@ -0,0 +1,280 @@
+/**
+ * Shared test helpers: credentials for each role, synthetic notice scans and page layouts, uploads,
+ * sample notice text, a mocked OCR provider and a small village gazetteer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const request = require('supertest');
+const ocrProviders = require('../services/ocrProviders');
+const { createApiKey } = require('../services/authService');
+const { writeGazetteer } = require('../services/gazetteerService');
+
+// A typical notice as the OCR provider returns it
+const SAMPLE_NOTICE_TEXT = [
+    'જાહેર નોટીસ',
+    'આથી જાહેર જનતાને જણાવવાનું કે મોજે ગામ રીબડાના રેવન્યુ સર્વે નં. ૩૬૭ પૈકી ૧ ની જમીન, તા. ગોંડલ, જી. રાજકોટ,',
+    'વેચનાર: સુરેશભાઈ મનજીભાઈ શાહ',
+    'ખરીદનાર: રમેશભાઈ કાનજીભાઈ પટેલ ખરીદ કરવા માંગે છે.',
+    'આ જમીન અંગે કોઈનો હક્ક હોય તો દિન ૭ માં લેખિત વાંધો રજૂ કરવો.',
+    'તારીખ: ૧૫/૦૩/૨૦૨૪',
+    'એ. બી. જોષી',
+    'એડવોકેટ',
+    'ઓફિસ નં. ૧૨, કોર્ટ રોડ, રાજકોટ',
+    'મો. ૯૮૭૬૫૪૩૨૧૦'
+].join('\n');
+
+/**
+ * Make the OCR provider read the same text from every image, replacing any earlier mock
+ * @param {string} text - Text the OCR returns (defaults to SAMPLE_NOTICE_TEXT)
+ * @param {Object} options - { fullTextAnnotation } (Vision layout, for segmentation)
+ * @returns {jest.SpyInstance} - The annotateImage mock, for one-off results or failures
+ */
+function mockOcrText(text = SAMPLE_NOTICE_TEXT, { fullTextAnnotation = null } = {}) {
+    const annotateImage = jest.spyOn(ocrProviders, 'annotateImage');
+    annotateImage.mockReset();
+    return annotateImage.mockResolvedValue({ rawText: text, textAnnotations: [], fullTextAnnotation, provider: 'tesseract' });
+}
+
+/**
+ * Headers authenticating as a new API key with a role
+ * @param {string} role - viewer, reviewer or admin
+ * @returns {Object} - { 'X-API-Key': key }
+ */
+async function authHeaders(role = 'admin') {
+    const { key } = await createApiKey({ name: `test-${role}`, role });
+    return { 'X-API-Key': key };
+}
+
+// Deterministic pseudo-random numbers (mulberry32), so a seed always draws the same scan
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A synthetic notice scan: lines of dark "words" of seeded widths on white paper
+ * @param {number} seed - Layout seed; different seeds draw different notices
+ * @param {Object} options - { width, height, format: 'png' | 'jpeg' }
+ * @returns {Buffer} - Encoded image
+ */
+async function createNoticeImage(seed, { width = 600, height = 800, format = 'png' } = {}) {
+    const random = seededRandom(seed);
+    const words = [];
+
+    for (let y = 40; y < height - 40; y += 28) {
+        let x = 30 + Math.floor(random() * 40);
+        while (x < width - 60) {
+            const wordWidth = 20 + Math.floor(random() * 90);
+            words.push(`<rect x="${x}" y="${y}" width="${Math.min(wordWidth, width - 30 - x)}" height="14" fill="#111"/>`);
+            x += wordWidth + 10 + Math.floor(random() * 20);
+        }
+        // Paragraph breaks
+        if (random() < 0.15) {
+            y += 28;
+        }
+    }
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<rect width="100%" height="100%" fill="#fff"/>${words.join('')}</svg>`;
+    return sharp(Buffer.from(svg)).toFormat(format).toBuffer();
+}
+
+/**
+ * A PDF document with a line of text on every page
+ * @param {number} pageCount - Number of pages
+ * @returns {Buffer} - PDF file content
+ */
+async function createPdf(pageCount) {
+    const pdf = await PDFDocument.create();
+    for (let index = 0; index < pageCount; index++) {
+        pdf.addPage([595, 842]).drawText(`Notice page ${index + 1}`);
+    }
+    return Buffer.from(await pdf.save());
+}
+
+// Text lines of the synthetic page layouts are 20px high and 24px apart
+const LAYOUT_LINE_HEIGHT = 20;
+const LAYOUT_LINE_SPACING = 24;
+
+function layoutBox(x, y, width, height) {
+    return { vertices: [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }] };
+}
+
+/**
+ * A Vision fullTextAnnotation for a synthetic page, one block per { lines, x, y, width }
+ * Words are spread evenly across their line
+ * @param {Array} blocks - Text blocks: lines of text and the block's position and width
+ * @param {Object} size - { width, height } of the page
+ * @returns {Object} - { text, pages: [page] }
+ */
+function createPageAnnotation(blocks, { width = 1000, height = 1400 } = {}) {
+    const visionBlocks = blocks.map(({ lines, x, y, width: blockWidth }) => {
+        const words = lines.flatMap((line, row) => line.split(' ').map((word, column, lineWords) => {
+            const wordWidth = Math.floor(blockWidth / lineWords.length);
+            const symbols = [...word].map(text => ({ text }));
+            symbols[symbols.length - 1].property = {
+                detectedBreak: { type: column === lineWords.length - 1 ? 'LINE_BREAK' : 'SPACE' }
+            };
+            return {
+                boundingBox: layoutBox(x + column * wordWidth, y + row * LAYOUT_LINE_SPACING, wordWidth - 4, LAYOUT_LINE_HEIGHT),
+                symbols,
+                confidence: 0.9
+            };
+        }));
+
+        return {
+            boundingBox: layoutBox(x, y, blockWidth, lines.length * LAYOUT_LINE_SPACING - (LAYOUT_LINE_SPACING - LAYOUT_LINE_HEIGHT)),
+            paragraphs: [{ words }],
+            confidence: 0.9
+        };
+    });
+
+    return {
+        text: blocks.map(block => block.lines.join('\n')).join('\n'),
+        pages: [{ width, height, blocks: visionBlocks }]
+    };
+}
+
+// A two-column newspaper page with four notices: on the left two notices that touch, each opening with
+// a "જાહેર નોટીસ" heading; on the right two untitled notices apart by a wide gap; and a page number
+const TWO_COLUMN_PAGE_BLOCKS = [
+    { x: 40, y: 40, width: 440, lines: ['જાહેર નોટીસ'] },
+    { x: 40, y: 68, width: 440, lines: ['મોજે ગામ રીબડાના સર્વે નં. ૩૬૭ ની જમીન', 'વેચનાર સુરેશભાઈ શાહ ખરીદનાર રમેશભાઈ પટેલ', 'વાંધો હોય તો દિન ૭ માં જણાવવું'] },
+    { x: 40, y: 144, width: 440, lines: ['જાહેર નોટીસ'] },
+    { x: 40, y: 172, width: 440, lines: ['મોજે ગામ આટકોટના સર્વે નં. ૧૨ ની જમીન', 'વેચનાર હરેશભાઈ દવે ખરીદનાર કિશોરભાઈ વાઘેલા', 'વાંધો હોય તો દિન ૧૫ માં જણાવવું'] },
+    { x: 520, y: 40, width: 440, lines: ['મોજે ગામ મોવિયાના સર્વે નં. ૪૫ ની જમીન', 'તા. ગોંડલ જી. રાજકોટ', 'વેચનાર મનજીભાઈ ખરીદનાર કાનજીભાઈ', 'વાંધો હોય તો દિન ૭ માં જણાવવું'] },
+    { x: 520, y: 300, width: 440, lines: ['મોજે ગામ ખીરસરાના સર્વે નં. ૮૮ ની જમીન', 'વેચનાર ભરતભાઈ ખરીદનાર દિનેશભાઈ', 'વાંધો હોય તો દિન ૭ માં જણાવવું'] },
+    { x: 900, y: 1360, width: 30, lines: ['૩'] }
+];
+
+/**
+ * Write a file into the upload directory as multer does, and describe it like multer
+ * @param {Buffer} buffer - File content
+ * @param {string} originalName - Name the file was uploaded as
+ * @param {string} mimetype - MIME type
+ * @returns {Object} - { filename, originalname, path, mimetype, size }
+ */
+function createUploadedFile(buffer, originalName = 'notice.png', mimetype = 'image/png') {
+    const uploadDir = process.env.UPLOAD_DIR;
+    fs.mkdirSync(uploadDir, { recursive: true });
+
+    const filename = `property-notice-${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(originalName)}`;
+    const filePath = path.join(uploadDir, filename);
+    fs.writeFileSync(filePath, buffer);
+
+    return { filename, originalname: originalName, path: filePath, mimetype, size: buffer.length };
+}
+
+/**
+ * Wait until a check passes, e.g. a background job has finished
+ * @param {Function} check - Async function returning a truthy value when done
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {*} - The check's value
+ */
+async function waitFor(check, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) {
+            return value;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeoutMs}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+}
+
+/**
+ * Upload a notice scan and wait until its processing job has finished
+ * @param {Object} app - Express app
+ * @param {Object} headers - Reviewer credentials from authHeaders
+ * @param {number} seed - Scan seed for createNoticeImage
+ * @returns {Object} - Finished job status; result.draftId is the draft to save
+ */
+async function processNotice(app, headers, seed = 1) {
+    const upload = await request(app)
+        .post('/api/process-notice')
+        .set(headers)
+        .attach('image', await createNoticeImage(seed), 'notice.png');
+
+    if (upload.status !== 202) {
+        throw new Error(`Upload failed with ${upload.status}: ${JSON.stringify(upload.body)}`);
+    }
+
+    return waitFor(async () => {
+        const response = await request(app).get(upload.body.data.statusUrl).set(headers);
+        return ['done', 'failed'].includes(response.body.data.status) && response.body.data;
+    });
+}
+
+/**
+ * Process a notice scan and save its draft
+ * @param {Object} app - Express app
+ * @param {Object} headers - Reviewer credentials from authHeaders
+ * @param {Object} options - { seed, extractedData: reviewed values sent with the draft, publication details }
+ * @returns {Object} - Saved notice as returned by GET /api/notices/:id
+ */
+async function saveProcessedNotice(app, headers, { seed = 1, extractedData, publication } = {}) {
+    const job = await processNotice(app, headers, seed);
+    const saved = await request(app)
+        .post('/api/save-notice')
+        .set(headers)
+        .send({ draftId: job.result.draftId, extractedData, publication });
+
+    if (saved.status !== 200) {
+        throw new Error(`Save failed with ${saved.status}: ${JSON.stringify(saved.body)}`);
+    }
+
+    const notice = await request(app).get(`/api/notices/${saved.body.data.id}`).set(headers);
+    return notice.body.data;
+}
+
+// Gazetteer villages for tests (codes and coordinates are illustrative, not census data)
+const TEST_VILLAGES = [
+    ['TEST001', 'રીબડા', 'Ribada', ['Ribda'], 'Gondal', 'Rajkot', 21.9968, 70.8732],
+    ['TEST002', 'ગોંડલ', 'Gondal', [], 'Gondal', 'Rajkot', 21.9600, 70.8000],
+    ['TEST003', 'મોવિયા', 'Moviya', [], 'Gondal', 'Rajkot', 21.9230, 70.8820],
+    ['TEST004', 'આટકોટ', 'Atkot', [], 'Jasdan', 'Rajkot', 22.0100, 71.0300],
+    ['TEST005', 'ખીરસરા', 'Khirasara', [], 'Lodhika', 'Rajkot', 22.2100, 70.6600],
+    ['TEST006', 'ખીરસરા', 'Khirasara', [], 'Kalavad', 'Jamnagar', 22.2000, 70.4000]
+].map(([village_code, name_gu, name_en, alt_names, taluka, district, latitude, longitude]) =>
+    ({ village_code, name_gu, name_en, alt_names, taluka, district, latitude, longitude }));
+
+let gazetteerWrites = 0;
+
+/**
+ * Write villages to the test gazetteer (GAZETTEER_PATH), picked up by the next lookup
+ * @param {Array} villages - Gazetteer villages (defaults to TEST_VILLAGES)
+ */
+function writeTestGazetteer(villages = TEST_VILLAGES) {
+    writeGazetteer(villages, process.env.GAZETTEER_PATH);
+    // Writes within the same millisecond would otherwise look unchanged
+    const mtime = new Date(Date.now() + ++gazetteerWrites * 1000);
+    fs.utimesSync(process.env.GAZETTEER_PATH, mtime, mtime);
+}
+
+module.exports = {
+    SAMPLE_NOTICE_TEXT,
+    TEST_VILLAGES,
+    TWO_COLUMN_PAGE_BLOCKS,
+    authHeaders,
+    createNoticeImage,
+    createPageAnnotation,
+    createPdf,
+    createUploadedFile,
+    mockOcrText,
+    processNotice,
+    saveProcessedNotice,
+    writeTestGazetteer,
+    waitFor
+};
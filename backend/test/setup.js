@@ -0,0 +1,38 @@
+/**
+ * Jest setup, run before every test file
+ * Each test file gets its own in-memory SQLite database, temporary upload and image directories and an
+ * empty village gazetteer (tests that need villages write one to GAZETTEER_PATH), LLM answers replayed
+ * from fixtures/llm, and no credentials for Firebase, Google Cloud Vision, Google Maps or an LLM, so tests
+ * never leave the machine.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-notice-test-'));
+
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    STORAGE_PROVIDER: 'sqlite',
+    SQLITE_PATH: ':memory:',
+    IMAGE_STORAGE_PROVIDER: 'local',
+    IMAGE_STORAGE_DIR: path.join(tempDir, 'images'),
+    UPLOAD_DIR: path.join(tempDir, 'uploads'),
+    GAZETTEER_PATH: path.join(tempDir, 'gazetteer', 'gujarat-villages.csv'),
+    OCR_PROVIDER: 'tesseract',
+    OCR_FALLBACK_PROVIDER: '',
+    LLM_PROVIDER: 'fixture',
+    GEMINI_API_KEY: '',
+    OPENAI_API_KEY: '',
+    GOOGLE_MAPS_API_KEY: '',
+    FIREBASE_SERVICE_ACCOUNT_KEY: '',
+    GOOGLE_APPLICATION_CREDENTIALS: '',
+    AUTH_DISABLED: 'false',
+    AUTH_JWT_SECRET: 'test-jwt-secret',
+    RATE_LIMIT_MAX_REQUESTS: '100000'
+});
+
+afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
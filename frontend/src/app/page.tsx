@@ -1,103 +1,92 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import UploadSection from '@/components/UploadSection';
+import BatchUploadSection from '@/components/BatchUploadSection';
 import DashboardSection from '@/components/DashboardSection';
-import StatsSection from '@/components/StatsSection';
+import StatsSection, { type NoticeStats } from '@/components/StatsSection';
 import SimpleMapLinks from '@/components/SimpleMapLinks';
-import { Upload, BarChart3, Database, Settings, MapPin } from 'lucide-react';
-
-interface Notice {
-  id: string;
-  village_name?: string;
-  survey_number?: string;
-  buyer_name?: string;
-  seller_name?: string;
-  notice_date?: string;
-  advocate_name?: string;
-  advocate_address?: string;
-  advocate_mobile?: string;
-  confidence_score?: number;
-  uploaded_at: string;
-  latitude?: number;
-  longitude?: number;
-  district?: string;
-  taluka?: string;
-}
+import LoginForm from '@/components/LoginForm';
+import { Upload, Files, BarChart3, Database, Settings, MapPin, LogOut, Loader2 } from 'lucide-react';
+import { apiFetch, getCurrentUser, logout, hasRole, AuthUser, AUTH_EXPIRED_EVENT } from '@/lib/api';
 
 export default function Home() {
   const [activeTab, setActiveTab] = useState('upload');
-  const [stats, setStats] = useState({
-    totalNotices: 0,
-    uniqueVillages: 0,
-    avgConfidence: 0,
-    recentScans: 0
-  });
-
-  const [notices, setNotices] = useState<Notice[]>([]);
+  const [stats, setStats] = useState<NoticeStats | null>(null);
   const [refreshTrigger, setRefreshTrigger] = useState(0);
-  const [loading, setLoading] = useState(false);
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [authChecked, setAuthChecked] = useState(false);
 
-  // Load initial data
+  // Resume the stored session, and return to the sign-in form when the backend rejects it
   useEffect(() => {
-    loadNotices();
-  }, [refreshTrigger]);
+    getCurrentUser()
+      .then(setUser)
+      .catch(error => console.error('Error checking sign-in:', error))
+      .finally(() => setAuthChecked(true));
+
+    const handleExpired = () => setUser(null);
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
 
-  const loadNotices = async () => {
+  const loadStats = useCallback(async () => {
     try {
-      setLoading(true);
-      const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:4000';
-      const response = await fetch(`${apiUrl}/api/notices`);
+      // Counted by the backend over every notice; the dashboard and map page through the notices themselves
+      const response = await apiFetch('/api/notices/stats');
       const data = await response.json();
       
-      if (data.success && data.notices) {
-        setNotices(data.notices);
-        calculateStats(data.notices);
+      if (data.success) {
+        setStats(data.data);
       }
     } catch (error) {
-      console.error('Error loading notices:', error);
-    } finally {
-      setLoading(false);
+      console.error('Error loading notice stats:', error);
     }
-  };
+  }, []);
 
-  const calculateStats = (noticesData: Notice[]) => {
-    const total = noticesData.length;
-    const uniqueVillages = new Set(
-      noticesData
-        .map(notice => notice.village_name)
-        .filter(village => village && village.trim() !== '')
-    ).size;
-
-    const confidenceScores = noticesData
-      .map(notice => notice.confidence_score)
-      .filter((score): score is number => typeof score === 'number' && !isNaN(score));
-    
-    const avgConfidence = confidenceScores.length > 0 ? 
-      (confidenceScores.reduce((sum, score) => sum + score, 0) / confidenceScores.length) : 0;
-
-    const oneWeekAgo = new Date();
-    oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-    
-    const recentScans = noticesData.filter(notice => {
-      const uploadDate = new Date(notice.uploaded_at);
-      return uploadDate >= oneWeekAgo;
-    }).length;
-
-    setStats({
-      totalNotices: total,
-      uniqueVillages,
-      avgConfidence: Math.round(avgConfidence * 100),
-      recentScans
-    });
-  };
+  // Load initial data
+  useEffect(() => {
+    if (user) {
+      loadStats();
+    }
+  }, [refreshTrigger, user, loadStats]);
 
   const triggerRefresh = () => {
     setRefreshTrigger(prev => prev + 1);
   };
 
+  const handleLogin = (signedInUser: AuthUser) => {
+    setUser(signedInUser);
+    // Viewers cannot upload, so they start on the notice list
+    setActiveTab(hasRole(signedInUser, 'reviewer') ? 'upload' : 'dashboard');
+  };
+
+  const handleLogout = () => {
+    logout();
+    setUser(null);
+  };
+
+  if (!authChecked) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <LoginForm onLogin={handleLogin} />;
+  }
+
+  const canUpload = hasRole(user, 'reviewer');
+  const totalNotices = stats?.total_notices ?? 0;
+  const uniqueVillages = stats?.unique_villages ?? 0;
+  const avgConfidence = Math.round((stats?.avg_confidence ?? 0) * 100);
+
   const tabs = [
-    { id: 'upload', label: 'Upload Notice', icon: Upload, color: 'bg-blue-500' },
+    ...(canUpload ? [
+      { id: 'upload', label: 'Upload Notice', icon: Upload, color: 'bg-blue-500' },
+      { id: 'batch', label: 'Batch Upload', icon: Files, color: 'bg-indigo-500' },
+    ] : []),
     { id: 'dashboard', label: 'All Notices', icon: Database, color: 'bg-green-500' },
     { id: 'map', label: 'Property Map', icon: MapPin, color: 'bg-orange-500' },
     { id: 'analytics', label: 'Analytics', icon: BarChart3, color: 'bg-purple-500' },
@@ -122,18 +111,32 @@ export default function Home() {
             {/* Stats Summary */}
             <div className="hidden md:flex items-center space-x-6">
               <div className="text-center">
-                <div className="text-2xl font-bold text-blue-600">{stats.totalNotices}</div>
+                <div className="text-2xl font-bold text-blue-600">{totalNotices}</div>
                 <div className="text-xs text-gray-500">Total</div>
               </div>
               <div className="text-center">
-                <div className="text-2xl font-bold text-green-600">{stats.uniqueVillages}</div>
+                <div className="text-2xl font-bold text-green-600">{uniqueVillages}</div>
                 <div className="text-xs text-gray-500">Villages</div>
               </div>
               <div className="text-center">
-                <div className="text-2xl font-bold text-purple-600">{stats.avgConfidence}%</div>
+                <div className="text-2xl font-bold text-purple-600">{avgConfidence}%</div>
                 <div className="text-xs text-gray-500">Accuracy</div>
               </div>
             </div>
+
+            <div className="flex items-center space-x-3">
+              <div className="text-right">
+                <div className="text-sm font-medium text-gray-900">{user.username}</div>
+                <div className="text-xs text-gray-500 capitalize">{user.role}</div>
+              </div>
+              <button
+                onClick={handleLogout}
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Sign out"
+              >
+                <LogOut className="h-4 w-4" />
+              </button>
+            </div>
           </div>
         </div>
       </header>
@@ -143,15 +146,15 @@ export default function Home() {
         <div className="max-w-7xl mx-auto px-4 py-3">
           <div className="grid grid-cols-3 gap-4">
             <div className="text-center">
-              <div className="text-lg font-bold text-blue-600">{stats.totalNotices}</div>
+              <div className="text-lg font-bold text-blue-600">{totalNotices}</div>
               <div className="text-xs text-gray-500">Total Notices</div>
             </div>
             <div className="text-center">
-              <div className="text-lg font-bold text-green-600">{stats.uniqueVillages}</div>
+              <div className="text-lg font-bold text-green-600">{uniqueVillages}</div>
               <div className="text-xs text-gray-500">Villages</div>
             </div>
             <div className="text-center">
-              <div className="text-lg font-bold text-purple-600">{stats.avgConfidence}%</div>
+              <div className="text-lg font-bold text-purple-600">{avgConfidence}%</div>
               <div className="text-xs text-gray-500">Accuracy</div>
             </div>
           </div>
@@ -186,20 +189,24 @@ export default function Home() {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
-        {activeTab === 'upload' && (
+        {activeTab === 'upload' && canUpload && (
           <UploadSection onNoticeUploaded={triggerRefresh} />
         )}
         
+        {activeTab === 'batch' && canUpload && (
+          <BatchUploadSection onNoticesSaved={triggerRefresh} />
+        )}
+        
         {activeTab === 'dashboard' && (
-          <DashboardSection notices={notices} onNoticesChange={triggerRefresh} />
+          <DashboardSection refreshKey={refreshTrigger} user={user} onNoticesChange={triggerRefresh} />
         )}
         
         {activeTab === 'map' && (
-          <SimpleMapLinks notices={notices} />
+          <SimpleMapLinks districts={stats?.districts.map(entry => entry.district) ?? []} refreshKey={refreshTrigger} />
         )}
         
         {activeTab === 'analytics' && (
-          <StatsSection notices={notices} stats={stats} />
+          <StatsSection stats={stats} />
         )}
       </main>
 
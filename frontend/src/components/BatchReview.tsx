@@ -0,0 +1,556 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Image from 'next/image';
+import { Upload, X, CheckCircle, AlertCircle, Save, Loader2, Trash2 } from 'lucide-react';
+import { PublicationDetails } from './PublicationFields';
+import { apiFetch } from '@/lib/api';
+import SignedImage from './SignedImage';
+import VillageCandidates, { VillageCandidate, VillageMatch, candidateName } from './VillageCandidates';
+
+interface ExtractedData {
+  village_name?: string;
+  survey_number?: string;
+  buyer_name?: string;
+  seller_name?: string;
+  notice_date?: string;
+  advocate_name?: string;
+  advocate_address?: string;
+  advocate_mobile?: string;
+  district?: string;
+  taluka?: string;
+}
+
+interface BoundingBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// Field where the LLM and the rule-based extractor read different values
+export interface FieldDisagreement {
+  field: string;
+  llm_value: string | null;
+  rule_value: string;
+}
+
+// Where a field value was read and how confident the pipeline is in it
+export interface FieldProvenance {
+  confidence: number | null;
+  source_span: { start: number; end: number; text: string; partial: boolean } | null;
+  bounding_box: BoundingBox | null;
+  ocr_confidence: number | null;
+  rule_agreement: boolean | null;
+}
+
+export function fieldConfidenceClass(confidence: number) {
+  if (confidence >= 0.8) return 'text-green-700';
+  if (confidence >= 0.6) return 'text-yellow-700';
+  return 'text-red-700';
+}
+
+// Saved notice the processed upload is likely a copy of (another publication or a re-upload)
+export interface DuplicateNotice {
+  id: string;
+  score: number;
+  reasons: string[];
+  image_distance: number | null;
+  text_similarity: number | null;
+  matched_fields: string[];
+  village_name: string | null;
+  survey_number: string | null;
+  notice_date: string | null;
+  publication_count: number;
+  uploaded_at: string | null;
+  url: string;
+}
+
+// Field the reviewer changed before saving, recorded to measure extraction accuracy
+export interface FieldCorrection {
+  field: string;
+  extracted_value: string | null;
+  corrected_value: string | null;
+}
+
+/**
+ * List the fields whose reviewed value differs from what the pipeline extracted
+ */
+export function getCorrectedFields(
+  extracted: Record<string, unknown>,
+  reviewed: Record<string, unknown>
+): FieldCorrection[] {
+  const normalize = (value: unknown) => (value === null || value === undefined ? null : String(value).trim() || null);
+
+  return Object.keys(reviewed)
+    .filter(field => normalize(reviewed[field]) !== normalize(extracted[field]))
+    .map(field => ({
+      field,
+      extracted_value: normalize(extracted[field]),
+      corrected_value: normalize(reviewed[field])
+    }));
+}
+
+// Notice fields the reviewer confirms; save-notice rejects any other field
+const REVIEWED_FIELDS: (keyof ExtractedData)[] = [
+  'village_name',
+  'survey_number',
+  'buyer_name',
+  'seller_name',
+  'notice_date',
+  'advocate_name',
+  'advocate_address',
+  'advocate_mobile',
+  'district',
+  'taluka'
+];
+
+/**
+ * Keep only the reviewed notice fields of an extraction result, which also carries coordinates and scores
+ */
+export function pickReviewedFields(data: ExtractedData): ExtractedData {
+  return Object.fromEntries(
+    REVIEWED_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+  );
+}
+
+interface ProcessingResult {
+  extractedData: ExtractedData;
+  fieldProvenance?: Record<string, FieldProvenance>;
+  rawText: string;
+  confidenceScore: number;
+  disagreements?: FieldDisagreement[];
+  villageMatch?: VillageMatch | null;
+  villageCandidates?: VillageCandidate[];
+  processingTime: number;
+  aiService: string;
+  filename: string;
+  pageNumber?: number | null;
+  boundingBox?: BoundingBox | null;
+  publication?: PublicationDetails | null;
+  // Server-side draft holding the OCR and AI output; save-notice saves the notice from it
+  draftId: string;
+  imageUrl?: string | null;
+  imageHash?: string | null;
+  duplicates?: DuplicateNotice[];
+  needsConfirmation: boolean;
+}
+
+interface BatchItem {
+  id: string;
+  filename: string;
+  originalName: string;
+  pageNumber?: number | null;
+  segmentIndex?: number | null;
+  boundingBox?: BoundingBox | null;
+  imageUrl?: string | null;
+  status: string;
+  failedStage?: string | null;
+  error?: { message: string; code: string } | null;
+  result: ProcessingResult | null;
+}
+
+interface RejectedFile {
+  originalName: string;
+  error: string;
+}
+
+// Batch as returned by the upload endpoints (process-batch, process-notice for PDFs, segment-page)
+export interface QueuedBatch {
+  batchId: string;
+  items: {
+    jobId: string;
+    filename: string;
+    originalName: string;
+    pageNumber?: number | null;
+    segmentIndex?: number | null;
+    boundingBox?: BoundingBox | null;
+    status: string;
+  }[];
+  rejected?: RejectedFile[];
+  page?: { width: number | null; height: number | null } | null;
+}
+
+type ReviewState = 'pending' | 'saving' | 'saved' | 'discarded';
+
+interface BatchReviewProps {
+  batch: QueuedBatch;
+  title?: string;
+  resetLabel?: string;
+  // Page image the batch was segmented from, shown with the notice regions outlined
+  imageUrl?: string | null;
+  onNoticesSaved: () => void;
+  onReset: () => void;
+}
+
+const fields: { key: keyof ExtractedData; label: string }[] = [
+  { key: 'village_name', label: 'Village Name (ગામનું નામ)' },
+  { key: 'survey_number', label: 'Survey Number (સર્વે નં.)' },
+  { key: 'buyer_name', label: 'Buyer Name (ખરીદનાર)' },
+  { key: 'seller_name', label: 'Seller Name (વેચનાર)' },
+  { key: 'notice_date', label: 'Notice Date (તારીખ)' },
+  { key: 'advocate_name', label: 'Advocate Name (એડવોકેટ)' },
+  { key: 'advocate_address', label: 'Advocate Address (સરનામું)' },
+  { key: 'advocate_mobile', label: 'Mobile Number (મો.)' }
+];
+
+export default function BatchReview({ batch, title = 'Batch Review', resetLabel = 'New Batch', imageUrl, onNoticesSaved, onReset }: BatchReviewProps) {
+  const [items, setItems] = useState<BatchItem[]>(() => batch.items.map(item => ({
+    id: item.jobId,
+    filename: item.filename,
+    originalName: item.originalName,
+    pageNumber: item.pageNumber,
+    segmentIndex: item.segmentIndex,
+    boundingBox: item.boundingBox,
+    status: item.status,
+    result: null
+  })));
+  const [completed, setCompleted] = useState(false);
+  const [edits, setEdits] = useState<Record<string, ExtractedData>>({});
+  const [reviewState, setReviewState] = useState<Record<string, ReviewState>>({});
+  const [error, setError] = useState<string | null>(null);
+
+  const rejected = batch.rejected || [];
+  const pageWidth = batch.page?.width;
+  const pageHeight = batch.page?.height;
+
+  // Poll the batch until every file has finished processing
+  useEffect(() => {
+    if (completed) return;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await apiFetch(`/api/batches/${batch.batchId}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data?.error || `Server error: ${response.status}`);
+        }
+
+        setItems(data.data.items);
+        setCompleted(data.data.completed);
+      } catch (error) {
+        console.error('Batch polling error:', error);
+        setError(error instanceof Error ? error.message : 'Failed to load batch status');
+      }
+    }, 2000);
+
+    return () => clearInterval(timer);
+  }, [batch.batchId, completed]);
+
+  const getEditedData = (item: BatchItem): ExtractedData => {
+    return edits[item.id] || item.result?.extractedData || {};
+  };
+
+  const updateField = (item: BatchItem, key: keyof ExtractedData, value: string) => {
+    setEdits(prev => ({
+      ...prev,
+      [item.id]: { ...getEditedData(item), [key]: value }
+    }));
+  };
+
+  const selectVillage = (item: BatchItem, candidate: VillageCandidate) => {
+    setEdits(prev => ({
+      ...prev,
+      [item.id]: {
+        ...getEditedData(item),
+        village_name: candidateName(candidate),
+        district: candidate.district,
+        taluka: candidate.taluka || getEditedData(item).taluka
+      }
+    }));
+  };
+
+  const saveItem = async (item: BatchItem) => {
+    if (!item.result) return;
+
+    setReviewState(prev => ({ ...prev, [item.id]: 'saving' }));
+    try {
+      const response = await apiFetch(`/api/save-notice`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          draftId: item.result.draftId,
+          extractedData: pickReviewedFields(getEditedData(item))
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data?.details?.join(', ') || data.error || 'Failed to save');
+      }
+
+      setReviewState(prev => ({ ...prev, [item.id]: 'saved' }));
+      onNoticesSaved();
+    } catch (error) {
+      console.error('Save error:', error);
+      setReviewState(prev => ({ ...prev, [item.id]: 'pending' }));
+      setError(`${item.originalName}: ${error instanceof Error ? error.message : 'Failed to save'}`);
+    }
+  };
+
+  const saveAll = async () => {
+    const pendingItems = items.filter(item =>
+      item.status === 'done' && (reviewState[item.id] || 'pending') === 'pending'
+    );
+    for (const item of pendingItems) {
+      await saveItem(item);
+    }
+  };
+
+  const doneCount = items.filter(item => item.status === 'done').length;
+  const failedCount = items.filter(item => item.status === 'failed').length;
+  const pendingReviewCount = items.filter(item =>
+    item.status === 'done' && (reviewState[item.id] || 'pending') === 'pending'
+  ).length;
+
+  return (
+    <div className="space-y-6">
+      {/* Error Display */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-4">
+          <div className="flex items-center space-x-2">
+            <AlertCircle className="h-5 w-5 text-red-600" />
+            <p className="text-red-800">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Batch Summary */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">{title}</h3>
+            <p className="text-sm text-gray-600">
+              {doneCount} processed, {failedCount} failed, {items.length - doneCount - failedCount} in progress
+              {!completed && <Loader2 className="inline h-4 w-4 ml-2 animate-spin text-blue-600" />}
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={saveAll}
+              disabled={pendingReviewCount === 0}
+              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <Save className="h-4 w-4" />
+              <span>Save All ({pendingReviewCount})</span>
+            </button>
+            <button
+              onClick={onReset}
+              className="flex items-center space-x-2 px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              <Upload className="h-4 w-4" />
+              <span>{resetLabel}</span>
+            </button>
+          </div>
+        </div>
+
+        {rejected.length > 0 && (
+          <div className="mt-4 pt-4 border-t border-gray-200 text-sm text-orange-700">
+            <p className="font-medium">Skipped files:</p>
+            <ul className="list-disc list-inside">
+              {rejected.map((file, index) => (
+                <li key={index}>{file.originalName} – {file.error}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {/* Segmented Page with Notice Regions */}
+      {imageUrl && pageWidth && pageHeight && (
+        <div className="bg-white rounded-xl border border-gray-200 p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Detected Notices</h3>
+          <div className="relative inline-block max-w-full">
+            <Image
+              src={imageUrl}
+              alt="Uploaded newspaper page"
+              width={0}
+              height={0}
+              unoptimized
+              className="w-auto h-auto max-w-full max-h-[600px]"
+            />
+            {items.filter(item => item.boundingBox).map(item => {
+              const box = item.boundingBox as BoundingBox;
+              const state = reviewState[item.id] || 'pending';
+              return (
+                <div
+                  key={item.id}
+                  className={`absolute border-2 ${
+                    state === 'saved' ? 'border-green-500 bg-green-500/10' :
+                    state === 'discarded' ? 'border-gray-400 bg-gray-400/10' : 'border-blue-500 bg-blue-500/10'
+                  }`}
+                  style={{
+                    left: `${(box.x / pageWidth) * 100}%`,
+                    top: `${(box.y / pageHeight) * 100}%`,
+                    width: `${(box.width / pageWidth) * 100}%`,
+                    height: `${(box.height / pageHeight) * 100}%`
+                  }}
+                >
+                  <span className="absolute -top-3 -left-3 h-6 w-6 flex items-center justify-center text-xs font-medium bg-blue-600 text-white rounded-full">
+                    {(item.segmentIndex ?? 0) + 1}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Per-file Review Cards */}
+      {items.map((item) => {
+        const state = reviewState[item.id] || 'pending';
+        const data = getEditedData(item);
+
+        return (
+          <div
+            key={item.id}
+            className={`bg-white rounded-xl border p-6 ${
+              state === 'saved' ? 'border-green-300 bg-green-50' :
+              state === 'discarded' ? 'border-gray-200 opacity-50' : 'border-gray-200'
+            }`}
+          >
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h4 className="font-medium text-gray-900">
+                  {item.originalName}
+                  {item.pageNumber && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-blue-100 text-blue-800 rounded-full">
+                      Page {item.pageNumber}
+                    </span>
+                  )}
+                  {item.segmentIndex !== null && item.segmentIndex !== undefined && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-purple-100 text-purple-800 rounded-full">
+                      Notice {item.segmentIndex + 1}
+                    </span>
+                  )}
+                </h4>
+                {item.status === 'done' && state === 'pending' && !!item.result?.duplicates?.length && (
+                  <p className="flex items-center space-x-1 text-xs text-amber-700">
+                    <AlertCircle className="h-3 w-3" />
+                    <span>
+                      Possibly already saved: {item.result.duplicates.map(duplicate =>
+                        `${duplicate.village_name || 'Unknown village'}${duplicate.survey_number ? ` (${duplicate.survey_number})` : ''}`
+                      ).join(', ')} – upload it on its own to merge it instead
+                    </span>
+                  </p>
+                )}
+                <p className="text-xs text-gray-500">
+                  {item.status === 'done' && item.result
+                    ? `Confidence ${Math.round(item.result.confidenceScore * 100)}%`
+                    : item.status === 'failed'
+                      ? `Failed${item.failedStage ? ` at ${item.failedStage}` : ''}: ${item.error?.message || 'Unknown error'}`
+                      : `Status: ${item.status}`}
+                </p>
+              </div>
+              {item.status === 'done' && state === 'pending' && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => saveItem(item)}
+                    className="flex items-center space-x-1 px-3 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors"
+                  >
+                    <CheckCircle className="h-4 w-4" />
+                    <span>Confirm & Save</span>
+                  </button>
+                  <button
+                    onClick={() => setReviewState(prev => ({ ...prev, [item.id]: 'discarded' }))}
+                    className="flex items-center space-x-1 px-3 py-2 bg-gray-200 text-gray-800 text-sm rounded-lg hover:bg-gray-300 transition-colors"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                    <span>Discard</span>
+                  </button>
+                </div>
+              )}
+              {state === 'saving' && <Loader2 className="h-5 w-5 text-blue-600 animate-spin" />}
+              {state === 'saved' && (
+                <span className="flex items-center space-x-1 text-green-700 text-sm">
+                  <CheckCircle className="h-4 w-4" />
+                  <span>Saved</span>
+                </span>
+              )}
+              {state === 'discarded' && (
+                <button
+                  onClick={() => setReviewState(prev => ({ ...prev, [item.id]: 'pending' }))}
+                  className="flex items-center space-x-1 text-gray-600 text-sm hover:text-gray-800"
+                >
+                  <X className="h-4 w-4" />
+                  <span>Undo discard</span>
+                </button>
+              )}
+              {item.status !== 'done' && item.status !== 'failed' && (
+                <Loader2 className="h-5 w-5 text-blue-600 animate-spin" />
+              )}
+            </div>
+
+            {item.status === 'done' && item.imageUrl && state === 'pending' && (
+              <SignedImage
+                path={item.imageUrl}
+                alt={`Scan of ${item.originalName}`}
+                className="max-w-full max-h-64 mb-4 rounded-lg border"
+                // PDF pages cannot be shown as an image
+                onError={(e) => { e.currentTarget.style.display = 'none'; }}
+              />
+            )}
+
+            {item.status === 'done' && item.result && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {fields.map((field) => {
+                  const disagreement = item.result?.disagreements?.find(d => d.field === field.key);
+                  const fieldConfidence = item.result?.fieldProvenance?.[field.key]?.confidence;
+
+                  return (
+                    <div key={field.key} className="space-y-1">
+                      <div className="flex items-center justify-between">
+                        <label className="text-sm font-medium text-gray-700">{field.label}</label>
+                        {fieldConfidence !== null && fieldConfidence !== undefined && (
+                          <span className={`text-xs font-medium ${fieldConfidenceClass(fieldConfidence)}`}>
+                            {Math.round(fieldConfidence * 100)}%
+                          </span>
+                        )}
+                      </div>
+                      <input
+                        type="text"
+                        value={data[field.key] || ''}
+                        disabled={state !== 'pending'}
+                        onChange={(e) => updateField(item, field.key, e.target.value)}
+                        className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 ${
+                          disagreement ? 'border-amber-400 bg-amber-50' : 'border-gray-300'
+                        }`}
+                      />
+                      {disagreement && (
+                        <p className="flex items-center space-x-1 text-xs text-amber-700">
+                          <AlertCircle className="h-3 w-3" />
+                          <span>Rule-based extraction read &quot;{disagreement.rule_value}&quot;</span>
+                          {state === 'pending' && data[field.key] !== disagreement.rule_value && (
+                            <button
+                              onClick={() => updateField(item, field.key, disagreement.rule_value)}
+                              className="underline hover:text-amber-900"
+                            >
+                              Use
+                            </button>
+                          )}
+                        </p>
+                      )}
+                      {field.key === 'village_name' && (
+                        <VillageCandidates
+                          candidates={item.result?.villageCandidates || []}
+                          value={data.village_name}
+                          district={data.district}
+                          disabled={state !== 'pending'}
+                          onSelect={(candidate) => selectVillage(item, candidate)}
+                        />
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { Files, AlertCircle, Loader2 } from 'lucide-react';
+import BatchReview, { QueuedBatch } from './BatchReview';
+import PublicationFields, { PublicationDetails, appendPublication } from './PublicationFields';
+import { apiFetch } from '@/lib/api';
+
+interface BatchUploadSectionProps {
+  onNoticesSaved: () => void;
+}
+
+export default function BatchUploadSection({ onNoticesSaved }: BatchUploadSectionProps) {
+  const [dragActive, setDragActive] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [batch, setBatch] = useState<QueuedBatch | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  // Applied to every notice in the batch
+  const [publication, setPublication] = useState<PublicationDetails>({});
+
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const handleDrag = (e: React.DragEvent) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.type === 'dragenter' || e.type === 'dragover') {
+      setDragActive(true);
+    } else if (e.type === 'dragleave') {
+      setDragActive(false);
+    }
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      uploadFiles(Array.from(e.dataTransfer.files));
+    }
+  };
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    if (e.target.files && e.target.files.length > 0) {
+      uploadFiles(Array.from(e.target.files));
+    }
+  };
+
+  const uploadFiles = async (files: File[]) => {
+    setUploading(true);
+    setError(null);
+    setBatch(null);
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('images', file));
+    appendPublication(formData, publication);
+
+    try {
+      const response = await apiFetch(`/api/process-batch`, {
+        method: 'POST',
+        body: formData,
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data?.error || data?.message || `Server error: ${response.status}`);
+      }
+
+      setBatch(data.data);
+    } catch (error) {
+      console.error('Batch upload error:', error);
+      setError(error instanceof Error ? error.message : 'Upload failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const resetBatch = () => {
+    setBatch(null);
+    setError(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Upload Area */}
+      {!batch && (
+        <div
+          className={`relative border-2 border-dashed rounded-xl p-8 text-center transition-all ${
+            dragActive
+              ? 'border-blue-500 bg-blue-50'
+              : 'border-gray-300 hover:border-gray-400'
+          }`}
+          onDragEnter={handleDrag}
+          onDragLeave={handleDrag}
+          onDragOver={handleDrag}
+          onDrop={handleDrop}
+          onClick={() => fileInputRef.current?.click()}
+        >
+          <div className="space-y-4">
+            <div className="flex justify-center">
+              {uploading ? (
+                <Loader2 className="h-12 w-12 text-blue-500 animate-spin" />
+              ) : (
+                <Files className="h-12 w-12 text-gray-400" />
+              )}
+            </div>
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">Upload a Batch of Notices</h3>
+              <p className="text-gray-500">Drop all clipped notices from a newspaper page set, PDF editions, or a ZIP archive</p>
+            </div>
+            <div className="text-sm text-gray-400">
+              Supports: JPEG, PNG, PDF, ZIP (Max 10MB per file, 50 images or pages per batch)
+            </div>
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/jpeg,image/png,application/pdf,.zip,application/zip"
+            multiple
+            onChange={handleFileChange}
+            className="hidden"
+          />
+        </div>
+      )}
+
+      {/* Publication Details */}
+      {!batch && (
+        <div className="bg-white rounded-xl border border-gray-200 p-4 space-y-2">
+          <p className="text-sm font-medium text-gray-700">
+            Where were these notices published? (optional, applies to every file; PDF pages keep their own page numbers)
+          </p>
+          <PublicationFields value={publication} onChange={setPublication} disabled={uploading} />
+        </div>
+      )}
+
+      {/* Error Display */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-4">
+          <div className="flex items-center space-x-2">
+            <AlertCircle className="h-5 w-5 text-red-600" />
+            <p className="text-red-800">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Batch Review */}
+      {batch && (
+        <BatchReview
+          key={batch.batchId}
+          batch={batch}
+          onNoticesSaved={onNoticesSaved}
+          onReset={resetBatch}
+        />
+      )}
+    </div>
+  );
+}
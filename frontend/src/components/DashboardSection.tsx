@@ -1,7 +1,11 @@
 'use client';
 
-import { useState, useMemo } from 'react';
-import { Search, Filter, Eye, Edit, Trash2, ChevronLeft, ChevronRight, MoreVertical, Download } from 'lucide-react';
+import { useState, useEffect, useMemo } from 'react';
+import { Search, Filter, Eye, Edit, Trash2, ChevronLeft, ChevronRight, Download } from 'lucide-react';
+import NoticeDetailModal from './NoticeDetailModal';
+import NoticeThumbnail from './NoticeThumbnail';
+import SearchResults, { SearchResult } from './SearchResults';
+import { apiFetch, hasRole, AuthUser } from '@/lib/api';
 
 interface Notice {
   id: string;
@@ -11,89 +15,196 @@ interface Notice {
   seller_name?: string;
   notice_date?: string;
   district?: string;
+  thumbnail_key?: string | null;
   uploaded_at: string;
 }
 
 interface DashboardSectionProps {
-  notices: Notice[];
+  refreshKey: number;
+  user: AuthUser;
   onNoticesChange: () => void;
 }
 
-export default function DashboardSection({ notices, onNoticesChange }: DashboardSectionProps) {
+type SortField = 'village_name' | 'survey_number' | 'buyer_name' | 'seller_name' | 'notice_date' | 'district' | 'uploaded_at';
+
+const emptyFilters = {
+  village: '',
+  district: '',
+  taluka: '',
+  survey: '',
+  buyer: '',
+  seller: '',
+  advocate: '',
+  newspaper: '',
+  dateFrom: '',
+  dateTo: '',
+  uploadedFrom: '',
+  uploadedTo: '',
+  geocodingStatus: '',
+  hierarchyStatus: '',
+  minConfidence: '',
+  maxConfidence: ''
+};
+
+type Filters = typeof emptyFilters;
+
+// Filter parameters shared by GET /api/notices and GET /api/search; confidence is entered as a percentage
+const buildFilterParams = (filters: Filters) => {
+  const params = new URLSearchParams();
+  const values: Record<string, string> = {
+    village: filters.village,
+    district: filters.district,
+    taluka: filters.taluka,
+    survey_number: filters.survey,
+    buyer: filters.buyer,
+    seller: filters.seller,
+    advocate: filters.advocate,
+    newspaper: filters.newspaper,
+    notice_date_from: filters.dateFrom,
+    notice_date_to: filters.dateTo,
+    uploaded_from: filters.uploadedFrom,
+    uploaded_to: filters.uploadedTo,
+    geocoding_status: filters.geocodingStatus,
+    hierarchy_status: filters.hierarchyStatus,
+    min_confidence: filters.minConfidence && String(Number(filters.minConfidence) / 100),
+    max_confidence: filters.maxConfidence && String(Number(filters.maxConfidence) / 100)
+  };
+  Object.entries(values)
+    .filter(([, value]) => value.trim() !== '')
+    .forEach(([key, value]) => params.set(key, value.trim()));
+  return params;
+};
+
+export default function DashboardSection({ refreshKey, user, onNoticesChange }: DashboardSectionProps) {
+  // The backend enforces roles; these only hide actions the user is not allowed to take
+  const canEdit = hasRole(user, 'reviewer');
+  const canDelete = hasRole(user, 'admin');
   const [searchTerm, setSearchTerm] = useState('');
-  const [sortField, setSortField] = useState<keyof Notice>('notice_date');
+  const [sortField, setSortField] = useState<SortField>('notice_date');
   const [sortDirection, setSortDirection] = useState<'asc' | 'desc'>('desc');
-  const [currentPage, setCurrentPage] = useState(1);
   const [pageSize, setPageSize] = useState(10);
-  const [selectedNotice, setSelectedNotice] = useState<Notice | null>(null);
+  const [selectedNotice, setSelectedNotice] = useState<{ id: string; editing: boolean } | null>(null);
   const [showFilters, setShowFilters] = useState(false);
-  const [filters, setFilters] = useState({
-    village: '',
-    survey: '',
-    buyer: '',
-    seller: '',
-    dateFrom: '',
-    dateTo: ''
-  });
-
-  // Filter and sort notices
-  const filteredNotices = useMemo(() => {
-    const filtered = notices.filter(notice => {
-      const searchLower = searchTerm.toLowerCase();
-      const matchesSearch = 
-        notice.village_name?.toLowerCase().includes(searchLower) ||
-        notice.survey_number?.toLowerCase().includes(searchLower) ||
-        notice.buyer_name?.toLowerCase().includes(searchLower) ||
-        notice.seller_name?.toLowerCase().includes(searchLower);
-
-      const matchesFilters = 
-        (!filters.village || notice.village_name?.toLowerCase().includes(filters.village.toLowerCase())) &&
-        (!filters.survey || notice.survey_number?.toLowerCase().includes(filters.survey.toLowerCase())) &&
-        (!filters.buyer || notice.buyer_name?.toLowerCase().includes(filters.buyer.toLowerCase())) &&
-        (!filters.seller || notice.seller_name?.toLowerCase().includes(filters.seller.toLowerCase()));
-
-      return matchesSearch && matchesFilters;
-    });
-
-    // Sort
-    filtered.sort((a, b) => {
-      const aVal = a[sortField] || '';
-      const bVal = b[sortField] || '';
-      
-      if (sortField === 'uploaded_at' || sortField === 'notice_date') {
-        const aDate = new Date(aVal as string);
-        const bDate = new Date(bVal as string);
-        return sortDirection === 'asc' ? aDate.getTime() - bDate.getTime() : bDate.getTime() - aDate.getTime();
+  const [filters, setFilters] = useState<Filters>(emptyFilters);
+  const [appliedSearch, setAppliedSearch] = useState({ searchTerm: '', filters: emptyFilters });
+  // Cursor of every page visited so far; the last one is the current page
+  const [pageCursors, setPageCursors] = useState<(string | null)[]>([null]);
+  const [notices, setNotices] = useState<Notice[]>([]);
+  const [searchResults, setSearchResults] = useState<{ results: SearchResult[]; total: number } | null>(null);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [exporting, setExporting] = useState(false);
+
+  // Wait for typing to pause before querying the server
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setAppliedSearch({ searchTerm, filters });
+      setPageCursors([null]);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm, filters]);
+
+  const filterString = useMemo(() => buildFilterParams(appliedSearch.filters).toString(), [appliedSearch.filters]);
+  const queryString = `${filterString ? `${filterString}&` : ''}sort=${sortField}&order=${sortDirection}`;
+  // A search term switches the dashboard from the sorted list to ranked full-text search results
+  const activeSearch = appliedSearch.searchTerm.trim();
+  const hasActiveFilters = filterString !== '' || activeSearch !== '';
+  const currentCursor = pageCursors[pageCursors.length - 1];
+  const startIndex = (pageCursors.length - 1) * pageSize;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSearchResults = async () => {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams(filterString);
+        params.set('q', activeSearch);
+        params.set('limit', '100');
+
+        const response = await apiFetch(`/api/search?${params}`);
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error(data.details?.join(', ') || data.message || data.error || 'Search failed');
+        }
+
+        if (!cancelled) {
+          setSearchResults({ results: data.results, total: data.total });
+          setLoadError(null);
+        }
+      } catch (error) {
+        console.error('Error searching notices:', error);
+        if (!cancelled) {
+          setSearchResults({ results: [], total: 0 });
+          setLoadError(error instanceof Error ? error.message : 'Search failed');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
       }
-      
-      const aStr = aVal.toString().toLowerCase();
-      const bStr = bVal.toString().toLowerCase();
-      return sortDirection === 'asc' ? aStr.localeCompare(bStr) : bStr.localeCompare(aStr);
-    });
+    };
 
-    return filtered;
-  }, [notices, searchTerm, sortField, sortDirection, filters]);
+    const loadPage = async () => {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams(queryString);
+        params.set('limit', String(pageSize));
+        if (currentCursor) params.set('cursor', currentCursor);
 
-  // Pagination
-  const totalPages = Math.ceil(filteredNotices.length / pageSize);
-  const startIndex = (currentPage - 1) * pageSize;
-  const paginatedNotices = filteredNotices.slice(startIndex, startIndex + pageSize);
+        const response = await apiFetch(`/api/notices?${params}`);
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error(data.details?.join(', ') || data.message || data.error || 'Failed to load notices');
+        }
+
+        if (!cancelled) {
+          setSearchResults(null);
+          setNotices(data.notices);
+          setNextCursor(data.pagination.nextCursor);
+          setLoadError(null);
+        }
+      } catch (error) {
+        console.error('Error loading notices:', error);
+        if (!cancelled) {
+          setNotices([]);
+          setNextCursor(null);
+          setLoadError(error instanceof Error ? error.message : 'Failed to load notices');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
 
-  const handleSort = (field: keyof Notice) => {
+    if (activeSearch) {
+      loadSearchResults();
+    } else {
+      loadPage();
+    }
+    return () => { cancelled = true; };
+  }, [activeSearch, filterString, queryString, pageSize, currentCursor, refreshKey]);
+
+  const handleSort = (field: SortField) => {
     if (sortField === field) {
       setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
     } else {
       setSortField(field);
       setSortDirection('asc');
     }
+    setPageCursors([null]);
+  };
+
+  const clearFilters = () => {
+    setSearchTerm('');
+    setFilters(emptyFilters);
   };
 
   const deleteNotice = async (id: string) => {
     if (!confirm('Are you sure you want to delete this property notice?')) return;
     
     try {
-      const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:4000';
-      const response = await fetch(`${apiUrl}/api/notices/${id}`, {
+      const response = await apiFetch(`/api/notices/${id}`, {
         method: 'DELETE'
       });
 
@@ -113,32 +224,62 @@ export default function DashboardSection({ notices, onNoticesChange }: Dashboard
     return new Date(dateString).toLocaleDateString('en-IN');
   };
 
-  const exportData = () => {
-    const csvContent = [
-      ['Village', 'Survey No.', 'Buyer', 'Seller', 'Property Listing Date', 'District', 'Scanned Date'],
-      ...filteredNotices.map(notice => [
-        notice.village_name || '',
-        notice.survey_number || '',
-        notice.buyer_name || '',
-        notice.seller_name || '',
-        notice.notice_date || '',
-        notice.district || '',
-        formatDate(notice.uploaded_at)
-      ])
-    ].map(row => row.join(',')).join('\n');
-
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', `property_notices_${new Date().toISOString().split('T')[0]}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  // Exports every notice matching the current filters (or the current search results), not just the visible page
+  const exportData = async () => {
+    try {
+      setExporting(true);
+      const allNotices: Notice[] = searchResults ? searchResults.results.map(result => result.notice as Notice) : [];
+      let cursor: string | null = null;
+
+      while (!searchResults) {
+        const params = new URLSearchParams(queryString);
+        params.set('limit', '1000');
+        if (cursor) params.set('cursor', cursor);
+
+        const response = await apiFetch(`/api/notices?${params}`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || data.error || 'Failed to load notices');
+        }
+
+        allNotices.push(...data.notices);
+        cursor = data.pagination.nextCursor;
+        if (!cursor) break;
+      }
+
+      const csvContent = [
+        ['Village', 'Survey No.', 'Buyer', 'Seller', 'Property Listing Date', 'District', 'Scanned Date'],
+        ...allNotices.map(notice => [
+          notice.village_name || '',
+          notice.survey_number || '',
+          notice.buyer_name || '',
+          notice.seller_name || '',
+          notice.notice_date || '',
+          notice.district || '',
+          formatDate(notice.uploaded_at)
+        ])
+      ].map(row => row.join(',')).join('\n');
+
+      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+      const link = document.createElement('a');
+      const url = URL.createObjectURL(blob);
+      link.setAttribute('href', url);
+      link.setAttribute('download', `property_notices_${new Date().toISOString().split('T')[0]}.csv`);
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    } catch (error) {
+      console.error('Error exporting notices:', error);
+      alert('Failed to export notices');
+    } finally {
+      setExporting(false);
+    }
   };
 
-  if (notices.length === 0) {
+  const visibleCount = searchResults ? searchResults.results.length : notices.length;
+
+  if (!loading && !loadError && visibleCount === 0 && !hasActiveFilters && pageCursors.length === 1) {
     return (
       <div className="text-center py-12">
         <div className="bg-white rounded-xl border border-gray-200 p-8">
@@ -163,7 +304,7 @@ export default function DashboardSection({ notices, onNoticesChange }: Dashboard
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
               <input
                 type="text"
-                placeholder="Search villages, survey numbers, buyers..."
+                placeholder="Search notices in Gujarati or English (village, survey no., names, notice text)..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
@@ -182,10 +323,11 @@ export default function DashboardSection({ notices, onNoticesChange }: Dashboard
             </button>
             <button
               onClick={exportData}
-              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              disabled={exporting}
+              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
               <Download className="h-4 w-4" />
-              <span className="hidden sm:inline">Export</span>
+              <span className="hidden sm:inline">{exporting ? 'Exporting...' : 'Export'}</span>
             </button>
           </div>
         </div>
@@ -193,7 +335,7 @@ export default function DashboardSection({ notices, onNoticesChange }: Dashboard
         {/* Advanced Filters */}
         {showFilters && (
           <div className="mt-4 pt-4 border-t border-gray-200">
-            <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-7 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
               <input
                 type="text"
                 placeholder="Village name"
@@ -201,6 +343,20 @@ export default function DashboardSection({ notices, onNoticesChange }: Dashboard
                 onChange={(e) => setFilters(prev => ({ ...prev, village: e.target.value }))}
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               />
+              <input
+                type="text"
+                placeholder="District"
+                value={filters.district}
+                onChange={(e) => setFilters(prev => ({ ...prev, district: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <input
+                type="text"
+                placeholder="Taluka"
+                value={filters.taluka}
+                onChange={(e) => setFilters(prev => ({ ...prev, taluka: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
               <input
                 type="text"
                 placeholder="Survey number"
@@ -223,290 +379,384 @@ export default function DashboardSection({ notices, onNoticesChange }: Dashboard
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               />
               <input
-                type="date"
-                placeholder="From date"
-                value={filters.dateFrom}
-                onChange={(e) => setFilters(prev => ({ ...prev, dateFrom: e.target.value }))}
+                type="text"
+                placeholder="Advocate name"
+                value={filters.advocate}
+                onChange={(e) => setFilters(prev => ({ ...prev, advocate: e.target.value }))}
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               />
               <input
-                type="date"
-                placeholder="To date"
-                value={filters.dateTo}
-                onChange={(e) => setFilters(prev => ({ ...prev, dateTo: e.target.value }))}
+                type="text"
+                placeholder="Newspaper or edition"
+                value={filters.newspaper}
+                onChange={(e) => setFilters(prev => ({ ...prev, newspaper: e.target.value }))}
                 className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               />
+              <select
+                value={filters.geocodingStatus}
+                onChange={(e) => setFilters(prev => ({ ...prev, geocodingStatus: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">Any location status</option>
+                <option value="pending">Location pending</option>
+                <option value="success,success_refined,completed">Location found</option>
+                <option value="failed,not_found,error">Location failed</option>
+              </select>
+              <select
+                value={filters.hierarchyStatus}
+                onChange={(e) => setFilters(prev => ({ ...prev, hierarchyStatus: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">Any district / taluka check</option>
+                <option value="valid">District and taluka verified</option>
+                <option value="unverified">District or taluka unverified</option>
+                <option value="invalid">District and taluka conflict</option>
+              </select>
+              <div className="flex items-center gap-2 md:col-span-2">
+                <span className="text-sm text-gray-500 whitespace-nowrap">Listing date</span>
+                <input
+                  type="date"
+                  value={filters.dateFrom}
+                  onChange={(e) => setFilters(prev => ({ ...prev, dateFrom: e.target.value }))}
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <span className="text-gray-400">–</span>
+                <input
+                  type="date"
+                  value={filters.dateTo}
+                  onChange={(e) => setFilters(prev => ({ ...prev, dateTo: e.target.value }))}
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div className="flex items-center gap-2 md:col-span-2">
+                <span className="text-sm text-gray-500 whitespace-nowrap">Scanned</span>
+                <input
+                  type="date"
+                  value={filters.uploadedFrom}
+                  onChange={(e) => setFilters(prev => ({ ...prev, uploadedFrom: e.target.value }))}
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <span className="text-gray-400">–</span>
+                <input
+                  type="date"
+                  value={filters.uploadedTo}
+                  onChange={(e) => setFilters(prev => ({ ...prev, uploadedTo: e.target.value }))}
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div className="flex items-center gap-2 md:col-span-2">
+                <span className="text-sm text-gray-500 whitespace-nowrap">Confidence %</span>
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  placeholder="%"
+                  value={filters.minConfidence}
+                  onChange={(e) => setFilters(prev => ({ ...prev, minConfidence: e.target.value }))}
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <span className="text-gray-400">–</span>
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  placeholder="%"
+                  value={filters.maxConfidence}
+                  onChange={(e) => setFilters(prev => ({ ...prev, maxConfidence: e.target.value }))}
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <button
+                onClick={clearFilters}
+                className="px-3 py-2 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Clear filters
+              </button>
             </div>
           </div>
         )}
       </div>
 
       {/* Results Summary */}
-      <div className="flex justify-between items-center">
-        <p className="text-sm text-gray-600">
-          Showing {startIndex + 1} to {Math.min(startIndex + pageSize, filteredNotices.length)} of {filteredNotices.length} notices
-        </p>
-        <select
-          value={pageSize}
-          onChange={(e) => {
-            setPageSize(Number(e.target.value));
-            setCurrentPage(1);
-          }}
-          className="px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-        >
-          <option value={10}>10 per page</option>
-          <option value={25}>25 per page</option>
-          <option value={50}>50 per page</option>
-          <option value={100}>100 per page</option>
-        </select>
-      </div>
+      {!searchResults && (
+        <div className="flex justify-between items-center">
+          <p className="text-sm text-gray-600">
+            {loading
+              ? 'Loading notices...'
+              : notices.length > 0
+                ? `Showing ${startIndex + 1} to ${startIndex + notices.length}${nextCursor ? ' (more available)' : ''}`
+                : 'No notices on this page'}
+          </p>
+          <select
+            value={pageSize}
+            onChange={(e) => {
+              setPageSize(Number(e.target.value));
+              setPageCursors([null]);
+            }}
+            className="px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value={10}>10 per page</option>
+            <option value={25}>25 per page</option>
+            <option value={50}>50 per page</option>
+            <option value={100}>100 per page</option>
+          </select>
+        </div>
+      )}
 
-      {/* Desktop Table */}
-      <div className="hidden lg:block bg-white rounded-xl border border-gray-200 overflow-hidden">
-        <div className="overflow-x-auto">
-          <table className="w-full">
-            <thead className="bg-gray-50">
-              <tr>
-                {[
-                  { key: 'village_name', label: 'Village Name', width: 'w-32' },
-                  { key: 'survey_number', label: 'Survey No.', width: 'w-24' },
-                  { key: 'buyer_name', label: 'Buyer Name', width: 'w-40' },
-                  { key: 'seller_name', label: 'Seller Name', width: 'w-40' },
-                  { key: 'notice_date', label: 'Listing Date', width: 'w-28' },
-                  { key: 'district', label: 'District', width: 'w-24' },
-                  { key: 'uploaded_at', label: 'Scanned', width: 'w-24' },
-                ].map((column) => (
-                  <th
-                    key={column.key}
-                    className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
-                    onClick={() => handleSort(column.key as keyof Notice)}
-                  >
-                    <div className="flex items-center space-x-1">
-                      <span>{column.label}</span>
-                      {sortField === column.key && (
-                        <span className="text-blue-600">
-                          {sortDirection === 'asc' ? '↑' : '↓'}
-                        </span>
-                      )}
-                    </div>
-                  </th>
-                ))}
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {paginatedNotices.map((notice) => (
-                <tr key={notice.id} className="hover:bg-gray-50">
-                  <td className="px-4 py-3 whitespace-nowrap">
-                    <div className="text-sm font-medium text-blue-600">
-                      {notice.village_name || '-'}
-                    </div>
-                  </td>
-                  <td className="px-4 py-3 whitespace-nowrap">
-                    {notice.survey_number ? (
-                      <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded font-mono">
-                        {notice.survey_number}
-                      </span>
-                    ) : (
-                      '-'
-                    )}
-                  </td>
-                  <td className="px-4 py-3">
-                    <div className="text-sm text-gray-900 max-w-32 truncate" title={notice.buyer_name}>
-                      {notice.buyer_name || '-'}
-                    </div>
-                  </td>
-                  <td className="px-4 py-3">
-                    <div className="text-sm text-gray-900 max-w-32 truncate" title={notice.seller_name}>
-                      {notice.seller_name || '-'}
+      {loadError && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-xl p-4 text-sm">
+          {loadError}
+        </div>
+      )}
+
+      {!loading && !loadError && visibleCount === 0 && (
+        <div className="bg-white rounded-xl border border-gray-200 p-8 text-center">
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No Matching Notices</h3>
+          <p className="text-gray-500 mb-4">No property notices match your search and filters.</p>
+          <button
+            onClick={clearFilters}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Clear filters
+          </button>
+        </div>
+      )}
+
+      {searchResults ? (
+        searchResults.results.length > 0 && (
+          <SearchResults
+            results={searchResults.results}
+            total={searchResults.total}
+            onView={id => setSelectedNotice({ id, editing: false })}
+            onEdit={canEdit ? id => setSelectedNotice({ id, editing: true }) : undefined}
+          />
+        )
+      ) : (
+        <>
+          {/* Desktop Table */}
+          <div className="hidden lg:block bg-white rounded-xl border border-gray-200 overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {[
+                      { key: 'village_name', label: 'Village Name', width: 'w-32' },
+                      { key: 'survey_number', label: 'Survey No.', width: 'w-24' },
+                      { key: 'buyer_name', label: 'Buyer Name', width: 'w-40' },
+                      { key: 'seller_name', label: 'Seller Name', width: 'w-40' },
+                      { key: 'notice_date', label: 'Listing Date', width: 'w-28' },
+                      { key: 'district', label: 'District', width: 'w-24' },
+                      { key: 'uploaded_at', label: 'Scanned', width: 'w-24' },
+                    ].map((column) => (
+                      <th
+                        key={column.key}
+                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                        onClick={() => handleSort(column.key as SortField)}
+                      >
+                        <div className="flex items-center space-x-1">
+                          <span>{column.label}</span>
+                          {sortField === column.key && (
+                            <span className="text-blue-600">
+                              {sortDirection === 'asc' ? '↑' : '↓'}
+                            </span>
+                          )}
+                        </div>
+                      </th>
+                    ))}
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {notices.map((notice) => (
+                    <tr key={notice.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <div className="flex items-center space-x-3">
+                          <NoticeThumbnail noticeId={notice.id} hasThumbnail={!!notice.thumbnail_key} className="h-10 w-10" />
+                          <div className="text-sm font-medium text-blue-600">
+                            {notice.village_name || '-'}
+                          </div>
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        {notice.survey_number ? (
+                          <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded font-mono">
+                            {notice.survey_number}
+                          </span>
+                        ) : (
+                          '-'
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="text-sm text-gray-900 max-w-32 truncate" title={notice.buyer_name}>
+                          {notice.buyer_name || '-'}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="text-sm text-gray-900 max-w-32 truncate" title={notice.seller_name}>
+                          {notice.seller_name || '-'}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                        {notice.notice_date ? (
+                          <span className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded font-medium">
+                            📅 {formatDate(notice.notice_date)}
+                          </span>
+                        ) : (
+                          <span className="text-gray-400 italic">No date</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        {notice.district || '-'}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-xs text-gray-400">
+                        {formatDate(notice.uploaded_at)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => setSelectedNotice({ id: notice.id, editing: false })}
+                            className="text-blue-600 hover:text-blue-800 transition-colors"
+                            title="View Details"
+                          >
+                            <Eye className="h-4 w-4" />
+                          </button>
+                          {canEdit && (
+                            <button
+                              onClick={() => setSelectedNotice({ id: notice.id, editing: true })}
+                              className="text-gray-600 hover:text-gray-800 transition-colors"
+                              title="Edit"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </button>
+                          )}
+                          {canDelete && (
+                            <button
+                              onClick={() => deleteNotice(notice.id)}
+                              className="text-red-600 hover:text-red-800 transition-colors"
+                              title="Delete"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Mobile Cards */}
+          <div className="lg:hidden space-y-4">
+            {notices.map((notice) => (
+              <div key={notice.id} className="bg-white rounded-xl border border-gray-200 p-4">
+                <div className="flex justify-between items-start mb-3">
+                  <div className="flex items-start space-x-3">
+                    <NoticeThumbnail noticeId={notice.id} hasThumbnail={!!notice.thumbnail_key} className="h-16 w-16" />
+                    <div>
+                      <h3 className="font-medium text-blue-600 text-lg">{notice.village_name || 'Unknown Village'}</h3>
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        {notice.survey_number && (
+                          <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded font-mono">
+                            Survey: {notice.survey_number}
+                          </span>
+                        )}
+                        {notice.notice_date && (
+                          <span className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded font-medium">
+                            📅 {formatDate(notice.notice_date)}
+                          </span>
+                        )}
+                      </div>
                     </div>
-                  </td>
-                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
-                    {notice.notice_date ? (
-                      <span className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded font-medium">
-                        📅 {formatDate(notice.notice_date)}
-                      </span>
-                    ) : (
-                      <span className="text-gray-400 italic">No date</span>
-                    )}
-                  </td>
-                  <td className="px-4 py-3 whitespace-nowrap">
-                    {notice.district || '-'}
-                  </td>
-                  <td className="px-4 py-3 whitespace-nowrap text-xs text-gray-400">
-                    {formatDate(notice.uploaded_at)}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    <div className="flex space-x-2">
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => setSelectedNotice({ id: notice.id, editing: false })}
+                      className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                    >
+                      <Eye className="h-4 w-4" />
+                    </button>
+                    {canEdit && (
                       <button
-                        onClick={() => setSelectedNotice(notice)}
-                        className="text-blue-600 hover:text-blue-800 transition-colors"
-                        title="View Details"
+                        onClick={() => setSelectedNotice({ id: notice.id, editing: true })}
+                        className="p-2 text-gray-600 hover:bg-gray-50 rounded-lg transition-colors"
                       >
-                        <Eye className="h-4 w-4" />
+                        <Edit className="h-4 w-4" />
                       </button>
+                    )}
+                    {canDelete && (
                       <button
                         onClick={() => deleteNotice(notice.id)}
-                        className="text-red-600 hover:text-red-800 transition-colors"
-                        title="Delete"
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
                       >
                         <Trash2 className="h-4 w-4" />
                       </button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-      </div>
-
-      {/* Mobile Cards */}
-      <div className="lg:hidden space-y-4">
-        {paginatedNotices.map((notice) => (
-          <div key={notice.id} className="bg-white rounded-xl border border-gray-200 p-4">
-            <div className="flex justify-between items-start mb-3">
-              <div>
-                <h3 className="font-medium text-blue-600 text-lg">{notice.village_name || 'Unknown Village'}</h3>
-                <div className="flex flex-wrap gap-2 mt-2">
-                  {notice.survey_number && (
-                    <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded font-mono">
-                      Survey: {notice.survey_number}
-                    </span>
-                  )}
-                  {notice.notice_date && (
-                    <span className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded font-medium">
-                      📅 {formatDate(notice.notice_date)}
-                    </span>
-                  )}
-                </div>
-              </div>
-              <div className="flex space-x-2">
-                <button
-                  onClick={() => setSelectedNotice(notice)}
-                  className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
-                >
-                  <Eye className="h-4 w-4" />
-                </button>
-                <button
-                  onClick={() => deleteNotice(notice.id)}
-                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                >
-                  <Trash2 className="h-4 w-4" />
-                </button>
-              </div>
-            </div>
-            
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
-              <div>
-                <span className="text-gray-500 font-medium">Buyer:</span>
-                <div className="font-medium truncate text-gray-900" title={notice.buyer_name}>
-                  {notice.buyer_name || '-'}
+                    )}
+                  </div>
                 </div>
-              </div>
-              <div>
-                <span className="text-gray-500 font-medium">Seller:</span>
-                <div className="font-medium truncate text-gray-900" title={notice.seller_name}>
-                  {notice.seller_name || '-'}
+                
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+                  <div>
+                    <span className="text-gray-500 font-medium">Buyer:</span>
+                    <div className="font-medium truncate text-gray-900" title={notice.buyer_name}>
+                      {notice.buyer_name || '-'}
+                    </div>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 font-medium">Seller:</span>
+                    <div className="font-medium truncate text-gray-900" title={notice.seller_name}>
+                      {notice.seller_name || '-'}
+                    </div>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 font-medium">Scanned:</span>
+                    <div className="text-gray-600 text-sm">{formatDate(notice.uploaded_at)}</div>
+                  </div>
                 </div>
               </div>
-              <div>
-                <span className="text-gray-500 font-medium">Scanned:</span>
-                <div className="text-gray-600 text-sm">{formatDate(notice.uploaded_at)}</div>
-              </div>
-            </div>
+            ))}
           </div>
-        ))}
-      </div>
 
-      {/* Pagination */}
-      {totalPages > 1 && (
-        <div className="flex justify-center items-center space-x-2">
-          <button
-            onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
-            disabled={currentPage === 1}
-            className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            <ChevronLeft className="h-4 w-4" />
-          </button>
-          
-          <div className="flex space-x-1">
-            {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
-              const page = i + 1;
-              return (
-                <button
-                  key={page}
-                  onClick={() => setCurrentPage(page)}
-                  className={`px-3 py-2 rounded-lg transition-colors ${
-                    currentPage === page
-                      ? 'bg-blue-600 text-white'
-                      : 'border border-gray-300 hover:bg-gray-50'
-                  }`}
-                >
-                  {page}
-                </button>
-              );
-            })}
-          </div>
+          {/* Pagination */}
+          {(pageCursors.length > 1 || nextCursor) && (
+            <div className="flex justify-center items-center space-x-2">
+              <button
+                onClick={() => setPageCursors(prev => prev.slice(0, -1))}
+                disabled={pageCursors.length === 1 || loading}
+                className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              
+              <span className="px-3 py-2 text-sm text-gray-600">
+                Page {pageCursors.length}
+              </span>
 
-          <button
-            onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
-            disabled={currentPage === totalPages}
-            className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            <ChevronRight className="h-4 w-4" />
-          </button>
-        </div>
+              <button
+                onClick={() => setPageCursors(prev => [...prev, nextCursor])}
+                disabled={!nextCursor || loading}
+                className="p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        </>
       )}
 
       {/* Detail Modal */}
       {selectedNotice && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-          <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
-            <div className="p-6">
-              <div className="flex justify-between items-start mb-6">
-                <h2 className="text-xl font-semibold text-gray-900">Property Notice Details</h2>
-                <button
-                  onClick={() => setSelectedNotice(null)}
-                  className="text-gray-400 hover:text-gray-600 transition-colors"
-                >
-                  ×
-                </button>
-              </div>
-              
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                {[
-                  { key: 'village_name', label: 'Village Name (ગામનું નામ)' },
-                  { key: 'survey_number', label: 'Survey Number (સર્વે નં.)' },
-                  { key: 'buyer_name', label: 'Buyer Name (ખરીદનાર)' },
-                  { key: 'seller_name', label: 'Seller Name (વેચનાર)' },
-                  { key: 'notice_date', label: 'Notice Date (તારીખ)' },
-                  { key: 'district', label: 'District' },
-                ].map((field) => (
-                  <div key={field.key}>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      {field.label}
-                    </label>
-                    <div className="p-3 bg-gray-50 rounded-lg border">
-                      {selectedNotice[field.key as keyof Notice] || 
-                       <span className="text-gray-400 italic">Not available</span>}
-                    </div>
-                  </div>
-                ))}
-              </div>
-              
-              <div className="mt-6 pt-6 border-t border-gray-200">
-                <div className="flex justify-between items-center">
-                  <div className="text-sm text-gray-600">
-                    Uploaded: {formatDate(selectedNotice.uploaded_at)}
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
+        <NoticeDetailModal
+          key={selectedNotice.id}
+          noticeId={selectedNotice.id}
+          startEditing={selectedNotice.editing}
+          canEdit={canEdit}
+          onClose={() => setSelectedNotice(null)}
+          onUpdated={onNoticesChange}
+        />
       )}
     </div>
   );
@@ -46,16 +46,10 @@ export default function EmbedMap({ notices }: EmbedMapProps) {
       
       if (!cleanVillageName) return;
       
-      // Use coordinates if available, otherwise use mock coordinates for Gujarat region
-      let lat = notice.latitude;
-      let lng = notice.longitude;
-      
-      // If no coordinates, assign mock coordinates based on village name
-      if (!lat || !lng) {
-        const mockCoords = getMockCoordinates(cleanVillageName);
-        lat = mockCoords.lat;
-        lng = mockCoords.lng;
-      }
+      // Only plot notices the backend has located (gazetteer or geocoding); a guessed point would mislead
+      const lat = notice.latitude;
+      const lng = notice.longitude;
+      if (!lat || !lng) return;
       
       const key = `${cleanVillageName}_${lat}_${lng}`;
       
@@ -70,7 +64,7 @@ export default function EmbedMap({ notices }: EmbedMapProps) {
           lng: typeof lng === 'string' ? parseFloat(lng) : lng,
           count: 1,
           notices: [notice],
-          district: notice.district || 'Rajkot',
+          district: notice.district,
           taluka: notice.taluka
         });
       }
@@ -79,24 +73,6 @@ export default function EmbedMap({ notices }: EmbedMapProps) {
     return Array.from(locationMap.values());
   }, [notices]);
   
-  // Mock coordinates for villages (will be replaced by real geocoding)
-  const getMockCoordinates = (villageName: string) => {
-    const mockCoords: { [key: string]: { lat: number; lng: number } } = {
-      'રીબડા': { lat: 22.3038, lng: 70.8022 },
-      'ઢાંઢણી': { lat: 22.2587, lng: 70.7597 },
-      'Ribada': { lat: 22.3038, lng: 70.8022 },
-      'Dhandhani': { lat: 22.2587, lng: 70.7597 },
-      'જાળીયા': { lat: 22.2647, lng: 70.7853 },
-      'માળીયા': { lat: 22.3247, lng: 70.8253 },
-    };
-    
-    // Use specific coordinates if available, otherwise random around Rajkot
-    return mockCoords[villageName] || {
-      lat: 22.3039 + (Math.random() - 0.5) * 0.2,
-      lng: 70.8022 + (Math.random() - 0.5) * 0.2
-    };
-  };
-
   // Get unique villages for quick links
   const villages = [...new Set(
     notices
@@ -173,7 +149,7 @@ export default function EmbedMap({ notices }: EmbedMapProps) {
                   <div>
                     <h4 className="font-semibold text-gray-900">{location.name}</h4>
                     <p className="text-sm text-gray-600">
-                      📍 {location.lat.toFixed(6)}, {location.lng.toFixed(6)} • {location.district}
+                      📍 {location.lat.toFixed(6)}, {location.lng.toFixed(6)}{location.district && ` • ${location.district}`}
                     </p>
                     <p className="text-xs text-blue-600">
                       {location.count} {location.count === 1 ? 'property' : 'properties'}
@@ -0,0 +1,181 @@
+'use client';
+
+import { useState } from 'react';
+import { APIProvider, Map, AdvancedMarker, Pin, type MapMouseEvent } from '@vis.gl/react-google-maps';
+import { Loader2, MapPin, Save } from 'lucide-react';
+import { apiFetch } from '@/lib/api';
+
+// Location pinned by a reviewer; geocoding and refinement leave it alone
+export interface LocationPin {
+  scope: 'notice' | 'village';
+  set_by?: string | null;
+  set_at: string;
+}
+
+interface PinnableNotice {
+  id: string;
+  village_name?: string | null;
+  latitude?: number | null;
+  longitude?: number | null;
+  coordinate_source?: string | null;
+  location_pin?: LocationPin | null;
+}
+
+interface LocationPinEditorProps {
+  notice: PinnableNotice;
+  canEdit?: boolean;
+  onSaved: () => void;
+}
+
+// Middle of Gujarat, for notices that were never located
+const GUJARAT_CENTER = { lat: 22.3, lng: 71.2 };
+
+const roundCoordinate = (value: number) => Math.round(value * 1e6) / 1e6;
+
+export default function LocationPinEditor({ notice, canEdit = true, onSaved }: LocationPinEditorProps) {
+  const located = notice.latitude != null && notice.longitude != null;
+  const [position, setPosition] = useState(located ? { lat: notice.latitude as number, lng: notice.longitude as number } : null);
+  const [scope, setScope] = useState<'notice' | 'village'>('notice');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const apiKey = process.env.NEXT_PUBLIC_GOOGLE_MAPS_API_KEY;
+
+  const movePin = (latLng: google.maps.LatLngLiteral | null) => {
+    if (canEdit && latLng) {
+      setPosition({ lat: roundCoordinate(latLng.lat), lng: roundCoordinate(latLng.lng) });
+    }
+  };
+
+  const setCoordinate = (key: 'lat' | 'lng', value: string) => {
+    const number = parseFloat(value);
+    if (!Number.isNaN(number)) {
+      setPosition({ ...(position || GUJARAT_CENTER), [key]: number });
+    }
+  };
+
+  const savePin = async () => {
+    if (!position) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await apiFetch(`/api/notices/${notice.id}/location`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ latitude: position.lat, longitude: position.lng, scope }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data?.details?.join(', ') || data?.message || data?.error || 'Failed to pin location');
+      }
+
+      onSaved();
+    } catch (error) {
+      console.error('Error pinning location:', error);
+      setError(error instanceof Error ? error.message : 'Failed to pin location');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-gray-700">
+        {notice.location_pin ? (
+          <p className="flex items-center space-x-1">
+            <MapPin className="h-4 w-4 text-blue-600" />
+            <span>
+              Pinned {notice.location_pin.scope === 'village' ? 'for the whole village' : 'for this notice'}
+              {notice.location_pin.set_by && ` by ${notice.location_pin.set_by}`}
+              {' on '}{new Date(notice.location_pin.set_at).toLocaleString('en-IN')}
+            </span>
+          </p>
+        ) : (
+          <p>
+            {located ? `Located by ${notice.coordinate_source || 'geocoding'}` : 'This notice has no location yet'}
+            {canEdit && ' – click the map or drag the pin to set the exact location.'}
+          </p>
+        )}
+      </div>
+
+      {apiKey ? (
+        <APIProvider apiKey={apiKey}>
+          <div className="h-80 rounded-lg overflow-hidden border">
+            <Map
+              defaultCenter={position || GUJARAT_CENTER}
+              defaultZoom={position ? 14 : 7}
+              mapId="DEMO_MAP_ID"
+              gestureHandling="greedy"
+              onClick={(event: MapMouseEvent) => movePin(event.detail.latLng)}
+            >
+              {position && (
+                <AdvancedMarker
+                  position={position}
+                  draggable={canEdit}
+                  onDragEnd={(event) => movePin(event.latLng?.toJSON() || null)}
+                >
+                  <Pin background="#2563eb" borderColor="#1e40af" glyphColor="#ffffff" />
+                </AdvancedMarker>
+              )}
+            </Map>
+          </div>
+        </APIProvider>
+      ) : (
+        <p className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          Google Maps API key missing – enter the coordinates instead.
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 gap-4">
+        {(['lat', 'lng'] as const).map(key => (
+          <div key={key}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {key === 'lat' ? 'Latitude' : 'Longitude'}
+            </label>
+            <input
+              // Remounted when the pin moves, so typing is not overwritten mid-number
+              key={position?.[key] ?? 'none'}
+              type="number"
+              step="0.000001"
+              defaultValue={position?.[key] ?? ''}
+              disabled={!canEdit}
+              onBlur={(e) => setCoordinate(key, e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50"
+            />
+          </div>
+        ))}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+      )}
+
+      {canEdit && (
+        <div className="flex items-center justify-between pt-4 border-t border-gray-200">
+          <select
+            value={scope}
+            onChange={(e) => setScope(e.target.value as 'notice' | 'village')}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="notice">This notice only</option>
+            <option value="village" disabled={!notice.village_name}>
+              All notices of {notice.village_name || 'the village'}
+            </option>
+          </select>
+          <button
+            onClick={savePin}
+            disabled={saving || !position}
+            className="flex items-center space-x-1 px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+            <span>{saving ? 'Saving...' : 'Pin Location'}</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,433 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { AlertTriangle, Edit, ExternalLink, History, Loader2, Newspaper, Save, X } from 'lucide-react';
+import { apiFetch } from '@/lib/api';
+import SignedImage, { SignedImageLink } from './SignedImage';
+import LocationPinEditor, { type LocationPin } from './LocationPinEditor';
+
+interface NoticeDetails {
+  id: string;
+  village_name?: string | null;
+  survey_number?: string | null;
+  buyer_name?: string | null;
+  seller_name?: string | null;
+  notice_date?: string | null;
+  advocate_name?: string | null;
+  advocate_address?: string | null;
+  advocate_mobile?: string | null;
+  district?: string | null;
+  taluka?: string | null;
+  // How village, taluka and district fit the Gujarat district / taluka reference
+  hierarchy_status?: 'valid' | 'unverified' | 'invalid';
+  hierarchy_issues?: HierarchyIssue[];
+  latitude?: number | null;
+  longitude?: number | null;
+  coordinate_source?: string | null;
+  location_pin?: LocationPin | null;
+  extracted_data?: { notice_date?: string | null };
+  // Archived scan of the notice; PDF pages have no thumbnail
+  image_key?: string | null;
+  thumbnail_key?: string | null;
+  uploaded_at: string;
+  updated_at?: string;
+}
+
+interface HierarchyIssue {
+  field: string;
+  code: string;
+  severity: 'error' | 'warning';
+  message: string;
+}
+
+interface HistoryEntry {
+  id: string;
+  field: string;
+  old_value: string | number | null;
+  new_value: string | number | null;
+  source: string;
+  changed_by: string | null;
+  changed_at: string;
+}
+
+// One sighting of the notice in print: its own upload, or an upload merged into it as a duplicate
+interface Publication {
+  id: string;
+  source: 'upload' | 'merge';
+  newspaper: string | null;
+  edition: string | null;
+  publication_date: string | null;
+  page: number | null;
+  clipping_ref: string | null;
+  filename: string | null;
+  page_number: number | null;
+  image_key?: string | null;
+  added_at: string;
+}
+
+type EditableField = 'village_name' | 'survey_number' | 'buyer_name' | 'seller_name' | 'notice_date' |
+  'advocate_name' | 'advocate_address' | 'advocate_mobile' | 'district' | 'taluka';
+
+const detailFields: { key: EditableField; label: string; placeholder?: string }[] = [
+  { key: 'village_name', label: 'Village Name (ગામનું નામ)' },
+  { key: 'survey_number', label: 'Survey Number (સર્વે નં.)' },
+  { key: 'buyer_name', label: 'Buyer Name (ખરીદનાર)' },
+  { key: 'seller_name', label: 'Seller Name (વેચનાર)' },
+  { key: 'notice_date', label: 'Notice Date (તારીખ)', placeholder: 'DD/MM/YYYY' },
+  { key: 'advocate_name', label: 'Advocate Name (એડવોકેટ)' },
+  { key: 'advocate_address', label: 'Advocate Address (સરનામું)' },
+  { key: 'advocate_mobile', label: 'Mobile Number (મો.)', placeholder: '10 digits' },
+  { key: 'district', label: 'District (જિલ્લો)' },
+  { key: 'taluka', label: 'Taluka (તાલુકો)' }
+];
+
+const sourceStyles: Record<string, string> = {
+  manual: 'bg-blue-100 text-blue-800',
+  refinement: 'bg-purple-100 text-purple-800',
+  geocoder: 'bg-green-100 text-green-800'
+};
+
+// The API returns the top-level notice_date as YYYY-MM-DD; edits use the DD/MM/YYYY notice format
+function toEditableValues(notice: NoticeDetails): Record<EditableField, string> {
+  const isoDate = notice.notice_date?.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const noticeDate = notice.extracted_data?.notice_date ||
+    (isoDate ? `${isoDate[3]}/${isoDate[2]}/${isoDate[1]}` : notice.notice_date || '');
+
+  return Object.fromEntries(detailFields.map(field => [
+    field.key,
+    field.key === 'notice_date' ? noticeDate : notice[field.key] || ''
+  ])) as Record<EditableField, string>;
+}
+
+interface NoticeDetailModalProps {
+  noticeId: string;
+  startEditing?: boolean;
+  canEdit?: boolean;
+  onClose: () => void;
+  onUpdated: () => void;
+}
+
+export default function NoticeDetailModal({ noticeId, startEditing = false, canEdit = true, onClose, onUpdated }: NoticeDetailModalProps) {
+  const [notice, setNotice] = useState<NoticeDetails | null>(null);
+  const [history, setHistory] = useState<HistoryEntry[]>([]);
+  const [publications, setPublications] = useState<Publication[]>([]);
+  const [tab, setTab] = useState<'details' | 'location' | 'publications' | 'history'>('details');
+  const [editing, setEditing] = useState(startEditing);
+  const [values, setValues] = useState<Record<EditableField, string> | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+
+  const loadNotice = useCallback(async () => {
+    try {
+      const [noticeResponse, historyResponse, publicationsResponse] = await Promise.all([
+        apiFetch(`/api/notices/${noticeId}`),
+        apiFetch(`/api/notices/${noticeId}/history`),
+        apiFetch(`/api/notices/${noticeId}/publications`)
+      ]);
+      const noticeData = await noticeResponse.json();
+      const historyData = await historyResponse.json();
+      const publicationsData = await publicationsResponse.json();
+
+      if (!noticeResponse.ok) {
+        throw new Error(noticeData?.error || 'Failed to load notice');
+      }
+
+      setNotice(noticeData.data);
+      setValues(toEditableValues(noticeData.data));
+      setHistory(historyResponse.ok ? historyData.data : []);
+      setPublications(publicationsResponse.ok ? publicationsData.data : []);
+    } catch (error) {
+      console.error('Error loading notice:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load notice');
+    }
+  }, [noticeId]);
+
+  useEffect(() => {
+    loadNotice();
+  }, [loadNotice]);
+
+  const saveChanges = async () => {
+    if (!notice || !values) return;
+
+    const original = toEditableValues(notice);
+    const changes = Object.fromEntries(
+      detailFields
+        .filter(field => values[field.key].trim() !== original[field.key])
+        .map(field => [field.key, values[field.key].trim() || null])
+    );
+
+    if (Object.keys(changes).length === 0) {
+      setEditing(false);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await apiFetch(`/api/notices/${noticeId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data?.details?.join(', ') || data?.error || 'Failed to save changes');
+      }
+
+      setEditing(false);
+      await loadNotice();
+      onUpdated();
+    } catch (error) {
+      console.error('Error saving notice:', error);
+      setError(error instanceof Error ? error.message : 'Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const cancelEditing = () => {
+    if (notice) {
+      setValues(toEditableValues(notice));
+    }
+    setEditing(false);
+    setError(null);
+  };
+
+  const fieldLabel = (key: string) => detailFields.find(field => field.key === key)?.label || key;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex justify-between items-start mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Property Notice Details</h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              ×
+            </button>
+          </div>
+
+          <div className="flex space-x-4 border-b border-gray-200 mb-6">
+            {(['details', 'location', 'publications', 'history'] as const).map(name => (
+              <button
+                key={name}
+                onClick={() => setTab(name)}
+                className={`pb-2 text-sm font-medium border-b-2 transition-colors ${
+                  tab === name ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {name === 'details' ? 'Details' :
+                  name === 'location' ? 'Location' :
+                  name === 'publications' ? `Publications (${publications.length})` :
+                  `History (${history.length})`}
+              </button>
+            ))}
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+          )}
+
+          {!notice || !values ? (
+            !error && <Loader2 className="h-6 w-6 text-blue-600 animate-spin mx-auto" />
+          ) : tab === 'details' ? (
+            <>
+              {notice.image_key && (
+                <div className="mb-6">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-sm font-medium text-gray-700">Original Scan</span>
+                    <SignedImageLink
+                      path={`/api/notices/${noticeId}/image`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="flex items-center space-x-1 text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      <ExternalLink className="h-3 w-3" />
+                      <span>Open full size</span>
+                    </SignedImageLink>
+                  </div>
+                  {notice.thumbnail_key ? (
+                    <SignedImage
+                      path={`/api/notices/${noticeId}/image`}
+                      alt="Original property notice scan"
+                      className="max-w-full max-h-96 rounded-lg border"
+                    />
+                  ) : (
+                    <p className="text-sm text-gray-500">The original is a PDF page; open it to view.</p>
+                  )}
+                </div>
+              )}
+
+              {notice.hierarchy_issues && notice.hierarchy_issues.length > 0 && (
+                <div className={`mb-6 p-3 rounded-lg border text-sm ${
+                  notice.hierarchy_status === 'invalid' ? 'bg-red-50 border-red-200 text-red-800' : 'bg-amber-50 border-amber-200 text-amber-800'
+                }`}>
+                  <p className="flex items-center space-x-1 font-medium mb-1">
+                    <AlertTriangle className="h-4 w-4" />
+                    <span>{notice.hierarchy_status === 'invalid' ? 'Village, taluka and district do not fit together' : 'Location could not be fully verified'}</span>
+                  </p>
+                  <ul className="list-disc list-inside">
+                    {notice.hierarchy_issues.map(issue => <li key={issue.code}>{issue.message}</li>)}
+                  </ul>
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {detailFields.map((field) => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {field.label}
+                    </label>
+                    {editing ? (
+                      <input
+                        type="text"
+                        value={values[field.key]}
+                        placeholder={field.placeholder}
+                        onChange={(e) => setValues({ ...values, [field.key]: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    ) : (
+                      <div className="p-3 bg-gray-50 rounded-lg border">
+                        {values[field.key] ||
+                         <span className="text-gray-400 italic">Not available</span>}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div className="mt-6 pt-6 border-t border-gray-200">
+                <div className="flex justify-between items-center">
+                  <div className="text-sm text-gray-600">
+                    Uploaded: {new Date(notice.uploaded_at).toLocaleDateString('en-IN')}
+                  </div>
+                  {editing ? (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={cancelEditing}
+                        disabled={saving}
+                        className="flex items-center space-x-1 px-4 py-2 bg-gray-200 text-gray-800 text-sm rounded-lg hover:bg-gray-300 disabled:opacity-50 transition-colors"
+                      >
+                        <X className="h-4 w-4" />
+                        <span>Cancel</span>
+                      </button>
+                      <button
+                        onClick={saveChanges}
+                        disabled={saving}
+                        className="flex items-center space-x-1 px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                      >
+                        {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                        <span>{saving ? 'Saving...' : 'Save Changes'}</span>
+                      </button>
+                    </div>
+                  ) : canEdit && (
+                    <button
+                      onClick={() => setEditing(true)}
+                      className="flex items-center space-x-1 px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors"
+                    >
+                      <Edit className="h-4 w-4" />
+                      <span>Edit</span>
+                    </button>
+                  )}
+                </div>
+              </div>
+            </>
+          ) : tab === 'location' ? (
+            <LocationPinEditor
+              // Remounted after a save, so the pin starts from the stored location
+              key={`${notice.latitude},${notice.longitude},${notice.location_pin?.set_at}`}
+              notice={notice}
+              canEdit={canEdit}
+              onSaved={async () => {
+                await loadNotice();
+                onUpdated();
+              }}
+            />
+          ) : tab === 'publications' ? (
+            publications.length === 0 ? (
+              <div className="text-center text-sm text-gray-500 py-8">
+                <Newspaper className="h-8 w-8 mx-auto mb-2 text-gray-300" />
+                No publication details were recorded for this notice
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {publications.map(publication => (
+                  <li key={publication.id} className="py-3 text-sm">
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="font-medium text-gray-900">
+                        {publication.newspaper || <span className="text-gray-400 italic">Newspaper not recorded</span>}
+                        {publication.edition && <span className="text-gray-600">, {publication.edition}</span>}
+                      </span>
+                      <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+                        publication.source === 'merge' ? 'bg-amber-100 text-amber-800' : 'bg-blue-100 text-blue-800'
+                      }`}>
+                        {publication.source === 'merge' ? 'republished' : 'original upload'}
+                      </span>
+                    </div>
+                    <div className="text-gray-700">
+                      {publication.publication_date
+                        ? new Date(publication.publication_date).toLocaleDateString('en-IN')
+                        : 'Date not recorded'}
+                      {publication.page && ` · Page ${publication.page}`}
+                    </div>
+                    <div className="text-xs text-gray-500 mt-1">
+                      Clipping: {publication.clipping_ref || '—'}
+                      {publication.page_number && ` (PDF page ${publication.page_number})`}
+                      {' · added '}{new Date(publication.added_at).toLocaleString('en-IN')}
+                      {(publication.source === 'upload' ? notice.image_key : publication.image_key) && (
+                        <>
+                          {' · '}
+                          <SignedImageLink
+                            path={`/api/notices/${noticeId}/image?publication=${publication.id}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            View scan
+                          </SignedImageLink>
+                        </>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )
+          ) : history.length === 0 ? (
+            <div className="text-center text-sm text-gray-500 py-8">
+              <History className="h-8 w-8 mx-auto mb-2 text-gray-300" />
+              No changes since this notice was saved
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {history.map(entry => (
+                <li key={entry.id} className="py-3 text-sm">
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="font-medium text-gray-900">{fieldLabel(entry.field)}</span>
+                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${sourceStyles[entry.source] || 'bg-gray-100 text-gray-800'}`}>
+                      {entry.source}
+                    </span>
+                  </div>
+                  <div className="text-gray-700">
+                    <span className="line-through text-gray-400">{entry.old_value ?? '—'}</span>
+                    {' → '}
+                    <span>{entry.new_value ?? '—'}</span>
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {new Date(entry.changed_at).toLocaleString('en-IN')}
+                    {entry.changed_by && ` by ${entry.changed_by}`}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
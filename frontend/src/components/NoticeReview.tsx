@@ -0,0 +1,337 @@
+'use client';
+
+import { useState } from 'react';
+import Image from 'next/image';
+import { AlertCircle, CheckCircle, Copy, GitMerge, Loader2, RotateCcw, Save, X } from 'lucide-react';
+import { DuplicateNotice, FieldDisagreement, FieldProvenance, fieldConfidenceClass, getCorrectedFields } from './BatchReview';
+import PublicationFields, { PublicationDetails } from './PublicationFields';
+import VillageCandidates, { VillageCandidate, VillageMatch, candidateName } from './VillageCandidates';
+
+export interface ExtractedData {
+  village_name?: string;
+  survey_number?: string;
+  buyer_name?: string;
+  seller_name?: string;
+  notice_date?: string;
+  advocate_name?: string;
+  advocate_address?: string;
+  advocate_mobile?: string;
+  district?: string;
+  taluka?: string;
+}
+
+export interface ProcessingResult {
+  extractedData: ExtractedData;
+  rawText: string;
+  confidenceScore: number;
+  fieldProvenance?: Record<string, FieldProvenance>;
+  disagreements?: FieldDisagreement[];
+  villageMatch?: VillageMatch | null;
+  villageCandidates?: VillageCandidate[];
+  processingTime: number;
+  aiService: string;
+  filename: string;
+  publication?: PublicationDetails | null;
+  // Server-side draft holding the OCR and AI output; save-notice saves the notice from it
+  draftId: string;
+  imageUrl?: string | null;
+  imageHash?: string | null;
+  duplicates?: DuplicateNotice[];
+  needsConfirmation: boolean;
+}
+
+// Fields below this confidence are highlighted for a closer look
+const LOW_CONFIDENCE = 0.6;
+
+const reviewFields: { key: keyof ExtractedData; label: string; multiline?: boolean }[] = [
+  { key: 'village_name', label: 'Village Name (ગામનું નામ)' },
+  { key: 'survey_number', label: 'Survey Number (સર્વે નં.)' },
+  { key: 'notice_date', label: 'Notice Date (તારીખ)' },
+  { key: 'buyer_name', label: 'Buyer Name (ખરીદનાર)' },
+  { key: 'seller_name', label: 'Seller Name (વેચનાર)' },
+  { key: 'advocate_name', label: 'Advocate Name (એડવોકેટ)' },
+  { key: 'advocate_address', label: 'Advocate Address (સરનામું)', multiline: true },
+  { key: 'advocate_mobile', label: 'Mobile Number (મો.)' },
+  { key: 'district', label: 'District (જિલ્લો)' },
+  { key: 'taluka', label: 'Taluka (તાલુકો)' }
+];
+
+interface NoticeReviewProps {
+  result: ProcessingResult;
+  // Uploaded image, shown next to the form; not available for PDFs
+  imageUrl?: string | null;
+  saving: boolean;
+  onSave: (extractedData: ExtractedData, publication: PublicationDetails) => void;
+  // Record the upload as another publication of an existing notice instead of saving a new one
+  onMerge?: (noticeId: string, publication: PublicationDetails) => void;
+  onDiscard: () => void;
+}
+
+export default function NoticeReview({ result, imageUrl, saving, onSave, onMerge, onDiscard }: NoticeReviewProps) {
+  const [values, setValues] = useState<ExtractedData>(() => ({ ...result.extractedData }));
+  const [publication, setPublication] = useState<PublicationDetails>(() => ({ ...result.publication }));
+  const [focusedField, setFocusedField] = useState<keyof ExtractedData | null>(null);
+  const [imageSize, setImageSize] = useState<{ width: number; height: number } | null>(null);
+
+  const corrections = getCorrectedFields({ ...result.extractedData }, { ...values });
+  const focusedBox = focusedField ? result.fieldProvenance?.[focusedField]?.bounding_box : null;
+
+  const updateField = (key: keyof ExtractedData, value: string) => {
+    setValues(prev => ({ ...prev, [key]: value }));
+  };
+
+  const resetField = (key: keyof ExtractedData) => {
+    setValues(prev => ({ ...prev, [key]: result.extractedData[key] }));
+  };
+
+  const selectVillage = (candidate: VillageCandidate) => {
+    setValues(prev => ({
+      ...prev,
+      village_name: candidateName(candidate),
+      district: candidate.district,
+      taluka: candidate.taluka || prev.taluka
+    }));
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Review Extracted Information</h3>
+          <p className="text-sm text-gray-600">
+            Check each field against the notice and correct anything that was misread before saving.
+          </p>
+        </div>
+        <span className={`px-2 py-1 rounded-full text-sm font-medium bg-gray-100 ${fieldConfidenceClass(result.confidenceScore)}`}>
+          Overall {Math.round(result.confidenceScore * 100)}%
+        </span>
+      </div>
+
+      {/* Likely Duplicates */}
+      {result.duplicates && result.duplicates.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 space-y-3">
+          <div className="flex items-center space-x-2 text-amber-800">
+            <Copy className="h-5 w-5" />
+            <h4 className="font-medium">This notice may already be saved</h4>
+          </div>
+          <p className="text-sm text-amber-700">
+            If it is the same notice published again, merge it into the existing record instead of saving a copy.
+          </p>
+          <ul className="space-y-2">
+            {result.duplicates.map((duplicate) => (
+              <li key={duplicate.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-white border border-amber-100 rounded-lg p-3">
+                <div className="text-sm">
+                  <p className="font-medium text-gray-900">
+                    {duplicate.village_name || 'Unknown village'}
+                    {duplicate.survey_number && <span className="text-gray-600"> · Survey {duplicate.survey_number}</span>}
+                    {duplicate.notice_date && (
+                      <span className="text-gray-600"> · {new Date(duplicate.notice_date).toLocaleDateString('en-IN')}</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-600">
+                    {Math.round(duplicate.score * 100)}% match: {duplicate.reasons.join(', ')}
+                    {duplicate.publication_count > 1 && ` · published ${duplicate.publication_count} times`}
+                  </p>
+                </div>
+                {onMerge && (
+                  <button
+                    onClick={() => onMerge(duplicate.id, publication)}
+                    disabled={saving}
+                    className="flex items-center justify-center space-x-1 px-3 py-2 bg-amber-600 text-white text-sm rounded-lg hover:bg-amber-700 disabled:opacity-50 transition-colors"
+                  >
+                    <GitMerge className="h-4 w-4" />
+                    <span>Merge into this notice</span>
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Notice Image */}
+        <div className="lg:sticky lg:top-4 self-start">
+          {imageUrl ? (
+            <div className="relative inline-block max-w-full">
+              <Image
+                src={imageUrl}
+                alt="Uploaded property notice"
+                width={0}
+                height={0}
+                unoptimized
+                className="w-auto h-auto max-w-full max-h-[700px] rounded-lg border"
+                onLoad={(e) => setImageSize({
+                  width: e.currentTarget.naturalWidth,
+                  height: e.currentTarget.naturalHeight
+                })}
+              />
+              {focusedBox && imageSize && (
+                <div
+                  className="absolute border-2 border-blue-500 bg-blue-500/20 pointer-events-none"
+                  style={{
+                    left: `${(focusedBox.x / imageSize.width) * 100}%`,
+                    top: `${(focusedBox.y / imageSize.height) * 100}%`,
+                    width: `${(focusedBox.width / imageSize.width) * 100}%`,
+                    height: `${(focusedBox.height / imageSize.height) * 100}%`
+                  }}
+                />
+              )}
+            </div>
+          ) : (
+            <div className="bg-gray-50 rounded-lg p-4 max-h-[700px] overflow-y-auto">
+              <p className="text-xs font-medium text-gray-500 mb-2">Raw Extracted Text</p>
+              <pre className="text-sm text-gray-800 whitespace-pre-wrap font-mono">{result.rawText}</pre>
+            </div>
+          )}
+        </div>
+
+        {/* Editable Fields */}
+        <div className="space-y-4">
+          {reviewFields.map((field) => {
+            const provenance = result.fieldProvenance?.[field.key];
+            const confidence = provenance?.confidence;
+            const lowConfidence = confidence !== null && confidence !== undefined && confidence < LOW_CONFIDENCE;
+            const disagreement = result.disagreements?.find(d => d.field === field.key);
+            const corrected = corrections.some(correction => correction.field === field.key);
+            const inputClass = `w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+              corrected ? 'border-blue-400 bg-blue-50' :
+              lowConfidence || disagreement ? 'border-amber-400 bg-amber-50' : 'border-gray-300'
+            }`;
+
+            return (
+              <div key={field.key} className="space-y-1">
+                <div className="flex items-center justify-between">
+                  <label className="text-sm font-medium text-gray-700">{field.label}</label>
+                  <div className="flex items-center space-x-2 text-xs">
+                    {corrected && (
+                      <button
+                        onClick={() => resetField(field.key)}
+                        className="flex items-center space-x-1 text-blue-700 hover:text-blue-900"
+                      >
+                        <RotateCcw className="h-3 w-3" />
+                        <span>Corrected – undo</span>
+                      </button>
+                    )}
+                    {confidence !== null && confidence !== undefined && (
+                      <span className={`font-medium ${fieldConfidenceClass(confidence)}`}>
+                        {Math.round(confidence * 100)}%
+                      </span>
+                    )}
+                  </div>
+                </div>
+                {field.multiline ? (
+                  <textarea
+                    rows={2}
+                    value={values[field.key] || ''}
+                    onChange={(e) => updateField(field.key, e.target.value)}
+                    onFocus={() => setFocusedField(field.key)}
+                    className={inputClass}
+                  />
+                ) : (
+                  <input
+                    type="text"
+                    value={values[field.key] || ''}
+                    onChange={(e) => updateField(field.key, e.target.value)}
+                    onFocus={() => setFocusedField(field.key)}
+                    className={inputClass}
+                  />
+                )}
+                {lowConfidence && !corrected && (
+                  <p className="flex items-center space-x-1 text-xs text-amber-700">
+                    <AlertCircle className="h-3 w-3" />
+                    <span>Low confidence – please check this value</span>
+                  </p>
+                )}
+                {disagreement && (
+                  <p className="flex items-center space-x-1 text-xs text-amber-700">
+                    <AlertCircle className="h-3 w-3" />
+                    <span>Rule-based extraction read &quot;{disagreement.rule_value}&quot;</span>
+                    {values[field.key] !== disagreement.rule_value && (
+                      <button
+                        onClick={() => updateField(field.key, disagreement.rule_value)}
+                        className="underline hover:text-amber-900"
+                      >
+                        Use
+                      </button>
+                    )}
+                  </p>
+                )}
+                {field.key === 'village_name' && result.villageMatch?.match_type === 'fuzzy' && (
+                  <p className="text-xs text-gray-600">
+                    Read as &quot;{result.villageMatch.read_name}&quot;, matched to a known village ({Math.round(result.villageMatch.score * 100)}%)
+                  </p>
+                )}
+                {field.key === 'village_name' && (
+                  <VillageCandidates
+                    candidates={result.villageCandidates || []}
+                    value={values.village_name}
+                    district={values.district}
+                    disabled={saving}
+                    onSelect={selectVillage}
+                  />
+                )}
+                {focusedField === field.key && provenance?.source_span && (
+                  <p className="text-xs text-gray-500">
+                    Read from: &quot;{provenance.source_span.text}&quot;
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Publication Details */}
+      <div className="space-y-2">
+        <h4 className="font-medium text-gray-900">Published In</h4>
+        <PublicationFields value={publication} onChange={setPublication} disabled={saving} />
+      </div>
+
+      {/* Processing Info */}
+      <div className="pt-6 border-t border-gray-200 grid grid-cols-2 md:grid-cols-4 gap-4 text-sm text-gray-600">
+        <div>
+          <span className="font-medium">Processing Time:</span> {result.processingTime}ms
+        </div>
+        <div>
+          <span className="font-medium">AI Service:</span> {result.aiService}
+        </div>
+        <div>
+          <span className="font-medium">File:</span> {result.filename}
+        </div>
+        <div>
+          <span className="font-medium">Text Length:</span> {result.rawText.length} chars
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3 justify-end">
+        <button
+          onClick={onDiscard}
+          disabled={saving}
+          className="flex items-center justify-center space-x-2 px-6 py-3 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 disabled:opacity-50 transition-colors"
+        >
+          <X className="h-4 w-4" />
+          <span>Discard</span>
+        </button>
+        <button
+          onClick={() => onSave(values, publication)}
+          disabled={saving}
+          className="flex items-center justify-center space-x-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {saving ? (
+            <Loader2 className="h-4 w-4 animate-spin" />
+          ) : corrections.length > 0 ? (
+            <Save className="h-4 w-4" />
+          ) : (
+            <CheckCircle className="h-4 w-4" />
+          )}
+          <span>
+            {saving ? 'Saving...' :
+              corrections.length > 0 ? `Save with ${corrections.length} correction${corrections.length === 1 ? '' : 's'}` :
+              'Confirm & Save'}
+          </span>
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+'use client';
+
+import { useState } from 'react';
+import Image from 'next/image';
+import { FileText } from 'lucide-react';
+import { useImageUrl } from '@/lib/useImageUrl';
+
+interface NoticeThumbnailProps {
+  noticeId: string;
+  // Only notices saved with an archived image have a thumbnail
+  hasThumbnail: boolean;
+  className?: string;
+}
+
+export default function NoticeThumbnail({ noticeId, hasThumbnail, className = 'h-12 w-12' }: NoticeThumbnailProps) {
+  const [failed, setFailed] = useState(false);
+  const url = useImageUrl(hasThumbnail ? `/api/notices/${noticeId}/thumbnail` : null);
+
+  if (!hasThumbnail || failed || !url) {
+    return (
+      <div className={`${className} flex items-center justify-center bg-gray-100 rounded border border-gray-200 flex-shrink-0`}>
+        <FileText className="h-5 w-5 text-gray-300" />
+      </div>
+    );
+  }
+
+  // Sized by className; the signed URL is loaded as it is
+  return (
+    <Image
+      src={url}
+      alt="Notice scan"
+      width={0}
+      height={0}
+      unoptimized
+      onError={() => setFailed(true)}
+      className={`${className} object-cover object-top rounded border border-gray-200 flex-shrink-0`}
+    />
+  );
+}
@@ -0,0 +1,99 @@
+'use client';
+
+// Where a notice was published, entered with the upload so it can be cited later
+export interface PublicationDetails {
+  newspaper?: string;
+  edition?: string;
+  publication_date?: string;
+  page?: number | string;
+  clipping_ref?: string;
+}
+
+// Newspapers property notices are usually published in, offered as suggestions
+const commonNewspapers = [
+  'Sandesh',
+  'Gujarat Samachar',
+  'Divya Bhaskar',
+  'Saurashtra Samachar',
+  'Phulchhab',
+  'Akila',
+  'Nav Gujarat Samay',
+  'Times of India'
+];
+
+/**
+ * Add the filled-in publication fields to an upload form
+ */
+export function appendPublication(formData: FormData, publication: PublicationDetails) {
+  Object.entries(publication).forEach(([field, value]) => {
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      formData.append(field, String(value).trim());
+    }
+  });
+}
+
+interface PublicationFieldsProps {
+  value: PublicationDetails;
+  onChange: (value: PublicationDetails) => void;
+  disabled?: boolean;
+}
+
+export default function PublicationFields({ value, onChange, disabled }: PublicationFieldsProps) {
+  const update = (field: keyof PublicationDetails, fieldValue: string) => {
+    onChange({ ...value, [field]: fieldValue });
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-50';
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+      <div>
+        <label className="block text-xs font-medium text-gray-600 mb-1">Newspaper</label>
+        <input
+          type="text"
+          list="publication-newspapers"
+          value={value.newspaper || ''}
+          onChange={(e) => update('newspaper', e.target.value)}
+          disabled={disabled}
+          placeholder="e.g. Sandesh"
+          className={inputClass}
+        />
+        <datalist id="publication-newspapers">
+          {commonNewspapers.map(newspaper => <option key={newspaper} value={newspaper} />)}
+        </datalist>
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-gray-600 mb-1">Edition / City</label>
+        <input
+          type="text"
+          value={value.edition || ''}
+          onChange={(e) => update('edition', e.target.value)}
+          disabled={disabled}
+          placeholder="e.g. Rajkot"
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-gray-600 mb-1">Publication Date</label>
+        <input
+          type="date"
+          value={value.publication_date || ''}
+          onChange={(e) => update('publication_date', e.target.value)}
+          disabled={disabled}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className="block text-xs font-medium text-gray-600 mb-1">Page</label>
+        <input
+          type="number"
+          min={1}
+          value={value.page ?? ''}
+          onChange={(e) => update('page', e.target.value)}
+          disabled={disabled}
+          className={inputClass}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+'use client';
+
+import { Eye, Edit } from 'lucide-react';
+
+export interface SearchSnippet {
+  field: string;
+  text: string;
+  highlights: [number, number][];
+}
+
+export interface SearchResult {
+  notice: {
+    id: string;
+    village_name?: string | null;
+    survey_number?: string | null;
+    buyer_name?: string | null;
+    seller_name?: string | null;
+    notice_date?: string | null;
+    district?: string | null;
+    uploaded_at?: string | null;
+  };
+  score: number;
+  matched_terms: number;
+  snippets: SearchSnippet[];
+}
+
+interface SearchResultsProps {
+  results: SearchResult[];
+  total: number;
+  onView: (id: string) => void;
+  // Left out for users who cannot edit notices
+  onEdit?: (id: string) => void;
+}
+
+const fieldLabels: Record<string, string> = {
+  village_name: 'Village',
+  survey_number: 'Survey No.',
+  buyer_name: 'Buyer',
+  seller_name: 'Seller',
+  advocate_name: 'Advocate',
+  advocate_address: 'Advocate address',
+  district: 'District',
+  taluka: 'Taluka',
+  publication_sources: 'Published in',
+  raw_text: 'Notice text'
+};
+
+function HighlightedText({ snippet }: { snippet: SearchSnippet }) {
+  const parts: React.ReactNode[] = [];
+  let position = 0;
+
+  snippet.highlights.forEach(([start, end], index) => {
+    if (start > position) parts.push(snippet.text.slice(position, start));
+    parts.push(
+      <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+        {snippet.text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(snippet.text.slice(position));
+
+  return <>{parts}</>;
+}
+
+export default function SearchResults({ results, total, onView, onEdit }: SearchResultsProps) {
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        {total > results.length
+          ? `Showing the ${results.length} best of ${total} matching notices`
+          : `${total} matching notice${total === 1 ? '' : 's'}, best matches first`}
+      </p>
+
+      {results.map(({ notice, snippets }) => (
+        <div key={notice.id} className="bg-white rounded-xl border border-gray-200 p-4">
+          <div className="flex justify-between items-start mb-2">
+            <div>
+              <h3 className="font-medium text-blue-600 text-lg">{notice.village_name || 'Unknown Village'}</h3>
+              <div className="flex flex-wrap gap-2 mt-1 text-xs">
+                {notice.survey_number && (
+                  <span className="px-2 py-1 bg-blue-100 text-blue-800 rounded font-mono">
+                    Survey: {notice.survey_number}
+                  </span>
+                )}
+                {notice.notice_date && (
+                  <span className="px-2 py-1 bg-green-100 text-green-800 rounded font-medium">
+                    📅 {new Date(notice.notice_date).toLocaleDateString('en-IN')}
+                  </span>
+                )}
+                {notice.district && (
+                  <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded">{notice.district}</span>
+                )}
+              </div>
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => onView(notice.id)}
+                className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                title="View Details"
+              >
+                <Eye className="h-4 w-4" />
+              </button>
+              {onEdit && (
+                <button
+                  onClick={() => onEdit(notice.id)}
+                  className="p-2 text-gray-600 hover:bg-gray-50 rounded-lg transition-colors"
+                  title="Edit"
+                >
+                  <Edit className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-1 text-sm">
+            {snippets.map(snippet => (
+              <div key={snippet.field} className="flex gap-2">
+                <span className="text-gray-500 font-medium whitespace-nowrap">
+                  {fieldLabels[snippet.field] || snippet.field}:
+                </span>
+                <span className="text-gray-800">
+                  <HighlightedText snippet={snippet} />
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+'use client';
+
+import type { AnchorHTMLAttributes } from 'react';
+import Image, { type ImageProps } from 'next/image';
+import { useImageUrl } from '@/lib/useImageUrl';
+
+// Image and link to a notice or job image path, loaded through a signed URL (see signImageUrl).
+// Signed URLs expire, so the image is not passed through the Next.js image optimizer, and it keeps
+// its natural size within the limits of its className
+
+interface SignedImageProps extends Omit<ImageProps, 'src' | 'width' | 'height'> {
+  path: string;
+}
+
+export default function SignedImage({ path, alt, className = '', ...props }: SignedImageProps) {
+  const url = useImageUrl(path);
+  if (!url) {
+    return null;
+  }
+
+  return <Image src={url} alt={alt} width={0} height={0} unoptimized className={`w-auto h-auto ${className}`} {...props} />;
+}
+
+interface SignedImageLinkProps extends Omit<AnchorHTMLAttributes<HTMLAnchorElement>, 'href'> {
+  path: string;
+}
+
+export function SignedImageLink({ path, children, ...props }: SignedImageLinkProps) {
+  const url = useImageUrl(path);
+
+  return (
+    <a href={url || undefined} aria-disabled={!url} {...props}>
+      {children}
+    </a>
+  );
+}
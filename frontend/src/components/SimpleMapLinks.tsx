@@ -1,7 +1,8 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import GoogleMapsComponent from './GoogleMapsComponent';
+import { apiFetch } from '@/lib/api';
 
 interface Notice {
   id: string;
@@ -27,12 +28,19 @@ interface VillageLocation {
 }
 
 interface SimpleMapLinksProps {
-  notices: Notice[];
+  // Districts to filter by, from the dashboard stats
+  districts: string[];
+  // Changes whenever notices are saved or edited, to reload the map
+  refreshKey: number;
 }
 
-const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ notices }) => {
+// Notices fetched per request while paging through the map's notices
+const MAP_PAGE_SIZE = 1000;
+
+const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ districts, refreshKey }) => {
   const [selectedDistrict, setSelectedDistrict] = useState<string>('all');
-  const [villageLocations, setVillageLocations] = useState<VillageLocation[]>([]);
+  const [notices, setNotices] = useState<Notice[]>([]);
+  const [loading, setLoading] = useState(false);
   const [dateRange, setDateRange] = useState<{
     startDate: string;
     endDate: string;
@@ -73,32 +81,59 @@ const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ notices }) => {
     }
   };
   
-  // Filter notices by date range
-  const getFilteredNotices = () => {
-    if (!dateRange.startDate || !dateRange.endDate) {
-      return notices; // Return all if no date filter
-    }
-    
-    const startDate = new Date(dateRange.startDate);
-    const endDate = new Date(dateRange.endDate);
-    endDate.setHours(23, 59, 59, 999); // Include the entire end date
-    
-    return notices.filter(notice => {
-      const noticeDate = parseNoticeDate(notice.notice_date);
-      if (!noticeDate) return false;
-      
-      return noticeDate >= startDate && noticeDate <= endDate;
-    });
-  };
-  
-  // Get filtered notices based on date range
-  const filteredNotices = getFilteredNotices();
+  const hasDateRange = !!(dateRange.startDate && dateRange.endDate);
+  const isFiltered = selectedDistrict !== 'all' || hasDateRange;
+
+  // The district and notice date filters run on the backend; every page of matching notices is fetched
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadNotices = async () => {
+      setLoading(true);
+      try {
+        const loaded: Notice[] = [];
+        let cursor: string | null = null;
+        do {
+          const params = new URLSearchParams({ limit: String(MAP_PAGE_SIZE) });
+          if (selectedDistrict !== 'all') params.set('district', selectedDistrict);
+          if (hasDateRange) {
+            params.set('notice_date_from', dateRange.startDate);
+            params.set('notice_date_to', dateRange.endDate);
+          }
+          if (cursor) params.set('cursor', cursor);
+
+          const response = await apiFetch(`/api/notices?${params.toString()}`);
+          const data = await response.json();
+          if (!data.success) {
+            throw new Error(data.message || 'Failed to load notices');
+          }
+          loaded.push(...data.notices);
+          cursor = data.pagination.nextCursor;
+        } while (cursor && !cancelled);
+
+        if (!cancelled) {
+          setNotices(loaded);
+        }
+      } catch (error) {
+        console.error('Error loading map notices:', error);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadNotices();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedDistrict, hasDateRange, dateRange.startDate, dateRange.endDate, refreshKey]);
   
   // Process notices to group by village location
-  useEffect(() => {
+  const villageLocations = useMemo(() => {
     const locationMap = new Map<string, VillageLocation>();
     
-    filteredNotices.forEach(notice => {
+    notices.forEach(notice => {
       if (!notice.village_name) return;
       
       // Clean village name
@@ -141,16 +176,10 @@ const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ notices }) => {
       }
     });
     
-    setVillageLocations(Array.from(locationMap.values()));
-  }, [filteredNotices]);
-  
-  // Filter locations by district
-  const filteredLocations = selectedDistrict === 'all' 
-    ? villageLocations 
-    : villageLocations.filter(loc => loc.district === selectedDistrict);
+    return Array.from(locationMap.values());
+  }, [notices]);
   
-  // Get unique districts
-  const districts = [...new Set(villageLocations.map(loc => loc.district))].filter(Boolean);
+  const locationDistricts = [...new Set(villageLocations.map(loc => loc.district))].filter(Boolean);
   
   return (
     <div className="space-y-6">
@@ -163,7 +192,7 @@ const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ notices }) => {
       {/* Statistics */}
       <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
         <div className="bg-white rounded-xl border border-gray-200 p-4 text-center">
-          <div className="text-2xl font-bold text-blue-600">{filteredNotices.length}</div>
+          <div className="text-2xl font-bold text-blue-600">{notices.length}</div>
           <div className="text-sm text-gray-600">Total Properties</div>
         </div>
         <div className="bg-white rounded-xl border border-gray-200 p-4 text-center">
@@ -171,7 +200,7 @@ const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ notices }) => {
           <div className="text-sm text-gray-600">Village Locations</div>
         </div>
         <div className="bg-white rounded-xl border border-gray-200 p-4 text-center">
-          <div className="text-2xl font-bold text-purple-600">{districts.length}</div>
+          <div className="text-2xl font-bold text-purple-600">{locationDistricts.length}</div>
           <div className="text-sm text-gray-600">Districts</div>
         </div>
         <div className="bg-white rounded-xl border border-gray-200 p-4 text-center">
@@ -191,10 +220,10 @@ const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ notices }) => {
             onChange={(e) => setSelectedDistrict(e.target.value)}
             className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
           >
-            <option value="all">All Districts ({villageLocations.length} villages)</option>
+            <option value="all">All Districts</option>
             {districts.map(district => (
               <option key={district} value={district}>
-                {district} ({villageLocations.filter(loc => loc.district === district).length} villages)
+                {district}
               </option>
             ))}
           </select>
@@ -207,7 +236,7 @@ const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ notices }) => {
           <div className="flex items-center gap-2">
             <span className="text-sm font-medium text-gray-700">📅 Filter by Notice Date:</span>
             <span className="text-xs text-gray-500">
-              ({filteredNotices.length} of {notices.length} notices in selected range)
+              {loading ? '(loading...)' : `(${notices.length} notices${isFiltered ? ' matching the filters' : ''})`}
             </span>
           </div>
           
@@ -285,10 +314,10 @@ const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ notices }) => {
             </div>
           </div>
           
-          {dateRange.startDate && dateRange.endDate && (
+          {hasDateRange && (
             <div className="text-sm text-blue-600 bg-blue-50 p-2 rounded-lg">
               📊 Showing notices from <strong>{new Date(dateRange.startDate).toLocaleDateString()}</strong> to <strong>{new Date(dateRange.endDate).toLocaleDateString()}</strong>
-              {filteredNotices.length === 0 && (
+              {!loading && notices.length === 0 && (
                 <span className="text-orange-600 ml-2">⚠️ No notices found in this date range</span>
               )}
             </div>
@@ -301,25 +330,25 @@ const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ notices }) => {
         <div className="p-4 bg-gray-50 border-b border-gray-200">
           <h3 className="text-lg font-semibold text-gray-900">🗺️ Interactive Village Locations Map</h3>
           <p className="text-sm text-gray-600">
-            Showing {filteredLocations.length} villages with precise markers and detailed information
+            Showing {villageLocations.length} villages with precise markers and detailed information
             {selectedDistrict !== 'all' ? ` in ${selectedDistrict} district` : ''}
-            {dateRange.startDate && dateRange.endDate 
+            {hasDateRange
               ? ` with notices from ${new Date(dateRange.startDate).toLocaleDateString()} to ${new Date(dateRange.endDate).toLocaleDateString()}`
               : ''
             }
           </p>
-          {filteredNotices.length !== notices.length && (
+          {isFiltered && (
             <p className="text-xs text-blue-600 mt-1">
-              📊 Filtered: {filteredNotices.length} of {notices.length} total notices
+              📊 Filtered: {notices.length} matching notices
             </p>
           )}
         </div>
         
         <div className="p-4">
           <div className="relative">
-            {filteredLocations.length > 0 ? (
+            {villageLocations.length > 0 ? (
               <GoogleMapsComponent 
-                villages={filteredLocations} 
+                villages={villageLocations} 
                 height="500px" 
                 zoom={10}
               />
@@ -357,7 +386,7 @@ const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ notices }) => {
               </tr>
             </thead>
             <tbody className="divide-y divide-gray-200">
-              {filteredLocations.map((location, index) => {
+              {villageLocations.map((location, index) => {
                 // Get date range for this village's notices
                 const noticeDates = location.notices
                   .map(notice => parseNoticeDate(notice.notice_date))
@@ -424,13 +453,13 @@ const SimpleMapLinks: React.FC<SimpleMapLinksProps> = ({ notices }) => {
         </div>
         
         <div className="p-4">
-          {filteredLocations.length === 0 ? (
+          {villageLocations.length === 0 ? (
             <div className="text-center py-8 text-gray-500">
               <p>No villages found for the selected district.</p>
             </div>
           ) : (
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-              {filteredLocations.map((location, index) => (
+              {villageLocations.map((location, index) => (
                 <div key={index} className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow">
                   <div className="flex items-start justify-between mb-2">
                     <h4 className="font-semibold text-gray-900">
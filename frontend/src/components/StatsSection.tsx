@@ -4,101 +4,34 @@ import { useMemo } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, PieChart, Pie, Cell, LineChart, Line, ResponsiveContainer } from 'recharts';
 import { TrendingUp, MapPin, Calendar, Home } from 'lucide-react';
 
-interface Notice {
-  id: string;
-  village_name?: string;
-  survey_number?: string;
-  buyer_name?: string;
-  seller_name?: string;
-  notice_date?: string;
-  district?: string;
-  uploaded_at: string;
-}
-
-interface StatsData {
-  totalNotices: number;
-  uniqueVillages: number;
-  recentScans: number;
+// Dashboard figures counted by the backend over every notice (GET /api/notices/stats)
+export interface NoticeStats {
+  total_notices: number;
+  unique_villages: number;
+  avg_confidence: number | null;
+  recent_notices_7_days: number;
+  top_villages: { village: string; count: number }[];
+  districts: { district: string; count: number }[];
+  monthly_uploads: { month: string; count: number }[];
+  daily_uploads: { date: string; count: number }[];
 }
 
 interface StatsSectionProps {
-  notices: Notice[];
-  stats: StatsData;
+  stats: NoticeStats | null;
 }
 
 const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#06B6D4'];
 
-export default function StatsSection({ notices, stats }: StatsSectionProps) {
-  const analytics = useMemo(() => {
-    // Village distribution
-    const villageCount: Record<string, number> = {};
-    notices.forEach(notice => {
-      if (notice.village_name) {
-        villageCount[notice.village_name] = (villageCount[notice.village_name] || 0) + 1;
-      }
-    });
-    
-    const villageData = Object.entries(villageCount)
-      .map(([village, count]) => ({ village, count }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 10);
-
+export default function StatsSection({ stats }: StatsSectionProps) {
+  const analytics = useMemo(() => ({
+    villageData: stats?.top_villages ?? [],
     // Trending villages (most active in property sales)
-    const trendingVillages = Object.entries(villageCount)
-      .map(([village, count]) => ({ village, count }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 8); // Top 8 trending villages
-
-    // District distribution
-    const districtCount: Record<string, number> = {};
-    notices.forEach(notice => {
-      if (notice.district) {
-        districtCount[notice.district] = (districtCount[notice.district] || 0) + 1;
-      }
-    });
-
-    const districtData = Object.entries(districtCount)
-      .map(([district, count]) => ({ district, count }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 6);
-
-    // Monthly uploads
-    const monthlyData: Record<string, number> = {};
-    notices.forEach(notice => {
-      const date = new Date(notice.uploaded_at);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      monthlyData[monthKey] = (monthlyData[monthKey] || 0) + 1;
-    });
-
-    const monthlyUploads = Object.entries(monthlyData)
-      .map(([month, count]) => ({ month, count }))
-      .sort((a, b) => a.month.localeCompare(b.month))
-      .slice(-6); // Last 6 months
-
+    trendingVillages: (stats?.top_villages ?? []).slice(0, 8),
+    districtData: (stats?.districts ?? []).slice(0, 6),
+    monthlyUploads: stats?.monthly_uploads ?? [],
     // Recent activity (last 30 days)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    
-    const recentActivity = notices
-      .filter(notice => new Date(notice.uploaded_at) >= thirtyDaysAgo)
-      .reduce((acc, notice) => {
-        const date = notice.uploaded_at.split('T')[0];
-        acc[date] = (acc[date] || 0) + 1;
-        return acc;
-      }, {} as Record<string, number>);
-
-    const activityData = Object.entries(recentActivity)
-      .map(([date, count]) => ({ date, count }))
-      .sort((a, b) => a.date.localeCompare(b.date));
-
-    return {
-      villageData,
-      monthlyUploads,
-      trendingVillages,
-      districtData,
-      activityData
-    };
-  }, [notices]);
+    activityData: stats?.daily_uploads ?? []
+  }), [stats]);
 
   const StatCard = ({ icon: Icon, title, value, subtitle, color }: {
     icon: React.ComponentType<{ className?: string }>;
@@ -121,7 +54,7 @@ export default function StatsSection({ notices, stats }: StatsSectionProps) {
     </div>
   );
 
-  if (notices.length === 0) {
+  if (!stats || stats.total_notices === 0) {
     return (
       <div className="text-center py-12">
         <div className="bg-white rounded-xl border border-gray-200 p-8">
@@ -142,21 +75,21 @@ export default function StatsSection({ notices, stats }: StatsSectionProps) {
         <StatCard
           icon={TrendingUp}
           title="Total Notices"
-          value={stats.totalNotices}
+          value={stats.total_notices}
           subtitle="Property notices processed"
           color="bg-blue-500"
         />
         <StatCard
           icon={MapPin}
           title="Unique Villages"
-          value={stats.uniqueVillages}
+          value={stats.unique_villages}
           subtitle="Different locations"
           color="bg-green-500"
         />
         <StatCard
           icon={Home}
           title="This Week"
-          value={stats.recentScans}
+          value={stats.recent_notices_7_days}
           subtitle="Recent uploads"
           color="bg-orange-500"
         />
@@ -1,27 +1,18 @@
 'use client';
 
 import { useState, useRef } from 'react';
-import { Upload, FileImage, X, CheckCircle, AlertCircle, Save, Eye, Loader2 } from 'lucide-react';
-
-interface ExtractedData {
-  village_name?: string;
-  survey_number?: string;
-  buyer_name?: string;
-  seller_name?: string;
-  notice_date?: string;
-  advocate_name?: string;
-  advocate_address?: string;
-  advocate_mobile?: string;
-}
-
-interface ProcessingResult {
-  extractedData: ExtractedData;
-  rawText: string;
-  confidenceScore: number;
-  processingTime: number;
-  aiService: string;
-  filename: string;
-  needsConfirmation: boolean;
+import { Upload, FileImage, X, CheckCircle, AlertCircle, Save, Eye, Loader2, Sparkles, MapPin, RotateCcw } from 'lucide-react';
+import BatchReview, { QueuedBatch, pickReviewedFields } from './BatchReview';
+import NoticeReview, { ExtractedData, ProcessingResult } from './NoticeReview';
+import PublicationFields, { PublicationDetails, appendPublication } from './PublicationFields';
+import { apiFetch } from '@/lib/api';
+
+interface ProcessingJob {
+  id: string;
+  status: string;
+  failedStage?: string | null;
+  error?: { message: string; code: string } | null;
+  result: ProcessingResult | null;
 }
 
 interface UploadSectionProps {
@@ -36,14 +27,26 @@ export default function UploadSection({ onNoticeUploaded }: UploadSectionProps)
   const [result, setResult] = useState<ProcessingResult | null>(null);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [failedJobId, setFailedJobId] = useState<string | null>(null);
+  // Set when the upload fanned out into several notices (PDF pages or a segmented newspaper page)
+  const [reviewBatch, setReviewBatch] = useState<QueuedBatch | null>(null);
+  const [fullPageMode, setFullPageMode] = useState(false);
+  const [pageImageUrl, setPageImageUrl] = useState<string | null>(null);
+  // Local copy of a single uploaded image, shown next to the review form
+  const [previewUrl, setPreviewUrl] = useState<string | null>(null);
+  // Kept between uploads: clippings are usually uploaded one newspaper at a time
+  const [publication, setPublication] = useState<PublicationDetails>({});
   
   const fileInputRef = useRef<HTMLInputElement>(null);
 
+  // One step per backend job status, in pipeline order
   const processingSteps = [
-    { title: 'Uploading Image', icon: Upload },
-    { title: 'Vision OCR Processing', icon: Eye },
-    { title: 'Gemini AI Extraction', icon: CheckCircle },
-    { title: 'Results Ready', icon: Save }
+    { status: 'queued', title: 'Uploading Image', icon: Upload },
+    { status: 'ocr', title: 'Vision OCR Processing', icon: Eye },
+    { status: 'extracting', title: 'Gemini AI Extraction', icon: CheckCircle },
+    { status: 'refining', title: 'Refining Extracted Data', icon: Sparkles },
+    { status: 'geocoding', title: 'Locating Village', icon: MapPin },
+    { status: 'done', title: 'Results Ready', icon: Save }
   ];
 
   const handleDrag = (e: React.DragEvent) => {
@@ -74,8 +77,8 @@ export default function UploadSection({ onNoticeUploaded }: UploadSectionProps)
 
   const handleFile = (file: File) => {
     // Validate file type
-    if (!file.type.startsWith('image/')) {
-      setError('Please select an image file (JPEG, PNG, etc.)');
+    if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+      setError('Please select an image file (JPEG, PNG, etc.) or a PDF');
       return;
     }
 
@@ -95,19 +98,18 @@ export default function UploadSection({ onNoticeUploaded }: UploadSectionProps)
     setProcessingStep(0);
     setResult(null);
     setError(null);
+    setFailedJobId(null);
+    setReviewBatch(null);
 
     const formData = new FormData();
     formData.append('image', file);
+    appendPublication(formData, publication);
 
-    try {
-      // Simulate processing steps
-      for (let i = 0; i < processingSteps.length - 1; i++) {
-        setProcessingStep(i);
-        await new Promise(resolve => setTimeout(resolve, 800));
-      }
+    // Full newspaper pages are split into notices before extraction
+    const segmentPage = fullPageMode && file.type.startsWith('image/');
 
-      const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:4000';
-      const response = await fetch(`${apiUrl}/api/process-notice`, {
+    try {
+      const response = await apiFetch(`/api/${segmentPage ? 'segment-page' : 'process-notice'}`, {
         method: 'POST',
         body: formData,
       });
@@ -115,7 +117,7 @@ export default function UploadSection({ onNoticeUploaded }: UploadSectionProps)
       let data;
       try {
         data = await response.json();
-      } catch (parseError) {
+      } catch {
         throw new Error(`Server returned invalid response. Status: ${response.status}`);
       }
 
@@ -123,8 +125,18 @@ export default function UploadSection({ onNoticeUploaded }: UploadSectionProps)
         throw new Error(data?.error || data?.message || `Server error: ${response.status}`);
       }
 
-      setProcessingStep(3);
-      setResult(data.data);
+      if (data.data.batchId) {
+        if (segmentPage) {
+          setPageImageUrl(URL.createObjectURL(file));
+        }
+        setReviewBatch(data.data);
+        return;
+      }
+
+      if (file.type.startsWith('image/')) {
+        setPreviewUrl(URL.createObjectURL(file));
+      }
+      await waitForJob(data.data.jobId);
       
     } catch (error) {
       console.error('Processing error:', error);
@@ -134,24 +146,86 @@ export default function UploadSection({ onNoticeUploaded }: UploadSectionProps)
     }
   };
 
-  const handleSaveToDatabase = async () => {
+  // Poll the processing job until it finishes, mirroring its stage in the step list
+  const waitForJob = async (jobId: string) => {
+
+    while (true) {
+      const response = await apiFetch(`/api/jobs/${jobId}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data?.error || `Server error: ${response.status}`);
+      }
+
+      const job: ProcessingJob = data.data;
+      const stepIndex = processingSteps.findIndex(step => step.status === job.status);
+      if (stepIndex !== -1) {
+        setProcessingStep(stepIndex);
+      }
+
+      if (job.status === 'done' && job.result) {
+        setResult(job.result);
+        return;
+      }
+
+      if (job.status === 'failed') {
+        setFailedJobId(job.id);
+        throw new Error(
+          `${job.error?.message || 'Processing failed'}${job.failedStage ? ` (stage: ${job.failedStage})` : ''}`
+        );
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 1500));
+    }
+  };
+
+  const retryJob = async () => {
+    if (!failedJobId) return;
+
+    setProcessing(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch(`/api/jobs/${failedJobId}/retry`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data?.message || data?.error || 'Failed to retry');
+      }
+
+      await waitForJob(failedJobId);
+      setFailedJobId(null);
+      
+    } catch (error) {
+      console.error('Retry error:', error);
+      setError(error instanceof Error ? error.message : 'Retry failed');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleSaveToDatabase = async (
+    extractedData: ExtractedData,
+    reviewedPublication: PublicationDetails
+  ) => {
     if (!result) return;
 
     setSaving(true);
     try {
-      const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:4000';
-      const response = await fetch(`${apiUrl}/api/save-notice`, {
+      const response = await apiFetch(`/api/save-notice`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(result),
+        body: JSON.stringify({ draftId: result.draftId, extractedData: pickReviewedFields(extractedData), publication: reviewedPublication }),
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to save');
+        throw new Error(data?.details?.join(', ') || data.error || 'Failed to save');
       }
 
       // Success - trigger refresh and reset
@@ -166,10 +240,51 @@ export default function UploadSection({ onNoticeUploaded }: UploadSectionProps)
     }
   };
 
+  // Record the upload as another publication of a notice that is already saved
+  const handleMergeIntoNotice = async (noticeId: string, reviewedPublication: PublicationDetails) => {
+    if (!result) return;
+
+    setSaving(true);
+    try {
+      const response = await apiFetch(`/api/save-notice`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ draftId: result.draftId, publication: reviewedPublication, mergeInto: noticeId }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to merge');
+      }
+
+      onNoticeUploaded();
+      resetForm();
+      
+    } catch (error) {
+      console.error('Merge error:', error);
+      setError(error instanceof Error ? error.message : 'Failed to merge');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const resetForm = () => {
     setSelectedFile(null);
     setResult(null);
     setError(null);
+    setFailedJobId(null);
+    setReviewBatch(null);
+    if (pageImageUrl) {
+      URL.revokeObjectURL(pageImageUrl);
+      setPageImageUrl(null);
+    }
+    if (previewUrl) {
+      URL.revokeObjectURL(previewUrl);
+      setPreviewUrl(null);
+    }
     setProcessing(false);
     setProcessingStep(0);
     if (fileInputRef.current) {
@@ -177,19 +292,6 @@ export default function UploadSection({ onNoticeUploaded }: UploadSectionProps)
     }
   };
 
-  const formatConfidence = (confidence: number) => {
-    const percentage = Math.round(confidence * 100);
-    let colorClass = 'text-red-600 bg-red-100';
-    if (percentage >= 80) colorClass = 'text-green-600 bg-green-100';
-    else if (percentage >= 60) colorClass = 'text-yellow-600 bg-yellow-100';
-    
-    return (
-      <span className={`px-2 py-1 rounded-full text-sm font-medium ${colorClass}`}>
-        {percentage}%
-      </span>
-    );
-  };
-
   return (
     <div className="space-y-6">
       {/* Upload Area */}
@@ -212,24 +314,45 @@ export default function UploadSection({ onNoticeUploaded }: UploadSectionProps)
             </div>
             <div>
               <h3 className="text-lg font-medium text-gray-900">Upload Property Notice</h3>
-              <p className="text-gray-500">Drag and drop your image here, or click to browse</p>
+              <p className="text-gray-500">Drag and drop your image or PDF here, or click to browse</p>
             </div>
             <div className="text-sm text-gray-400">
-              Supports: JPEG, PNG (Max 10MB)
+              Supports: JPEG, PNG, PDF (Max 10MB, every PDF page is processed as a separate notice)
             </div>
           </div>
           <input
             ref={fileInputRef}
             type="file"
-            accept="image/*"
+            accept="image/*,application/pdf"
             onChange={handleFileChange}
             className="hidden"
           />
         </div>
       )}
 
+      {/* Full Page Mode */}
+      {!selectedFile && (
+        <label className="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={fullPageMode}
+            onChange={(e) => setFullPageMode(e.target.checked)}
+            className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span>Full newspaper page – detect and split multiple notices on the image</span>
+        </label>
+      )}
+
+      {/* Publication Details */}
+      {!selectedFile && (
+        <div className="bg-white rounded-xl border border-gray-200 p-4 space-y-2">
+          <p className="text-sm font-medium text-gray-700">Where was this notice published? (optional)</p>
+          <PublicationFields value={publication} onChange={setPublication} />
+        </div>
+      )}
+
       {/* Selected File Preview */}
-      {selectedFile && !processing && !result && (
+      {selectedFile && !processing && !result && !reviewBatch && (
         <div className="bg-white rounded-xl border border-gray-200 p-6">
           <div className="flex items-center justify-between">
             <div className="flex items-center space-x-3">
@@ -292,109 +415,47 @@ export default function UploadSection({ onNoticeUploaded }: UploadSectionProps)
       {/* Error Display */}
       {error && (
         <div className="bg-red-50 border border-red-200 rounded-xl p-4">
-          <div className="flex items-center space-x-2">
-            <AlertCircle className="h-5 w-5 text-red-600" />
-            <p className="text-red-800">{error}</p>
+          <div className="flex items-center justify-between gap-4">
+            <div className="flex items-center space-x-2">
+              <AlertCircle className="h-5 w-5 text-red-600" />
+              <p className="text-red-800">{error}</p>
+            </div>
+            {failedJobId && !processing && (
+              <button
+                onClick={retryJob}
+                className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors whitespace-nowrap"
+              >
+                <RotateCcw className="h-4 w-4" />
+                <span>Retry</span>
+              </button>
+            )}
           </div>
         </div>
       )}
 
-      {/* Results and Save Confirmation */}
-      {result && (
-        <div className="space-y-6">
-          {/* Save Confirmation */}
-          <div className="bg-blue-50 border-2 border-blue-200 rounded-xl p-6 text-center">
-            <div className="space-y-4">
-              <div className="flex justify-center">
-                <Save className="h-8 w-8 text-blue-600" />
-              </div>
-              <div>
-                <h3 className="text-lg font-medium text-blue-900">Save to Database?</h3>
-                <p className="text-blue-700">Do you want to save this extracted information to the database?</p>
-              </div>
-              <div className="flex flex-col sm:flex-row gap-3 justify-center">
-                <button
-                  onClick={handleSaveToDatabase}
-                  disabled={saving}
-                  className="flex items-center justify-center space-x-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                >
-                  {saving ? (
-                    <Loader2 className="h-4 w-4 animate-spin" />
-                  ) : (
-                    <CheckCircle className="h-4 w-4" />
-                  )}
-                  <span>{saving ? 'Saving...' : 'Yes, Save to Database'}</span>
-                </button>
-                <button
-                  onClick={() => setResult(null)}
-                  className="flex items-center justify-center space-x-2 px-6 py-3 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
-                >
-                  <X className="h-4 w-4" />
-                  <span>No, Just View Results</span>
-                </button>
-              </div>
-            </div>
-          </div>
-
-          {/* Extracted Data */}
-          <div className="bg-white rounded-xl border border-gray-200 p-6">
-            <div className="flex items-center justify-between mb-6">
-              <h3 className="text-lg font-medium text-gray-900">Extracted Information</h3>
-              {formatConfidence(result.confidenceScore)}
-            </div>
-            
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              {[
-                { key: 'village_name', label: 'Village Name (ગામનું નામ)' },
-                { key: 'survey_number', label: 'Survey Number (સર્વે નં.)' },
-                { key: 'buyer_name', label: 'Buyer Name (ખરીદનાર)' },
-                { key: 'seller_name', label: 'Seller Name (વેચનાર)' },
-                { key: 'notice_date', label: 'Notice Date (તારીખ)' },
-                { key: 'advocate_name', label: 'Advocate Name (એડવોકેટ)' },
-                { key: 'advocate_address', label: 'Advocate Address (સરનામું)' },
-                { key: 'advocate_mobile', label: 'Mobile Number (મો.)' }
-              ].map((field) => (
-                <div key={field.key} className="space-y-2">
-                  <label className="text-sm font-medium text-gray-700">{field.label}</label>
-                  <div className="p-3 bg-gray-50 rounded-lg border">
-                    <span className="text-gray-900">
-                      {result.extractedData[field.key as keyof ExtractedData] || 
-                       <span className="text-gray-400 italic">Not found</span>}
-                    </span>
-                  </div>
-                </div>
-              ))}
-            </div>
-
-            {/* Processing Info */}
-            <div className="mt-6 pt-6 border-t border-gray-200">
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm text-gray-600">
-                <div>
-                  <span className="font-medium">Processing Time:</span> {result.processingTime}ms
-                </div>
-                <div>
-                  <span className="font-medium">AI Service:</span> {result.aiService}
-                </div>
-                <div>
-                  <span className="font-medium">File:</span> {result.filename}
-                </div>
-                <div>
-                  <span className="font-medium">Text Length:</span> {result.rawText.length} chars
-                </div>
-              </div>
-            </div>
-          </div>
+      {/* Per-page Review for PDF uploads */}
+      {reviewBatch && (
+        <BatchReview
+          key={reviewBatch.batchId}
+          batch={reviewBatch}
+          title={`${pageImageUrl ? 'Page Notices' : 'PDF Pages'} – ${selectedFile?.name || 'Upload'}`}
+          imageUrl={pageImageUrl}
+          resetLabel="Upload Another"
+          onNoticesSaved={onNoticeUploaded}
+          onReset={resetForm}
+        />
+      )}
 
-          {/* Raw Text */}
-          <div className="bg-white rounded-xl border border-gray-200 p-6">
-            <h3 className="text-lg font-medium text-gray-900 mb-4">Raw Extracted Text</h3>
-            <div className="bg-gray-50 rounded-lg p-4 max-h-48 overflow-y-auto">
-              <pre className="text-sm text-gray-800 whitespace-pre-wrap font-mono">
-                {result.rawText}
-              </pre>
-            </div>
-          </div>
-        </div>
+      {/* Side-by-side Review */}
+      {result && (
+        <NoticeReview
+          result={result}
+          imageUrl={previewUrl}
+          saving={saving}
+          onSave={handleSaveToDatabase}
+          onMerge={handleMergeIntoNotice}
+          onDiscard={resetForm}
+        />
       )}
     </div>
   );
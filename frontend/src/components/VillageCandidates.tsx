@@ -0,0 +1,69 @@
+'use client';
+
+import { MapPin } from 'lucide-react';
+
+// Gazetteer village the extracted village name may refer to
+export interface VillageCandidate {
+  village_id: string;
+  village_code: string | null;
+  name_gu: string | null;
+  name_en: string | null;
+  taluka: string | null;
+  district: string;
+  latitude: number;
+  longitude: number;
+  score: number;
+}
+
+// Gazetteer village the extracted name was matched to, with the name as it was read
+export interface VillageMatch extends VillageCandidate {
+  read_name: string;
+  match_type: 'exact' | 'fuzzy';
+}
+
+export const candidateName = (candidate: VillageCandidate) => candidate.name_gu || candidate.name_en || '';
+
+interface VillageCandidatesProps {
+  candidates: VillageCandidate[];
+  // Village name and district currently in the form, to highlight the chosen candidate
+  value?: string;
+  district?: string;
+  disabled?: boolean;
+  onSelect: (candidate: VillageCandidate) => void;
+}
+
+export default function VillageCandidates({ candidates, value, district, disabled, onSelect }: VillageCandidatesProps) {
+  if (candidates.length === 0) return null;
+
+  return (
+    <div className="space-y-1 text-xs">
+      <p className="flex items-center space-x-1 text-amber-700">
+        <MapPin className="h-3 w-3" />
+        <span>Several known villages are close to this name – pick the right one:</span>
+      </p>
+      <div className="flex flex-wrap gap-2">
+        {candidates.map((candidate) => {
+          // Villages of the same name in different districts are told apart by the district
+          const selected = candidateName(candidate) === value && candidate.district === district;
+          return (
+            <button
+              key={candidate.village_id}
+              type="button"
+              disabled={disabled}
+              onClick={() => onSelect(candidate)}
+              className={`px-2 py-1 border rounded-md disabled:opacity-50 transition-colors ${
+                selected ? 'bg-amber-600 border-amber-600 text-white' : 'bg-white border-amber-300 text-gray-800 hover:bg-amber-50'
+              }`}
+            >
+              {candidateName(candidate)}
+              {candidate.name_gu && candidate.name_en && ` (${candidate.name_en})`}
+              <span className={selected ? 'text-amber-100' : 'text-gray-500'}>
+                {' · '}{[candidate.taluka, candidate.district].filter(Boolean).join(', ')} · {Math.round(candidate.score * 100)}%
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+// Backend API access: every request carries the sign-in token, which is kept in localStorage
+
+export const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:4000';
+
+const TOKEN_STORAGE_KEY = 'propertyNoticeAuthToken';
+
+// Fired when the backend rejects the token, so the page can show the sign-in form again
+export const AUTH_EXPIRED_EVENT = 'auth-expired';
+
+export type Role = 'viewer' | 'reviewer' | 'admin';
+
+export interface AuthUser {
+  username: string;
+  role: Role;
+}
+
+const ROLES: Role[] = ['viewer', 'reviewer', 'admin'];
+
+// Each role includes the ones before it: viewer < reviewer < admin
+export const hasRole = (user: AuthUser | null, role: Role) =>
+  !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+const getToken = () => (typeof window === 'undefined' ? null : localStorage.getItem(TOKEN_STORAGE_KEY));
+
+export const apiFetch = async (path: string, init: RequestInit = {}) => {
+  const token = getToken();
+  const headers = new Headers(init.headers);
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+
+  const response = await fetch(`${apiUrl}${path}`, { ...init, headers });
+  if (response.status === 401 && token) {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+  return response;
+};
+
+// Image elements and links cannot send headers, so images are loaded through short-lived signed URLs.
+// Paths asked for together are signed in one request, and each URL is reused until shortly before it expires
+export interface SignedImageUrl {
+  url: string;
+  // null when the backend runs without authentication
+  expiresAt: number | null;
+}
+
+const IMAGE_URL_RENEW_MARGIN_MS = 60 * 1000;
+// The most paths the backend signs in one request
+const IMAGE_URL_BATCH_SIZE = 100;
+
+const signedImageUrls = new Map<string, Promise<SignedImageUrl>>();
+let pendingImagePaths = new Map<string, { resolve: (value: SignedImageUrl) => void; reject: (error: Error) => void }>();
+
+const requestImageUrls = async () => {
+  const pending = pendingImagePaths;
+  pendingImagePaths = new Map();
+  if (pending.size === 0) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch('/api/image-urls', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ paths: Array.from(pending.keys()) })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.details?.join(', ') || data.message || data.error || 'Failed to load images');
+    }
+
+    const expiresAt = data.data.expiresAt ? Date.parse(data.data.expiresAt) : null;
+    pending.forEach(({ resolve }, path) => resolve({ url: `${apiUrl}${data.data.urls[path]}`, expiresAt }));
+  } catch (error) {
+    pending.forEach(({ reject }, path) => {
+      signedImageUrls.delete(path);
+      reject(error instanceof Error ? error : new Error('Failed to load images'));
+    });
+  }
+};
+
+export const signImageUrl = async (path: string): Promise<SignedImageUrl> => {
+  const cached = signedImageUrls.get(path);
+  if (cached) {
+    const signed = await cached;
+    if (signed.expiresAt === null || signed.expiresAt - Date.now() > IMAGE_URL_RENEW_MARGIN_MS) {
+      return signed;
+    }
+    if (signedImageUrls.get(path) !== cached) {
+      return signImageUrl(path);
+    }
+  }
+
+  const signed = new Promise<SignedImageUrl>((resolve, reject) => {
+    if (pendingImagePaths.size === 0) {
+      setTimeout(requestImageUrls, 0);
+    }
+    pendingImagePaths.set(path, { resolve, reject });
+    if (pendingImagePaths.size >= IMAGE_URL_BATCH_SIZE) {
+      requestImageUrls();
+    }
+  });
+  signedImageUrls.set(path, signed);
+  return signed;
+};
+
+export const clearImageUrls = () => {
+  signedImageUrls.clear();
+};
+
+export const login = async (username: string, password: string): Promise<AuthUser> => {
+  const response = await fetch(`${apiUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || 'Sign-in failed');
+  }
+
+  localStorage.setItem(TOKEN_STORAGE_KEY, data.token);
+  return data.user;
+};
+
+export const logout = () => {
+  localStorage.removeItem(TOKEN_STORAGE_KEY);
+  clearImageUrls();
+};
+
+// The signed-in user, or null when a sign-in is needed (with AUTH_DISABLED the backend answers as an admin)
+export const getCurrentUser = async (): Promise<AuthUser | null> => {
+  const response = await apiFetch('/api/auth/me');
+  if (!response.ok) {
+    return null;
+  }
+
+  const { data } = await response.json();
+  return { username: data.name || 'anonymous', role: data.role };
+};
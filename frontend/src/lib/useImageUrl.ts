@@ -0,0 +1,43 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { signImageUrl } from '@/lib/api';
+
+// Signed URL for a notice or job image path, renewed shortly before it expires; null until it is signed
+export function useImageUrl(path: string | null): string | null {
+  const [url, setUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    setUrl(null);
+    if (!path) {
+      return;
+    }
+
+    let cancelled = false;
+    let renewTimer: ReturnType<typeof setTimeout> | undefined;
+
+    const load = async () => {
+      try {
+        const signed = await signImageUrl(path);
+        if (cancelled) {
+          return;
+        }
+        setUrl(signed.url);
+        if (signed.expiresAt !== null) {
+          // signImageUrl hands out a new URL from a minute before the old one expires
+          renewTimer = setTimeout(load, Math.max(signed.expiresAt - Date.now() - 30 * 1000, 1000));
+        }
+      } catch (error) {
+        console.error('Failed to sign image URL:', error);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+      clearTimeout(renewTimer);
+    };
+  }, [path]);
+
+  return url;
+}